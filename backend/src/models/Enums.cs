@@ -17,7 +17,18 @@ namespace DriftRide.Models
     {
         Pending,
         Confirmed,
-        Denied
+        Denied,
+        Refunded
+    }
+
+    /// <summary>
+    /// Status of a customer's refund request
+    /// </summary>
+    public enum RefundRequestStatus
+    {
+        Pending,
+        Approved,
+        Rejected
     }
 
     /// <summary>
@@ -74,6 +85,7 @@ namespace DriftRide.Models
         AssistanceRequested,
         ExtendedWaitTime,
         CustomerArrived,
+        NoShow,
         SystemError
     }
 
@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Mvc;
 using DriftRide.Web.Models;
 using DriftRide.Web.Services;
+using System.ComponentModel.DataAnnotations;
 
 namespace DriftRide.Web.Controllers;
 
@@ -212,4 +213,57 @@ public class CustomerController : Controller
             });
         }
     }
+
+    /// <summary>
+    /// API endpoint for a customer to leave the queue before their ride (AJAX)
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> LeaveQueue([FromBody] LeaveQueueModel model)
+    {
+        try
+        {
+            if (!ModelState.IsValid)
+            {
+                return Json(new
+                {
+                    success = false,
+                    message = "Invalid request",
+                    errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+                });
+            }
+
+            var response = await _apiService.LeaveQueueAsync(model.CustomerId, new LeaveQueueRequest
+            {
+                PhoneNumber = model.PhoneNumber,
+                Reason = model.Reason
+            });
+            return Json(response);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error leaving queue for customer {CustomerId}", model?.CustomerId);
+            return Json(new
+            {
+                success = false,
+                message = "Unable to leave the queue",
+                errors = new[] { ex.Message }
+            });
+        }
+    }
+}
+
+/// <summary>
+/// AJAX model for leaving the queue
+/// </summary>
+public class LeaveQueueModel
+{
+    [Required]
+    public int CustomerId { get; set; }
+
+    [Required(ErrorMessage = "Phone number is required")]
+    public string PhoneNumber { get; set; } = string.Empty;
+
+    [StringLength(500, ErrorMessage = "Reason cannot exceed 500 characters")]
+    public string? Reason { get; set; }
 }
\ No newline at end of file
@@ -46,19 +46,23 @@ public class DriverController : Controller
     /// AJAX endpoint to get current customer for driver.
     /// Called by JavaScript for real-time updates.
     /// </summary>
-    /// <returns>JSON response with current customer or null if queue empty</returns>
+    /// <returns>JSON response with the driver's car and its current customer; car is null until the driver claims one</returns>
     [HttpGet]
     public async Task<IActionResult> GetCurrentCustomer()
     {
         try
         {
-            // In a real implementation, we'd get the auth token from the session
-            // For now, we'll use a placeholder
-            var authToken = "placeholder-driver-token";
+            var authToken = GetAuthToken();
+
+            var car = FindMyCar(await _apiService.GetCarsAsync(authToken));
+            if (car == null)
+            {
+                return Json(new { success = true, car = (DriverCarViewModel?)null, customer = (DriverCustomerViewModel?)null });
+            }
 
             var currentCustomer = await _apiService.GetCurrentCustomerAsync(authToken);
 
-            return Json(new { success = true, customer = currentCustomer });
+            return Json(new { success = true, car = ToDriverCar(car), customer = currentCustomer });
         }
         catch (Exception ex)
         {
@@ -67,6 +71,28 @@ public class DriverController : Controller
         }
     }
 
+    /// <summary>
+    /// AJAX endpoint to start a ride.
+    /// Called when driver clicks "Start Ride" button.
+    /// </summary>
+    /// <returns>JSON response with the started queue entry, including its start time</returns>
+    [HttpPost]
+    public async Task<IActionResult> StartRide([FromBody] CompleteRideRequest request)
+    {
+        if (request == null || request.QueueEntryId <= 0)
+        {
+            return Json(new { success = false, error = "Invalid queue entry ID" });
+        }
+
+        var response = await _apiService.StartRideAsync(request.QueueEntryId, GetAuthToken());
+        if (!response.Success || response.Data == null)
+        {
+            return Json(new { success = false, error = response.Message });
+        }
+
+        return Json(new { success = true, startedEntry = response.Data });
+    }
+
     /// <summary>
     /// AJAX endpoint to complete a ride.
     /// Called when driver clicks "Complete Ride" button.
@@ -78,13 +104,12 @@ public class DriverController : Controller
     {
         try
         {
-            if (request?.QueueEntryId == null || request.QueueEntryId == Guid.Empty)
+            if (request == null || request.QueueEntryId <= 0)
             {
                 return Json(new { success = false, error = "Invalid queue entry ID" });
             }
 
-            // In a real implementation, we'd get the auth token from the session
-            var authToken = "placeholder-driver-token";
+            var authToken = GetAuthToken();
 
             var completedEntry = await _apiService.CompleteRideAsync(request.QueueEntryId, authToken);
 
@@ -94,7 +119,7 @@ public class DriverController : Controller
             }
             else
             {
-                return Json(new { success = false, error = "Queue entry not found" });
+                return Json(new { success = false, error = "Ride is not in progress on your car" });
             }
         }
         catch (Exception ex)
@@ -104,6 +129,50 @@ public class DriverController : Controller
         }
     }
 
+    /// <summary>
+    /// AJAX endpoint to reopen a ride completed by mistake.
+    /// Called from the undo action shown after completing a ride.
+    /// </summary>
+    /// <returns>JSON response with the reopened queue entry</returns>
+    [HttpPost]
+    public async Task<IActionResult> UndoCompleteRide([FromBody] CompleteRideRequest request)
+    {
+        if (request == null || request.QueueEntryId <= 0)
+        {
+            return Json(new { success = false, error = "Invalid queue entry ID" });
+        }
+
+        var response = await _apiService.UndoRideCompletionAsync(request.QueueEntryId, GetAuthToken());
+        if (!response.Success || response.Data == null)
+        {
+            return Json(new { success = false, error = response.Message });
+        }
+
+        return Json(new { success = true, reopenedEntry = response.Data });
+    }
+
+    /// <summary>
+    /// AJAX endpoint to mark the current rider as a no-show.
+    /// The API moves the rider back in the queue or cancels the entry after repeated misses.
+    /// </summary>
+    /// <returns>JSON response with the updated queue entry</returns>
+    [HttpPost]
+    public async Task<IActionResult> MarkNoShow([FromBody] CompleteRideRequest request)
+    {
+        if (request == null || request.QueueEntryId <= 0)
+        {
+            return Json(new { success = false, error = "Invalid queue entry ID" });
+        }
+
+        var response = await _apiService.MarkNoShowAsync(request.QueueEntryId, GetAuthToken());
+        if (!response.Success || response.Data == null)
+        {
+            return Json(new { success = false, error = response.Message });
+        }
+
+        return Json(new { success = true, message = response.Message, queueEntry = response.Data });
+    }
+
     /// <summary>
     /// AJAX endpoint to get full queue status.
     /// Used for context and next customer preview.
@@ -114,7 +183,7 @@ public class DriverController : Controller
     {
         try
         {
-            var authToken = "placeholder-driver-token";
+            var authToken = GetAuthToken();
 
             var queue = await _apiService.GetQueueAsync(authToken);
 
@@ -126,12 +195,93 @@ public class DriverController : Controller
             return Json(new { success = false, error = "Failed to get queue status" });
         }
     }
+
+    /// <summary>
+    /// AJAX endpoint to list cars for the car selector.
+    /// </summary>
+    /// <returns>JSON response with all cars, flagging the one this driver is driving</returns>
+    [HttpGet]
+    public async Task<IActionResult> GetCars()
+    {
+        try
+        {
+            var cars = await _apiService.GetCarsAsync(GetAuthToken());
+
+            return Json(new { success = true, cars = cars.Select(ToDriverCar) });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting cars");
+            return Json(new { success = false, error = "Failed to get cars" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to start driving a car.
+    /// Riders are then dispatched to this car.
+    /// </summary>
+    /// <returns>JSON response with the claimed car</returns>
+    [HttpPost]
+    public async Task<IActionResult> ClaimCar([FromBody] ClaimCarRequest request)
+    {
+        if (request == null || request.CarId <= 0)
+        {
+            return Json(new { success = false, error = "Invalid car ID" });
+        }
+
+        var response = await _apiService.ClaimCarAsync(request.CarId, GetAuthToken());
+        if (!response.Success || response.Data == null)
+        {
+            return Json(new { success = false, error = response.Message });
+        }
+
+        _logger.LogInformation("Driver {Username} is now driving car {CarId}", GetUsername(), request.CarId);
+        return Json(new { success = true, car = ToDriverCar(response.Data) });
+    }
+
+    private string GetAuthToken()
+    {
+        // Drivers sign in through the same login as sales staff; the token
+        // identifies the driver and therefore their car
+        return HttpContext.Session.GetString("AuthToken") ?? "placeholder-driver-token";
+    }
+
+    private string? GetUsername()
+    {
+        return HttpContext.Session.GetString("Username");
+    }
+
+    private CarResponse? FindMyCar(IEnumerable<CarResponse> cars)
+    {
+        var username = GetUsername();
+        return username == null ? null : cars.FirstOrDefault(car => car.DriverUsername == username);
+    }
+
+    private DriverCarViewModel ToDriverCar(CarResponse car)
+    {
+        return new DriverCarViewModel
+        {
+            Id = car.Id,
+            Name = car.Name,
+            IsActive = car.IsActive,
+            DriverName = car.DriverName,
+            IsMine = car.DriverUsername != null && car.DriverUsername == GetUsername()
+        };
+    }
 }
 
 /// <summary>
-/// Request model for completing rides.
+/// Request model for starting, completing and no-showing rides.
 /// </summary>
 public class CompleteRideRequest
 {
-    public Guid QueueEntryId { get; set; }
+    public int QueueEntryId { get; set; }
+}
+
+/// <summary>
+/// Request model for claiming a car.
+/// </summary>
+public class ClaimCarRequest
+{
+    public int CarId { get; set; }
 }
\ No newline at end of file
@@ -165,6 +165,112 @@ public class PaymentConfigurationController : Controller
         }
     }
 
+    /// <summary>
+    /// Add a payment method via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CreateConfiguration([FromBody] UpdatePaymentConfigurationRequest request)
+    {
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken");
+            if (string.IsNullOrEmpty(authToken))
+            {
+                return Json(new { success = false, message = "Authentication required" });
+            }
+
+            if (!ModelState.IsValid)
+            {
+                var errors = ModelState.Values
+                    .SelectMany(v => v.Errors)
+                    .Select(e => e.ErrorMessage)
+                    .ToList();
+
+                return Json(new
+                {
+                    success = false,
+                    message = "Validation failed",
+                    errors = errors
+                });
+            }
+
+            var response = await _apiService.CreatePaymentConfigurationAsync(request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Payment method {PaymentMethod} added by user {UserId}",
+                    request.PaymentMethod, HttpContext.Session.GetString("UserId"));
+
+                return Json(new
+                {
+                    success = true,
+                    data = response.Data,
+                    message = $"{request.DisplayName} added"
+                });
+            }
+
+            return Json(new
+            {
+                success = false,
+                message = response.Message,
+                errors = response.Errors
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error adding payment method");
+            return Json(new
+            {
+                success = false,
+                message = "An unexpected error occurred while adding the payment method"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Set the order customers see the payment methods in via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> ReorderConfigurations([FromBody] ReorderPaymentMethodsRequest request)
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.ReorderPaymentMethodsAsync(request, authToken);
+        if (response.Success)
+        {
+            _logger.LogInformation("Payment methods reordered by user {UserId}",
+                HttpContext.Session.GetString("UserId"));
+        }
+
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
+    /// <summary>
+    /// Remove a payment method via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> DeleteConfiguration(string paymentMethod)
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.DeletePaymentConfigurationAsync(paymentMethod, authToken);
+        if (response.Success)
+        {
+            _logger.LogInformation("Payment method {PaymentMethod} removed by user {UserId}",
+                paymentMethod, HttpContext.Session.GetString("UserId"));
+        }
+
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
     /// <summary>
     /// Refresh customer payment methods cache
     /// </summary>
@@ -194,6 +300,276 @@ public class PaymentConfigurationController : Controller
         }
     }
 
+    /// <summary>
+    /// Get pricing rules as JSON for AJAX requests
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetPricingRules()
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.GetPricingRulesAsync(authToken);
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
+    /// <summary>
+    /// Create a happy hour, peak surcharge or bundle rule via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CreatePricingRule([FromBody] PricingRuleRequest request)
+    {
+        return await SavePricingRule(request, authToken => _apiService.CreatePricingRuleAsync(request, authToken), "created");
+    }
+
+    /// <summary>
+    /// Update a pricing rule via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> UpdatePricingRule(int id, [FromBody] PricingRuleRequest request)
+    {
+        return await SavePricingRule(request, authToken => _apiService.UpdatePricingRuleAsync(id, request, authToken), "updated");
+    }
+
+    /// <summary>
+    /// Remove a pricing rule via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> DeletePricingRule(int id)
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.DeletePricingRuleAsync(id, authToken);
+        if (response.Success)
+        {
+            _logger.LogInformation("Pricing rule {RuleId} removed by user {UserId}",
+                id, HttpContext.Session.GetString("UserId"));
+        }
+
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
+    private async Task<IActionResult> SavePricingRule(
+        PricingRuleRequest request,
+        Func<string, Task<ApiResponse<PricingRule>>> save,
+        string action)
+    {
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken");
+            if (string.IsNullOrEmpty(authToken))
+            {
+                return Json(new { success = false, message = "Authentication required" });
+            }
+
+            if (!ModelState.IsValid)
+            {
+                var errors = ModelState.Values
+                    .SelectMany(v => v.Errors)
+                    .Select(e => e.ErrorMessage)
+                    .ToList();
+
+                return Json(new
+                {
+                    success = false,
+                    message = "Validation failed",
+                    errors = errors
+                });
+            }
+
+            var response = await save(authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Pricing rule {Name} {Action} by user {UserId}",
+                    request.Name, action, HttpContext.Session.GetString("UserId"));
+
+                return Json(new
+                {
+                    success = true,
+                    data = response.Data,
+                    message = $"Pricing rule {action}"
+                });
+            }
+
+            return Json(new
+            {
+                success = false,
+                message = response.Message,
+                errors = response.Errors
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving pricing rule");
+            return Json(new
+            {
+                success = false,
+                message = "An unexpected error occurred while saving the pricing rule"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Get promo codes as JSON for AJAX requests
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetPromoCodes()
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.GetPromoCodesAsync(authToken);
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
+    /// <summary>
+    /// Create a promo code via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CreatePromoCode([FromBody] PromoCodeRequest request)
+    {
+        return await SavePromoCode(request, authToken => _apiService.CreatePromoCodeAsync(request, authToken), "created");
+    }
+
+    /// <summary>
+    /// Update a promo code via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> UpdatePromoCode(int id, [FromBody] PromoCodeRequest request)
+    {
+        return await SavePromoCode(request, authToken => _apiService.UpdatePromoCodeAsync(id, request, authToken), "updated");
+    }
+
+    /// <summary>
+    /// Remove a promo code via AJAX
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> DeletePromoCode(int id)
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        if (string.IsNullOrEmpty(authToken))
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        var response = await _apiService.DeletePromoCodeAsync(id, authToken);
+        if (response.Success)
+        {
+            _logger.LogInformation("Promo code {PromoCodeId} removed by user {UserId}",
+                id, HttpContext.Session.GetString("UserId"));
+        }
+
+        return Json(new { success = response.Success, data = response.Data, message = response.Message });
+    }
+
+    private async Task<IActionResult> SavePromoCode(
+        PromoCodeRequest request,
+        Func<string, Task<ApiResponse<PromoCode>>> save,
+        string action)
+    {
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken");
+            if (string.IsNullOrEmpty(authToken))
+            {
+                return Json(new { success = false, message = "Authentication required" });
+            }
+
+            if (!ModelState.IsValid)
+            {
+                var errors = ModelState.Values
+                    .SelectMany(v => v.Errors)
+                    .Select(e => e.ErrorMessage)
+                    .ToList();
+
+                return Json(new
+                {
+                    success = false,
+                    message = "Validation failed",
+                    errors = errors
+                });
+            }
+
+            var response = await save(authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Promo code {Code} {Action} by user {UserId}",
+                    request.Code, action, HttpContext.Session.GetString("UserId"));
+
+                return Json(new
+                {
+                    success = true,
+                    data = response.Data,
+                    message = $"Promo code {action}"
+                });
+            }
+
+            return Json(new
+            {
+                success = false,
+                message = response.Message,
+                errors = response.Errors
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error saving promo code");
+            return Json(new
+            {
+                success = false,
+                message = "An unexpected error occurred while saving the promo code"
+            });
+        }
+    }
+
+    /// <summary>
+    /// What a promo code takes off the customer's rides, for the payment step (public endpoint)
+    /// </summary>
+    [HttpPost]
+    public async Task<IActionResult> CheckPromoCode([FromBody] PromoCodeCheckRequest request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return Json(new { success = false, message = "Enter a promo code" });
+        }
+
+        var response = await _apiService.CheckPromoCodeAsync(request);
+        return Json(new
+        {
+            success = response.Success,
+            data = response.Data,
+            message = response.Message
+        });
+    }
+
+    /// <summary>
+    /// Price per enabled payment method at a time (now when omitted), for the
+    /// configuration preview and the customer payment step (public endpoint)
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetCurrentPrices(string? at = null)
+    {
+        var response = await _apiService.GetPriceQuotesAsync(at);
+        return Json(new
+        {
+            success = response.Success,
+            data = response.Data,
+            message = response.Message
+        });
+    }
+
     /// <summary>
     /// Get available payment methods for customer interface (public endpoint)
     /// </summary>
@@ -215,7 +591,9 @@ public class PaymentConfigurationController : Controller
                         displayName = m.DisplayName,
                         paymentUrl = m.PaymentUrl,
                         requiresExternalApp = m.RequiresExternalApp,
-                        pricePerRide = m.PricePerRide
+                        pricePerRide = m.PricePerRide,
+                        isCash = m.IsCash,
+                        instructions = m.Instructions
                     })
                     .ToList();
 
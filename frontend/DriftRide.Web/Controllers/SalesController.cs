@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Mvc;
 using DriftRide.Web.Models;
 using DriftRide.Web.Services;
 using System.ComponentModel.DataAnnotations;
+using System.Text;
 
 namespace DriftRide.Web.Controllers;
 
@@ -135,6 +136,19 @@ public class SalesController : Controller
         {
             // Load initial pending payments
             var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+
+            var paymentSla = await _apiService.GetPaymentSlaSettingsAsync(authToken);
+            if (paymentSla.Success && paymentSla.Data != null)
+            {
+                viewModel.PaymentSla = paymentSla.Data;
+            }
+
+            var events = await _apiService.GetEventsAsync(authToken);
+            if (events.Success && events.Data != null)
+            {
+                viewModel.ActiveEvent = events.Data.FirstOrDefault(e => e.Status == "Open");
+            }
+
             var pendingPayments = await _apiService.GetPendingPaymentsAsync(authToken);
 
             if (pendingPayments.Success && pendingPayments.Data != null)
@@ -143,12 +157,19 @@ public class SalesController : Controller
                 viewModel.TotalPendingCount = pendingPayments.Data.Count;
 
                 // Calculate statistics for dashboard
-                viewModel.PaymentsOver5Minutes = pendingPayments.Data.Count(p => p.MinutesWaiting > 5);
-                viewModel.PaymentsOver10Minutes = pendingPayments.Data.Count(p => p.MinutesWaiting > 10);
+                viewModel.PaymentsOverWarning = pendingPayments.Data.Count(p => p.SlaLevel != null);
+                viewModel.PaymentsOverCritical = pendingPayments.Data.Count(p => p.SlaLevel == "Critical");
+            }
+
+            // Load refund requests from customers who left the queue
+            var pendingRefunds = await _apiService.GetPendingRefundsAsync(authToken);
+            if (pendingRefunds.Success && pendingRefunds.Data != null)
+            {
+                viewModel.PendingRefunds = pendingRefunds.Data;
             }
 
             // Load current queue status
-            var queueStatus = await _apiService.GetQueueStatusAsync();
+            var queueStatus = await _apiService.GetQueueStatusAsync(authToken);
             if (queueStatus.Success && queueStatus.Data != null)
             {
                 viewModel.QueueEntries = queueStatus.Data.QueueEntries;
@@ -229,7 +250,8 @@ public class SalesController : Controller
             var request = new PaymentConfirmationRequest
             {
                 Confirmed = model.Confirmed,
-                Notes = model.Notes ?? ""
+                Notes = model.Notes ?? "",
+                DenialReasonCode = model.Confirmed ? null : model.DenialReasonCode
             };
 
             var response = await _apiService.ConfirmPaymentAsync(model.PaymentId, request, authToken);
@@ -258,6 +280,195 @@ public class SalesController : Controller
         }
     }
 
+    /// <summary>
+    /// AJAX endpoint to take back a confirmation or denial made by mistake.
+    /// The API only allows this briefly after the decision.
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> UndoPaymentDecision([FromBody] UndoPaymentDecisionModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.UndoPaymentDecisionAsync(model.PaymentId, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Decision on payment {PaymentId} undone by user {Username}",
+                    model.PaymentId, HttpContext.Session.GetString("Username"));
+
+                return Json(new { success = true, message = response.Message, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error undoing payment {PaymentId}", model.PaymentId);
+            return Json(new { success = false, message = "Unable to undo payment decision" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to confirm or deny the selected payments in one request.
+    /// Succeeds when the API processed the batch; data.results says which
+    /// payments failed and why.
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> ConfirmPaymentBatch([FromBody] PaymentBatchConfirmationModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid payment confirmation data",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new PaymentBatchConfirmationRequest
+            {
+                PaymentIds = model.PaymentIds,
+                Confirmed = model.Confirmed,
+                Notes = model.Notes ?? "",
+                DenialReasonCode = model.Confirmed ? null : model.DenialReasonCode
+            };
+
+            var response = await _apiService.ConfirmPaymentBatchAsync(request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("{Succeeded} of {Count} payments {Status} by user {Username}",
+                    response.Data?.Succeeded, model.PaymentIds.Count, model.Confirmed ? "confirmed" : "denied",
+                    HttpContext.Session.GetString("Username"));
+
+                return Json(new
+                {
+                    success = true,
+                    message = response.Message,
+                    data = response.Data,
+                    timestamp = DateTime.UtcNow
+                });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error processing payment batch");
+            return Json(new { success = false, message = "Unable to process batch payment confirmation" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to get refund requests from customers who left the queue
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetPendingRefunds()
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetPendingRefundsAsync(authToken);
+
+            if (response.Success)
+            {
+                return Json(new
+                {
+                    success = true,
+                    data = response.Data,
+                    count = response.Data?.Count ?? 0,
+                    timestamp = DateTime.UtcNow
+                });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching pending refund requests via AJAX");
+            return Json(new { success = false, message = "Unable to fetch refund requests" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to approve or reject a refund request
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> ResolveRefund([FromBody] RefundResolutionModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid refund decision",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new RefundResolutionRequest
+            {
+                Approved = model.Approved,
+                Notes = model.Notes ?? ""
+            };
+
+            var response = await _apiService.ResolveRefundAsync(model.RefundRequestId, request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Refund request {RefundRequestId} {Status} by user {Username}",
+                    model.RefundRequestId, model.Approved ? "approved" : "rejected",
+                    HttpContext.Session.GetString("Username"));
+
+                return Json(new
+                {
+                    success = true,
+                    message = $"Refund {(model.Approved ? "approved" : "rejected")} successfully",
+                    data = response.Data,
+                    timestamp = DateTime.UtcNow
+                });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resolving refund request {RefundRequestId}", model.RefundRequestId);
+            return Json(new { success = false, message = "Unable to process refund request" });
+        }
+    }
+
     /// <summary>
     /// AJAX endpoint to manually add customer when payment methods fail
     /// </summary>
@@ -287,20 +498,22 @@ public class SalesController : Controller
             {
                 Name = model.Name,
                 PhoneNumber = model.PhoneNumber,
-                Reason = model.Reason
+                ReasonCode = model.ReasonCode,
+                Reason = model.Reason,
+                Amount = model.Amount
             };
 
             var response = await _apiService.AddCustomerManuallyAsync(request, authToken);
 
             if (response.Success)
             {
-                _logger.LogInformation("Customer {Name} manually added by user {Username} - Reason: {Reason}",
-                    model.Name, HttpContext.Session.GetString("Username"), model.Reason);
+                _logger.LogInformation("Customer {Name} manually added by user {Username} - Reason: {ReasonCode} {Reason}",
+                    model.Name, HttpContext.Session.GetString("Username"), model.ReasonCode, model.Reason);
 
                 return Json(new
                 {
                     success = true,
-                    message = "Customer added successfully",
+                    message = response.Message,
                     data = response.Data,
                     timestamp = DateTime.UtcNow
                 });
@@ -316,10 +529,10 @@ public class SalesController : Controller
     }
 
     /// <summary>
-    /// AJAX endpoint to search customers by name for lookup
+    /// AJAX endpoint to search customers by name or phone number for lookup
     /// </summary>
     [HttpGet]
-    public async Task<IActionResult> SearchCustomers(string searchTerm)
+    public async Task<IActionResult> SearchCustomers(string searchTerm, int page = 1)
     {
         if (!IsAuthenticated())
         {
@@ -334,7 +547,7 @@ public class SalesController : Controller
         try
         {
             var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
-            var response = await _apiService.SearchCustomersAsync(searchTerm.Trim(), authToken);
+            var response = await _apiService.SearchCustomersAsync(searchTerm.Trim(), Math.Max(1, page), authToken);
 
             if (response.Success)
             {
@@ -342,7 +555,9 @@ public class SalesController : Controller
                 {
                     success = true,
                     data = response.Data,
-                    count = response.Data?.Count ?? 0,
+                    count = response.TotalCount,
+                    page = response.Page,
+                    totalPages = response.TotalPages,
                     searchTerm = searchTerm
                 });
             }
@@ -357,10 +572,10 @@ public class SalesController : Controller
     }
 
     /// <summary>
-    /// AJAX endpoint to get current queue status
+    /// AJAX endpoint to get a customer's history for the search results panel
     /// </summary>
     [HttpGet]
-    public async Task<IActionResult> GetQueueStatus()
+    public async Task<IActionResult> GetCustomerHistory(int customerId)
     {
         if (!IsAuthenticated())
         {
@@ -369,7 +584,8 @@ public class SalesController : Controller
 
         try
         {
-            var response = await _apiService.GetQueueStatusAsync();
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetCustomerHistoryAsync(customerId, authToken);
 
             if (response.Success)
             {
@@ -385,65 +601,676 @@ public class SalesController : Controller
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error fetching queue status");
-            return Json(new { success = false, message = "Unable to fetch queue status" });
+            _logger.LogError(ex, "Error fetching history for customer {CustomerId}", customerId);
+            return Json(new { success = false, message = "Unable to load customer history" });
         }
     }
 
     /// <summary>
-    /// Check if current user is authenticated with valid session
+    /// AJAX endpoint to list customers that are probably the same person as this one
     /// </summary>
-    private bool IsAuthenticated()
+    [HttpGet]
+    public async Task<IActionResult> GetCustomerDuplicates(int customerId)
     {
-        var authToken = HttpContext.Session.GetString("AuthToken");
-        var expiryString = HttpContext.Session.GetString("TokenExpiry");
-        var role = HttpContext.Session.GetString("Role");
-
-        if (string.IsNullOrEmpty(authToken) || string.IsNullOrEmpty(expiryString) || role != "Sales")
+        if (!IsAuthenticated())
         {
-            return false;
+            return Json(new { success = false, message = "Authentication required" });
         }
 
-        if (DateTime.TryParse(expiryString, out DateTime expiry) && expiry <= DateTime.UtcNow)
+        try
         {
-            HttpContext.Session.Clear(); // Clear expired session
-            return false;
-        }
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetCustomerDuplicatesAsync(customerId, authToken);
 
-        return true;
+            if (response.Success)
+            {
+                return Json(new { success = true, data = response.Data });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error finding duplicates of customer {CustomerId}", customerId);
+            return Json(new { success = false, message = "Unable to find duplicate customers" });
+        }
     }
-}
 
-/// <summary>
-/// View model for sales login page
-/// </summary>
-public class SalesLoginViewModel
-{
-    [Required(ErrorMessage = "Username is required")]
-    [Display(Name = "Username")]
-    public string Username { get; set; } = string.Empty;
+    /// <summary>
+    /// AJAX endpoint to fold duplicate customers into one record
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> MergeCustomers([FromBody] MergeCustomersModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
 
-    [Required(ErrorMessage = "Password is required")]
-    [DataType(DataType.Password)]
-    [Display(Name = "Password")]
-    public string Password { get; set; } = string.Empty;
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid merge request",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
 
-    public string? ReturnUrl { get; set; }
-}
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new MergeCustomersRequest { SourceCustomerIds = model.SourceCustomerIds };
+            var response = await _apiService.MergeCustomersAsync(model.CustomerId, request, authToken);
 
-/// <summary>
-/// AJAX model for payment confirmation
-/// </summary>
-public class PaymentConfirmationModel
-{
-    [Required]
-    public int PaymentId { get; set; }
+            if (response.Success)
+            {
+                _logger.LogInformation("Customers {SourceCustomerIds} merged into {CustomerId} by user {Username}",
+                    string.Join(", ", model.SourceCustomerIds), model.CustomerId, HttpContext.Session.GetString("Username"));
 
-    [Required]
-    public bool Confirmed { get; set; }
+                return Json(new
+                {
+                    success = true,
+                    message = response.Message,
+                    data = response.Data,
+                    timestamp = DateTime.UtcNow
+                });
+            }
 
-    public string? Notes { get; set; }
-}
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error merging customers into {CustomerId}", model.CustomerId);
+            return Json(new { success = false, message = "Unable to merge customers" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to get confirmation latency overall and per staff member
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetPaymentSlaReport(DateTime? since)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetPaymentSlaReportAsync(since, authToken);
+
+            if (response.Success)
+            {
+                return Json(new { success = true, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching payment SLA report");
+            return Json(new { success = false, message = "Unable to load SLA report" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to change the payment verification target and escalation waits
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> UpdatePaymentSla([FromBody] PaymentSlaSettingsModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid SLA settings",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var settings = new PaymentSlaSettings
+            {
+                TargetSeconds = model.TargetSeconds,
+                WarningMinutes = model.WarningMinutes,
+                CriticalMinutes = model.CriticalMinutes
+            };
+            var response = await _apiService.UpdatePaymentSlaSettingsAsync(settings, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Payment SLA set to {TargetSeconds}s / {WarningMinutes}m / {CriticalMinutes}m by user {Username}",
+                    model.TargetSeconds, model.WarningMinutes, model.CriticalMinutes, HttpContext.Session.GetString("Username"));
+
+                return Json(new { success = true, message = response.Message, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating payment SLA");
+            return Json(new { success = false, message = "Unable to update payment SLA" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to list events, newest first
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetEvents()
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetEventsAsync(authToken);
+
+            if (response.Success)
+            {
+                return Json(new { success = true, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching events");
+            return Json(new { success = false, message = "Unable to load events" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to open the next event
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> OpenEvent([FromBody] OpenEventModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid event details",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new OpenEventRequest { Name = model.Name, Venue = model.Venue, Date = model.Date };
+            var response = await _apiService.OpenEventAsync(request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Event {Name} opened by user {Username}", model.Name, HttpContext.Session.GetString("Username"));
+                return Json(new { success = true, message = response.Message, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error opening event");
+            return Json(new { success = false, message = "Unable to open event" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to close the open event, freezing its queue and summary
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> CloseEvent([FromBody] CloseEventModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.CloseEventAsync(model.EventId, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Event {EventId} closed by user {Username}", model.EventId, HttpContext.Session.GetString("Username"));
+                return Json(new { success = true, message = response.Message, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error closing event {EventId}", model.EventId);
+            return Json(new { success = false, message = "Unable to close event" });
+        }
+    }
+
+    /// <summary>
+    /// End-of-day reconciliation screen: takings per payment method, cash drawer count and exports
+    /// </summary>
+    [HttpGet]
+    public IActionResult Reconciliation()
+    {
+        if (!IsAuthenticated())
+        {
+            return RedirectToAction(nameof(Login));
+        }
+
+        ViewData["DisplayName"] = HttpContext.Session.GetString("DisplayName") ?? "";
+        return View();
+    }
+
+    /// <summary>
+    /// AJAX endpoint to get the reconciliation for a business day (yyyy-MM-dd, defaults to today)
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetReconciliation(string? date)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetReconciliationAsync(date, authToken);
+
+            if (response.Success)
+            {
+                return Json(new { success = true, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching reconciliation");
+            return Json(new { success = false, message = "Unable to load reconciliation" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to record the cash drawer count at close
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> RecordCashCount([FromBody] CashCountModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid cash count",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new CashCountRequest
+            {
+                Date = model.Date,
+                CountedAmount = model.CountedAmount,
+                OpeningFloat = model.OpeningFloat,
+                Notes = model.Notes
+            };
+            var response = await _apiService.RecordCashCountAsync(request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Cash count of {CountedAmount} for {Date} recorded by user {Username}",
+                    model.CountedAmount, model.Date ?? "today", HttpContext.Session.GetString("Username"));
+
+                return Json(new { success = true, message = response.Message, data = response.Data, timestamp = DateTime.UtcNow });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error recording cash count");
+            return Json(new { success = false, message = "Unable to record cash count" });
+        }
+    }
+
+    /// <summary>
+    /// Download the reconciliation as CSV, or open it as a printable HTML page
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> ExportReconciliation(string? date, string format = "csv")
+    {
+        if (!IsAuthenticated())
+        {
+            return RedirectToAction(nameof(Login));
+        }
+
+        var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+        var response = await _apiService.ExportReconciliationAsync(date, format == "html" ? "html" : "csv", authToken);
+
+        if (!response.Success || response.Data == null)
+        {
+            return BadRequest(response.Message);
+        }
+
+        if (format == "html")
+        {
+            return Content(response.Data, "text/html");
+        }
+
+        var fileName = $"driftride-reconciliation-{date ?? DateTime.Now.ToString("yyyy-MM-dd")}.csv";
+        return File(Encoding.UTF8.GetBytes(response.Data), "text/csv", fileName);
+    }
+
+    /// <summary>
+    /// AJAX endpoint to get current queue status
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> GetQueueStatus()
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var response = await _apiService.GetQueueStatusAsync(authToken);
+
+            if (response.Success)
+            {
+                return Json(new
+                {
+                    success = true,
+                    data = response.Data,
+                    timestamp = DateTime.UtcNow
+                });
+            }
+
+            return Json(new { success = false, message = response.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching queue status");
+            return Json(new { success = false, message = "Unable to fetch queue status" });
+        }
+    }
+
+    /// <summary>
+    /// AJAX endpoint to put the waiting queue in a new order
+    /// </summary>
+    [HttpPost]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> ReorderQueue([FromBody] ReorderQueueModel model)
+    {
+        if (!IsAuthenticated())
+        {
+            return Json(new { success = false, message = "Authentication required" });
+        }
+
+        if (!ModelState.IsValid)
+        {
+            return Json(new
+            {
+                success = false,
+                message = "Invalid queue order",
+                errors = ModelState.Values.SelectMany(v => v.Errors).Select(e => e.ErrorMessage)
+            });
+        }
+
+        try
+        {
+            var authToken = HttpContext.Session.GetString("AuthToken") ?? "";
+            var request = new ReorderQueueRequest
+            {
+                QueueOrder = model.QueueOrder,
+                Reason = model.Reason
+            };
+
+            var response = await _apiService.ReorderQueueAsync(request, authToken);
+
+            if (response.Success)
+            {
+                _logger.LogInformation("Queue reordered by user {Username}: {Reason}",
+                    HttpContext.Session.GetString("Username"), model.Reason);
+
+                return Json(new
+                {
+                    success = true,
+                    message = "Queue reordered successfully",
+                    data = response.Data,
+                    timestamp = DateTime.UtcNow
+                });
+            }
+
+            return Json(new { success = false, message = response.Message, errors = response.Errors });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reordering queue");
+            return Json(new { success = false, message = "Unable to reorder queue" });
+        }
+    }
+
+    /// <summary>
+    /// Check if current user is authenticated with valid session
+    /// </summary>
+    private bool IsAuthenticated()
+    {
+        var authToken = HttpContext.Session.GetString("AuthToken");
+        var expiryString = HttpContext.Session.GetString("TokenExpiry");
+        var role = HttpContext.Session.GetString("Role");
+
+        if (string.IsNullOrEmpty(authToken) || string.IsNullOrEmpty(expiryString) || role != "Sales")
+        {
+            return false;
+        }
+
+        if (DateTime.TryParse(expiryString, out DateTime expiry) && expiry <= DateTime.UtcNow)
+        {
+            HttpContext.Session.Clear(); // Clear expired session
+            return false;
+        }
+
+        return true;
+    }
+}
+
+/// <summary>
+/// View model for sales login page
+/// </summary>
+public class SalesLoginViewModel
+{
+    [Required(ErrorMessage = "Username is required")]
+    [Display(Name = "Username")]
+    public string Username { get; set; } = string.Empty;
+
+    [Required(ErrorMessage = "Password is required")]
+    [DataType(DataType.Password)]
+    [Display(Name = "Password")]
+    public string Password { get; set; } = string.Empty;
+
+    public string? ReturnUrl { get; set; }
+}
+
+/// <summary>
+/// AJAX model for payment confirmation
+/// </summary>
+public class PaymentConfirmationModel
+{
+    [Required]
+    public int PaymentId { get; set; }
+
+    [Required]
+    public bool Confirmed { get; set; }
+
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// PaymentDenialReason code, required by the API when denying
+    /// </summary>
+    public string? DenialReasonCode { get; set; }
+}
+
+/// <summary>
+/// AJAX model for undoing a payment confirmation or denial
+/// </summary>
+public class UndoPaymentDecisionModel
+{
+    [Range(1, int.MaxValue)]
+    public int PaymentId { get; set; }
+}
+
+/// <summary>
+/// AJAX model for confirming or denying several payments at once
+/// </summary>
+public class PaymentBatchConfirmationModel
+{
+    [Required]
+    [MinLength(1, ErrorMessage = "Select at least one payment")]
+    [MaxLength(100, ErrorMessage = "At most 100 payments can be processed at once")]
+    public List<int> PaymentIds { get; set; } = new List<int>();
+
+    [Required]
+    public bool Confirmed { get; set; }
+
+    public string? Notes { get; set; }
+
+    public string? DenialReasonCode { get; set; }
+}
+
+/// <summary>
+/// AJAX model for refund approval or rejection
+/// </summary>
+public class RefundResolutionModel
+{
+    [Required]
+    public int RefundRequestId { get; set; }
+
+    [Required]
+    public bool Approved { get; set; }
+
+    public string? Notes { get; set; }
+}
+
+/// <summary>
+/// AJAX model for reordering the waiting queue
+/// </summary>
+public class ReorderQueueModel
+{
+    [Required]
+    [MinLength(1, ErrorMessage = "Queue order cannot be empty")]
+    public List<int> QueueOrder { get; set; } = new List<int>();
+
+    [Required(ErrorMessage = "Reason is required")]
+    [StringLength(500, ErrorMessage = "Reason cannot exceed 500 characters")]
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// AJAX model for merging duplicate customers into one
+/// </summary>
+public class MergeCustomersModel
+{
+    [Range(1, int.MaxValue)]
+    public int CustomerId { get; set; }
+
+    [Required]
+    [MinLength(1, ErrorMessage = "Choose at least one duplicate to merge")]
+    public List<int> SourceCustomerIds { get; set; } = new List<int>();
+}
+
+/// <summary>
+/// AJAX model for the payment verification SLA
+/// </summary>
+public class PaymentSlaSettingsModel
+{
+    [Range(5, 3600, ErrorMessage = "Target must be between 5 and 3600 seconds")]
+    public int TargetSeconds { get; set; }
+
+    [Range(1, 120, ErrorMessage = "Warning wait must be between 1 and 120 minutes")]
+    public int WarningMinutes { get; set; }
+
+    [Range(2, 240, ErrorMessage = "Critical wait must be between 2 and 240 minutes")]
+    public int CriticalMinutes { get; set; }
+}
+
+/// <summary>
+/// AJAX model for opening an event
+/// </summary>
+public class OpenEventModel
+{
+    [Required]
+    [StringLength(100, MinimumLength = 2)]
+    public string Name { get; set; } = string.Empty;
+
+    [StringLength(200)]
+    public string? Venue { get; set; }
+
+    [RegularExpression(@"^\d{4}-\d{2}-\d{2}$", ErrorMessage = "Date must be yyyy-MM-dd")]
+    public string? Date { get; set; }
+}
+
+/// <summary>
+/// AJAX model for closing an event
+/// </summary>
+public class CloseEventModel
+{
+    public int EventId { get; set; }
+}
+
+/// <summary>
+/// AJAX model for the end-of-day cash drawer count
+/// </summary>
+public class CashCountModel
+{
+    [RegularExpression(@"^\d{4}-\d{2}-\d{2}$", ErrorMessage = "Date must be yyyy-MM-dd")]
+    public string? Date { get; set; }
+
+    [Range(0, 1000000, ErrorMessage = "Counted amount must be zero or more")]
+    public decimal CountedAmount { get; set; }
+
+    [Range(0, 1000000, ErrorMessage = "Opening float must be zero or more")]
+    public decimal OpeningFloat { get; set; }
+
+    [StringLength(500)]
+    public string? Notes { get; set; }
+}
 
 /// <summary>
 /// AJAX model for manual customer addition
@@ -458,7 +1285,13 @@ public class ManualCustomerModel
     [Phone(ErrorMessage = "Please enter a valid phone number")]
     public string PhoneNumber { get; set; } = string.Empty;
 
+    [Required(ErrorMessage = "Reason code is required")]
+    public string ReasonCode { get; set; } = string.Empty;
+
     [Required(ErrorMessage = "Reason is required")]
     [StringLength(500, ErrorMessage = "Reason cannot exceed 500 characters")]
     public string Reason { get; set; } = string.Empty;
+
+    [Range(0, 9999.99, ErrorMessage = "Cash received must be between $0 and $9,999.99")]
+    public decimal Amount { get; set; }
 }
\ No newline at end of file
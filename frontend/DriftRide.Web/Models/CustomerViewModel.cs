@@ -91,6 +91,8 @@ public class PaymentMethodOption
     public bool IsEnabled { get; set; }
     public bool RequiresExternalApp { get; set; }
     public decimal PricePerRide { get; set; }
+    public bool IsCash { get; set; }
+    public string Instructions { get; set; } = string.Empty;
 }
 
 /// <summary>
@@ -17,8 +17,14 @@ public class DriverDashboardViewModel
     public int QueueLength { get; set; }
 
     /// <summary>
-    /// Current customer for the driver to serve.
-    /// Null if no customers in queue.
+    /// Car the driver is currently driving.
+    /// Null until the driver claims a car.
+    /// </summary>
+    public DriverCarViewModel? Car { get; set; }
+
+    /// <summary>
+    /// Current customer for the driver's car to serve.
+    /// Null if no customers are waiting for this car.
     /// </summary>
     public DriverCustomerViewModel? CurrentCustomer { get; set; }
 
@@ -51,12 +57,12 @@ public class DriverCustomerViewModel
     /// <summary>
     /// Queue entry ID for ride completion.
     /// </summary>
-    public Guid QueueEntryId { get; set; }
+    public int QueueEntryId { get; set; }
 
     /// <summary>
     /// Customer ID for reference.
     /// </summary>
-    public Guid CustomerId { get; set; }
+    public int CustomerId { get; set; }
 
     /// <summary>
     /// Customer name with duplicate disambiguation if needed.
@@ -78,6 +84,26 @@ public class DriverCustomerViewModel
     /// </summary>
     public int Position { get; set; }
 
+    /// <summary>
+    /// Queue entry status (Waiting, InProgress, Completed, Cancelled).
+    /// </summary>
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Car the customer has been dispatched to; null while waiting in the shared pool.
+    /// </summary>
+    public int? CarId { get; set; }
+
+    /// <summary>
+    /// Car sales pinned the customer to; null means any car.
+    /// </summary>
+    public int? AssignedCarId { get; set; }
+
+    /// <summary>
+    /// Name of the car the customer has been dispatched to.
+    /// </summary>
+    public string? CarName { get; set; }
+
     /// <summary>
     /// Payment method used by customer.
     /// </summary>
@@ -93,6 +119,21 @@ public class DriverCustomerViewModel
     /// </summary>
     public DateTime QueuedAt { get; set; }
 
+    /// <summary>
+    /// When the driver started the ride; null until the ride is in progress.
+    /// </summary>
+    public DateTime? StartedAt { get; set; }
+
+    /// <summary>
+    /// Times the customer was called and did not turn up.
+    /// </summary>
+    public int MissedCount { get; set; }
+
+    /// <summary>
+    /// Whether the customer is on their ride right now.
+    /// </summary>
+    public bool IsRideInProgress => Status == "InProgress";
+
     /// <summary>
     /// How long the customer has been waiting.
     /// </summary>
@@ -136,6 +177,42 @@ public class DriverCustomerViewModel
     public bool IsWaitingVeryLong => WaitTime.TotalMinutes > 20;
 }
 
+/// <summary>
+/// Drift car information for the driver interface.
+/// </summary>
+public class DriverCarViewModel
+{
+    /// <summary>
+    /// Car ID used when claiming the car.
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Display name of the car (e.g., "Car 1").
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the car is taking riders.
+    /// </summary>
+    public bool IsActive { get; set; }
+
+    /// <summary>
+    /// Display name of the driver currently driving the car.
+    /// </summary>
+    public string? DriverName { get; set; }
+
+    /// <summary>
+    /// Whether the signed-in driver is driving this car.
+    /// </summary>
+    public bool IsMine { get; set; }
+
+    /// <summary>
+    /// Whether another driver can take the car.
+    /// </summary>
+    public bool IsAvailable => IsActive && DriverName == null;
+}
+
 /// <summary>
 /// Driver session statistics for performance tracking.
 /// </summary>
@@ -7,7 +7,6 @@ namespace DriftRide.Web.Models;
 /// </summary>
 public class PaymentConfigurationModel
 {
-    public Guid Id { get; set; }
     public string PaymentMethod { get; set; } = string.Empty;
     public string DisplayName { get; set; } = string.Empty;
     public string? PaymentUrl { get; set; }
@@ -15,17 +14,23 @@ public class PaymentConfigurationModel
     public decimal PricePerRide { get; set; }
     public bool ApiIntegrationEnabled { get; set; }
     public string? ApiCredentials { get; set; }
-    public DateTime UpdatedAt { get; set; }
-    public string UpdatedBy { get; set; } = string.Empty;
+    public bool IsCash { get; set; }
+    public string Instructions { get; set; } = string.Empty;
+    public int SortOrder { get; set; }
+    public DateTime? UpdatedAt { get; set; }
+    public string? UpdatedBy { get; set; }
 }
 
 /// <summary>
-/// Payment configuration update request for sales staff
+/// Payment method as sent by sales staff, for adding a method or updating one.
+/// The key cannot change once added; leave Instructions empty for the default
+/// cash or app wording.
 /// </summary>
 public class UpdatePaymentConfigurationRequest
 {
     [Required]
-    public Guid Id { get; set; }
+    [RegularExpression("^[A-Za-z][A-Za-z0-9]{1,29}$", ErrorMessage = "Keys are 2 to 30 letters or digits, starting with a letter")]
+    public string PaymentMethod { get; set; } = string.Empty;
 
     [Required]
     [StringLength(100, ErrorMessage = "Display name cannot exceed 100 characters")]
@@ -45,6 +50,183 @@ public class UpdatePaymentConfigurationRequest
 
     [StringLength(1000, ErrorMessage = "API credentials cannot exceed 1000 characters")]
     public string? ApiCredentials { get; set; }
+
+    /// <summary>
+    /// Paid at the counter: counts towards the cash drawer and needs no transaction id
+    /// </summary>
+    public bool IsCash { get; set; }
+
+    /// <summary>
+    /// One step per line; may use {amount}, {displayName} and {paymentUrl}
+    /// </summary>
+    [StringLength(2000, ErrorMessage = "Instructions cannot exceed 2000 characters")]
+    public string? Instructions { get; set; }
+}
+
+/// <summary>
+/// Order customers see the payment methods in; lists every method once
+/// </summary>
+public class ReorderPaymentMethodsRequest
+{
+    [Required]
+    [MinLength(1)]
+    public List<string> PaymentMethods { get; set; } = new List<string>();
+}
+
+/// <summary>
+/// Happy hour, peak surcharge or bundle pricing rule as sent by sales staff.
+/// Times are local "HH:mm"; an end time before the start runs past midnight.
+/// </summary>
+public class PricingRuleRequest
+{
+    [Required]
+    [StringLength(100, ErrorMessage = "Rule name cannot exceed 100 characters")]
+    public string Name { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^(HappyHour|PeakSurcharge|Bundle)$", ErrorMessage = "Choose happy hour, peak surcharge or bundle")]
+    public string Type { get; set; } = "HappyHour";
+
+    public List<string> PaymentMethods { get; set; } = new List<string>();
+    public List<int> DaysOfWeek { get; set; } = new List<int>();
+
+    [Required]
+    [RegularExpression("^([01]\\d|2[0-3]):[0-5]\\d$", ErrorMessage = "Start time must be HH:mm")]
+    public string StartTime { get; set; } = string.Empty;
+
+    [Required]
+    [RegularExpression("^([01]\\d|2[0-3]):[0-5]\\d$", ErrorMessage = "End time must be HH:mm")]
+    public string EndTime { get; set; } = string.Empty;
+
+    public string? AdjustmentType { get; set; }
+
+    [Range(0, 9999.99, ErrorMessage = "Adjustment must be between 0 and 9,999.99")]
+    public decimal? AdjustmentValue { get; set; }
+
+    [Range(2, 10, ErrorMessage = "Bundles are 2 to 10 rides")]
+    public int? RideCount { get; set; }
+
+    [Range(0, 9999.99, ErrorMessage = "Bundle price must be between $0 and $9,999.99")]
+    public decimal? BundlePrice { get; set; }
+
+    public bool IsEnabled { get; set; } = true;
+}
+
+/// <summary>
+/// Pricing rule as stored by the API
+/// </summary>
+public class PricingRule : PricingRuleRequest
+{
+    public int Id { get; set; }
+    public DateTime UpdatedAt { get; set; }
+    public string UpdatedBy { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Promo code as sent by sales staff. Codes are matched case-insensitively;
+/// leave MaxUses or ExpiresAt empty for no limit.
+/// </summary>
+public class PromoCodeRequest
+{
+    [Required]
+    [RegularExpression("^\\s*[A-Za-z0-9_-]{3,30}\\s*$", ErrorMessage = "Codes are 3 to 30 letters, digits, - or _")]
+    public string Code { get; set; } = string.Empty;
+
+    [StringLength(200, ErrorMessage = "Description cannot exceed 200 characters")]
+    public string? Description { get; set; }
+
+    [Required]
+    [RegularExpression("^(Percent|Fixed)$", ErrorMessage = "Choose a percentage or fixed amount")]
+    public string DiscountType { get; set; } = "Percent";
+
+    [Range(0.01, 9999.99, ErrorMessage = "Discount must be between 0.01 and 9,999.99")]
+    public decimal DiscountValue { get; set; }
+
+    [Range(1, int.MaxValue, ErrorMessage = "Usage limit must be at least 1")]
+    public int? MaxUses { get; set; }
+
+    public DateTime? ExpiresAt { get; set; }
+
+    public bool IsEnabled { get; set; } = true;
+}
+
+/// <summary>
+/// Promo code as stored by the API; UsedCount leaves out denied payments
+/// </summary>
+public class PromoCode : PromoCodeRequest
+{
+    public int Id { get; set; }
+    public int UsedCount { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+    public string UpdatedBy { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Promo code a customer entered at checkout
+/// </summary>
+public class PromoCodeCheckRequest
+{
+    [Required]
+    [StringLength(30)]
+    public string Code { get; set; } = string.Empty;
+
+    [Required]
+    public string PaymentMethod { get; set; } = string.Empty;
+
+    [Range(1, 10)]
+    public int RideCount { get; set; } = 1;
+}
+
+/// <summary>
+/// What a promo code takes off the rides being bought
+/// </summary>
+public class PromoCodeCheck
+{
+    public string Code { get; set; } = string.Empty;
+    public string? Description { get; set; }
+    public string DiscountType { get; set; } = string.Empty;
+    public decimal DiscountValue { get; set; }
+    public decimal Subtotal { get; set; }
+    public decimal DiscountAmount { get; set; }
+    public decimal AmountDue { get; set; }
+}
+
+/// <summary>
+/// What a customer pays with a payment method at a given time
+/// </summary>
+public class PriceQuote
+{
+    public string PaymentMethod { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+    public decimal BasePrice { get; set; }
+    public decimal Price { get; set; }
+    public List<PriceAdjustment> Adjustments { get; set; } = new List<PriceAdjustment>();
+    public List<BundleOffer> Bundles { get; set; } = new List<BundleOffer>();
+    public DateTime QuotedAt { get; set; }
+}
+
+/// <summary>
+/// Happy hour discount (negative) or peak surcharge in a quote
+/// </summary>
+public class PriceAdjustment
+{
+    public int RuleId { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string Type { get; set; } = string.Empty;
+    public decimal Amount { get; set; }
+}
+
+/// <summary>
+/// Several rides for one price, on offer at the time quoted
+/// </summary>
+public class BundleOffer
+{
+    public int RuleId { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public int RideCount { get; set; }
+    public decimal Price { get; set; }
+    public decimal PerRidePrice { get; set; }
 }
 
 /// <summary>
@@ -54,7 +236,7 @@ public class PaymentConfigurationManagementViewModel
 {
     public List<PaymentConfigurationModel> PaymentConfigurations { get; set; } = new List<PaymentConfigurationModel>();
     public UpdatePaymentConfigurationRequest? CurrentEdit { get; set; }
-    public List<string> AvailablePaymentMethods { get; set; } = new List<string> { "CashApp", "PayPal", "CashInHand" };
+    public List<string> AvailablePaymentMethods => PaymentConfigurations.Select(c => c.PaymentMethod).ToList();
     public bool HasUnsavedChanges { get; set; }
     public List<string> ErrorMessages { get; set; } = new List<string>();
     public string? SuccessMessage { get; set; }
@@ -65,7 +247,7 @@ public class PaymentConfigurationManagementViewModel
 /// </summary>
 public class ConfigurationChangeNotification
 {
-    public string ChangeType { get; set; } = string.Empty; // "Updated", "Enabled", "Disabled"
+    public string ChangeType { get; set; } = string.Empty; // "Created", "Updated", "Reordered", "Deleted"
     public string PaymentMethod { get; set; } = string.Empty;
     public string DisplayName { get; set; } = string.Empty;
     public bool IsEnabled { get; set; }
@@ -43,6 +43,11 @@ public class SalesDashboardViewModel
     /// </summary>
     public List<QueueEntry> QueueEntries { get; set; } = new List<QueueEntry>();
 
+    /// <summary>
+    /// Refund requests awaiting approval or rejection
+    /// </summary>
+    public List<RefundRequestResponse> PendingRefunds { get; set; } = new List<RefundRequestResponse>();
+
     /// <summary>
     /// Total number of pending payments
     /// </summary>
@@ -54,14 +59,24 @@ public class SalesDashboardViewModel
     public int TotalInQueue { get; set; }
 
     /// <summary>
-    /// Number of payments waiting more than 5 minutes (performance metric)
+    /// Payment verification target and escalation waits
+    /// </summary>
+    public PaymentSlaSettings PaymentSla { get; set; } = new PaymentSlaSettings();
+
+    /// <summary>
+    /// Event riders are signing up for; null when none is open
+    /// </summary>
+    public EventResponse? ActiveEvent { get; set; }
+
+    /// <summary>
+    /// Number of payments waiting past the SLA warning wait (performance metric)
     /// </summary>
-    public int PaymentsOver5Minutes { get; set; }
+    public int PaymentsOverWarning { get; set; }
 
     /// <summary>
-    /// Number of payments waiting more than 10 minutes (alert threshold)
+    /// Number of payments waiting past the SLA critical wait (alert threshold)
     /// </summary>
-    public int PaymentsOver10Minutes { get; set; }
+    public int PaymentsOverCritical { get; set; }
 
     /// <summary>
     /// Error messages for display
@@ -104,32 +119,32 @@ public class SalesDashboardViewModel
     public bool SoundAlertsEnabled { get; set; } = true;
 
     /// <summary>
-    /// Gets priority payments (over 10 minutes waiting) for urgent attention
+    /// Gets priority payments (past the critical wait) for urgent attention
     /// </summary>
     public List<PendingPaymentResponse> PriorityPayments =>
-        PendingPayments.Where(p => p.MinutesWaiting > 10).OrderByDescending(p => p.MinutesWaiting).ToList();
+        PendingPayments.Where(p => p.SlaLevel == "Critical").OrderByDescending(p => p.MinutesWaiting).ToList();
 
     /// <summary>
-    /// Gets recent payments (under 5 minutes) for normal processing
+    /// Gets recent payments (within the warning wait) for normal processing
     /// </summary>
     public List<PendingPaymentResponse> RecentPayments =>
-        PendingPayments.Where(p => p.MinutesWaiting <= 5).OrderBy(p => p.CreatedAt).ToList();
+        PendingPayments.Where(p => p.SlaLevel == null).OrderBy(p => p.CreatedAt).ToList();
 
     /// <summary>
-    /// Gets moderate priority payments (5-10 minutes)
+    /// Gets moderate priority payments (between the warning and critical waits)
     /// </summary>
     public List<PendingPaymentResponse> ModeratePayments =>
-        PendingPayments.Where(p => p.MinutesWaiting > 5 && p.MinutesWaiting <= 10).OrderBy(p => p.CreatedAt).ToList();
+        PendingPayments.Where(p => p.SlaLevel == "Warning").OrderBy(p => p.CreatedAt).ToList();
 
     /// <summary>
     /// Check if dashboard has any urgent payments requiring immediate attention
     /// </summary>
-    public bool HasUrgentPayments => PaymentsOver10Minutes > 0;
+    public bool HasUrgentPayments => PaymentsOverCritical > 0;
 
     /// <summary>
-    /// Check if dashboard is performing well (under 30-second average processing target)
+    /// Check if dashboard is keeping up with the payment SLA
     /// </summary>
-    public bool IsPerformingWell => PendingPayments.Count <= 5 && PaymentsOver5Minutes <= 2;
+    public bool IsPerformingWell => PendingPayments.Count <= 5 && PaymentsOverWarning <= 2;
 
     /// <summary>
     /// Get performance status indicator
@@ -139,7 +154,7 @@ public class SalesDashboardViewModel
         get
         {
             if (HasUrgentPayments) return "critical";
-            if (PaymentsOver5Minutes > 3) return "warning";
+            if (PaymentsOverWarning > 3) return "warning";
             if (IsPerformingWell) return "good";
             return "normal";
         }
@@ -151,6 +166,12 @@ public class SalesDashboardViewModel
     public QueueEntry? NextCustomer =>
         QueueEntries.Where(q => q.Status == "Waiting").OrderBy(q => q.Position).FirstOrDefault();
 
+    /// <summary>
+    /// Waiting and riding customers in queue order; the API also returns finished entries
+    /// </summary>
+    public List<QueueEntry> ActiveQueueEntries =>
+        QueueEntries.Where(q => q.Status == "Waiting" || q.Status == "InProgress").OrderBy(q => q.Position).ToList();
+
     /// <summary>
     /// Count of customers currently being served
     /// </summary>
@@ -173,23 +194,32 @@ public class ManualCustomerAdditionViewModel
     [Display(Name = "Phone Number")]
     public string PhoneNumber { get; set; } = string.Empty;
 
+    [Required(ErrorMessage = "Reason code is required")]
+    [Display(Name = "Reason Code")]
+    public string ReasonCode { get; set; } = string.Empty;
+
     [Required(ErrorMessage = "Reason for manual addition is required")]
     [StringLength(500, ErrorMessage = "Reason cannot exceed 500 characters")]
     [Display(Name = "Reason for Manual Addition")]
     public string Reason { get; set; } = string.Empty;
 
+    [Range(0, 9999.99, ErrorMessage = "Cash received must be between $0 and $9,999.99")]
+    [Display(Name = "Cash Received")]
+    public decimal Amount { get; set; }
+
     /// <summary>
-    /// Common reasons for manual customer addition
+    /// Reason codes the API accepts, with the text offered for each
     /// </summary>
-    public static readonly List<string> CommonReasons = new List<string>
+    public static readonly List<KeyValuePair<string, string>> ReasonCodes = new List<KeyValuePair<string, string>>
     {
-        "Payment method temporarily unavailable",
-        "Customer preferred cash payment",
-        "Payment app technical issues",
-        "Customer requested assistance",
-        "Payment gateway error",
-        "Customer without smartphone",
-        "Group booking adjustment"
+        new("PaymentMethodUnavailable", "Payment method temporarily unavailable"),
+        new("PreferredCash", "Customer preferred cash payment"),
+        new("PaymentAppIssue", "Payment app technical issues"),
+        new("AssistanceRequested", "Customer requested assistance"),
+        new("PaymentGatewayError", "Payment gateway error"),
+        new("NoSmartphone", "Customer without smartphone"),
+        new("GroupBooking", "Group booking adjustment"),
+        new("Promotional", "Promotional or complimentary ride")
     };
 }
 
@@ -219,15 +249,21 @@ public class PaymentVerificationViewModel
     };
 
     /// <summary>
-    /// Pre-defined denial reasons for quick selection
+    /// PaymentDenialReason codes with the text offered for each
     /// </summary>
-    public static readonly List<string> DenialReasons = new List<string>
+    public static readonly List<KeyValuePair<string, string>> DenialReasons = new List<KeyValuePair<string, string>>
     {
-        "Payment amount insufficient",
-        "Payment not received",
-        "Invalid transaction ID",
-        "Duplicate payment attempt",
-        "Customer not present",
-        "Payment method not accepted"
+        new("AmountIncorrect", "Payment amount incorrect"),
+        new("PaymentNotReceived", "Payment not received"),
+        new("InvalidTransactionId", "Invalid transaction ID"),
+        new("DuplicatePayment", "Duplicate payment attempt"),
+        new("CustomerNotPresent", "Customer not present"),
+        new("PaymentMethodNotAccepted", "Payment method not accepted")
     };
+
+    /// <summary>
+    /// Text for a denial reason code, falling back to the code itself
+    /// </summary>
+    public static string DenialReasonLabel(string? code) =>
+        DenialReasons.FirstOrDefault(r => r.Key == code).Value ?? code ?? "No reason given";
 }
\ No newline at end of file
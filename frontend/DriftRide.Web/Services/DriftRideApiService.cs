@@ -47,35 +47,52 @@ public class DriftRideApiService : IDriftRideApiService
 
             _logger.LogInformation("Fetching payment methods from API");
 
-            var response = await _httpClient.GetAsync("/api/configuration/payment-methods");
+            var response = await _httpClient.GetAsync("/api/configuration/payment-methods/enabled");
 
             if (response.IsSuccessStatusCode)
             {
                 var content = await response.Content.ReadAsStringAsync();
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PaymentMethodOption>>>(content, _jsonOptions);
+                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PaymentConfigurationModel>>>(content, _jsonOptions);
 
                 if (apiResponse != null && apiResponse.Success)
                 {
+                    var result = new ApiResponse<List<PaymentMethodOption>>
+                    {
+                        Success = true,
+                        Message = apiResponse.Message,
+                        Data = apiResponse.Data?.Select(ToPaymentMethodOption).ToList() ?? new List<PaymentMethodOption>()
+                    };
+
                     // Cache for 5 minutes
-                    _cache.Set(cacheKey, apiResponse, TimeSpan.FromMinutes(5));
-                    return apiResponse;
+                    _cache.Set(cacheKey, result, TimeSpan.FromMinutes(5));
+                    return result;
                 }
             }
 
-            _logger.LogWarning("Failed to fetch payment methods, using defaults");
-            return GetDefaultPaymentMethods();
+            _logger.LogWarning("Failed to fetch payment methods: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<PaymentMethodOption>>
+            {
+                Success = false,
+                Message = "Payment methods are unavailable right now",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error fetching payment methods");
-            return GetDefaultPaymentMethods();
+            return new ApiResponse<List<PaymentMethodOption>>
+            {
+                Success = false,
+                Message = "Unable to load payment methods",
+                Errors = new List<string> { ex.Message }
+            };
         }
     }
 
     /// <summary>
     /// Create a new customer
     /// </summary>
-    public async Task<ApiResponse<CustomerResponse>> CreateCustomerAsync(CreateCustomerRequest request)
+    public async Task<CreateCustomerResponse> CreateCustomerAsync(CreateCustomerRequest request)
     {
         try
         {
@@ -89,7 +106,7 @@ public class DriftRideApiService : IDriftRideApiService
 
             if (response.IsSuccessStatusCode)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<CustomerResponse>>(responseContent, _jsonOptions);
+                var apiResponse = JsonSerializer.Deserialize<CreateCustomerResponse>(responseContent, _jsonOptions);
                 if (apiResponse != null)
                 {
                     _logger.LogInformation("Customer created successfully: {CustomerId}", apiResponse.Data?.Id);
@@ -97,8 +114,31 @@ public class DriftRideApiService : IDriftRideApiService
                 }
             }
 
+            // Likely duplicates come back as a conflict listing the earlier records
+            if (response.StatusCode == System.Net.HttpStatusCode.Conflict)
+            {
+                using var document = JsonDocument.Parse(responseContent);
+                var root = document.RootElement;
+                var possibleDuplicates = root.TryGetProperty("error", out var error)
+                    && error.ValueKind == JsonValueKind.Object
+                    && error.TryGetProperty("details", out var details)
+                    && details.ValueKind == JsonValueKind.Object
+                    && details.TryGetProperty("possibleDuplicates", out var candidates)
+                        ? candidates.Deserialize<List<PossibleDuplicateCustomer>>(_jsonOptions)
+                        : null;
+
+                return new CreateCustomerResponse
+                {
+                    Success = false,
+                    Message = root.TryGetProperty("message", out var message)
+                        ? message.GetString() ?? "Failed to create customer account"
+                        : "Failed to create customer account",
+                    PossibleDuplicates = possibleDuplicates ?? new List<PossibleDuplicateCustomer>()
+                };
+            }
+
             _logger.LogWarning("Failed to create customer: {StatusCode} - {Content}", response.StatusCode, responseContent);
-            return new ApiResponse<CustomerResponse>
+            return new CreateCustomerResponse
             {
                 Success = false,
                 Message = "Failed to create customer account",
@@ -108,7 +148,7 @@ public class DriftRideApiService : IDriftRideApiService
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error creating customer");
-            return new ApiResponse<CustomerResponse>
+            return new CreateCustomerResponse
             {
                 Success = false,
                 Message = "Unable to create customer account at this time",
@@ -133,21 +173,19 @@ public class DriftRideApiService : IDriftRideApiService
             var response = await _httpClient.PostAsync("/api/payments", content);
             var responseContent = await response.Content.ReadAsStringAsync();
 
-            if (response.IsSuccessStatusCode)
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentResponse>>(responseContent, _jsonOptions);
-                if (apiResponse != null)
-                {
-                    _logger.LogInformation("Payment processed successfully: {PaymentId}", apiResponse.Data?.Id);
-                    return apiResponse;
-                }
+                _logger.LogInformation("Payment processed successfully: {PaymentId}", apiResponse.Data?.Id);
+                return apiResponse;
             }
 
             _logger.LogWarning("Failed to process payment: {StatusCode} - {Content}", response.StatusCode, responseContent);
             return new ApiResponse<PaymentResponse>
             {
                 Success = false,
-                Message = "Payment processing failed",
+                Message = apiResponse?.Message ?? "Payment processing failed",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
@@ -166,21 +204,40 @@ public class DriftRideApiService : IDriftRideApiService
     /// <summary>
     /// Get current queue status
     /// </summary>
-    public async Task<ApiResponse<QueueStatusResponse>> GetQueueStatusAsync()
+    public async Task<ApiResponse<QueueStatusResponse>> GetQueueStatusAsync(string? authToken = null)
     {
         try
         {
             _logger.LogDebug("Fetching queue status");
 
+            if (authToken != null)
+            {
+                _httpClient.DefaultRequestHeaders.Authorization =
+                    new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+            }
+
             var response = await _httpClient.GetAsync("/api/queue");
             var responseContent = await response.Content.ReadAsStringAsync();
 
             if (response.IsSuccessStatusCode)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueStatusResponse>>(responseContent, _jsonOptions);
+                // The API returns the entries; the totals are worked out here
+                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<QueueEntry>>>(responseContent, _jsonOptions);
                 if (apiResponse != null)
                 {
-                    return apiResponse;
+                    var entries = apiResponse.Data ?? new List<QueueEntry>();
+                    return new ApiResponse<QueueStatusResponse>
+                    {
+                        Success = apiResponse.Success,
+                        Message = apiResponse.Message,
+                        Data = new QueueStatusResponse
+                        {
+                            QueueEntries = entries,
+                            TotalInQueue = entries.Count(q => q.Status == "Waiting"),
+                            LastUpdated = DateTime.UtcNow
+                        },
+                        Errors = apiResponse.Errors
+                    };
                 }
             }
 
@@ -245,6 +302,47 @@ public class DriftRideApiService : IDriftRideApiService
         }
     }
 
+    /// <summary>
+    /// Take a customer out of the queue at their own request, opening a refund request
+    /// </summary>
+    public async Task<ApiResponse<LeaveQueueResponse>> LeaveQueueAsync(int customerId, LeaveQueueRequest request)
+    {
+        try
+        {
+            _logger.LogInformation("Customer {CustomerId} is leaving the queue", customerId);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync($"/api/customers/{customerId}/leave-queue", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<LeaveQueueResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to leave queue for customer {CustomerId}: {StatusCode} - {Content}", customerId, response.StatusCode, responseContent);
+            return new ApiResponse<LeaveQueueResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to leave the queue",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error leaving queue for customer {CustomerId}", customerId);
+            return new ApiResponse<LeaveQueueResponse>
+            {
+                Success = false,
+                Message = "Unable to leave the queue",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
     // Sales-specific API methods
 
     /// <summary>
@@ -312,6 +410,14 @@ public class DriftRideApiService : IDriftRideApiService
                 var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PendingPaymentResponse>>>(responseContent, _jsonOptions);
                 if (apiResponse != null)
                 {
+                    // Payments carry their customer; flatten it and age each payment for the dashboard
+                    foreach (var payment in apiResponse.Data ?? new List<PendingPaymentResponse>())
+                    {
+                        payment.CustomerName = payment.Customer?.Name ?? payment.CustomerName;
+                        payment.CustomerPhone = payment.Customer?.PhoneNumber ?? payment.CustomerPhone;
+                        payment.MinutesWaiting = (int)(DateTime.UtcNow - payment.CreatedAt.ToUniversalTime()).TotalMinutes;
+                    }
+
                     _logger.LogInformation("Retrieved {Count} pending payments", apiResponse.Data?.Count ?? 0);
                     return apiResponse;
                 }
@@ -355,21 +461,19 @@ public class DriftRideApiService : IDriftRideApiService
             var response = await _httpClient.PostAsync($"/api/payments/{paymentId}/confirm", content);
             var responseContent = await response.Content.ReadAsStringAsync();
 
-            if (response.IsSuccessStatusCode)
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentResponse>>(responseContent, _jsonOptions);
-                if (apiResponse != null)
-                {
-                    _logger.LogInformation("Payment {PaymentId} {Status} successfully", paymentId, request.Confirmed ? "confirmed" : "denied");
-                    return apiResponse;
-                }
+                _logger.LogInformation("Payment {PaymentId} {Status} successfully", paymentId, request.Confirmed ? "confirmed" : "denied");
+                return apiResponse;
             }
 
             _logger.LogWarning("Failed to confirm payment {PaymentId}: {StatusCode} - {Content}", paymentId, response.StatusCode, responseContent);
             return new ApiResponse<PaymentResponse>
             {
                 Success = false,
-                Message = "Payment confirmation failed",
+                Message = apiResponse?.Message ?? "Payment confirmation failed",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
@@ -386,13 +490,14 @@ public class DriftRideApiService : IDriftRideApiService
     }
 
     /// <summary>
-    /// Manually add customer when payment fails (Sales role required)
+    /// Confirm or deny several payments at once, with a result per payment (Sales role required)
     /// </summary>
-    public async Task<ApiResponse<CustomerResponse>> AddCustomerManuallyAsync(ManualCustomerRequest request, string authToken)
+    public async Task<ApiResponse<PaymentBatchResult>> ConfirmPaymentBatchAsync(PaymentBatchConfirmationRequest request, string authToken)
     {
         try
         {
-            _logger.LogInformation("Manually adding customer: {Name} - Reason: {Reason}", request.Name, request.Reason);
+            _logger.LogInformation("Batch {Status} of payments {PaymentIds}",
+                request.Confirmed ? "approval" : "denial", string.Join(", ", request.PaymentIds));
 
             _httpClient.DefaultRequestHeaders.Authorization =
                 new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
@@ -400,139 +505,217 @@ public class DriftRideApiService : IDriftRideApiService
             var json = JsonSerializer.Serialize(request, _jsonOptions);
             var content = new StringContent(json, Encoding.UTF8, "application/json");
 
-            var response = await _httpClient.PostAsync("/api/customers/manual", content);
+            var response = await _httpClient.PostAsync("/api/payments/confirm-batch", content);
             var responseContent = await response.Content.ReadAsStringAsync();
 
-            if (response.IsSuccessStatusCode)
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentBatchResult>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<CustomerResponse>>(responseContent, _jsonOptions);
-                if (apiResponse != null)
-                {
-                    _logger.LogInformation("Customer manually added successfully: {CustomerId}", apiResponse.Data?.Id);
-                    return apiResponse;
-                }
+                return apiResponse;
             }
 
-            _logger.LogWarning("Failed to manually add customer: {StatusCode} - {Content}", response.StatusCode, responseContent);
-            return new ApiResponse<CustomerResponse>
+            _logger.LogWarning("Failed to process payment batch: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<PaymentBatchResult>
             {
                 Success = false,
-                Message = "Failed to add customer manually",
+                Message = apiResponse?.Message ?? "Batch payment confirmation failed",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error manually adding customer");
-            return new ApiResponse<CustomerResponse>
+            _logger.LogError(ex, "Error processing payment batch");
+            return new ApiResponse<PaymentBatchResult>
             {
                 Success = false,
-                Message = "Unable to add customer manually",
+                Message = "Unable to process batch payment confirmation",
                 Errors = new List<string> { ex.Message }
             };
         }
     }
 
     /// <summary>
-    /// Search customers by name for lookup (Sales role required)
+    /// Return a payment this user just confirmed or denied to pending (Sales role required)
     /// </summary>
-    public async Task<ApiResponse<List<CustomerResponse>>> SearchCustomersAsync(string searchTerm, string authToken)
+    public async Task<ApiResponse<PaymentResponse>> UndoPaymentDecisionAsync(int paymentId, string authToken)
     {
         try
         {
-            _logger.LogDebug("Searching customers with term: {SearchTerm}", searchTerm);
+            _logger.LogInformation("Undoing decision on payment {PaymentId}", paymentId);
 
             _httpClient.DefaultRequestHeaders.Authorization =
                 new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
 
-            var encodedSearchTerm = Uri.EscapeDataString(searchTerm);
-            var response = await _httpClient.GetAsync($"/api/customers/search?q={encodedSearchTerm}");
+            var response = await _httpClient.PostAsync($"/api/payments/{paymentId}/undo", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to undo payment {PaymentId}: {StatusCode} - {Content}", paymentId, response.StatusCode, responseContent);
+            return new ApiResponse<PaymentResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to undo payment decision",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error undoing payment {PaymentId}", paymentId);
+            return new ApiResponse<PaymentResponse>
+            {
+                Success = false,
+                Message = "Unable to undo payment decision",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get refund requests awaiting a decision (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<RefundRequestResponse>>> GetPendingRefundsAsync(string authToken)
+    {
+        try
+        {
+            _logger.LogDebug("Fetching pending refund requests for sales dashboard");
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/refunds/pending");
             var responseContent = await response.Content.ReadAsStringAsync();
 
             if (response.IsSuccessStatusCode)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<CustomerResponse>>>(responseContent, _jsonOptions);
+                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<RefundRequestResponse>>>(responseContent, _jsonOptions);
                 if (apiResponse != null)
                 {
-                    _logger.LogInformation("Found {Count} customers matching search term", apiResponse.Data?.Count ?? 0);
                     return apiResponse;
                 }
             }
 
-            _logger.LogWarning("Failed to search customers: {StatusCode}", response.StatusCode);
-            return new ApiResponse<List<CustomerResponse>>
+            _logger.LogWarning("Failed to fetch pending refund requests: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<RefundRequestResponse>>
             {
                 Success = false,
-                Message = "Unable to search customers",
+                Message = "Unable to fetch refund requests",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error searching customers");
-            return new ApiResponse<List<CustomerResponse>>
+            _logger.LogError(ex, "Error fetching pending refund requests");
+            return new ApiResponse<List<RefundRequestResponse>>
             {
                 Success = false,
-                Message = "Unable to search customers",
+                Message = "Unable to fetch refund requests",
                 Errors = new List<string> { ex.Message }
             };
         }
     }
 
     /// <summary>
-    /// Get payment configuration for management (Sales role required)
+    /// Approve or reject a refund request (Sales role required)
     /// </summary>
-    public async Task<ApiResponse<List<PaymentConfigurationModel>>> GetPaymentConfigurationAsync(string authToken)
+    public async Task<ApiResponse<RefundRequestResponse>> ResolveRefundAsync(int refundRequestId, RefundResolutionRequest request, string authToken)
     {
         try
         {
-            _logger.LogInformation("Fetching payment configuration for management");
+            _logger.LogInformation("Resolving refund request {RefundRequestId}: {Status}", refundRequestId, request.Approved ? "Approved" : "Rejected");
 
             _httpClient.DefaultRequestHeaders.Authorization =
                 new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
 
-            var response = await _httpClient.GetAsync("/api/configuration/payment-methods/management");
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
 
-            if (response.IsSuccessStatusCode)
+            var response = await _httpClient.PostAsync($"/api/refunds/{refundRequestId}/resolve", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<RefundRequestResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
             {
-                var content = await response.Content.ReadAsStringAsync();
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PaymentConfigurationModel>>>(content, _jsonOptions);
+                return apiResponse;
+            }
 
-                if (apiResponse != null && apiResponse.Success)
-                {
-                    _logger.LogInformation("Retrieved {Count} payment configurations", apiResponse.Data?.Count ?? 0);
-                    return apiResponse;
-                }
+            _logger.LogWarning("Failed to resolve refund request {RefundRequestId}: {StatusCode} - {Content}", refundRequestId, response.StatusCode, responseContent);
+            return new ApiResponse<RefundRequestResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Refund request could not be resolved",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error resolving refund request {RefundRequestId}", refundRequestId);
+            return new ApiResponse<RefundRequestResponse>
+            {
+                Success = false,
+                Message = "Unable to process refund request",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Put the waiting queue in a new order (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<QueueEntry>>> ReorderQueueAsync(ReorderQueueRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Reordering {Count} waiting queue entries", request.QueueOrder.Count);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/queue/reorder", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<QueueEntry>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
             }
 
-            _logger.LogWarning("Failed to fetch payment configuration: {StatusCode}", response.StatusCode);
-            return new ApiResponse<List<PaymentConfigurationModel>>
+            _logger.LogWarning("Failed to reorder queue: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<List<QueueEntry>>
             {
                 Success = false,
-                Message = "Failed to retrieve payment configuration",
+                Message = apiResponse?.Message ?? "Queue could not be reordered",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error fetching payment configuration");
-            return new ApiResponse<List<PaymentConfigurationModel>>
+            _logger.LogError(ex, "Error reordering queue");
+            return new ApiResponse<List<QueueEntry>>
             {
                 Success = false,
-                Message = "Unable to retrieve payment configuration",
+                Message = "Unable to reorder queue",
                 Errors = new List<string> { ex.Message }
             };
         }
     }
 
     /// <summary>
-    /// Update payment configuration (Sales role required)
+    /// Manually add customer when payment fails, comped or paid in cash (Sales role required)
     /// </summary>
-    public async Task<ApiResponse<PaymentConfigurationModel>> UpdatePaymentConfigurationAsync(UpdatePaymentConfigurationRequest request, string authToken)
+    public async Task<ApiResponse<ManualAdditionResponse>> AddCustomerManuallyAsync(ManualCustomerRequest request, string authToken)
     {
         try
         {
-            _logger.LogInformation("Updating payment configuration: {PaymentMethod}", request.DisplayName);
+            _logger.LogInformation("Manually adding customer: {Name} - Reason: {Reason}", request.Name, request.Reason);
 
             _httpClient.DefaultRequestHeaders.Authorization =
                 new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
@@ -540,92 +723,1550 @@ public class DriftRideApiService : IDriftRideApiService
             var json = JsonSerializer.Serialize(request, _jsonOptions);
             var content = new StringContent(json, Encoding.UTF8, "application/json");
 
-            var response = await _httpClient.PutAsync($"/api/configuration/payment-methods/{request.Id}", content);
+            var response = await _httpClient.PostAsync("/api/customers/manual", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<ManualAdditionResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                _logger.LogInformation("Customer manually added successfully: {CustomerId}", apiResponse.Data?.Customer.Id);
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to manually add customer: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<ManualAdditionResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Failed to add customer manually",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error manually adding customer");
+            return new ApiResponse<ManualAdditionResponse>
+            {
+                Success = false,
+                Message = "Unable to add customer manually",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Search customers by name for lookup (Sales role required)
+    /// </summary>
+    public async Task<PagedApiResponse<CustomerResponse>> SearchCustomersAsync(string searchTerm, int page, string authToken)
+    {
+        try
+        {
+            _logger.LogDebug("Searching customers with term: {SearchTerm}", searchTerm);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var encodedSearchTerm = Uri.EscapeDataString(searchTerm);
+            var response = await _httpClient.GetAsync($"/api/customers?search={encodedSearchTerm}&page={page}");
             var responseContent = await response.Content.ReadAsStringAsync();
 
             if (response.IsSuccessStatusCode)
             {
-                var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentConfigurationModel>>(responseContent, _jsonOptions);
+                var apiResponse = JsonSerializer.Deserialize<PagedApiResponse<CustomerResponse>>(responseContent, _jsonOptions);
                 if (apiResponse != null)
                 {
-                    _logger.LogInformation("Payment configuration updated successfully: {Id}", apiResponse.Data?.Id);
-
-                    // Invalidate cache when configuration changes
-                    InvalidatePaymentMethodsCache();
-
+                    _logger.LogInformation("Found {Count} customers matching search term", apiResponse.TotalCount);
                     return apiResponse;
                 }
             }
 
-            _logger.LogWarning("Failed to update payment configuration: {StatusCode} - {Content}", response.StatusCode, responseContent);
-            return new ApiResponse<PaymentConfigurationModel>
+            _logger.LogWarning("Failed to search customers: {StatusCode}", response.StatusCode);
+            return new PagedApiResponse<CustomerResponse>
             {
                 Success = false,
-                Message = "Failed to update payment configuration",
+                Message = "Unable to search customers",
                 Errors = new List<string> { $"API returned {response.StatusCode}" }
             };
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error updating payment configuration");
-            return new ApiResponse<PaymentConfigurationModel>
+            _logger.LogError(ex, "Error searching customers");
+            return new PagedApiResponse<CustomerResponse>
             {
                 Success = false,
-                Message = "Unable to update payment configuration",
+                Message = "Unable to search customers",
                 Errors = new List<string> { ex.Message }
             };
         }
     }
 
     /// <summary>
-    /// Invalidate cached payment methods to force refresh
+    /// Get a customer's payments, queue entries, refunds and timeline (Sales role required)
     /// </summary>
-    public void InvalidatePaymentMethodsCache()
+    public async Task<ApiResponse<CustomerHistoryResponse>> GetCustomerHistoryAsync(int customerId, string authToken)
     {
-        const string cacheKey = "payment_methods";
-        _cache.Remove(cacheKey);
-        _logger.LogDebug("Payment methods cache invalidated");
+        try
+        {
+            _logger.LogDebug("Fetching history for customer {CustomerId}", customerId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync($"/api/customers/{customerId}/history");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<CustomerHistoryResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch history for customer {CustomerId}: {StatusCode}", customerId, response.StatusCode);
+            return new ApiResponse<CustomerHistoryResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to load customer history",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching history for customer {CustomerId}", customerId);
+            return new ApiResponse<CustomerHistoryResponse>
+            {
+                Success = false,
+                Message = "Unable to load customer history",
+                Errors = new List<string> { ex.Message }
+            };
+        }
     }
 
     /// <summary>
-    /// Get default payment methods when API is unavailable
+    /// Find customers that are probably the same person (Sales role required)
     /// </summary>
-    private static ApiResponse<List<PaymentMethodOption>> GetDefaultPaymentMethods()
+    public async Task<ApiResponse<List<CustomerDuplicate>>> GetCustomerDuplicatesAsync(int customerId, string authToken)
     {
-        return new ApiResponse<List<PaymentMethodOption>>
+        try
         {
-            Success = true,
-            Message = "Using default payment methods",
-            Data = new List<PaymentMethodOption>
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync($"/api/customers/{customerId}/duplicates");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<CustomerDuplicate>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
             {
-                new PaymentMethodOption
-                {
-                    Method = "CashApp",
-                    DisplayName = "CashApp",
-                    PaymentUrl = "https://cash.app/",
-                    IsEnabled = true,
-                    RequiresExternalApp = true,
-                    PricePerRide = 25.00m
-                },
-                new PaymentMethodOption
-                {
-                    Method = "PayPal",
-                    DisplayName = "PayPal",
-                    PaymentUrl = "https://paypal.me/",
-                    IsEnabled = true,
-                    RequiresExternalApp = true,
-                    PricePerRide = 25.00m
-                },
-                new PaymentMethodOption
-                {
-                    Method = "Cash",
-                    DisplayName = "Cash in Hand",
-                    PaymentUrl = "",
-                    IsEnabled = true,
-                    RequiresExternalApp = false,
-                    PricePerRide = 25.00m
-                }
+                return apiResponse;
             }
+
+            _logger.LogWarning("Failed to find duplicates of customer {CustomerId}: {StatusCode}", customerId, response.StatusCode);
+            return new ApiResponse<List<CustomerDuplicate>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to find duplicate customers",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error finding duplicates of customer {CustomerId}", customerId);
+            return new ApiResponse<List<CustomerDuplicate>>
+            {
+                Success = false,
+                Message = "Unable to find duplicate customers",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Fold duplicate customers into one record (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<CustomerMergeResponse>> MergeCustomersAsync(int customerId, MergeCustomersRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Merging customers {SourceCustomerIds} into {CustomerId}",
+                string.Join(", ", request.SourceCustomerIds), customerId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync($"/api/customers/{customerId}/merge", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<CustomerMergeResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to merge customers into {CustomerId}: {StatusCode} - {Content}",
+                customerId, response.StatusCode, responseContent);
+            return new ApiResponse<CustomerMergeResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Customers could not be merged",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error merging customers into {CustomerId}", customerId);
+            return new ApiResponse<CustomerMergeResponse>
+            {
+                Success = false,
+                Message = "Unable to merge customers",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get the payment verification target and escalation waits (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentSlaSettings>> GetPaymentSlaSettingsAsync(string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/configuration/payment-sla");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentSlaSettings>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch payment SLA settings: {StatusCode}", response.StatusCode);
+            return new ApiResponse<PaymentSlaSettings>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch payment SLA settings",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching payment SLA settings");
+            return new ApiResponse<PaymentSlaSettings>
+            {
+                Success = false,
+                Message = "Unable to fetch payment SLA settings",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Update the payment verification target and escalation waits (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentSlaSettings>> UpdatePaymentSlaSettingsAsync(PaymentSlaSettings settings, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Updating payment SLA: target {TargetSeconds}s, warning {WarningMinutes}m, critical {CriticalMinutes}m",
+                settings.TargetSeconds, settings.WarningMinutes, settings.CriticalMinutes);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(settings, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync("/api/configuration/payment-sla", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentSlaSettings>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to update payment SLA settings: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<PaymentSlaSettings>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Payment SLA settings could not be updated",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating payment SLA settings");
+            return new ApiResponse<PaymentSlaSettings>
+            {
+                Success = false,
+                Message = "Unable to update payment SLA settings",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Payment confirmation latency overall and per staff member (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentSlaReport>> GetPaymentSlaReportAsync(DateTime? since, string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var url = since.HasValue
+                ? $"/api/payments/sla-report?since={Uri.EscapeDataString(since.Value.ToUniversalTime().ToString("o"))}"
+                : "/api/payments/sla-report";
+            var response = await _httpClient.GetAsync(url);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentSlaReport>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch payment SLA report: {StatusCode}", response.StatusCode);
+            return new ApiResponse<PaymentSlaReport>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch payment SLA report",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching payment SLA report");
+            return new ApiResponse<PaymentSlaReport>
+            {
+                Success = false,
+                Message = "Unable to fetch payment SLA report",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Events newest first, with the open event's summary so far (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<EventResponse>>> GetEventsAsync(string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/events");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<EventResponse>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch events: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<EventResponse>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch events",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching events");
+            return new ApiResponse<List<EventResponse>>
+            {
+                Success = false,
+                Message = "Unable to fetch events",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Open the next event with an empty queue (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<EventResponse>> OpenEventAsync(OpenEventRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Opening event {Name} on {Date}", request.Name, request.Date ?? "today");
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/events", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<EventResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to open event: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<EventResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The event could not be opened",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error opening event");
+            return new ApiResponse<EventResponse>
+            {
+                Success = false,
+                Message = "Unable to open event",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Close an event, freezing its queue and summary (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<EventResponse>> CloseEventAsync(int eventId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Closing event {EventId}", eventId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.PostAsync($"/api/events/{eventId}/close", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<EventResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to close event {EventId}: {StatusCode} - {Content}", eventId, response.StatusCode, responseContent);
+            return new ApiResponse<EventResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The event could not be closed",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error closing event {EventId}", eventId);
+            return new ApiResponse<EventResponse>
+            {
+                Success = false,
+                Message = "Unable to close event",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// End-of-day totals, cash drawer and transactions to check for a business day (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<ReconciliationReport>> GetReconciliationAsync(string? date, string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var url = string.IsNullOrEmpty(date)
+                ? "/api/reconciliation"
+                : $"/api/reconciliation?date={Uri.EscapeDataString(date)}";
+            var response = await _httpClient.GetAsync(url);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<ReconciliationReport>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch reconciliation for {Date}: {StatusCode}", date ?? "today", response.StatusCode);
+            return new ApiResponse<ReconciliationReport>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch reconciliation",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching reconciliation");
+            return new ApiResponse<ReconciliationReport>
+            {
+                Success = false,
+                Message = "Unable to fetch reconciliation",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Record the cash drawer count for a business day (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<ReconciliationReport>> RecordCashCountAsync(CashCountRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Recording cash count of {CountedAmount} for {Date}", request.CountedAmount, request.Date ?? "today");
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync("/api/reconciliation/cash-count", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<ReconciliationReport>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to record cash count: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<ReconciliationReport>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Cash count could not be recorded",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error recording cash count");
+            return new ApiResponse<ReconciliationReport>
+            {
+                Success = false,
+                Message = "Unable to record cash count",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Reconciliation as CSV or printable HTML; the file content is returned in Data (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<string>> ExportReconciliationAsync(string? date, string format, string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var url = $"/api/reconciliation/export?format={Uri.EscapeDataString(format)}";
+            if (!string.IsNullOrEmpty(date))
+            {
+                url += $"&date={Uri.EscapeDataString(date)}";
+            }
+
+            var response = await _httpClient.GetAsync(url);
+            var responseContent = await response.Content.ReadAsStringAsync();
+
+            if (response.IsSuccessStatusCode)
+            {
+                return new ApiResponse<string> { Success = true, Message = "Reconciliation exported", Data = responseContent };
+            }
+
+            // Errors come back as the usual JSON envelope
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<object>>(responseContent, _jsonOptions);
+            _logger.LogWarning("Failed to export reconciliation: {StatusCode}", response.StatusCode);
+            return new ApiResponse<string>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to export reconciliation",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error exporting reconciliation");
+            return new ApiResponse<string>
+            {
+                Success = false,
+                Message = "Unable to export reconciliation",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get payment configuration for management (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<PaymentConfigurationModel>>> GetPaymentConfigurationAsync(string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Fetching payment configuration for management");
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/configuration/payment-methods");
+
+            if (response.IsSuccessStatusCode)
+            {
+                var content = await response.Content.ReadAsStringAsync();
+                var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PaymentConfigurationModel>>>(content, _jsonOptions);
+
+                if (apiResponse != null && apiResponse.Success)
+                {
+                    _logger.LogInformation("Retrieved {Count} payment configurations", apiResponse.Data?.Count ?? 0);
+                    return apiResponse;
+                }
+            }
+
+            _logger.LogWarning("Failed to fetch payment configuration: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<PaymentConfigurationModel>>
+            {
+                Success = false,
+                Message = "Failed to retrieve payment configuration",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching payment configuration");
+            return new ApiResponse<List<PaymentConfigurationModel>>
+            {
+                Success = false,
+                Message = "Unable to retrieve payment configuration",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Update payment configuration (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentConfigurationModel>> UpdatePaymentConfigurationAsync(UpdatePaymentConfigurationRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Updating payment configuration: {PaymentMethod}", request.PaymentMethod);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync("/api/configuration/payment-methods", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentConfigurationModel>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                _logger.LogInformation("Payment configuration updated successfully: {PaymentMethod}", apiResponse.Data?.PaymentMethod);
+
+                // Invalidate cache when configuration changes
+                InvalidatePaymentMethodsCache();
+
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to update payment configuration: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Failed to update payment configuration",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating payment configuration");
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = "Unable to update payment configuration",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Add a payment method (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentConfigurationModel>> CreatePaymentConfigurationAsync(UpdatePaymentConfigurationRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Adding payment method {PaymentMethod}", request.PaymentMethod);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/configuration/payment-methods", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentConfigurationModel>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                InvalidatePaymentMethodsCache();
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to add payment method {PaymentMethod}: {StatusCode} - {Content}", request.PaymentMethod, response.StatusCode, responseContent);
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The payment method could not be added",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error adding payment method {PaymentMethod}", request.PaymentMethod);
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = "Unable to add payment method",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Set the order customers see the payment methods in (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<PaymentConfigurationModel>>> ReorderPaymentMethodsAsync(ReorderPaymentMethodsRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Reordering payment methods: {PaymentMethods}", string.Join(", ", request.PaymentMethods));
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync("/api/configuration/payment-methods/order", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PaymentConfigurationModel>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                InvalidatePaymentMethodsCache();
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to reorder payment methods: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<List<PaymentConfigurationModel>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The payment methods could not be reordered",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reordering payment methods");
+            return new ApiResponse<List<PaymentConfigurationModel>>
+            {
+                Success = false,
+                Message = "Unable to reorder payment methods",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Remove a payment method with no pending payments (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PaymentConfigurationModel>> DeletePaymentConfigurationAsync(string paymentMethod, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Removing payment method {PaymentMethod}", paymentMethod);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.DeleteAsync($"/api/configuration/payment-methods/{Uri.EscapeDataString(paymentMethod)}");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PaymentConfigurationModel>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                InvalidatePaymentMethodsCache();
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to remove payment method {PaymentMethod}: {StatusCode} - {Content}", paymentMethod, response.StatusCode, responseContent);
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The payment method could not be removed",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error removing payment method {PaymentMethod}", paymentMethod);
+            return new ApiResponse<PaymentConfigurationModel>
+            {
+                Success = false,
+                Message = "Unable to remove payment method",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get happy hour, peak surcharge and bundle pricing rules (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<PricingRule>>> GetPricingRulesAsync(string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/configuration/pricing-rules");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PricingRule>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch pricing rules: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<PricingRule>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch pricing rules",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching pricing rules");
+            return new ApiResponse<List<PricingRule>>
+            {
+                Success = false,
+                Message = "Unable to fetch pricing rules",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Create a pricing rule (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PricingRule>> CreatePricingRuleAsync(PricingRuleRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Creating {Type} pricing rule {Name}", request.Type, request.Name);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/configuration/pricing-rules", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PricingRule>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to create pricing rule: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The pricing rule could not be created",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating pricing rule");
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = "Unable to create pricing rule",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Update a pricing rule (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PricingRule>> UpdatePricingRuleAsync(int ruleId, PricingRuleRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Updating pricing rule {RuleId}", ruleId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync($"/api/configuration/pricing-rules/{ruleId}", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PricingRule>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to update pricing rule {RuleId}: {StatusCode} - {Content}", ruleId, response.StatusCode, responseContent);
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The pricing rule could not be updated",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating pricing rule {RuleId}", ruleId);
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = "Unable to update pricing rule",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Remove a pricing rule (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PricingRule>> DeletePricingRuleAsync(int ruleId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Removing pricing rule {RuleId}", ruleId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.DeleteAsync($"/api/configuration/pricing-rules/{ruleId}");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PricingRule>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to remove pricing rule {RuleId}: {StatusCode} - {Content}", ruleId, response.StatusCode, responseContent);
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The pricing rule could not be removed",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error removing pricing rule {RuleId}", ruleId);
+            return new ApiResponse<PricingRule>
+            {
+                Success = false,
+                Message = "Unable to remove pricing rule",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Price per enabled payment method at a time (now by default) with pricing rules applied.
+    /// Not cached, since the price changes as rule windows open and close.
+    /// </summary>
+    public async Task<ApiResponse<List<PriceQuote>>> GetPriceQuotesAsync(string? at = null, string? paymentMethod = null)
+    {
+        try
+        {
+            var query = new List<string>();
+            if (!string.IsNullOrEmpty(at))
+            {
+                query.Add($"at={Uri.EscapeDataString(at)}");
+            }
+            if (!string.IsNullOrEmpty(paymentMethod))
+            {
+                query.Add($"paymentMethod={Uri.EscapeDataString(paymentMethod)}");
+            }
+
+            var url = query.Count > 0 ? $"/api/pricing/quote?{string.Join("&", query)}" : "/api/pricing/quote";
+            var response = await _httpClient.GetAsync(url);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PriceQuote>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to quote prices: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<PriceQuote>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to quote prices",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error quoting prices");
+            return new ApiResponse<List<PriceQuote>>
+            {
+                Success = false,
+                Message = "Unable to quote prices",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get promo codes with their use counts (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<List<PromoCode>>> GetPromoCodesAsync(string authToken)
+    {
+        try
+        {
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.GetAsync("/api/configuration/promo-codes");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<PromoCode>>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to fetch promo codes: {StatusCode}", response.StatusCode);
+            return new ApiResponse<List<PromoCode>>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to fetch promo codes",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error fetching promo codes");
+            return new ApiResponse<List<PromoCode>>
+            {
+                Success = false,
+                Message = "Unable to fetch promo codes",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Create a promo code (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PromoCode>> CreatePromoCodeAsync(PromoCodeRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Creating promo code {Code}", request.Code);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/configuration/promo-codes", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PromoCode>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to create promo code: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The promo code could not be created",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating promo code");
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = "Unable to create promo code",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Update a promo code (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PromoCode>> UpdatePromoCodeAsync(int promoCodeId, PromoCodeRequest request, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Updating promo code {PromoCodeId}", promoCodeId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PutAsync($"/api/configuration/promo-codes/{promoCodeId}", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PromoCode>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to update promo code {PromoCodeId}: {StatusCode} - {Content}", promoCodeId, response.StatusCode, responseContent);
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The promo code could not be updated",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating promo code {PromoCodeId}", promoCodeId);
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = "Unable to update promo code",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Remove a promo code (Sales role required)
+    /// </summary>
+    public async Task<ApiResponse<PromoCode>> DeletePromoCodeAsync(int promoCodeId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Removing promo code {PromoCodeId}", promoCodeId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.DeleteAsync($"/api/configuration/promo-codes/{promoCodeId}");
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PromoCode>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to remove promo code {PromoCodeId}: {StatusCode} - {Content}", promoCodeId, response.StatusCode, responseContent);
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The promo code could not be removed",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error removing promo code {PromoCodeId}", promoCodeId);
+            return new ApiResponse<PromoCode>
+            {
+                Success = false,
+                Message = "Unable to remove promo code",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// What a promo code takes off the rides a customer is buying now.
+    /// The API checks the code again when the payment is made.
+    /// </summary>
+    public async Task<ApiResponse<PromoCodeCheck>> CheckPromoCodeAsync(PromoCodeCheckRequest request)
+    {
+        try
+        {
+            var json = JsonSerializer.Serialize(request, _jsonOptions);
+            var content = new StringContent(json, Encoding.UTF8, "application/json");
+
+            var response = await _httpClient.PostAsync("/api/pricing/promo-check", content);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<PromoCodeCheck>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogInformation("Promo code {Code} not applied: {StatusCode}", request.Code, response.StatusCode);
+            return new ApiResponse<PromoCodeCheck>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "The promo code could not be applied",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error checking promo code");
+            return new ApiResponse<PromoCodeCheck>
+            {
+                Success = false,
+                Message = "Unable to check promo code",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Invalidate cached payment methods to force refresh
+    /// </summary>
+    public void InvalidatePaymentMethodsCache()
+    {
+        const string cacheKey = "payment_methods";
+        _cache.Remove(cacheKey);
+        _logger.LogDebug("Payment methods cache invalidated");
+    }
+
+    // Driver-specific API methods
+
+    /// <summary>
+    /// Get the rider dispatched to the driver's car, or null if none is waiting (Driver role required)
+    /// </summary>
+    public async Task<DriverCustomerViewModel?> GetCurrentCustomerAsync(string authToken)
+    {
+        _logger.LogDebug("Fetching current rider for driver");
+
+        _httpClient.DefaultRequestHeaders.Authorization =
+            new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+        var response = await _httpClient.GetAsync("/api/queue/current");
+        if (response.StatusCode == System.Net.HttpStatusCode.NoContent)
+        {
+            return null;
+        }
+
+        var responseContent = await response.Content.ReadAsStringAsync();
+        if (!response.IsSuccessStatusCode)
+        {
+            _logger.LogWarning("Failed to fetch current rider: {StatusCode} - {Content}", response.StatusCode, responseContent);
+            return null;
+        }
+
+        var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueEntry>>(responseContent, _jsonOptions);
+        return apiResponse?.Data != null ? ToDriverCustomer(apiResponse.Data) : null;
+    }
+
+    /// <summary>
+    /// Start the ride for the current rider of the driver's car (Driver role required)
+    /// </summary>
+    public async Task<ApiResponse<QueueEntry>> StartRideAsync(int queueEntryId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Starting ride for queue entry {QueueEntryId}", queueEntryId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.PostAsync($"/api/queue/{queueEntryId}/start", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueEntry>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to start ride {QueueEntryId}: {StatusCode} - {Content}", queueEntryId, response.StatusCode, responseContent);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to start ride",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error starting ride {QueueEntryId}", queueEntryId);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = "Unable to start ride",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Complete the ride for a queue entry dispatched to the driver's car (Driver role required)
+    /// </summary>
+    public async Task<QueueEntry?> CompleteRideAsync(int queueEntryId, string authToken)
+    {
+        _logger.LogInformation("Completing ride for queue entry {QueueEntryId}", queueEntryId);
+
+        _httpClient.DefaultRequestHeaders.Authorization =
+            new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+        var response = await _httpClient.PostAsync($"/api/queue/{queueEntryId}/complete", null);
+        var responseContent = await response.Content.ReadAsStringAsync();
+
+        if (!response.IsSuccessStatusCode)
+        {
+            _logger.LogWarning("Failed to complete ride {QueueEntryId}: {StatusCode} - {Content}", queueEntryId, response.StatusCode, responseContent);
+            return null;
+        }
+
+        var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueEntry>>(responseContent, _jsonOptions);
+        return apiResponse?.Data;
+    }
+
+    /// <summary>
+    /// Reopen a ride this driver just completed (Driver role required)
+    /// </summary>
+    public async Task<ApiResponse<QueueEntry>> UndoRideCompletionAsync(int queueEntryId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Reopening ride for queue entry {QueueEntryId}", queueEntryId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.PostAsync($"/api/queue/{queueEntryId}/undo-complete", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueEntry>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to reopen ride {QueueEntryId}: {StatusCode} - {Content}", queueEntryId, response.StatusCode, responseContent);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to undo ride completion",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reopening ride {QueueEntryId}", queueEntryId);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = "Unable to undo ride completion",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Mark the current rider of the driver's car as a no-show (Driver role required)
+    /// </summary>
+    public async Task<ApiResponse<QueueEntry>> MarkNoShowAsync(int queueEntryId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Marking queue entry {QueueEntryId} as a no-show", queueEntryId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.PostAsync($"/api/queue/{queueEntryId}/no-show", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<QueueEntry>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            _logger.LogWarning("Failed to mark no-show {QueueEntryId}: {StatusCode} - {Content}", queueEntryId, response.StatusCode, responseContent);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to mark no-show",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error marking no-show {QueueEntryId}", queueEntryId);
+            return new ApiResponse<QueueEntry>
+            {
+                Success = false,
+                Message = "Unable to mark no-show",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Get all queue entries for driver context (Driver role required)
+    /// </summary>
+    public async Task<List<DriverCustomerViewModel>> GetQueueAsync(string authToken)
+    {
+        _logger.LogDebug("Fetching queue for driver dashboard");
+
+        _httpClient.DefaultRequestHeaders.Authorization =
+            new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+        var response = await _httpClient.GetAsync("/api/queue");
+        response.EnsureSuccessStatusCode();
+
+        var responseContent = await response.Content.ReadAsStringAsync();
+        var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<QueueEntry>>>(responseContent, _jsonOptions);
+
+        return (apiResponse?.Data ?? new List<QueueEntry>())
+            .Select(ToDriverCustomer)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Get all cars and their drivers
+    /// </summary>
+    public async Task<List<CarResponse>> GetCarsAsync(string authToken)
+    {
+        _logger.LogDebug("Fetching cars");
+
+        _httpClient.DefaultRequestHeaders.Authorization =
+            new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+        var response = await _httpClient.GetAsync("/api/cars");
+        response.EnsureSuccessStatusCode();
+
+        var responseContent = await response.Content.ReadAsStringAsync();
+        var apiResponse = JsonSerializer.Deserialize<ApiResponse<List<CarResponse>>>(responseContent, _jsonOptions);
+
+        return apiResponse?.Data ?? new List<CarResponse>();
+    }
+
+    /// <summary>
+    /// Start driving a car (Driver role required)
+    /// </summary>
+    public async Task<ApiResponse<CarResponse>> ClaimCarAsync(int carId, string authToken)
+    {
+        try
+        {
+            _logger.LogInformation("Claiming car {CarId}", carId);
+
+            _httpClient.DefaultRequestHeaders.Authorization =
+                new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", authToken);
+
+            var response = await _httpClient.PostAsync($"/api/cars/{carId}/claim", null);
+            var responseContent = await response.Content.ReadAsStringAsync();
+            var apiResponse = JsonSerializer.Deserialize<ApiResponse<CarResponse>>(responseContent, _jsonOptions);
+
+            if (response.IsSuccessStatusCode && apiResponse != null)
+            {
+                return apiResponse;
+            }
+
+            // Conflicts (car inactive or already driven) carry a message worth showing the driver
+            _logger.LogWarning("Failed to claim car {CarId}: {StatusCode} - {Content}", carId, response.StatusCode, responseContent);
+            return new ApiResponse<CarResponse>
+            {
+                Success = false,
+                Message = apiResponse?.Message ?? "Unable to claim car",
+                Errors = new List<string> { $"API returned {response.StatusCode}" }
+            };
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error claiming car {CarId}", carId);
+            return new ApiResponse<CarResponse>
+            {
+                Success = false,
+                Message = "Unable to claim car",
+                Errors = new List<string> { ex.Message }
+            };
+        }
+    }
+
+    /// <summary>
+    /// Map an API queue entry to the driver display model
+    /// </summary>
+    private static DriverCustomerViewModel ToDriverCustomer(QueueEntry entry)
+    {
+        return new DriverCustomerViewModel
+        {
+            QueueEntryId = entry.Id,
+            CustomerId = entry.CustomerId,
+            CustomerName = entry.CustomerName,
+            DisplayName = entry.CustomerName,
+            PhoneNumber = entry.Customer?.PhoneNumber,
+            Position = entry.Position,
+            Status = entry.Status,
+            CarId = entry.CarId,
+            AssignedCarId = entry.AssignedCarId,
+            CarName = entry.CarName,
+            PaymentMethod = entry.Payment?.PaymentMethod ?? string.Empty,
+            PaymentAmount = entry.Payment?.Amount ?? 0m,
+            QueuedAt = entry.QueuedAt,
+            StartedAt = entry.StartedAt,
+            MissedCount = entry.MissedCount,
+            CustomerArrivalTime = entry.Customer?.CreatedAt ?? entry.QueuedAt
+        };
+    }
+
+    /// <summary>
+    /// Map an API payment configuration to what the customer page needs
+    /// </summary>
+    private static PaymentMethodOption ToPaymentMethodOption(PaymentConfigurationModel config)
+    {
+        return new PaymentMethodOption
+        {
+            Method = config.PaymentMethod,
+            DisplayName = config.DisplayName,
+            PaymentUrl = config.PaymentUrl ?? string.Empty,
+            IsEnabled = config.IsEnabled,
+            RequiresExternalApp = !config.IsCash,
+            PricePerRide = config.PricePerRide,
+            IsCash = config.IsCash,
+            Instructions = config.Instructions
         };
     }
 }
\ No newline at end of file
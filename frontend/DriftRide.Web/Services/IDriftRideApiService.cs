@@ -13,9 +13,9 @@ public interface IDriftRideApiService
     Task<ApiResponse<List<PaymentMethodOption>>> GetPaymentMethodsAsync();
 
     /// <summary>
-    /// Create a new customer
+    /// Create a new customer, or continue as an earlier record offered as a possible duplicate
     /// </summary>
-    Task<ApiResponse<CustomerResponse>> CreateCustomerAsync(CreateCustomerRequest request);
+    Task<CreateCustomerResponse> CreateCustomerAsync(CreateCustomerRequest request);
 
     /// <summary>
     /// Process a payment for a customer
@@ -23,15 +23,20 @@ public interface IDriftRideApiService
     Task<ApiResponse<PaymentResponse>> ProcessPaymentAsync(ProcessPaymentRequest request);
 
     /// <summary>
-    /// Get current queue status
+    /// Get current queue status (staff token required to list the queue)
     /// </summary>
-    Task<ApiResponse<QueueStatusResponse>> GetQueueStatusAsync();
+    Task<ApiResponse<QueueStatusResponse>> GetQueueStatusAsync(string? authToken = null);
 
     /// <summary>
     /// Get customer's queue position
     /// </summary>
     Task<ApiResponse<CustomerQueuePosition>> GetCustomerQueuePositionAsync(int customerId);
 
+    /// <summary>
+    /// Take a customer out of the queue at their own request, opening a refund request
+    /// </summary>
+    Task<ApiResponse<LeaveQueueResponse>> LeaveQueueAsync(int customerId, LeaveQueueRequest request);
+
     // Sales-specific endpoints
     /// <summary>
     /// Sales staff login with authentication
@@ -49,14 +54,99 @@ public interface IDriftRideApiService
     Task<ApiResponse<PaymentResponse>> ConfirmPaymentAsync(int paymentId, PaymentConfirmationRequest request, string authToken);
 
     /// <summary>
-    /// Manually add customer when payment fails (Sales role required)
+    /// Confirm or deny several payments at once, with a result per payment (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentBatchResult>> ConfirmPaymentBatchAsync(PaymentBatchConfirmationRequest request, string authToken);
+
+    /// <summary>
+    /// Return a payment this user just confirmed or denied to pending (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentResponse>> UndoPaymentDecisionAsync(int paymentId, string authToken);
+
+    /// <summary>
+    /// Get refund requests awaiting a decision (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<RefundRequestResponse>>> GetPendingRefundsAsync(string authToken);
+
+    /// <summary>
+    /// Approve or reject a refund request (Sales role required)
+    /// </summary>
+    Task<ApiResponse<RefundRequestResponse>> ResolveRefundAsync(int refundRequestId, RefundResolutionRequest request, string authToken);
+
+    /// <summary>
+    /// Put the waiting queue in a new order (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<QueueEntry>>> ReorderQueueAsync(ReorderQueueRequest request, string authToken);
+
+    /// <summary>
+    /// Manually add customer when payment fails, comped or paid in cash (Sales role required)
+    /// </summary>
+    Task<ApiResponse<ManualAdditionResponse>> AddCustomerManuallyAsync(ManualCustomerRequest request, string authToken);
+
+    /// <summary>
+    /// Search customers by name or phone number, most recently active first (Sales role required)
+    /// </summary>
+    Task<PagedApiResponse<CustomerResponse>> SearchCustomersAsync(string searchTerm, int page, string authToken);
+
+    /// <summary>
+    /// Get a customer's payments, queue entries, refunds and timeline (Sales role required)
+    /// </summary>
+    Task<ApiResponse<CustomerHistoryResponse>> GetCustomerHistoryAsync(int customerId, string authToken);
+
+    /// <summary>
+    /// Find customers that are probably the same person (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<CustomerDuplicate>>> GetCustomerDuplicatesAsync(int customerId, string authToken);
+
+    /// <summary>
+    /// Fold duplicate customers into one record (Sales role required)
+    /// </summary>
+    Task<ApiResponse<CustomerMergeResponse>> MergeCustomersAsync(int customerId, MergeCustomersRequest request, string authToken);
+
+    /// <summary>
+    /// Get the payment verification target and escalation waits (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentSlaSettings>> GetPaymentSlaSettingsAsync(string authToken);
+
+    /// <summary>
+    /// Update the payment verification target and escalation waits (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentSlaSettings>> UpdatePaymentSlaSettingsAsync(PaymentSlaSettings settings, string authToken);
+
+    /// <summary>
+    /// Payment confirmation latency overall and per staff member (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentSlaReport>> GetPaymentSlaReportAsync(DateTime? since, string authToken);
+
+    /// <summary>
+    /// Events newest first, with the open event's summary so far (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<EventResponse>>> GetEventsAsync(string authToken);
+
+    /// <summary>
+    /// Open the next event with an empty queue (Sales role required)
+    /// </summary>
+    Task<ApiResponse<EventResponse>> OpenEventAsync(OpenEventRequest request, string authToken);
+
+    /// <summary>
+    /// Close an event, freezing its queue and summary (Sales role required)
+    /// </summary>
+    Task<ApiResponse<EventResponse>> CloseEventAsync(int eventId, string authToken);
+
+    /// <summary>
+    /// End-of-day totals, cash drawer and transactions to check for a business day (Sales role required)
+    /// </summary>
+    Task<ApiResponse<ReconciliationReport>> GetReconciliationAsync(string? date, string authToken);
+
+    /// <summary>
+    /// Record the cash drawer count for a business day (Sales role required)
     /// </summary>
-    Task<ApiResponse<CustomerResponse>> AddCustomerManuallyAsync(ManualCustomerRequest request, string authToken);
+    Task<ApiResponse<ReconciliationReport>> RecordCashCountAsync(CashCountRequest request, string authToken);
 
     /// <summary>
-    /// Search customers by name for lookup (Sales role required)
+    /// Reconciliation as CSV or printable HTML; the file content is returned in Data (Sales role required)
     /// </summary>
-    Task<ApiResponse<List<CustomerResponse>>> SearchCustomersAsync(string searchTerm, string authToken);
+    Task<ApiResponse<string>> ExportReconciliationAsync(string? date, string format, string authToken);
 
     /// <summary>
     /// Get payment configuration for management (Sales role required)
@@ -68,10 +158,116 @@ public interface IDriftRideApiService
     /// </summary>
     Task<ApiResponse<PaymentConfigurationModel>> UpdatePaymentConfigurationAsync(UpdatePaymentConfigurationRequest request, string authToken);
 
+    /// <summary>
+    /// Add a payment method (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentConfigurationModel>> CreatePaymentConfigurationAsync(UpdatePaymentConfigurationRequest request, string authToken);
+
+    /// <summary>
+    /// Set the order customers see the payment methods in (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<PaymentConfigurationModel>>> ReorderPaymentMethodsAsync(ReorderPaymentMethodsRequest request, string authToken);
+
+    /// <summary>
+    /// Remove a payment method with no pending payments (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PaymentConfigurationModel>> DeletePaymentConfigurationAsync(string paymentMethod, string authToken);
+
+    /// <summary>
+    /// Get happy hour, peak surcharge and bundle pricing rules (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<PricingRule>>> GetPricingRulesAsync(string authToken);
+
+    /// <summary>
+    /// Create a pricing rule (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PricingRule>> CreatePricingRuleAsync(PricingRuleRequest request, string authToken);
+
+    /// <summary>
+    /// Update a pricing rule (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PricingRule>> UpdatePricingRuleAsync(int ruleId, PricingRuleRequest request, string authToken);
+
+    /// <summary>
+    /// Remove a pricing rule (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PricingRule>> DeletePricingRuleAsync(int ruleId, string authToken);
+
+    /// <summary>
+    /// Price per enabled payment method at a time (now by default) with pricing rules applied; not cached
+    /// </summary>
+    Task<ApiResponse<List<PriceQuote>>> GetPriceQuotesAsync(string? at = null, string? paymentMethod = null);
+
+    /// <summary>
+    /// Get promo codes with their use counts (Sales role required)
+    /// </summary>
+    Task<ApiResponse<List<PromoCode>>> GetPromoCodesAsync(string authToken);
+
+    /// <summary>
+    /// Create a promo code (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PromoCode>> CreatePromoCodeAsync(PromoCodeRequest request, string authToken);
+
+    /// <summary>
+    /// Update a promo code (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PromoCode>> UpdatePromoCodeAsync(int promoCodeId, PromoCodeRequest request, string authToken);
+
+    /// <summary>
+    /// Remove a promo code (Sales role required)
+    /// </summary>
+    Task<ApiResponse<PromoCode>> DeletePromoCodeAsync(int promoCodeId, string authToken);
+
+    /// <summary>
+    /// What a promo code takes off the rides a customer is buying now
+    /// </summary>
+    Task<ApiResponse<PromoCodeCheck>> CheckPromoCodeAsync(PromoCodeCheckRequest request);
+
     /// <summary>
     /// Invalidate cached payment methods to force refresh
     /// </summary>
     void InvalidatePaymentMethodsCache();
+
+    // Driver-specific endpoints
+    /// <summary>
+    /// Get the rider dispatched to the driver's car, or null if none is waiting (Driver role required)
+    /// </summary>
+    Task<DriverCustomerViewModel?> GetCurrentCustomerAsync(string authToken);
+
+    /// <summary>
+    /// Start the ride for the current rider of the driver's car (Driver role required)
+    /// </summary>
+    Task<ApiResponse<QueueEntry>> StartRideAsync(int queueEntryId, string authToken);
+
+    /// <summary>
+    /// Complete the ride for a queue entry dispatched to the driver's car (Driver role required)
+    /// </summary>
+    Task<QueueEntry?> CompleteRideAsync(int queueEntryId, string authToken);
+
+    /// <summary>
+    /// Reopen a ride this driver just completed (Driver role required)
+    /// </summary>
+    Task<ApiResponse<QueueEntry>> UndoRideCompletionAsync(int queueEntryId, string authToken);
+
+    /// <summary>
+    /// Mark the current rider of the driver's car as a no-show (Driver role required)
+    /// </summary>
+    Task<ApiResponse<QueueEntry>> MarkNoShowAsync(int queueEntryId, string authToken);
+
+    /// <summary>
+    /// Get all queue entries for driver context (Driver role required)
+    /// </summary>
+    Task<List<DriverCustomerViewModel>> GetQueueAsync(string authToken);
+
+    /// <summary>
+    /// Get all cars and their drivers
+    /// </summary>
+    Task<List<CarResponse>> GetCarsAsync(string authToken);
+
+    /// <summary>
+    /// Start driving a car (Driver role required)
+    /// </summary>
+    Task<ApiResponse<CarResponse>> ClaimCarAsync(int carId, string authToken);
 }
 
 /// <summary>
@@ -85,6 +281,17 @@ public class ApiResponse<T>
     public List<string> Errors { get; set; } = new List<string>();
 }
 
+/// <summary>
+/// One page of a list, with the counts the API returns alongside it
+/// </summary>
+public class PagedApiResponse<T> : ApiResponse<List<T>>
+{
+    public int TotalCount { get; set; }
+    public int Page { get; set; }
+    public int PageSize { get; set; }
+    public int TotalPages { get; set; }
+}
+
 /// <summary>
 /// Customer creation request
 /// </summary>
@@ -92,6 +299,28 @@ public class CreateCustomerRequest
 {
     public string Name { get; set; } = string.Empty;
     public string PhoneNumber { get; set; } = string.Empty;
+    public int? ExistingCustomerId { get; set; }
+    public bool AllowDuplicate { get; set; }
+}
+
+/// <summary>
+/// Customer creation result; when the API suspects the customer signed up
+/// before, it lists the earlier records instead
+/// </summary>
+public class CreateCustomerResponse : ApiResponse<CustomerResponse>
+{
+    public List<PossibleDuplicateCustomer> PossibleDuplicates { get; set; } = new List<PossibleDuplicateCustomer>();
+}
+
+/// <summary>
+/// Earlier customer record shown to someone signing up, with a shortened name
+/// </summary>
+public class PossibleDuplicateCustomer
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; }
+    public List<string> MatchedOn { get; set; } = new List<string>();
 }
 
 /// <summary>
@@ -113,6 +342,9 @@ public class ProcessPaymentRequest
     public int CustomerId { get; set; }
     public decimal Amount { get; set; }
     public string PaymentMethod { get; set; } = string.Empty;
+    public int? RetryOfPaymentId { get; set; }
+    public int RideCount { get; set; } = 1;
+    public string? PromoCode { get; set; }
 }
 
 /// <summary>
@@ -127,6 +359,16 @@ public class PaymentResponse
     public string Status { get; set; } = string.Empty;
     public DateTime CreatedAt { get; set; }
     public string? ExternalTransactionId { get; set; }
+    public bool Comped { get; set; }
+    public string? ManualReasonCode { get; set; }
+    public string? DenialReasonCode { get; set; }
+    public int? RetryOfPaymentId { get; set; }
+    public int AttemptNumber { get; set; } = 1;
+    public int RideCount { get; set; } = 1;
+    public decimal? ExpectedAmount { get; set; }
+    public bool AmountMismatch { get; set; }
+    public string? PromoCode { get; set; }
+    public decimal DiscountAmount { get; set; }
 }
 
 /// <summary>
@@ -150,6 +392,38 @@ public class QueueEntry
     public int Position { get; set; }
     public string Status { get; set; } = string.Empty;
     public DateTime QueuedAt { get; set; }
+    public int? PaymentId { get; set; }
+    public int? AssignedCarId { get; set; }
+    public int? CarId { get; set; }
+    public string? CarName { get; set; }
+    public DateTime? DispatchedAt { get; set; }
+    public DateTime? StartedAt { get; set; }
+    public string? StartedBy { get; set; }
+    public DateTime? CompletedAt { get; set; }
+    public string? CompletedBy { get; set; }
+    public int MissedCount { get; set; }
+    public DateTime? CancelledAt { get; set; }
+    public string? CancellationReason { get; set; }
+    public DateTime? EstimatedStartAt { get; set; }
+    public TimeSpan? EstimatedWaitTime { get; set; }
+    public CustomerResponse? Customer { get; set; }
+    public PaymentResponse? Payment { get; set; }
+}
+
+/// <summary>
+/// Drift car with its current driver
+/// </summary>
+public class CarResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public bool IsActive { get; set; }
+    public int? DriverUserId { get; set; }
+    public string? DriverUsername { get; set; }
+    public string? DriverName { get; set; }
+    public int? CurrentQueueEntryId { get; set; }
+    public int CompletedRides { get; set; }
+    public DateTime CreatedAt { get; set; }
 }
 
 /// <summary>
@@ -161,6 +435,7 @@ public class CustomerQueuePosition
     public int Position { get; set; }
     public int TotalInQueue { get; set; }
     public int EstimatedWaitMinutes { get; set; }
+    public DateTime? EstimatedStartAt { get; set; }
     public string Status { get; set; } = string.Empty;
 }
 
@@ -207,9 +482,32 @@ public class PendingPaymentResponse
     public string CustomerPhone { get; set; } = string.Empty;
     public decimal Amount { get; set; }
     public string PaymentMethod { get; set; } = string.Empty;
+    public string? PaymentMethodDisplayName { get; set; }
     public string? ExternalTransactionId { get; set; }
     public DateTime CreatedAt { get; set; }
     public int MinutesWaiting { get; set; }
+    public CustomerResponse? Customer { get; set; }
+    public int AttemptNumber { get; set; } = 1;
+    public int? RetryOfPaymentId { get; set; }
+    public PreviousDenialResponse? PreviousDenial { get; set; }
+    public string? SlaLevel { get; set; }
+    public int RideCount { get; set; } = 1;
+    public decimal? ExpectedAmount { get; set; }
+    public bool AmountMismatch { get; set; }
+    public string? PromoCode { get; set; }
+    public decimal DiscountAmount { get; set; }
+}
+
+/// <summary>
+/// The denied payment a resubmitted payment follows on from
+/// </summary>
+public class PreviousDenialResponse
+{
+    public int PaymentId { get; set; }
+    public string? DenialReasonCode { get; set; }
+    public string? Notes { get; set; }
+    public string? DeniedBy { get; set; }
+    public DateTime? DeniedAt { get; set; }
 }
 
 /// <summary>
@@ -219,6 +517,160 @@ public class PaymentConfirmationRequest
 {
     public bool Confirmed { get; set; }
     public string Notes { get; set; } = string.Empty;
+    public string? DenialReasonCode { get; set; }
+}
+
+/// <summary>
+/// One confirmation or denial applied to several payments
+/// </summary>
+public class PaymentBatchConfirmationRequest : PaymentConfirmationRequest
+{
+    public List<int> PaymentIds { get; set; } = new List<int>();
+}
+
+/// <summary>
+/// Outcome of a batch confirmation; payments that could not be processed are
+/// reported in Results without failing the batch
+/// </summary>
+public class PaymentBatchResult
+{
+    public int Succeeded { get; set; }
+    public int Failed { get; set; }
+    public List<PaymentBatchItemResult> Results { get; set; } = new List<PaymentBatchItemResult>();
+}
+
+public class PaymentBatchItemResult
+{
+    public int PaymentId { get; set; }
+    public bool Success { get; set; }
+    public string Message { get; set; } = string.Empty;
+    public PaymentResponse? Payment { get; set; }
+}
+
+/// <summary>
+/// Customer request to leave the queue; the phone number identifies the customer
+/// </summary>
+public class LeaveQueueRequest
+{
+    public string PhoneNumber { get; set; } = string.Empty;
+    public string? Reason { get; set; }
+}
+
+/// <summary>
+/// Cancelled queue entry and the refund request it opened, if any
+/// </summary>
+public class LeaveQueueResponse
+{
+    public QueueEntry QueueEntry { get; set; } = new QueueEntry();
+    public RefundRequestResponse? RefundRequest { get; set; }
+}
+
+/// <summary>
+/// Refund request opened when a paid customer leaves the queue
+/// </summary>
+public class RefundRequestResponse
+{
+    public int Id { get; set; }
+    public int PaymentId { get; set; }
+    public int CustomerId { get; set; }
+    public int QueueEntryId { get; set; }
+    public decimal Amount { get; set; }
+    public string? Reason { get; set; }
+    public string Status { get; set; } = string.Empty;
+    public DateTime RequestedAt { get; set; }
+    public DateTime? ResolvedAt { get; set; }
+    public string? ResolvedBy { get; set; }
+    public string? Notes { get; set; }
+    public CustomerResponse? Customer { get; set; }
+    public PaymentResponse? Payment { get; set; }
+}
+
+/// <summary>
+/// Refund approval or rejection request
+/// </summary>
+public class RefundResolutionRequest
+{
+    public bool Approved { get; set; }
+    public string Notes { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Every waiting queue entry id in its new order, with the reason for the change
+/// </summary>
+public class ReorderQueueRequest
+{
+    public List<int> QueueOrder { get; set; } = new List<int>();
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Everything recorded for one customer, for the sales history panel
+/// </summary>
+public class CustomerHistoryResponse
+{
+    public CustomerResponse Customer { get; set; } = new CustomerResponse();
+    public CustomerHistorySummary Summary { get; set; } = new CustomerHistorySummary();
+    public List<PaymentResponse> Payments { get; set; } = new List<PaymentResponse>();
+    public List<QueueEntry> QueueEntries { get; set; } = new List<QueueEntry>();
+    public List<RefundRequestResponse> RefundRequests { get; set; } = new List<RefundRequestResponse>();
+    public List<CustomerHistoryEvent> Timeline { get; set; } = new List<CustomerHistoryEvent>();
+}
+
+/// <summary>
+/// Running totals for a customer
+/// </summary>
+public class CustomerHistorySummary
+{
+    public decimal TotalPaid { get; set; }
+    public decimal TotalRefunded { get; set; }
+    public int CompletedRides { get; set; }
+    public int DeniedPayments { get; set; }
+    public int NoShows { get; set; }
+}
+
+/// <summary>
+/// One entry in a customer's timeline, newest first
+/// </summary>
+public class CustomerHistoryEvent
+{
+    public string Type { get; set; } = string.Empty;
+    public DateTime OccurredAt { get; set; }
+    public string Description { get; set; } = string.Empty;
+    public string? PerformedBy { get; set; }
+    public int? PaymentId { get; set; }
+    public int? QueueEntryId { get; set; }
+    public string? Notes { get; set; }
+}
+
+/// <summary>
+/// Another customer that is probably the same person
+/// </summary>
+public class CustomerDuplicate : CustomerResponse
+{
+    public List<string> MatchedOn { get; set; } = new List<string>();
+}
+
+/// <summary>
+/// Duplicate customers to fold into one record
+/// </summary>
+public class MergeCustomersRequest
+{
+    public List<int> SourceCustomerIds { get; set; } = new List<int>();
+}
+
+/// <summary>
+/// Record of a merge: the removed customers and what moved to the remaining one
+/// </summary>
+public class CustomerMergeResponse
+{
+    public int Id { get; set; }
+    public int TargetCustomerId { get; set; }
+    public List<CustomerResponse> SourceCustomers { get; set; } = new List<CustomerResponse>();
+    public List<int> PaymentIds { get; set; } = new List<int>();
+    public List<int> QueueEntryIds { get; set; } = new List<int>();
+    public List<int> RefundRequestIds { get; set; } = new List<int>();
+    public string MergedBy { get; set; } = string.Empty;
+    public DateTime MergedAt { get; set; }
 }
 
 /// <summary>
@@ -228,5 +680,267 @@ public class ManualCustomerRequest
 {
     public string Name { get; set; } = string.Empty;
     public string PhoneNumber { get; set; } = string.Empty;
+    public string ReasonCode { get; set; } = string.Empty;
     public string Reason { get; set; } = string.Empty;
-}
\ No newline at end of file
+    public decimal Amount { get; set; }
+}
+
+/// <summary>
+/// Customer, payment and queue entry created by a manual addition
+/// </summary>
+public class ManualAdditionResponse
+{
+    public CustomerResponse Customer { get; set; } = new CustomerResponse();
+    public PaymentResponse Payment { get; set; } = new PaymentResponse();
+    public QueueEntry QueueEntry { get; set; } = new QueueEntry();
+}
+
+/// <summary>
+/// How quickly sales should verify payments, and the waits that escalate
+/// </summary>
+public class PaymentSlaSettings
+{
+    public int TargetSeconds { get; set; } = 30;
+    public int WarningMinutes { get; set; } = 5;
+    public int CriticalMinutes { get; set; } = 10;
+}
+
+/// <summary>
+/// Confirmation latency of a set of decided payments; times are null when none were decided
+/// </summary>
+public class PaymentSlaSummary
+{
+    public int Processed { get; set; }
+    public int? AverageSeconds { get; set; }
+    public int? MedianSeconds { get; set; }
+    public int? SlowestSeconds { get; set; }
+    public int WithinTarget { get; set; }
+    public int? WithinTargetPercent { get; set; }
+    public int OverWarning { get; set; }
+    public int OverCritical { get; set; }
+}
+
+/// <summary>
+/// Confirmation latency of one staff member
+/// </summary>
+public class StaffSlaSummary : PaymentSlaSummary
+{
+    public string Username { get; set; } = string.Empty;
+    public int Denied { get; set; }
+}
+
+/// <summary>
+/// Payment SLA report
+/// </summary>
+public class PaymentSlaReport
+{
+    public PaymentSlaSettings Settings { get; set; } = new PaymentSlaSettings();
+    public DateTime? Since { get; set; }
+    public PaymentSlaSummary Overall { get; set; } = new PaymentSlaSummary();
+    public List<StaffSlaSummary> Staff { get; set; } = new List<StaffSlaSummary>();
+}
+
+/// <summary>
+/// Event to open; Date defaults to today
+/// </summary>
+public class OpenEventRequest
+{
+    public string Name { get; set; } = string.Empty;
+    public string? Venue { get; set; }
+    public string? Date { get; set; }
+}
+
+/// <summary>
+/// Takings for one payment method at an event
+/// </summary>
+public class EventMethodRevenue
+{
+    public string PaymentMethod { get; set; } = string.Empty;
+    public int Count { get; set; }
+    public decimal Amount { get; set; }
+}
+
+/// <summary>
+/// Event totals; so far for the open event, final once closed
+/// </summary>
+public class EventSummary
+{
+    public int TotalCustomers { get; set; }
+    public int PaidRides { get; set; }
+    public int CompedRides { get; set; }
+    public int CompletedRides { get; set; }
+    public int CancelledRides { get; set; }
+    public int UnservedRiders { get; set; }
+    public int PendingPayments { get; set; }
+    public int DeniedPayments { get; set; }
+    public decimal GrossRevenue { get; set; }
+    public decimal RefundedAmount { get; set; }
+    public decimal NetRevenue { get; set; }
+    public List<EventMethodRevenue> RevenueByMethod { get; set; } = new List<EventMethodRevenue>();
+    public long? AverageRideDuration { get; set; }
+}
+
+/// <summary>
+/// A day or session of rides at a venue
+/// </summary>
+public class EventResponse
+{
+    public int Id { get; set; }
+    public string Name { get; set; } = string.Empty;
+    public string? Venue { get; set; }
+    public string Date { get; set; } = string.Empty;
+    public string Status { get; set; } = string.Empty;
+    public DateTime OpenedAt { get; set; }
+    public string? OpenedBy { get; set; }
+    public DateTime? ClosedAt { get; set; }
+    public string? ClosedBy { get; set; }
+    public EventSummary? Summary { get; set; }
+}
+
+/// <summary>
+/// Cash drawer count for a business day; Date defaults to today
+/// </summary>
+public class CashCountRequest
+{
+    public string? Date { get; set; }
+    public decimal CountedAmount { get; set; }
+    public decimal OpeningFloat { get; set; }
+    public string? Notes { get; set; }
+}
+
+/// <summary>
+/// One payment method's takings for the day against the price in effect
+/// </summary>
+public class ReconciliationMethod
+{
+    public string PaymentMethod { get; set; } = string.Empty;
+    public string DisplayName { get; set; } = string.Empty;
+    public decimal? PricePerRide { get; set; }
+    public int ConfirmedCount { get; set; }
+    public decimal ConfirmedAmount { get; set; }
+    public decimal? ExpectedAmount { get; set; }
+    public decimal? Variance { get; set; }
+    public int OffPriceCount { get; set; }
+    public int DiscountedCount { get; set; }
+    public decimal DiscountAmount { get; set; }
+    public int RefundedCount { get; set; }
+    public decimal RefundedAmount { get; set; }
+    public decimal NetAmount { get; set; }
+    public int DeniedCount { get; set; }
+    public int PendingCount { get; set; }
+}
+
+/// <summary>
+/// Day totals across payment methods
+/// </summary>
+public class ReconciliationTotals
+{
+    public int ConfirmedCount { get; set; }
+    public decimal ConfirmedAmount { get; set; }
+    public int RefundedCount { get; set; }
+    public decimal RefundedAmount { get; set; }
+    public decimal NetAmount { get; set; }
+    public int DiscountedCount { get; set; }
+    public decimal DiscountAmount { get; set; }
+    public int CompedCount { get; set; }
+    public int DeniedCount { get; set; }
+    public int PendingCount { get; set; }
+}
+
+/// <summary>
+/// Cash the drawer should hold against what was counted; Counted is null until the drawer is counted
+/// </summary>
+public class CashDrawerSummary
+{
+    public decimal OpeningFloat { get; set; }
+    public decimal Expected { get; set; }
+    public decimal? Counted { get; set; }
+    public decimal? Difference { get; set; }
+    public string? CountedBy { get; set; }
+    public DateTime? CountedAt { get; set; }
+    public string? Notes { get; set; }
+}
+
+/// <summary>
+/// Promo code used on the day's paid rides and what it took off
+/// </summary>
+public class PromoCodeUsage
+{
+    public string Code { get; set; } = string.Empty;
+    public int Uses { get; set; }
+    public decimal DiscountAmount { get; set; }
+}
+
+/// <summary>
+/// Ride given free by sales
+/// </summary>
+public class CompedRide
+{
+    public int PaymentId { get; set; }
+    public string? CustomerName { get; set; }
+    public string? ReasonCode { get; set; }
+    public string? Notes { get; set; }
+    public string ConfirmedBy { get; set; } = string.Empty;
+    public DateTime ConfirmedAt { get; set; }
+}
+
+/// <summary>
+/// Refund requested or resolved during the day
+/// </summary>
+public class ReconciliationRefund
+{
+    public int RefundRequestId { get; set; }
+    public int PaymentId { get; set; }
+    public string? CustomerName { get; set; }
+    public string? PaymentMethod { get; set; }
+    public decimal Amount { get; set; }
+    public string Status { get; set; } = string.Empty;
+    public DateTime RequestedAt { get; set; }
+    public string? ResolvedBy { get; set; }
+    public DateTime? ResolvedAt { get; set; }
+}
+
+/// <summary>
+/// Payment denied during the day
+/// </summary>
+public class ReconciliationDenial
+{
+    public int PaymentId { get; set; }
+    public string? CustomerName { get; set; }
+    public string PaymentMethod { get; set; } = string.Empty;
+    public decimal Amount { get; set; }
+    public string? DenialReasonCode { get; set; }
+    public string DeniedBy { get; set; } = string.Empty;
+    public DateTime DeniedAt { get; set; }
+}
+
+/// <summary>
+/// App payment to check against the provider statement; ExternalTransactionId is null where none was given
+/// </summary>
+public class ExternalTransaction
+{
+    public int PaymentId { get; set; }
+    public string? CustomerName { get; set; }
+    public string PaymentMethod { get; set; } = string.Empty;
+    public string? ExternalTransactionId { get; set; }
+    public decimal Amount { get; set; }
+    public string Status { get; set; } = string.Empty;
+    public DateTime ConfirmedAt { get; set; }
+}
+
+/// <summary>
+/// End-of-day reconciliation for one business day
+/// </summary>
+public class ReconciliationReport
+{
+    public string Date { get; set; } = string.Empty;
+    public DateTime GeneratedAt { get; set; }
+    public List<ReconciliationMethod> Methods { get; set; } = new List<ReconciliationMethod>();
+    public ReconciliationTotals Totals { get; set; } = new ReconciliationTotals();
+    public CashDrawerSummary Cash { get; set; } = new CashDrawerSummary();
+    public List<PromoCodeUsage> PromoCodes { get; set; } = new List<PromoCodeUsage>();
+    public List<CompedRide> CompedRides { get; set; } = new List<CompedRide>();
+    public List<ReconciliationRefund> Refunds { get; set; } = new List<ReconciliationRefund>();
+    public List<ReconciliationDenial> Denials { get; set; } = new List<ReconciliationDenial>();
+    public List<ExternalTransaction> ExternalTransactions { get; set; } = new List<ExternalTransaction>();
+}
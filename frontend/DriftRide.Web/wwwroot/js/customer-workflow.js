@@ -12,7 +12,11 @@ const CustomerWorkflow = {
         currentStep: 1,
         customerId: null,
         paymentId: null,
+        retryOfPaymentId: null,
         selectedPaymentMethod: null,
+        paymentMethods: {},
+        priceQuotes: {},
+        promoCheck: null,
         connection: null
     },
 
@@ -21,7 +25,19 @@ const CustomerWorkflow = {
         name: '',
         phoneNumber: '',
         paymentMethod: '',
-        ridePrice: 25.00
+        ridePrice: 25.00,
+        rideCount: 1,
+        promoCode: null
+    },
+
+    // What the customer should fix for each PaymentDenialReason
+    denialMessages: {
+        AmountIncorrect: "The amount we received didn't match the ride price. Please send the full amount and resubmit.",
+        PaymentNotReceived: "We couldn't find your payment yet. Check that it went through in your payment app, then resubmit.",
+        InvalidTransactionId: "We couldn't match your transaction. Check the payment in your payment app, then resubmit.",
+        DuplicatePayment: 'This payment looks like one we have already counted. Please make a new payment and resubmit.',
+        CustomerNotPresent: "Our team couldn't find you at the sales counter. Please come to the counter, then resubmit.",
+        PaymentMethodNotAccepted: "We can't accept that payment method right now. Please choose another one and resubmit."
     },
 
     /**
@@ -56,6 +72,14 @@ const CustomerWorkflow = {
             this.proceedToPaymentConfirmation();
         });
 
+        document.getElementById('applyPromoBtn').addEventListener('click', () => {
+            this.applyPromoCode();
+        });
+
+        document.getElementById('removePromoBtn').addEventListener('click', () => {
+            this.removePromoCode();
+        });
+
         // Step 3: Payment Confirmation
         document.getElementById('backToPaymentBtn').addEventListener('click', () => {
             this.goToStep(2);
@@ -69,6 +93,19 @@ const CustomerWorkflow = {
             this.confirmPayment();
         });
 
+        document.getElementById('newCustomerBtn').addEventListener('click', () => {
+            this.confirmPayment({ allowDuplicate: true });
+        });
+
+        // Step 4: Queue Status
+        document.getElementById('leaveQueueBtn').addEventListener('click', () => {
+            this.leaveQueue();
+        });
+
+        document.getElementById('resubmitPaymentBtn').addEventListener('click', () => {
+            this.resubmitPayment();
+        });
+
         // Phone number formatting
         document.getElementById('customerPhone').addEventListener('input', this.formatPhoneNumber);
 
@@ -97,6 +134,9 @@ const CustomerWorkflow = {
                         this.customerData.ridePrice = result.data[0].pricePerRide || 25.00;
                         document.getElementById('ridePrice').textContent = this.customerData.ridePrice.toFixed(2);
                     }
+
+                    // Then the price actually in effect, with happy hours and surcharges
+                    await this.loadPrices();
                 } else {
                     this.showError(result.message || 'Unable to load payment methods. Please refresh the page.');
                 }
@@ -105,12 +145,178 @@ const CustomerWorkflow = {
             }
         } catch (error) {
             console.error('Error loading payment methods:', error);
-            this.renderDefaultPaymentMethods();
+            this.showError('Unable to load payment methods. Please refresh the page.');
         } finally {
             this.hideLoading();
         }
     },
 
+    /**
+     * Load the price in effect now for each payment method. Pricing rules open
+     * and close during the day, so this is fetched fresh rather than cached.
+     */
+    loadPrices: async function() {
+        try {
+            const response = await fetch('/PaymentConfiguration/GetCurrentPrices');
+            const result = await response.json();
+
+            if (result.success && result.data) {
+                this.config.priceQuotes = {};
+                result.data.forEach(quote => {
+                    this.config.priceQuotes[quote.paymentMethod] = quote;
+                });
+                this.updatePriceDisplay();
+            }
+        } catch (error) {
+            // Keep showing the configured price
+            console.error('Error loading current prices:', error);
+        }
+    },
+
+    /**
+     * Quote for the selected payment method, or the first one before a choice is made
+     */
+    currentQuote: function() {
+        const quotes = this.config.priceQuotes;
+        return quotes[this.config.selectedPaymentMethod] || Object.values(quotes)[0] || null;
+    },
+
+    /**
+     * Amount to pay: the bundle price for a bundle, otherwise the ride price,
+     * less the applied promo code's discount
+     */
+    paymentAmount: function() {
+        const quote = this.currentQuote();
+        const bundle = quote && quote.bundles.find(b => b.rideCount === this.customerData.rideCount);
+        const subtotal = bundle ? bundle.price : this.customerData.ridePrice * this.customerData.rideCount;
+        const discount = this.config.promoCheck ? this.config.promoCheck.discountAmount : 0;
+        return Math.round(Math.max(0, subtotal - discount) * 100) / 100;
+    },
+
+    /**
+     * Apply the promo code the customer entered
+     */
+    applyPromoCode: async function() {
+        const code = document.getElementById('promoCodeInput').value.trim();
+        if (!code) {
+            this.setFieldError('promoCodeInput', 'Enter a promo code');
+            return;
+        }
+
+        this.customerData.promoCode = code;
+        await this.refreshPromoCode();
+    },
+
+    removePromoCode: function() {
+        this.customerData.promoCode = null;
+        this.config.promoCheck = null;
+        document.getElementById('promoCodeInput').value = '';
+        this.clearFieldError('promoCodeInput');
+        this.renderPromoStatus();
+    },
+
+    /**
+     * Check the applied code against the rides and method chosen now, since the
+     * discount depends on both. Returns false when the code can no longer be used.
+     */
+    refreshPromoCode: async function() {
+        if (!this.customerData.promoCode) {
+            return true;
+        }
+
+        const quote = this.currentQuote();
+        try {
+            const response = await fetch('/PaymentConfiguration/CheckPromoCode', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    code: this.customerData.promoCode,
+                    paymentMethod: this.config.selectedPaymentMethod || (quote && quote.paymentMethod),
+                    rideCount: this.customerData.rideCount
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.config.promoCheck = result.data;
+                this.clearFieldError('promoCodeInput');
+            } else {
+                this.config.promoCheck = null;
+                this.customerData.promoCode = null;
+                this.setFieldError('promoCodeInput', result.message || 'This promo code cannot be used');
+            }
+        } catch (error) {
+            console.error('Error checking promo code:', error);
+            this.config.promoCheck = null;
+            this.customerData.promoCode = null;
+            this.setFieldError('promoCodeInput', 'Unable to check the promo code right now');
+        }
+
+        this.renderPromoStatus();
+        return this.config.promoCheck !== null;
+    },
+
+    /**
+     * Show the applied code and what it takes off
+     */
+    renderPromoStatus: function() {
+        const check = this.config.promoCheck;
+        const status = document.getElementById('promoCodeStatus');
+
+        status.classList.toggle('d-none', !check);
+        document.getElementById('removePromoBtn').classList.toggle('d-none', !check);
+        status.innerHTML = check ? `
+            <span class="badge bg-success me-1">${escapeHtml(check.code)}</span>
+            ${check.description ? `${escapeHtml(check.description)}: ` : ''}-$${check.discountAmount.toFixed(2)},
+            you pay <strong>$${check.amountDue.toFixed(2)}</strong>
+        ` : '';
+    },
+
+    /**
+     * Show the ride price in effect, the rules that set it and any bundles on offer
+     */
+    updatePriceDisplay: function() {
+        const quote = this.currentQuote();
+        if (!quote) {
+            return;
+        }
+
+        this.customerData.ridePrice = quote.price;
+        document.getElementById('ridePrice').textContent = quote.price.toFixed(2);
+
+        document.getElementById('priceAdjustments').innerHTML = quote.adjustments.map(adjustment => `
+            <span class="badge ${adjustment.amount < 0 ? 'bg-success' : 'bg-warning text-dark'} me-1">
+                ${escapeHtml(adjustment.name)}: ${adjustment.amount < 0 ? '-' : '+'}$${Math.abs(adjustment.amount).toFixed(2)}
+            </span>
+        `).join('');
+
+        // A bundle no longer on offer falls back to a single ride
+        if (!quote.bundles.some(b => b.rideCount === this.customerData.rideCount)) {
+            this.customerData.rideCount = 1;
+        }
+
+        const bundleOptions = document.getElementById('bundleOptions');
+        bundleOptions.classList.toggle('d-none', quote.bundles.length === 0);
+        bundleOptions.innerHTML = quote.bundles.length === 0 ? '' : `
+            <h6 class="mb-2">How many rides?</h6>
+            ${[{ rideCount: 1, name: 'Single ride', price: quote.price }, ...quote.bundles].map(option => `
+                <div class="form-check">
+                    <input class="form-check-input" type="radio" name="rideCount" id="rideCount${option.rideCount}"
+                           value="${option.rideCount}" ${option.rideCount === this.customerData.rideCount ? 'checked' : ''}>
+                    <label class="form-check-label" for="rideCount${option.rideCount}">
+                        ${escapeHtml(option.name)}: ${option.rideCount > 1 ? `${option.rideCount} rides for ` : ''}$${option.price.toFixed(2)}
+                    </label>
+                </div>
+            `).join('')}
+        `;
+        bundleOptions.querySelectorAll('input[name="rideCount"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.customerData.rideCount = parseInt(input.value);
+                this.refreshPromoCode();
+            });
+        });
+    },
+
     /**
      * Render payment method options
      */
@@ -119,19 +325,30 @@ const CustomerWorkflow = {
         const template = document.getElementById('paymentTemplate');
 
         // Clear existing methods except template
-        const existingMethods = paymentMethodsContainer.querySelectorAll('.payment-card:not(#paymentTemplate)');
+        const existingMethods = paymentMethodsContainer.querySelectorAll('.payment-option:not(#paymentTemplate)');
         existingMethods.forEach(method => method.remove());
 
+        this.config.paymentMethods = {};
         methods.forEach(method => {
             if (method.isEnabled) {
+                this.config.paymentMethods[method.method] = method;
                 const methodElement = this.createPaymentMethodElement(method);
                 paymentMethodsContainer.appendChild(methodElement);
             }
         });
 
-        // If no methods loaded, show defaults
-        if (methods.length === 0) {
-            this.renderDefaultPaymentMethods();
+        // Staff may have removed or disabled the method the customer picked
+        const selected = this.config.selectedPaymentMethod;
+        if (selected && this.config.paymentMethods[selected]) {
+            paymentMethodsContainer.querySelector(`.payment-card[data-method="${selected}"]`).classList.add('selected');
+        } else if (selected) {
+            this.config.selectedPaymentMethod = null;
+            this.customerData.paymentMethod = '';
+            document.getElementById('proceedPaymentBtn').disabled = true;
+        }
+
+        if (Object.keys(this.config.paymentMethods).length === 0) {
+            this.showError('No payment methods are available right now. Please see our sales team.');
         }
     },
 
@@ -153,24 +370,12 @@ const CustomerWorkflow = {
         const name = clone.querySelector('.payment-name');
         const description = clone.querySelector('.payment-description');
 
-        // Set icon based on payment method
-        switch (method.method.toLowerCase()) {
-            case 'cashapp':
-                icon.className = 'fas fa-mobile-alt payment-icon-img';
-                description.textContent = 'Pay with CashApp - Quick & Secure';
-                break;
-            case 'paypal':
-                icon.className = 'fab fa-paypal payment-icon-img';
-                description.textContent = 'Pay with PayPal - Trusted Worldwide';
-                break;
-            case 'cash':
-            case 'cashinhand':
-                icon.className = 'fas fa-money-bill payment-icon-img';
-                description.textContent = 'Pay with Cash - At the Counter';
-                break;
-            default:
-                icon.className = 'fas fa-credit-card payment-icon-img';
-                description.textContent = 'Secure Payment Method';
+        if (method.isCash) {
+            icon.className = 'fas fa-money-bill payment-icon-img';
+            description.textContent = 'Pay with Cash - At the Counter';
+        } else {
+            icon.className = 'fas fa-mobile-alt payment-icon-img';
+            description.textContent = 'Pay in Your Payment App';
         }
 
         name.textContent = method.displayName || method.method;
@@ -183,19 +388,6 @@ const CustomerWorkflow = {
         return clone;
     },
 
-    /**
-     * Render default payment methods if API fails
-     */
-    renderDefaultPaymentMethods: function() {
-        const defaultMethods = [
-            { method: 'CashApp', displayName: 'CashApp', isEnabled: true, paymentUrl: '' },
-            { method: 'PayPal', displayName: 'PayPal', isEnabled: true, paymentUrl: '' },
-            { method: 'Cash', displayName: 'Cash in Hand', isEnabled: true, paymentUrl: '' }
-        ];
-
-        this.renderPaymentMethods(defaultMethods);
-    },
-
     /**
      * Select a payment method
      */
@@ -209,6 +401,8 @@ const CustomerWorkflow = {
         cardElement.classList.add('selected');
         this.config.selectedPaymentMethod = method;
         this.customerData.paymentMethod = method;
+        this.updatePriceDisplay();
+        this.refreshPromoCode();
 
         // Enable proceed button
         document.getElementById('proceedPaymentBtn').disabled = false;
@@ -249,104 +443,99 @@ const CustomerWorkflow = {
     /**
      * Proceed to payment confirmation step
      */
-    proceedToPaymentConfirmation: function() {
+    proceedToPaymentConfirmation: async function() {
         if (!this.config.selectedPaymentMethod) {
             this.showError('Please select a payment method');
             return;
         }
 
+        // The price may have changed while the customer was choosing
+        await this.loadPrices();
+        if (!await this.refreshPromoCode()) {
+            this.showError('Your promo code can no longer be used. Remove it or try another one.');
+            return;
+        }
         this.setupPaymentInstructions();
         this.goToStep(3);
     },
 
     /**
-     * Setup payment instructions based on selected method
+     * Show the selected method's instructions. Staff write them as one step
+     * per line with {amount}, {displayName} and {paymentUrl} placeholders.
      */
     setupPaymentInstructions: function() {
         const instructionsContainer = document.getElementById('paymentInstructions');
-        const method = this.config.selectedPaymentMethod.toLowerCase();
-
-        let instructions = '';
-
-        switch (method) {
-            case 'cashapp':
-                instructions = `
-                    <h5 class="text-primary mb-3">📱 CashApp Payment</h5>
-                    <p>1. Tap the button below to open CashApp</p>
-                    <p>2. Send <strong>$${this.customerData.ridePrice.toFixed(2)}</strong> to our CashApp account</p>
-                    <p>3. Return here and check the confirmation box</p>
-                    <button class="btn btn-success btn-lg mt-3" onclick="CustomerWorkflow.openPaymentApp('cashapp')">
-                        Open CashApp <i class="fas fa-external-link-alt ms-2"></i>
-                    </button>
-                `;
-                break;
-            case 'paypal':
-                instructions = `
-                    <h5 class="text-primary mb-3">💙 PayPal Payment</h5>
-                    <p>1. Tap the button below to open PayPal</p>
-                    <p>2. Send <strong>$${this.customerData.ridePrice.toFixed(2)}</strong> to our PayPal account</p>
-                    <p>3. Return here and check the confirmation box</p>
-                    <button class="btn btn-primary btn-lg mt-3" onclick="CustomerWorkflow.openPaymentApp('paypal')">
-                        Open PayPal <i class="fas fa-external-link-alt ms-2"></i>
-                    </button>
-                `;
-                break;
-            case 'cash':
-            case 'cashinhand':
-                instructions = `
-                    <h5 class="text-primary mb-3">💵 Cash Payment</h5>
-                    <p>1. Please proceed to our sales counter</p>
-                    <p>2. Pay <strong>$${this.customerData.ridePrice.toFixed(2)}</strong> in cash</p>
-                    <p>3. Return here and check the confirmation box</p>
-                    <div class="alert alert-info mt-3">
-                        <i class="fas fa-info-circle me-2"></i>
-                        Our sales team will verify your cash payment
-                    </div>
-                `;
-                break;
-        }
-
-        instructionsContainer.innerHTML = instructions;
-    },
-
-    /**
-     * Open payment app (CashApp or PayPal)
-     */
-    openPaymentApp: function(method) {
-        // Get payment URL from the selected card
-        const selectedCard = document.querySelector('.payment-card.selected');
-        const paymentUrl = selectedCard ? selectedCard.dataset.url : '';
-
-        if (paymentUrl) {
-            window.open(paymentUrl, '_blank');
-        } else {
-            // Fallback to app schemes
-            const appUrls = {
-                'cashapp': 'https://cash.app/',
-                'paypal': 'https://paypal.me/'
-            };
-
-            if (appUrls[method]) {
-                window.open(appUrls[method], '_blank');
-            }
+        const method = this.config.paymentMethods[this.config.selectedPaymentMethod];
+        const rideCount = this.customerData.rideCount;
+        const promo = this.config.promoCheck;
+        const amount = `$${this.paymentAmount().toFixed(2)}${rideCount > 1 ? ` for ${rideCount} rides` : ''}`
+            + (promo ? ` (${escapeHtml(promo.code)} applied)` : '');
+
+        // Placeholders are filled in after escaping, so staff text cannot add markup
+        const values = {
+            amount: `<strong>${amount}</strong>`,
+            displayName: escapeHtml(method.displayName),
+            paymentUrl: escapeHtml(method.paymentUrl)
+        };
+        const steps = method.instructions.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => escapeHtml(line).replace(/\{(amount|displayName|paymentUrl)\}/g, (match, name) => values[name]));
+
+        instructionsContainer.innerHTML = `
+            <h5 class="text-primary mb-3">
+                <i class="fas fa-${method.isCash ? 'money-bill' : 'mobile-alt'} me-2"></i>${escapeHtml(method.displayName)}
+            </h5>
+            <ol class="text-start">
+                ${steps.map(step => `<li class="mb-2">${step}</li>`).join('')}
+            </ol>
+            ${method.paymentUrl && !method.isCash ? `
+                <button class="btn btn-primary btn-lg mt-3" onclick="CustomerWorkflow.openPaymentApp()">
+                    Open ${escapeHtml(method.displayName)} <i class="fas fa-external-link-alt ms-2"></i>
+                </button>
+            ` : ''}
+            ${method.isCash ? `
+                <div class="alert alert-info mt-3">
+                    <i class="fas fa-info-circle me-2"></i>
+                    Our sales team will verify your cash payment
+                </div>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Open the selected method's payment page
+     */
+    openPaymentApp: function() {
+        const method = this.config.paymentMethods[this.config.selectedPaymentMethod];
+        if (method && method.paymentUrl) {
+            window.open(method.paymentUrl, '_blank');
         }
     },
 
     /**
      * Confirm payment and submit to backend
      */
-    confirmPayment: async function() {
+    confirmPayment: async function(customerOptions = {}) {
         try {
             this.showLoading();
+            document.getElementById('duplicateCustomerPrompt').classList.add('d-none');
+
+            // Step 1: Create customer, or find out they have ridden before.
+            // A resubmission stays with the customer of the denied payment.
+            if (!this.config.retryOfPaymentId) {
+                const customerResponse = await this.createCustomer(customerOptions);
+                if (!customerResponse.success && customerResponse.possibleDuplicates?.length > 0) {
+                    this.showDuplicateCustomerPrompt(customerResponse.possibleDuplicates);
+                    return;
+                }
+                if (!customerResponse.success) {
+                    throw new Error(customerResponse.message || 'Failed to create customer');
+                }
 
-            // Step 1: Create customer
-            const customerResponse = await this.createCustomer();
-            if (!customerResponse.success) {
-                throw new Error(customerResponse.message || 'Failed to create customer');
+                this.config.customerId = customerResponse.data.id;
             }
 
-            this.config.customerId = customerResponse.data.id;
-
             // Step 2: Process payment
             const paymentResponse = await this.processPayment();
             if (!paymentResponse.success) {
@@ -354,6 +543,8 @@ const CustomerWorkflow = {
             }
 
             this.config.paymentId = paymentResponse.data.id;
+            this.config.retryOfPaymentId = null;
+            this.joinCustomerGroups();
 
             // Move to queue status step
             this.goToStep(4);
@@ -366,10 +557,48 @@ const CustomerWorkflow = {
         }
     },
 
+    /**
+     * Ask a customer whose details match an earlier record whether it is
+     * theirs. Only records with the same phone number can be continued; for
+     * the rest staff can merge the records later.
+     */
+    showDuplicateCustomerPrompt: function(possibleDuplicates) {
+        const prompt = document.getElementById('duplicateCustomerPrompt');
+        const list = prompt.querySelector('.duplicate-customer-list');
+        list.innerHTML = '';
+
+        possibleDuplicates.forEach(duplicate => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+            const label = document.createElement('span');
+            label.textContent = `${duplicate.name}, joined ${new Date(duplicate.createdAt).toLocaleDateString()}`;
+            item.appendChild(label);
+
+            if (duplicate.matchedOn.includes('PhoneNumber')) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-primary';
+                button.textContent = "That's me";
+                button.addEventListener('click', () => this.confirmPayment({ existingCustomerId: duplicate.id }));
+                item.appendChild(button);
+            } else {
+                const hint = document.createElement('small');
+                hint.className = 'text-muted';
+                hint.textContent = 'Different phone number: continue as new and staff can link them';
+                item.appendChild(hint);
+            }
+
+            list.appendChild(item);
+        });
+
+        prompt.classList.remove('d-none');
+    },
+
     /**
      * Create customer via API
      */
-    createCustomer: async function() {
+    createCustomer: async function(customerOptions = {}) {
         const response = await fetch('/Customer/CreateCustomer', {
             method: 'POST',
             headers: {
@@ -378,7 +607,9 @@ const CustomerWorkflow = {
             },
             body: JSON.stringify({
                 name: this.customerData.name,
-                phoneNumber: this.customerData.phoneNumber
+                phoneNumber: this.customerData.phoneNumber,
+                existingCustomerId: customerOptions.existingCustomerId || null,
+                allowDuplicate: !!customerOptions.allowDuplicate
             })
         });
 
@@ -397,14 +628,68 @@ const CustomerWorkflow = {
             },
             body: JSON.stringify({
                 customerId: this.config.customerId,
-                amount: this.customerData.ridePrice,
-                paymentMethod: this.customerData.paymentMethod
+                amount: this.paymentAmount(),
+                paymentMethod: this.customerData.paymentMethod,
+                rideCount: this.customerData.rideCount,
+                promoCode: this.customerData.promoCode,
+                retryOfPaymentId: this.config.retryOfPaymentId
             })
         });
 
         return await response.json();
     },
 
+    /**
+     * Leave the queue before the ride starts; a paid place opens a refund request
+     */
+    leaveQueue: async function() {
+        if (!confirm('Leave the queue? You will lose your place and our sales team will review a refund.')) {
+            return;
+        }
+
+        try {
+            this.showLoading();
+
+            const response = await fetch('/Customer/LeaveQueue', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': document.querySelector('[name="__RequestVerificationToken"]')?.value || ''
+                },
+                body: JSON.stringify({
+                    customerId: this.config.customerId,
+                    phoneNumber: this.customerData.phoneNumber
+                })
+            });
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message || 'Unable to leave the queue');
+            }
+
+            this.showLeftQueue(result.data.refundRequest);
+        } catch (error) {
+            console.error('Leave queue error:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Show that the customer left the queue and where their refund stands
+     */
+    showLeftQueue: function(refundRequest) {
+        document.getElementById('queuePositionDisplay').classList.add('d-none');
+        document.getElementById('queueStatusTitle').style.display = 'none';
+        document.getElementById('queueStatusMessage').style.display = 'none';
+        document.getElementById('leftQueueDisplay').classList.remove('d-none');
+
+        document.getElementById('refundStatusMessage').textContent = refundRequest
+            ? `A refund of $${refundRequest.amount.toFixed(2)} has been requested. Our sales team will review it shortly.`
+            : 'Your place has been given up.';
+    },
+
     /**
      * Setup SignalR connection for real-time updates
      */
@@ -464,6 +749,21 @@ const CustomerWorkflow = {
             this.handleConfigurationChange(notification);
         });
 
+        // Handle refund decisions after leaving the queue
+        this.config.connection.on('RefundStatusChanged', (notification) => {
+            this.handleRefundStatusChange(notification);
+        });
+
+        // Handle staff merging this customer record into another
+        this.config.connection.on('CustomerMerged', (notification) => {
+            this.handleCustomerMerged(notification);
+        });
+
+        // Handle notifications addressed to this customer (no-shows etc.)
+        this.config.connection.on('CustomerNotification', (notification) => {
+            this.handleCustomerNotification(notification);
+        });
+
         // Handle service issues
         this.config.connection.on('ServiceIssue', (notification) => {
             this.handleServiceIssue(notification);
@@ -500,7 +800,7 @@ const CustomerWorkflow = {
             );
 
             if (ourEntry) {
-                this.updateQueueDisplay(ourEntry.position, notification.queueEntries.length);
+                this.updateQueueDisplay(ourEntry.position, notification.queueEntries.length, ourEntry.estimatedStartAt);
             }
         }
     },
@@ -513,7 +813,9 @@ const CustomerWorkflow = {
             if (notification.status === 'Confirmed') {
                 this.showPaymentConfirmed();
             } else if (notification.status === 'Denied') {
-                this.showPaymentDenied();
+                this.showPaymentDenied(notification.denialReasonCode, notification.confirmationNotes);
+            } else if (notification.status === 'Pending') {
+                this.showPaymentPending();
             }
         }
     },
@@ -524,6 +826,18 @@ const CustomerWorkflow = {
     handleConfigurationChange: function(notification) {
         console.log('Configuration changed:', notification);
 
+        // Keep the price shown while paying the one in effect
+        if (['PricingRule', 'PromoCode'].includes(notification.configType) && this.config.currentStep === 3) {
+            const previousAmount = this.paymentAmount();
+            this.loadPrices().then(() => this.refreshPromoCode()).then(() => {
+                if (this.paymentAmount() !== previousAmount) {
+                    this.setupPaymentInstructions();
+                    this.showInfo(`The price is now $${this.paymentAmount().toFixed(2)}`);
+                }
+            });
+            return;
+        }
+
         // Only refresh if we're still on step 2 (payment method selection)
         if (this.config.currentStep === 2) {
             // Silently refresh payment methods in the background
@@ -537,9 +851,9 @@ const CustomerWorkflow = {
     },
 
     /**
-     * Update queue position display
+     * Update queue position display with the predicted ride start, if known
      */
-    updateQueueDisplay: function(position, totalInQueue) {
+    updateQueueDisplay: function(position, totalInQueue, estimatedStartAt) {
         document.getElementById('queueSpinner').style.display = 'none';
         document.getElementById('queueStatusTitle').textContent = "You're in the queue!";
         document.getElementById('queueStatusMessage').textContent = 'Get ready for an awesome drift ride!';
@@ -550,10 +864,18 @@ const CustomerWorkflow = {
         document.getElementById('yourPosition').textContent = position;
         document.getElementById('peopleAhead').textContent = position - 1;
 
-        // Estimate wait time (assuming 5 minutes per ride)
-        const estimatedMinutes = (position - 1) * 5;
-        const waitTime = estimatedMinutes > 0 ? `${estimatedMinutes} minutes` : 'You\'re next!';
-        document.getElementById('estimatedWait').textContent = waitTime;
+        if (!estimatedStartAt) {
+            document.getElementById('estimatedWait').textContent = 'Waiting for a car to become available';
+            document.getElementById('estimatedStart').textContent = 'To be confirmed';
+            return;
+        }
+
+        const startAt = new Date(estimatedStartAt);
+        const estimatedMinutes = Math.max(0, Math.round((startAt - Date.now()) / 60000));
+        document.getElementById('estimatedWait').textContent =
+            estimatedMinutes > 0 ? `About ${estimatedMinutes} minutes` : 'You\'re next!';
+        document.getElementById('estimatedStart').textContent =
+            `Around ${startAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
     },
 
     /**
@@ -566,13 +888,52 @@ const CustomerWorkflow = {
     },
 
     /**
-     * Show payment denied status
+     * Back to waiting for verification, after staff undo a confirmation or denial
+     */
+    showPaymentPending: function() {
+        document.getElementById('paymentDeniedDisplay').classList.add('d-none');
+        document.getElementById('queuePositionDisplay').classList.add('d-none');
+        document.getElementById('queueSpinner').style.display = '';
+        document.getElementById('queueStatusTitle').style.display = '';
+        document.getElementById('queueStatusMessage').style.display = '';
+        document.getElementById('queueStatusTitle').textContent = 'Processing Your Payment...';
+        document.getElementById('queueStatusMessage').textContent =
+            'Our sales team is verifying your payment. This usually takes just a moment.';
+    },
+
+    /**
+     * Show payment denied status with what to fix, plus the staff notes
      */
-    showPaymentDenied: function() {
+    showPaymentDenied: function(reasonCode, notes) {
         document.getElementById('queueSpinner').style.display = 'none';
         document.getElementById('queueStatusTitle').style.display = 'none';
         document.getElementById('queueStatusMessage').style.display = 'none';
         document.getElementById('paymentDeniedDisplay').classList.remove('d-none');
+
+        document.getElementById('paymentDeniedReason').textContent = this.denialMessages[reasonCode]
+            || "We couldn't verify your payment. Please fix it and resubmit, or contact our sales team for assistance.";
+
+        const notesElement = document.getElementById('paymentDeniedNotes');
+        notesElement.textContent = notes ? `Note from our team: ${notes}` : '';
+        notesElement.classList.toggle('d-none', !notes);
+    },
+
+    /**
+     * Go back to payment with the denied payment remembered, so staff see
+     * the new payment as the next attempt
+     */
+    resubmitPayment: function() {
+        this.config.retryOfPaymentId = this.config.paymentId;
+        this.config.paymentId = null;
+
+        document.getElementById('paymentDeniedDisplay').classList.add('d-none');
+        document.getElementById('queueSpinner').style.display = '';
+        document.getElementById('queueStatusTitle').style.display = '';
+        document.getElementById('queueStatusMessage').style.display = '';
+        document.getElementById('paymentCompletedCheck').checked = false;
+        document.getElementById('confirmPaymentBtn').disabled = true;
+
+        this.goToStep(2);
     },
 
     /**
@@ -768,9 +1129,9 @@ const CustomerWorkflow = {
     handlePaymentDenied: function(notification) {
         console.log('Payment denied notification received:', notification);
 
-        if (notification.PaymentId === this.config.paymentId) {
-            this.showPaymentDenied();
-            this.showError(`Payment was denied: ${notification.Reason || 'Please contact our sales team for assistance.'}`);
+        if (notification.paymentId === this.config.paymentId) {
+            this.showPaymentDenied(notification.reasonCode, notification.reason);
+            this.showError(`Payment was denied: ${notification.reason || 'Please contact our sales team for assistance.'}`);
 
             // Play error sound if available
             this.playNotificationSound('error');
@@ -783,17 +1144,14 @@ const CustomerWorkflow = {
     handleQueuePositionUpdate: function(notification) {
         console.log('Queue position update received:', notification);
 
-        if (notification.CustomerId === this.config.customerId) {
-            this.updateQueueDisplay(notification.QueuePosition, null);
+        if (notification.customerId === this.config.customerId) {
+            // Updates can carry only a new predicted start
+            const positionChanged = document.getElementById('yourPosition').textContent !== String(notification.queuePosition);
+            this.updateQueueDisplay(notification.queuePosition, null, notification.estimatedStartAt);
 
-            // Update estimated wait time if provided
-            if (notification.EstimatedWaitTime) {
-                const minutes = Math.round(notification.EstimatedWaitTime / 60000); // Convert from milliseconds
-                document.getElementById('estimatedWait').textContent =
-                    minutes > 0 ? `${minutes} minutes` : 'You\'re next!';
+            if (positionChanged) {
+                this.showInfo(`Your queue position has been updated to #${notification.queuePosition}`);
             }
-
-            this.showInfo(`Your queue position has been updated to #${notification.QueuePosition}`);
         }
     },
 
@@ -810,6 +1168,62 @@ const CustomerWorkflow = {
         }
     },
 
+    /**
+     * Handle sales approving or rejecting the customer's refund request
+     */
+    handleRefundStatusChange: function(notification) {
+        if (notification.customerId !== this.config.customerId) {
+            return;
+        }
+
+        const message = notification.status === 'Approved'
+            ? `Your refund of $${notification.amount.toFixed(2)} has been approved.`
+            : `Your refund request was not approved: ${notification.notes}`;
+
+        document.getElementById('refundStatusMessage').textContent = message;
+        this.showNotification(message, notification.status === 'Approved' ? 'success' : 'warning');
+    },
+
+    /**
+     * Staff merged this customer into another record; follow that one instead
+     */
+    handleCustomerMerged: function(notification) {
+        if (notification.customerId !== this.config.customerId) {
+            return;
+        }
+
+        this.config.customerId = notification.mergedIntoCustomerId;
+        this.joinCustomerGroups();
+    },
+
+    /**
+     * Handle notifications sent to this customer, such as a missed ride call
+     */
+    handleCustomerNotification: function(notification) {
+        console.log('Customer notification received:', notification);
+
+        if (notification.customerId !== this.config.customerId) {
+            return;
+        }
+
+        const priorityMap = {
+            'Info': 'info',
+            'Warning': 'warning',
+            'Error': 'error',
+            'Critical': 'error'
+        };
+        this.showNotification(notification.message, priorityMap[notification.priority] || 'info');
+
+        const entry = notification.relatedQueueEntry;
+        if (entry && entry.status === 'Waiting') {
+            this.updateQueueDisplay(entry.position, null, entry.estimatedStartAt);
+        }
+
+        if (notification.requiresAction) {
+            this.playNotificationSound(notification.priority === 'Info' ? 'default' : 'error');
+        }
+    },
+
     /**
      * Handle service issues
      */
@@ -823,10 +1237,10 @@ const CustomerWorkflow = {
             'Critical': 'error'
         };
 
-        const alertType = severityMap[notification.Severity] || 'info';
-        this.showNotification(notification.Message, alertType);
+        const alertType = severityMap[notification.severity] || 'info';
+        this.showNotification(notification.message, alertType);
 
-        if (notification.Severity === 'Critical' || notification.Severity === 'Error') {
+        if (notification.severity === 'Critical' || notification.severity === 'Error') {
             this.playNotificationSound('error');
         }
     },
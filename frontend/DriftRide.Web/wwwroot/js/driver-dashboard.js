@@ -2,10 +2,15 @@
  * Driver Dashboard JavaScript Controller
  * Handles real-time updates, queue management, and ride completion for drivers.
  */
+
+// How long the Undo action stays up; a little under the API's 30-second undo window
+const UNDO_TOAST_MS = 25000;
+
 class DriverDashboard {
     constructor() {
         this.connection = null;
         this.currentCustomer = null;
+        this.car = null;
         this.isConnected = false;
         this.heartbeatInterval = null;
         this.autoRefreshInterval = null;
@@ -17,7 +22,9 @@ class DriverDashboard {
 
         // Bind methods to preserve 'this' context
         this.handleKeyPress = this.handleKeyPress.bind(this);
+        this.startCurrentRide = this.startCurrentRide.bind(this);
         this.completeCurrentRide = this.completeCurrentRide.bind(this);
+        this.markCurrentNoShow = this.markCurrentNoShow.bind(this);
         this.refreshDashboard = this.refreshDashboard.bind(this);
     }
 
@@ -40,9 +47,15 @@ class DriverDashboard {
      * Sets up event listeners for UI interactions
      */
     setupEventListeners() {
-        // Complete ride button
+        // Start, no-show and complete ride buttons (card and quick actions)
         document.addEventListener('click', (e) => {
-            if (e.target.id === 'completeCurrentRideBtn' || e.target.closest('#completeCurrentRideBtn')) {
+            if (e.target.closest('#startCurrentRideBtn, #startRideBtn')) {
+                e.preventDefault();
+                this.startCurrentRide();
+            } else if (e.target.closest('#noShowCurrentRideBtn, #noShowRideBtn')) {
+                e.preventDefault();
+                this.markCurrentNoShow();
+            } else if (e.target.closest('#completeCurrentRideBtn, #completeRideBtn')) {
                 e.preventDefault();
                 this.completeCurrentRide();
             }
@@ -54,6 +67,12 @@ class DriverDashboard {
             refreshBtn.addEventListener('click', () => this.refreshDashboard());
         }
 
+        // Car selector
+        const claimCarBtn = document.getElementById('claimCarBtn');
+        if (claimCarBtn) {
+            claimCarBtn.addEventListener('click', () => this.claimSelectedCar());
+        }
+
         // Emergency button
         const emergencyBtn = document.getElementById('emergencyBtn');
         if (emergencyBtn) {
@@ -76,15 +95,30 @@ class DriverDashboard {
      */
     handleKeyPress(event) {
         // Ignore if user is typing in input fields
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
             return;
         }
 
         switch (event.key) {
+            case 's':
+            case 'S':
+                event.preventDefault();
+                this.startCurrentRide();
+                break;
+            case 'n':
+            case 'N':
+                event.preventDefault();
+                this.markCurrentNoShow();
+                break;
             case ' ': // Space
             case 'Enter':
+                // Next step for the current rider: start, then complete
                 event.preventDefault();
-                this.completeCurrentRide();
+                if (this.isRideInProgress()) {
+                    this.completeCurrentRide();
+                } else {
+                    this.startCurrentRide();
+                }
                 break;
             case 'F5':
                 event.preventDefault();
@@ -203,6 +237,7 @@ class DriverDashboard {
      */
     async loadInitialData() {
         try {
+            await this.loadCars();
             await this.loadCurrentCustomer();
             await this.loadQueueStatus();
             this.updateLastUpdated();
@@ -213,7 +248,7 @@ class DriverDashboard {
     }
 
     /**
-     * Loads current customer data from API
+     * Loads the current customer of the driver's car from API
      */
     async loadCurrentCustomer() {
         try {
@@ -221,6 +256,14 @@ class DriverDashboard {
             const result = await response.json();
 
             if (result.success) {
+                this.car = result.car;
+                this.updateCarDisplay();
+
+                if (!this.car) {
+                    this.showNoCar();
+                    return;
+                }
+
                 this.currentCustomer = result.customer;
                 this.updateCurrentCustomerDisplay();
                 this.updateCompleteButton();
@@ -234,6 +277,104 @@ class DriverDashboard {
         }
     }
 
+    /**
+     * Loads cars into the car selector
+     */
+    async loadCars() {
+        try {
+            const response = await fetch('/Driver/GetCars');
+            const result = await response.json();
+
+            if (result.success) {
+                this.renderCarSelector(result.cars);
+            } else {
+                console.error('Failed to load cars:', result.error);
+            }
+        } catch (error) {
+            console.error('Error loading cars:', error);
+        }
+    }
+
+    /**
+     * Fills the car selector; cars driven by someone else cannot be chosen
+     */
+    renderCarSelector(cars) {
+        const select = document.getElementById('carSelect');
+        if (!select) return;
+
+        select.replaceChildren(new Option('Choose a car...', ''), ...cars.map(car => {
+            let label = car.name;
+            if (car.isMine) {
+                label += ' (you)';
+            } else if (!car.isActive) {
+                label += ' (inactive)';
+            } else if (car.driverName) {
+                label += ` (${car.driverName})`;
+            }
+
+            // Option text is set as text, so names need no escaping
+            const option = new Option(label, car.id, false, car.isMine);
+            option.disabled = !car.isMine && !car.isAvailable;
+            return option;
+        }));
+    }
+
+    /**
+     * Starts driving the car chosen in the selector
+     */
+    async claimSelectedCar() {
+        const select = document.getElementById('carSelect');
+        const carId = select ? parseInt(select.value, 10) : NaN;
+
+        if (!carId) {
+            this.showNotification('Choose a car first', 'warning');
+            return;
+        }
+
+        if (this.car && this.car.id === carId) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/Driver/ClaimCar', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ carId })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification(`You are now driving ${result.car.name}`, 'success');
+                await this.refreshDashboard();
+            } else {
+                this.showNotification(result.error || 'Failed to claim car', 'error');
+                await this.loadCars();
+            }
+        } catch (error) {
+            console.error('Error claiming car:', error);
+            this.showNotification('Connection error while claiming car', 'error');
+        }
+    }
+
+    /**
+     * Shows which car the driver is driving
+     */
+    updateCarDisplay() {
+        const carName = this.car ? this.car.name : null;
+
+        const badge = document.getElementById('currentCarName');
+        if (badge) {
+            badge.textContent = carName || 'No car selected';
+        }
+
+        const cardLabel = document.getElementById('currentCustomerCar');
+        if (cardLabel) {
+            cardLabel.textContent = carName || '';
+        }
+    }
+
     /**
      * Loads queue status and statistics
      */
@@ -252,6 +393,122 @@ class DriverDashboard {
         }
     }
 
+    /**
+     * Whether the current customer's ride has been started
+     */
+    isRideInProgress() {
+        return !!this.currentCustomer && this.currentCustomer.status === 'InProgress';
+    }
+
+    /**
+     * Starts the ride for the current customer
+     */
+    async startCurrentRide() {
+        if (!this.currentCustomer) {
+            this.showNotification('No customer to start', 'warning');
+            return;
+        }
+
+        if (this.isRideInProgress()) {
+            this.showNotification('Ride already in progress', 'info');
+            return;
+        }
+
+        const startBtn = document.getElementById('startCurrentRideBtn');
+        if (startBtn) {
+            startBtn.disabled = true;
+            startBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Starting...';
+        }
+
+        try {
+            const response = await fetch('/Driver/StartRide', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    queueEntryId: this.currentCustomer.queueEntryId
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentCustomer.status = result.startedEntry.status;
+                this.currentCustomer.startedAt = result.startedEntry.startedAt;
+                this.updateCurrentCustomerDisplay();
+                this.updateCompleteButton();
+                this.showNotification(`Ride started for ${this.currentCustomer.customerName}`, 'success');
+            } else {
+                console.error('Failed to start ride:', result.error);
+                this.showNotification(result.error || 'Failed to start ride', 'error');
+                this.loadCurrentCustomer();
+            }
+        } catch (error) {
+            console.error('Error starting ride:', error);
+            this.showNotification('Connection error while starting ride', 'error');
+            this.updateCurrentCustomerDisplay();
+        }
+    }
+
+    /**
+     * Marks the current customer as a no-show. The API moves them back in the
+     * queue, or cancels their entry once they have missed too many calls.
+     */
+    async markCurrentNoShow() {
+        if (!this.currentCustomer) {
+            this.showNotification('No customer to mark as a no-show', 'warning');
+            return;
+        }
+
+        if (this.isRideInProgress()) {
+            this.showNotification('Ride already in progress', 'info');
+            return;
+        }
+
+        const customer = this.currentCustomer;
+        if (!confirm(`Mark ${customer.customerName} as a no-show?`)) {
+            return;
+        }
+
+        const noShowBtn = document.getElementById('noShowCurrentRideBtn');
+        if (noShowBtn) {
+            noShowBtn.disabled = true;
+        }
+
+        try {
+            const response = await fetch('/Driver/MarkNoShow', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    queueEntryId: customer.queueEntryId
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                const entry = result.queueEntry;
+                if (entry.status === 'Cancelled') {
+                    this.showNotification(`${customer.customerName} cancelled after ${entry.missedCount} missed calls`, 'warning');
+                } else {
+                    this.showNotification(`${customer.customerName} moved back to #${entry.position}`, 'info');
+                }
+            } else {
+                console.error('Failed to mark no-show:', result.error);
+                this.showNotification(result.error || 'Failed to mark no-show', 'error');
+            }
+        } catch (error) {
+            console.error('Error marking no-show:', error);
+            this.showNotification('Connection error while marking no-show', 'error');
+        } finally {
+            this.loadCurrentCustomer();
+            this.loadQueueStatus();
+        }
+    }
+
     /**
      * Completes the current ride
      */
@@ -261,6 +518,11 @@ class DriverDashboard {
             return;
         }
 
+        if (!this.isRideInProgress()) {
+            this.showNotification('Start the ride before completing it', 'warning');
+            return;
+        }
+
         const completeBtn = document.getElementById('completeCurrentRideBtn');
         if (completeBtn) {
             completeBtn.disabled = true;
@@ -268,8 +530,6 @@ class DriverDashboard {
         }
 
         try {
-            const startTime = Date.now();
-
             const response = await fetch('/Driver/CompleteRide', {
                 method: 'POST',
                 headers: {
@@ -283,8 +543,10 @@ class DriverDashboard {
             const result = await response.json();
 
             if (result.success) {
-                const rideTime = Date.now() - startTime;
-                this.updateSessionStats(rideTime);
+                // Ride time is start to completion as recorded by the API
+                const entry = result.completedEntry;
+                const rideTimeMs = new Date(entry.completedAt) - new Date(entry.startedAt);
+                this.updateSessionStats(rideTimeMs);
 
                 // Show completion modal
                 this.showCompletionModal(this.currentCustomer.customerName);
@@ -296,6 +558,7 @@ class DriverDashboard {
                 }, 1500);
 
                 this.showNotification('Ride completed successfully!', 'success');
+                this.offerCompletionUndo(entry, this.currentCustomer.customerName, rideTimeMs);
 
             } else {
                 console.error('Failed to complete ride:', result.error);
@@ -313,6 +576,65 @@ class DriverDashboard {
         }
     }
 
+    /**
+     * Toast with an Undo action after a completion, in case Space or Enter
+     * was pressed by mistake
+     */
+    offerCompletionUndo(entry, customerName, rideTimeMs) {
+        if (!window.notificationSystem) {
+            return;
+        }
+
+        window.notificationSystem.show({
+            type: 'success',
+            title: 'Ride completed',
+            message: escapeHtml(customerName),
+            sound: false,
+            timeout: UNDO_TOAST_MS,
+            actions: [{ id: 'undo', label: 'Undo', dismiss: true }],
+            onAction: action => {
+                if (action === 'undo') {
+                    this.undoRideCompletion(entry.id, rideTimeMs);
+                }
+            }
+        });
+    }
+
+    /**
+     * Puts a just-completed ride back in progress
+     */
+    async undoRideCompletion(queueEntryId, rideTimeMs) {
+        try {
+            const response = await fetch('/Driver/UndoCompleteRide', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ queueEntryId })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.updateSessionStats(rideTimeMs, true);
+                this.showNotification(`Ride reopened for ${result.reopenedEntry.customerName}`, 'info');
+            } else {
+                console.error('Failed to reopen ride:', result.error);
+                window.notificationSystem.show({
+                    type: 'error',
+                    title: 'Ride not reopened',
+                    message: escapeHtml(result.error || 'Unable to undo ride completion')
+                });
+            }
+        } catch (error) {
+            console.error('Error reopening ride:', error);
+            this.showNotification('Connection error while reopening ride', 'error');
+        } finally {
+            this.loadCurrentCustomer();
+            this.loadQueueStatus();
+        }
+    }
+
     /**
      * Updates the current customer display
      */
@@ -400,24 +722,68 @@ class DriverDashboard {
                 ` : ''}
 
                 <div class="action-section mt-4">
-                    <button id="completeCurrentRideBtn"
-                            class="btn complete-ride-btn btn-lg w-100"
-                            data-queue-entry-id="${customer.queueEntryId}"
-                            data-customer-name="${customer.customerName}">
-                        <i class="fas fa-check-circle"></i>
-                        Complete Ride for ${customer.customerName}
-                    </button>
-
-                    <div class="keyboard-hint text-center mt-2">
-                        <small class="text-muted">
-                            Press <kbd>Space</kbd> or <kbd>Enter</kbd> to complete ride
-                        </small>
-                    </div>
+                    ${this.buildRideActionHtml(customer)}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Builds the Start Ride or Complete Ride control for the current customer
+     */
+    buildRideActionHtml(customer) {
+        const name = escapeHtml(customer.customerName);
+
+        if (customer.status === 'InProgress') {
+            const startedAt = new Date(customer.startedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            return `
+                <div class="ride-in-progress text-center mb-3">
+                    <i class="fas fa-flag-checkered"></i>
+                    Ride in progress since ${startedAt}
+                </div>
+
+                <button id="completeCurrentRideBtn"
+                        class="btn complete-ride-btn btn-lg w-100"
+                        data-queue-entry-id="${customer.queueEntryId}"
+                        data-customer-name="${name}">
+                    <i class="fas fa-check-circle"></i>
+                    Complete Ride for ${name}
+                </button>
+
+                <div class="keyboard-hint text-center mt-2">
+                    <small class="text-muted">
+                        Press <kbd>Space</kbd> or <kbd>Enter</kbd> to complete ride
+                    </small>
+                </div>
+            `;
+        }
+
+        return `
+            <button id="startCurrentRideBtn"
+                    class="btn start-ride-btn btn-lg w-100"
+                    data-queue-entry-id="${customer.queueEntryId}"
+                    data-customer-name="${name}">
+                <i class="fas fa-play-circle"></i>
+                Start Ride for ${name}
+            </button>
+
+            <button id="noShowCurrentRideBtn"
+                    class="btn btn-outline-danger w-100 mt-2"
+                    data-queue-entry-id="${customer.queueEntryId}"
+                    data-customer-name="${name}">
+                <i class="fas fa-user-slash"></i>
+                No-show
+                ${customer.missedCount > 0 ? `<span class="badge bg-danger ms-1">missed ${customer.missedCount}</span>` : ''}
+            </button>
+
+            <div class="keyboard-hint text-center mt-2">
+                <small class="text-muted">
+                    Press <kbd>S</kbd>, <kbd>Space</kbd> or <kbd>Enter</kbd> to start ride, <kbd>N</kbd> for a no-show
+                </small>
+            </div>
+        `;
+    }
+
     /**
      * Shows no customer display when queue is empty
      */
@@ -438,17 +804,48 @@ class DriverDashboard {
     }
 
     /**
-     * Updates the complete ride button state
+     * Shows the car prompt when the driver is not driving a car
+     */
+    showNoCar() {
+        const container = document.getElementById('currentCustomerContent');
+        if (container) {
+            container.innerHTML = `
+                <div class="no-car text-center py-5">
+                    <i class="fas fa-key fa-3x text-muted mb-3"></i>
+                    <h5 class="text-muted">You are not driving a car</h5>
+                    <p class="text-muted">Choose a car above to start taking riders.</p>
+                </div>
+            `;
+        }
+
+        this.currentCustomer = null;
+        this.updateCompleteButton();
+    }
+
+    /**
+     * Updates the start, no-show and complete ride button states
      */
     updateCompleteButton() {
+        const inProgress = this.isRideInProgress();
+
+        const startBtn = document.getElementById('startRideBtn');
+        if (startBtn) {
+            startBtn.disabled = !this.currentCustomer || inProgress;
+        }
+
+        const noShowBtn = document.getElementById('noShowRideBtn');
+        if (noShowBtn) {
+            noShowBtn.disabled = !this.currentCustomer || inProgress;
+        }
+
         const btn = document.getElementById('completeRideBtn');
         if (btn) {
-            btn.disabled = !this.currentCustomer;
+            btn.disabled = !inProgress;
         }
 
         const currentBtn = document.getElementById('completeCurrentRideBtn');
         if (currentBtn) {
-            currentBtn.disabled = !this.currentCustomer;
+            currentBtn.disabled = !inProgress;
         }
     }
 
@@ -462,11 +859,15 @@ class DriverDashboard {
             queueLengthEl.textContent = queue.filter(c => c.status === 'Waiting').length;
         }
 
-        // Update upcoming customers
+        // Update upcoming customers: riders this car can still take, i.e.
+        // pinned to it or waiting in the shared pool
         const upcomingContainer = document.getElementById('upcomingCustomers');
         if (upcomingContainer) {
+            const carId = this.car ? this.car.id : null;
+            const currentId = this.currentCustomer ? this.currentCustomer.queueEntryId : null;
             const waitingCustomers = queue
-                .filter(c => c.status === 'Waiting' && c.position > 1)
+                .filter(c => c.status === 'Waiting' && c.queueEntryId !== currentId)
+                .filter(c => c.carId === carId || (!c.carId && (!c.assignedCarId || c.assignedCarId === carId)))
                 .sort((a, b) => a.position - b.position)
                 .slice(0, 3);
 
@@ -584,14 +985,18 @@ class DriverDashboard {
     }
 
     /**
-     * Shows notification message
+     * Shows a plain-text message as a toast
      */
     showNotification(message, type = 'info') {
-        // Implementation would depend on your notification system
         console.log(`${type.toUpperCase()}: ${message}`);
 
-        // You could integrate with a toast library here
-        // For now, just show in console
+        if (window.notificationSystem) {
+            window.notificationSystem.show({
+                type,
+                message: escapeHtml(message),
+                sound: false
+            });
+        }
     }
 
     /**
@@ -614,11 +1019,12 @@ class DriverDashboard {
      * Sets up auto-focus for accessibility
      */
     setupAutoFocus() {
-        // Auto-focus the complete button for keyboard users
+        // Auto-focus the start or complete button for keyboard users
         setTimeout(() => {
-            const completeBtn = document.getElementById('completeCurrentRideBtn');
-            if (completeBtn && !completeBtn.disabled) {
-                completeBtn.focus();
+            const actionBtn = document.getElementById('completeCurrentRideBtn')
+                || document.getElementById('startCurrentRideBtn');
+            if (actionBtn && !actionBtn.disabled) {
+                actionBtn.focus();
             }
         }, 100);
     }
@@ -626,18 +1032,26 @@ class DriverDashboard {
     /**
      * Updates session statistics
      */
-    updateSessionStats(rideTimeMs) {
-        this.sessionStats.ridesCompleted++;
-
-        // Update average ride time
-        const totalRideTime = this.sessionStats.averageRideTime * (this.sessionStats.ridesCompleted - 1) + rideTimeMs;
-        this.sessionStats.averageRideTime = totalRideTime / this.sessionStats.ridesCompleted;
+    updateSessionStats(rideTimeMs, undone = false) {
+        // Update average ride time; an undone completion takes its ride back out
+        const totalRideTime = this.sessionStats.averageRideTime * this.sessionStats.ridesCompleted
+            + (undone ? -rideTimeMs : rideTimeMs);
+        this.sessionStats.ridesCompleted += undone ? -1 : 1;
+        this.sessionStats.averageRideTime = this.sessionStats.ridesCompleted
+            ? totalRideTime / this.sessionStats.ridesCompleted
+            : 0;
 
         // Update display
         const ridesCompletedEl = document.querySelector('.session-stats .stat-value');
         if (ridesCompletedEl) {
             ridesCompletedEl.textContent = this.sessionStats.ridesCompleted;
         }
+
+        const averageRideTimeEl = document.getElementById('averageRideTime');
+        if (averageRideTimeEl) {
+            const totalSeconds = Math.round(this.sessionStats.averageRideTime / 1000);
+            averageRideTimeEl.textContent = `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`;
+        }
     }
 
     /**
@@ -656,6 +1070,7 @@ class DriverDashboard {
      */
     async refreshDashboard() {
         console.log('Refreshing dashboard...');
+        await this.loadCars();
         await this.loadCurrentCustomer();
         await this.loadQueueStatus();
         this.updateLastUpdated();
@@ -668,7 +1083,8 @@ class DriverDashboard {
     handleQueueUpdate(notification) {
         console.log('Queue update received:', notification);
 
-        // Refresh current customer and queue status
+        // Refresh cars, current customer and queue status
+        this.loadCars();
         this.loadCurrentCustomer();
         this.loadQueueStatus();
         this.updateLastUpdated();
@@ -691,12 +1107,8 @@ class DriverDashboard {
      * Handles ride completion notifications
      */
     handleRideCompletion(notification) {
-        // If this driver completed the ride, update stats
-        if (notification.driverUsername === 'current-driver') { // In real app, check actual driver
-            this.updateSessionStats(0); // Would get actual ride time from notification
-        }
-
-        // Refresh queue regardless
+        // Session stats are updated from this driver's own completions in
+        // completeCurrentRide, so only the queue needs refreshing here
         this.loadCurrentCustomer();
         this.loadQueueStatus();
     }
@@ -13,7 +13,9 @@ class NotificationSystem {
             defaultTimeout: options.defaultTimeout ?? 5000,
             soundVolume: options.soundVolume ?? 0.7,
             position: options.position ?? 'top-end',
-            theme: options.theme ?? 'light'
+            theme: options.theme ?? 'light',
+            // Pages with their own connection and sound controls turn this off
+            statusBar: options.statusBar ?? true
         };
 
         this.notifications = new Map();
@@ -28,10 +30,14 @@ class NotificationSystem {
      */
     init() {
         this.createNotificationContainer();
-        this.createStatusIndicators();
+        if (this.config.statusBar) {
+            this.createStatusIndicators();
+        }
         this.setupKeyboardAccessibility();
         this.preloadSounds();
-        this.bindEvents();
+        if (this.config.statusBar) {
+            this.bindEvents();
+        }
 
         console.log('Notification system initialized');
     }
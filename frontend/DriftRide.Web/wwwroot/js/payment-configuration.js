@@ -7,6 +7,8 @@ class PaymentConfigurationManager {
     constructor() {
         this.hasUnsavedChanges = false;
         this.originalConfigs = new Map();
+        this.pricingRules = [];
+        this.promoCodes = [];
         this.initialize();
     }
 
@@ -14,6 +16,9 @@ class PaymentConfigurationManager {
         this.setupEventListeners();
         this.loadOriginalConfigs();
         this.validateAllForms();
+        this.setupPaymentMethods();
+        this.setupPricingRules();
+        this.setupPromoCodes();
 
         // Setup real-time updates via SignalR if available
         if (typeof signalRConnection !== 'undefined' && signalRConnection) {
@@ -37,6 +42,12 @@ class PaymentConfigurationManager {
             this.handleApiIntegrationToggle(e);
         });
 
+        // Cash methods have no payment URL
+        $(document).on('change', 'input[data-field="IsCash"]', (e) => {
+            const $card = $(e.target).closest('.payment-config-card');
+            $card.find('.payment-url-group').toggle(!$(e.target).is(':checked'));
+        });
+
         // Save all changes
         $('#save-all-btn').on('click', () => {
             this.saveAllChanges();
@@ -65,21 +76,24 @@ class PaymentConfigurationManager {
     loadOriginalConfigs() {
         $('.payment-config-card').each((index, card) => {
             const $card = $(card);
-            const configId = $card.data('config-id');
+            const paymentMethod = $card.attr('data-payment-method');
             const config = this.extractConfigFromCard($card);
-            this.originalConfigs.set(configId, JSON.stringify(config));
+            this.originalConfigs.set(paymentMethod, JSON.stringify(config));
         });
     }
 
     extractConfigFromCard($card) {
+        const isCash = $card.find('input[data-field="IsCash"]').is(':checked');
         const config = {
-            Id: $card.find('.config-id').val(),
+            PaymentMethod: $card.attr('data-payment-method'),
             DisplayName: $card.find('input[data-field="DisplayName"]').val(),
-            PaymentUrl: $card.find('input[data-field="PaymentUrl"]').val() || null,
+            PaymentUrl: isCash ? null : $card.find('input[data-field="PaymentUrl"]').val() || null,
             IsEnabled: $card.find('input[data-field="IsEnabled"]').is(':checked'),
             PricePerRide: parseFloat($card.find('input[data-field="PricePerRide"]').val()) || 0,
             ApiIntegrationEnabled: $card.find('input[data-field="ApiIntegrationEnabled"]').is(':checked'),
-            ApiCredentials: $card.find('textarea[data-field="ApiCredentials"]').val() || null
+            ApiCredentials: $card.find('textarea[data-field="ApiCredentials"]').val() || null,
+            IsCash: isCash,
+            Instructions: $card.find('textarea[data-field="Instructions"]').val().trim() || null
         };
         return config;
     }
@@ -127,9 +141,9 @@ class PaymentConfigurationManager {
     }
 
     checkForChanges($card) {
-        const configId = $card.data('config-id');
+        const paymentMethod = $card.attr('data-payment-method');
         const currentConfig = this.extractConfigFromCard($card);
-        const originalConfig = this.originalConfigs.get(configId);
+        const originalConfig = this.originalConfigs.get(paymentMethod);
 
         const hasChanges = JSON.stringify(currentConfig) !== originalConfig;
 
@@ -203,6 +217,11 @@ class PaymentConfigurationManager {
                     errorMessage = 'API credentials cannot exceed 1000 characters';
                 }
                 break;
+
+            case 'Instructions':
+                errorMessage = this.instructionsError(value);
+                isValid = !errorMessage;
+                break;
         }
 
         // Apply validation feedback
@@ -226,6 +245,19 @@ class PaymentConfigurationManager {
         return allValid;
     }
 
+    // Only the placeholders the customer page fills in
+    instructionsError(value) {
+        if (value && value.length > 2000) {
+            return 'Instructions cannot exceed 2000 characters';
+        }
+        const unknown = [...(value || '').matchAll(/\{(\w+)\}/g)]
+            .map(match => match[0])
+            .filter(placeholder => !['{amount}', '{displayName}', '{paymentUrl}'].includes(placeholder));
+        return unknown.length > 0
+            ? `Unknown placeholder ${unknown.join(', ')}; use {amount}, {displayName} or {paymentUrl}`
+            : '';
+    }
+
     isValidUrl(string) {
         try {
             new URL(string);
@@ -269,9 +301,9 @@ class PaymentConfigurationManager {
                     $card.removeClass('has-changes');
 
                     // Update original config
-                    const configId = $card.data('config-id');
+                    const paymentMethod = $card.attr('data-payment-method');
                     const newConfig = this.extractConfigFromCard($card);
-                    this.originalConfigs.set(configId, JSON.stringify(newConfig));
+                    this.originalConfigs.set(paymentMethod, JSON.stringify(newConfig));
                 } else {
                     const error = result.status === 'rejected' ? result.reason : result.value.message;
                     errors.push(error);
@@ -339,6 +371,536 @@ class PaymentConfigurationManager {
         }
     }
 
+    setupPaymentMethods() {
+        $('#add-payment-method-btn').on('click', () => {
+            $('#payment-method-form')[0].reset();
+            $('.method-url-group').show();
+            $('#payment-method-modal').modal('show');
+        });
+        $('#method-is-cash').on('change', (e) => {
+            $('.method-url-group').toggle(!$(e.target).is(':checked'));
+        });
+        $('#payment-method-form').on('submit', (e) => {
+            e.preventDefault();
+            this.createPaymentMethod();
+        });
+        $(document).on('click', '.move-method-btn', (e) => {
+            const $button = $(e.currentTarget);
+            this.movePaymentMethod($button.closest('.payment-config-column'), $button.data('direction'));
+        });
+        $(document).on('click', '.delete-method-btn', (e) => {
+            this.deletePaymentMethod($(e.currentTarget).closest('.payment-config-card'));
+        });
+    }
+
+    // Cards are rendered by the server, so a new method reloads the page
+    async createPaymentMethod() {
+        const isCash = $('#method-is-cash').is(':checked');
+        const instructions = $('#method-instructions').val().trim();
+        const instructionsError = this.instructionsError(instructions);
+        if (instructionsError) {
+            this.showAlert(instructionsError, 'danger');
+            return;
+        }
+
+        try {
+            const response = await fetch('/PaymentConfiguration/CreateConfiguration', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                },
+                body: JSON.stringify({
+                    PaymentMethod: $('#method-key').val().trim(),
+                    DisplayName: $('#method-display-name').val().trim(),
+                    PaymentUrl: isCash ? null : $('#method-url').val().trim() || null,
+                    IsEnabled: $('#method-enabled').is(':checked'),
+                    PricePerRide: parseFloat($('#method-price').val()),
+                    IsCash: isCash,
+                    Instructions: instructions || null
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                $('#payment-method-modal').modal('hide');
+                window.location.reload();
+            } else {
+                const details = result.errors && result.errors.length > 0 ? `: ${result.errors.join(', ')}` : '';
+                this.showAlert(`${result.message || 'The payment method could not be added'}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Error adding payment method:', error);
+            this.showAlert('The payment method could not be added', 'danger');
+        }
+    }
+
+    async movePaymentMethod($column, direction) {
+        const $columns = $('.payment-config-column');
+        const index = $columns.index($column);
+        const target = index + direction;
+        if (target < 0 || target >= $columns.length) {
+            return;
+        }
+
+        const order = $columns.map((i, column) => $(column).find('.payment-config-card').attr('data-payment-method')).get();
+        [order[index], order[target]] = [order[target], order[index]];
+
+        try {
+            const response = await fetch('/PaymentConfiguration/ReorderConfigurations', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                },
+                body: JSON.stringify({ PaymentMethods: order })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                if (direction < 0) {
+                    $column.insertBefore($columns.eq(target));
+                } else {
+                    $column.insertAfter($columns.eq(target));
+                }
+            } else {
+                this.showAlert(result.message || 'The payment methods could not be reordered', 'danger');
+            }
+        } catch (error) {
+            console.error('Error reordering payment methods:', error);
+            this.showAlert('The payment methods could not be reordered', 'danger');
+        }
+    }
+
+    async deletePaymentMethod($card) {
+        const paymentMethod = $card.attr('data-payment-method');
+        if (!confirm(`Remove ${paymentMethod}? Customers will no longer see it; payments already made with it are kept.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/PaymentConfiguration/DeleteConfiguration?paymentMethod=${encodeURIComponent(paymentMethod)}`, {
+                method: 'POST',
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                $card.closest('.payment-config-column').remove();
+                $(`#rule-method-${paymentMethod}`).closest('.form-check').remove();
+                this.originalConfigs.delete(paymentMethod);
+                this.hasUnsavedChanges = $('.payment-config-card.has-changes').length > 0;
+                this.updateSaveButtonState();
+                this.showAlert(`Removed ${paymentMethod}`, 'success');
+            } else {
+                this.showAlert(result.message || 'The payment method could not be removed', 'danger');
+            }
+        } catch (error) {
+            console.error('Error removing payment method:', error);
+            this.showAlert('The payment method could not be removed', 'danger');
+        }
+    }
+
+    setupPricingRules() {
+        $('#add-pricing-rule-btn').on('click', () => this.openRuleEditor());
+        $('#rule-type').on('change', () => this.toggleRuleFields());
+        $('#pricing-rule-form').on('submit', (e) => {
+            e.preventDefault();
+            this.savePricingRule();
+        });
+        $(document).on('click', '.edit-rule-btn', (e) => {
+            const rule = this.pricingRules.find(r => r.id === $(e.currentTarget).data('rule-id'));
+            this.openRuleEditor(rule);
+        });
+        $(document).on('click', '.delete-rule-btn', (e) => {
+            this.deletePricingRule($(e.currentTarget).data('rule-id'));
+        });
+
+        // Preview what a customer pays now unless staff pick another time
+        const now = new Date();
+        now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+        $('#preview-at').val(now.toISOString().slice(0, 16)).on('change', () => this.loadPricePreview());
+
+        this.loadPricingRules();
+    }
+
+    async loadPricingRules() {
+        try {
+            const response = await fetch('/PaymentConfiguration/GetPricingRules');
+            const result = await response.json();
+
+            if (result.success) {
+                this.pricingRules = result.data || [];
+                this.renderPricingRules();
+            } else {
+                this.showAlert(result.message || 'Unable to load pricing rules', 'danger');
+            }
+        } catch (error) {
+            console.error('Error loading pricing rules:', error);
+            this.showAlert('Unable to load pricing rules', 'danger');
+        }
+
+        this.loadPricePreview();
+    }
+
+    renderPricingRules() {
+        const typeLabels = { HappyHour: 'Happy hour', PeakSurcharge: 'Peak surcharge', Bundle: 'Bundle' };
+
+        $('#pricing-rule-rows').html(this.pricingRules.length > 0
+            ? this.pricingRules.map(rule => `
+                <tr class="${rule.isEnabled ? '' : 'text-muted'}">
+                    <td>
+                        <strong>${escapeHtml(rule.name)}</strong>
+                        <br><small>${typeLabels[rule.type]}${rule.isEnabled ? '' : ' (disabled)'}</small>
+                    </td>
+                    <td>${this.describeRuleWindow(rule)}</td>
+                    <td>${rule.paymentMethods.length > 0 ? escapeHtml(rule.paymentMethods.join(', ')) : 'All'}</td>
+                    <td class="text-end">${this.describeRulePrice(rule)}</td>
+                    <td class="text-end text-nowrap">
+                        <button type="button" class="btn btn-sm btn-outline-secondary edit-rule-btn" data-rule-id="${rule.id}" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline-danger delete-rule-btn" data-rule-id="${rule.id}" title="Remove">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="5" class="text-muted text-center">No pricing rules; every ride is at the configured price</td></tr>');
+    }
+
+    describeRuleWindow(rule) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const days = rule.daysOfWeek.length > 0
+            ? [...rule.daysOfWeek].sort().map(d => dayNames[d]).join(', ')
+            : 'Every day';
+        return `${days}<br><small>${rule.startTime} - ${rule.endTime}</small>`;
+    }
+
+    describeRulePrice(rule) {
+        if (rule.type === 'Bundle') {
+            return `${rule.rideCount} rides for $${rule.bundlePrice.toFixed(2)}`;
+        }
+        const sign = rule.type === 'HappyHour' ? '-' : '+';
+        return rule.adjustmentType === 'Percent'
+            ? `${sign}${rule.adjustmentValue}%`
+            : `${sign}$${rule.adjustmentValue.toFixed(2)}`;
+    }
+
+    toggleRuleFields() {
+        const isBundle = $('#rule-type').val() === 'Bundle';
+        $('.rule-bundle-fields').toggle(isBundle);
+        $('.rule-adjustment-fields').toggle(!isBundle);
+    }
+
+    openRuleEditor(rule = null) {
+        $('#pricing-rule-title').text(rule ? `Edit ${rule.name}` : 'Add Pricing Rule');
+        $('#rule-id').val(rule ? rule.id : '');
+        $('#rule-name').val(rule ? rule.name : '');
+        $('#rule-type').val(rule ? rule.type : 'HappyHour');
+        $('#rule-start').val(rule ? rule.startTime : '');
+        $('#rule-end').val(rule ? rule.endTime : '');
+        $('.rule-day').each((index, box) => {
+            box.checked = !!rule && rule.daysOfWeek.includes(parseInt(box.value));
+        });
+        $('.rule-method').each((index, box) => {
+            box.checked = !!rule && rule.paymentMethods.includes(box.value);
+        });
+        $('#rule-adjustment-type').val(rule && rule.adjustmentType ? rule.adjustmentType : 'Percent');
+        $('#rule-adjustment-value').val(rule && rule.adjustmentValue !== null ? rule.adjustmentValue : '');
+        $('#rule-ride-count').val(rule && rule.rideCount ? rule.rideCount : '');
+        $('#rule-bundle-price').val(rule && rule.bundlePrice !== null ? rule.bundlePrice : '');
+        $('#rule-enabled').prop('checked', rule ? rule.isEnabled : true);
+        this.toggleRuleFields();
+
+        $('#pricing-rule-modal').modal('show');
+    }
+
+    extractRuleFromForm() {
+        const number = selector => {
+            const value = parseFloat($(selector).val());
+            return isNaN(value) ? null : value;
+        };
+        const isBundle = $('#rule-type').val() === 'Bundle';
+
+        return {
+            name: $('#rule-name').val().trim(),
+            type: $('#rule-type').val(),
+            startTime: $('#rule-start').val(),
+            endTime: $('#rule-end').val(),
+            daysOfWeek: $('.rule-day:checked').map((index, box) => parseInt(box.value)).get(),
+            paymentMethods: $('.rule-method:checked').map((index, box) => box.value).get(),
+            adjustmentType: isBundle ? null : $('#rule-adjustment-type').val(),
+            adjustmentValue: isBundle ? null : number('#rule-adjustment-value'),
+            rideCount: isBundle ? number('#rule-ride-count') : null,
+            bundlePrice: isBundle ? number('#rule-bundle-price') : null,
+            isEnabled: $('#rule-enabled').is(':checked')
+        };
+    }
+
+    async savePricingRule() {
+        const ruleId = $('#rule-id').val();
+        const url = ruleId
+            ? `/PaymentConfiguration/UpdatePricingRule/${ruleId}`
+            : '/PaymentConfiguration/CreatePricingRule';
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                },
+                body: JSON.stringify(this.extractRuleFromForm())
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                $('#pricing-rule-modal').modal('hide');
+                this.showAlert(result.message, 'success');
+                this.loadPricingRules();
+            } else {
+                const details = result.errors && result.errors.length > 0 ? `: ${result.errors.join(', ')}` : '';
+                this.showAlert(`${result.message || 'The pricing rule could not be saved'}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Error saving pricing rule:', error);
+            this.showAlert('The pricing rule could not be saved', 'danger');
+        }
+    }
+
+    async deletePricingRule(ruleId) {
+        const rule = this.pricingRules.find(r => r.id === ruleId);
+        if (!rule || !confirm(`Remove the pricing rule "${rule.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/PaymentConfiguration/DeletePricingRule/${ruleId}`, {
+                method: 'POST',
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showAlert(`Removed ${rule.name}`, 'success');
+                this.loadPricingRules();
+            } else {
+                this.showAlert(result.message || 'The pricing rule could not be removed', 'danger');
+            }
+        } catch (error) {
+            console.error('Error removing pricing rule:', error);
+            this.showAlert('The pricing rule could not be removed', 'danger');
+        }
+    }
+
+    // What a customer would pay per method at the preview time, rules applied
+    async loadPricePreview() {
+        const at = $('#preview-at').val();
+        const query = at ? `?at=${encodeURIComponent(new Date(at).toISOString())}` : '';
+
+        try {
+            const response = await fetch(`/PaymentConfiguration/GetCurrentPrices${query}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                $('#price-preview').html(`<p class="text-danger mb-0">${escapeHtml(result.message)}</p>`);
+                return;
+            }
+
+            $('#price-preview').html(result.data.length > 0
+                ? result.data.map(quote => `
+                    <div class="border-bottom py-2">
+                        <div class="d-flex justify-content-between">
+                            <strong>${escapeHtml(quote.displayName)}</strong>
+                            <span>
+                                ${quote.price !== quote.basePrice ? `<del class="text-muted me-1">$${quote.basePrice.toFixed(2)}</del>` : ''}
+                                <strong>$${quote.price.toFixed(2)}</strong>
+                            </span>
+                        </div>
+                        ${quote.adjustments.map(a => `
+                            <small class="d-block ${a.amount < 0 ? 'text-success' : 'text-danger'}">
+                                ${escapeHtml(a.name)}: ${a.amount < 0 ? '-' : '+'}$${Math.abs(a.amount).toFixed(2)}
+                            </small>`).join('')}
+                        ${quote.bundles.map(b => `
+                            <small class="d-block text-primary">
+                                ${escapeHtml(b.name)}: ${b.rideCount} rides for $${b.price.toFixed(2)}
+                            </small>`).join('')}
+                    </div>
+                `).join('')
+                : '<p class="text-muted mb-0">No payment methods are enabled</p>');
+        } catch (error) {
+            console.error('Error loading price preview:', error);
+            $('#price-preview').html('<p class="text-danger mb-0">Unable to load prices</p>');
+        }
+    }
+
+    setupPromoCodes() {
+        $('#add-promo-code-btn').on('click', () => this.openPromoEditor());
+        $('#promo-code-form').on('submit', (e) => {
+            e.preventDefault();
+            this.savePromoCode();
+        });
+        $(document).on('click', '.edit-promo-btn', (e) => {
+            const promo = this.promoCodes.find(c => c.id === $(e.currentTarget).data('promo-id'));
+            this.openPromoEditor(promo);
+        });
+        $(document).on('click', '.delete-promo-btn', (e) => {
+            this.deletePromoCode($(e.currentTarget).data('promo-id'));
+        });
+
+        this.loadPromoCodes();
+    }
+
+    async loadPromoCodes() {
+        try {
+            const response = await fetch('/PaymentConfiguration/GetPromoCodes');
+            const result = await response.json();
+
+            if (result.success) {
+                this.promoCodes = result.data || [];
+                this.renderPromoCodes();
+            } else {
+                this.showAlert(result.message || 'Unable to load promo codes', 'danger');
+            }
+        } catch (error) {
+            console.error('Error loading promo codes:', error);
+            this.showAlert('Unable to load promo codes', 'danger');
+        }
+    }
+
+    renderPromoCodes() {
+        const now = new Date();
+
+        $('#promo-code-rows').html(this.promoCodes.length > 0
+            ? this.promoCodes.map(promo => {
+                const expired = promo.expiresAt && new Date(promo.expiresAt) <= now;
+                const usedUp = promo.maxUses !== null && promo.usedCount >= promo.maxUses;
+                const status = !promo.isEnabled ? 'disabled' : expired ? 'expired' : usedUp ? 'used up' : null;
+
+                return `
+                    <tr class="${status ? 'text-muted' : ''}">
+                        <td>
+                            <code>${escapeHtml(promo.code)}</code>${status ? ` <small>(${status})</small>` : ''}
+                            ${promo.description ? `<br><small>${escapeHtml(promo.description)}</small>` : ''}
+                        </td>
+                        <td class="text-end">${promo.discountType === 'Percent'
+                            ? `${promo.discountValue}%`
+                            : `$${promo.discountValue.toFixed(2)}`}</td>
+                        <td class="text-end">${promo.usedCount}${promo.maxUses !== null ? ` / ${promo.maxUses}` : ''}</td>
+                        <td>${promo.expiresAt ? new Date(promo.expiresAt).toLocaleString() : 'Never'}</td>
+                        <td class="text-end text-nowrap">
+                            <button type="button" class="btn btn-sm btn-outline-secondary edit-promo-btn" data-promo-id="${promo.id}" title="Edit">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-danger delete-promo-btn" data-promo-id="${promo.id}" title="Remove">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }).join('')
+            : '<tr><td colspan="5" class="text-muted text-center">No promo codes</td></tr>');
+    }
+
+    openPromoEditor(promo = null) {
+        // datetime-local wants local time without a zone
+        const localTime = iso => {
+            const date = new Date(iso);
+            date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+            return date.toISOString().slice(0, 16);
+        };
+
+        $('#promo-code-title').text(promo ? `Edit ${promo.code}` : 'Add Promo Code');
+        $('#promo-id').val(promo ? promo.id : '');
+        $('#promo-code').val(promo ? promo.code : '');
+        $('#promo-description').val(promo && promo.description ? promo.description : '');
+        $('#promo-discount-type').val(promo ? promo.discountType : 'Percent');
+        $('#promo-discount-value').val(promo ? promo.discountValue : '');
+        $('#promo-max-uses').val(promo && promo.maxUses !== null ? promo.maxUses : '');
+        $('#promo-expires').val(promo && promo.expiresAt ? localTime(promo.expiresAt) : '');
+        $('#promo-enabled').prop('checked', promo ? promo.isEnabled : true);
+
+        $('#promo-code-modal').modal('show');
+    }
+
+    extractPromoFromForm() {
+        const maxUses = parseInt($('#promo-max-uses').val());
+        const expires = $('#promo-expires').val();
+
+        return {
+            code: $('#promo-code').val().trim().toUpperCase(),
+            description: $('#promo-description').val().trim() || null,
+            discountType: $('#promo-discount-type').val(),
+            discountValue: parseFloat($('#promo-discount-value').val()),
+            maxUses: isNaN(maxUses) ? null : maxUses,
+            expiresAt: expires ? new Date(expires).toISOString() : null,
+            isEnabled: $('#promo-enabled').is(':checked')
+        };
+    }
+
+    async savePromoCode() {
+        const promoId = $('#promo-id').val();
+        const url = promoId
+            ? `/PaymentConfiguration/UpdatePromoCode/${promoId}`
+            : '/PaymentConfiguration/CreatePromoCode';
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                },
+                body: JSON.stringify(this.extractPromoFromForm())
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                $('#promo-code-modal').modal('hide');
+                this.showAlert(result.message, 'success');
+                this.loadPromoCodes();
+            } else {
+                const details = result.errors && result.errors.length > 0 ? `: ${result.errors.join(', ')}` : '';
+                this.showAlert(`${result.message || 'The promo code could not be saved'}${details}`, 'danger');
+            }
+        } catch (error) {
+            console.error('Error saving promo code:', error);
+            this.showAlert('The promo code could not be saved', 'danger');
+        }
+    }
+
+    async deletePromoCode(promoId) {
+        const promo = this.promoCodes.find(c => c.id === promoId);
+        if (!promo || !confirm(`Remove the promo code ${promo.code}? Payments already made with it keep the discount.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/PaymentConfiguration/DeletePromoCode/${promoId}`, {
+                method: 'POST',
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showAlert(`Removed ${promo.code}`, 'success');
+                this.loadPromoCodes();
+            } else {
+                this.showAlert(result.message || 'The promo code could not be removed', 'danger');
+            }
+        } catch (error) {
+            console.error('Error removing promo code:', error);
+            this.showAlert('The promo code could not be removed', 'danger');
+        }
+    }
+
     showAlert(message, type = 'info') {
         const alertHtml = `
             <div class="alert alert-${type} alert-dismissible fade show" role="alert">
@@ -379,9 +941,27 @@ class PaymentConfigurationManager {
     }
 
     handleConfigurationChangeNotification(notification) {
+        // Rules are edited in place, so reload them rather than the page
+        if (notification.configType === 'PricingRule') {
+            this.showAlert(
+                `Pricing rule ${notification.displayName} was ${notification.changeType.toLowerCase()} by ${notification.changedBy}`,
+                'info'
+            );
+            this.loadPricingRules();
+            return;
+        }
+        if (notification.configType === 'PromoCode') {
+            this.showAlert(
+                `Promo code ${notification.displayName} was ${notification.changeType.toLowerCase()} by ${notification.changedBy}`,
+                'info'
+            );
+            this.loadPromoCodes();
+            return;
+        }
+
         // Show notification that configuration was changed by another user
         this.showAlert(
-            `Configuration for ${notification.DisplayName} was ${notification.ChangeType.toLowerCase()} by ${notification.ChangedBy}`,
+            `Configuration for ${notification.displayName} was ${notification.changeType.toLowerCase()} by ${notification.changedBy}`,
             'info'
         );
 
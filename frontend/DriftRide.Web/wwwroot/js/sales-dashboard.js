@@ -4,15 +4,36 @@
  * Optimized for 30-second confirmation target with keyboard shortcuts
  */
 
+// PaymentDenialReason codes and the text staff pick from; the text becomes the denial notes
+const PAYMENT_DENIAL_REASONS = {
+    AmountIncorrect: 'Payment amount incorrect',
+    PaymentNotReceived: 'Payment not received',
+    InvalidTransactionId: 'Invalid transaction ID',
+    DuplicatePayment: 'Duplicate payment attempt',
+    CustomerNotPresent: 'Customer not present',
+    PaymentMethodNotAccepted: 'Payment method not accepted',
+    Other: 'Other'
+};
+
+// How long the Undo action stays up; a little under the API's 30-second undo window
+const UNDO_TOAST_MS = 25000;
+
 class SalesDashboard {
     constructor(config) {
         this.config = config;
         this.connection = null;
+        // selectedPaymentId is the focused payment that keys act on;
+        // selectedPaymentIds is everything picked for bulk approval
         this.selectedPaymentId = null;
+        this.selectedPaymentIds = new Set();
         this.soundsEnabled = config.soundAlertsEnabled;
+        this.paymentSla = config.paymentSla || { targetSeconds: 30, warningMinutes: 5, criticalMinutes: 10 };
         this.keyboardEnabled = config.keyboardShortcutsEnabled;
         this.refreshTimer = null;
         this.lastUpdateTime = null;
+        this.draggedQueueId = null;
+        this.queueReorderPending = false;
+        this.lastSearch = null;
 
         this.init();
     }
@@ -47,10 +68,87 @@ class SalesDashboard {
             this.showDenyDialog(paymentId, customerName);
         });
 
-        // Payment item selection
+        // Refund request buttons
+        $(document).on('click', '.approve-refund', (e) => {
+            const refundId = $(e.currentTarget).data('refund-id');
+            const customerName = $(e.currentTarget).data('customer-name');
+            this.resolveRefund(refundId, true, `Refund approved for ${escapeHtml(customerName)}`);
+        });
+
+        $(document).on('click', '.reject-refund', (e) => {
+            const refundId = $(e.currentTarget).data('refund-id');
+            const customerName = $(e.currentTarget).data('customer-name');
+            this.showRejectRefundDialog(refundId, customerName);
+        });
+
+        // Queue reordering: drag waiting rows, or Alt+Up/Down on a focused row
+        $(document).on('dragstart', '#queue-list tr.queue-row-draggable', (e) => {
+            this.draggedQueueId = $(e.currentTarget).attr('data-queue-id');
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+            e.originalEvent.dataTransfer.setData('text/plain', this.draggedQueueId);
+            $(e.currentTarget).addClass('dragging');
+        });
+
+        $(document).on('dragover', '#queue-list tr.queue-row-draggable', (e) => {
+            if (this.draggedQueueId) {
+                e.preventDefault();
+                $(e.currentTarget).addClass('drag-over');
+            }
+        });
+
+        $(document).on('dragleave', '#queue-list tr.queue-row-draggable', (e) => {
+            $(e.currentTarget).removeClass('drag-over');
+        });
+
+        $(document).on('drop', '#queue-list tr.queue-row-draggable', (e) => {
+            e.preventDefault();
+            const target = $(e.currentTarget).removeClass('drag-over');
+            const dragged = $(`#queue-list tr[data-queue-id="${this.draggedQueueId}"]`);
+
+            if (dragged.length && !dragged.is(target)) {
+                if (dragged.index() < target.index()) {
+                    target.after(dragged);
+                } else {
+                    target.before(dragged);
+                }
+                this.markQueueOrderChanged();
+            }
+        });
+
+        $(document).on('dragend', '#queue-list tr.queue-row-draggable', (e) => {
+            $(e.currentTarget).removeClass('dragging');
+            $('#queue-list tr').removeClass('drag-over');
+            this.draggedQueueId = null;
+        });
+
+        $(document).on('keydown', '#queue-list tr[data-queue-id]', (e) => {
+            if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') {
+                return;
+            }
+            e.preventDefault();
+            this.handleQueueRowKey($(e.currentTarget), e.key === 'ArrowUp' ? -1 : 1, e.altKey);
+        });
+
+        $('#queue-reorder-form').on('submit', (e) => {
+            e.preventDefault();
+            this.saveQueueOrder();
+        });
+
+        $('#cancel-queue-reorder').on('click', () => this.cancelQueueReorder());
+
+        // Payment item selection: Ctrl/Cmd-click toggles, Shift-click selects a range
         $(document).on('click', '.payment-item', (e) => {
-            if (!$(e.target).closest('.btn-group').length) {
-                this.selectPayment($(e.currentTarget).data('payment-id'));
+            if ($(e.target).closest('.btn-group').length) {
+                return;
+            }
+
+            const paymentId = $(e.currentTarget).data('payment-id');
+            if (e.shiftKey && this.selectedPaymentId) {
+                this.selectPaymentRange(paymentId);
+            } else if (e.ctrlKey || e.metaKey) {
+                this.togglePaymentSelection(paymentId);
+            } else {
+                this.selectPayment(paymentId);
             }
         });
 
@@ -63,9 +161,9 @@ class SalesDashboard {
         // Reason dropdown
         $('#manual-reason-select').on('change', (e) => {
             const selectedValue = $(e.target).val();
-            if (selectedValue && selectedValue !== 'custom') {
-                $('#manual-reason').val(selectedValue);
-            } else if (selectedValue === 'custom') {
+            if (selectedValue && selectedValue !== 'Other') {
+                $('#manual-reason').val($(e.target).find('option:selected').text());
+            } else if (selectedValue === 'Other') {
                 $('#manual-reason').val('').focus();
             }
         });
@@ -90,6 +188,8 @@ class SalesDashboard {
         // Control buttons
         $('#refresh-data').on('click', () => this.refreshData());
         $('#toggle-sounds').on('click', () => this.toggleSounds());
+        $('#show-sla-report').on('click', () => this.showPaymentSlaDialog());
+        $('#manage-event').on('click', () => this.showEventDialog());
         $('#bulk-approve').on('click', () => this.bulkApproveSelected());
         $('#next-payment').on('click', () => this.focusNextPayment());
         $('#filter-urgent').on('click', () => this.filterUrgentPayments());
@@ -112,6 +212,22 @@ class SalesDashboard {
                 return;
             }
 
+            // Ctrl combinations
+            if (e.ctrlKey) {
+                switch (e.key.toLowerCase()) {
+                    case 'a':
+                        e.preventDefault();
+                        this.bulkApproveSelected();
+                        break;
+
+                    case 'l':
+                        e.preventDefault();
+                        $('#logout-form').submit();
+                        break;
+                }
+                return;
+            }
+
             switch (e.key.toLowerCase()) {
                 case 'a':
                     e.preventDefault();
@@ -123,13 +239,22 @@ class SalesDashboard {
                 case 'd':
                     e.preventDefault();
                     if (this.selectedPaymentId) {
-                        this.confirmPayment(this.selectedPaymentId, false, 'Quick denial via keyboard');
+                        // Denials need a reason code, so go through the dialog
+                        this.showDenyDialog(this.selectedPaymentId,
+                            $(`.deny-payment[data-payment-id="${this.selectedPaymentId}"]`).first().data('customer-name'));
                     }
                     break;
 
                 case ' ':
                     e.preventDefault();
-                    this.focusNextPayment();
+                    this.focusNextPayment(e.shiftKey);
+                    break;
+
+                case 'x':
+                    e.preventDefault();
+                    if (this.selectedPaymentId) {
+                        this.togglePaymentSelection(this.selectedPaymentId);
+                    }
                     break;
 
                 case 'escape':
@@ -158,21 +283,6 @@ class SalesDashboard {
                     break;
             }
 
-            // Ctrl combinations
-            if (e.ctrlKey) {
-                switch (e.key.toLowerCase()) {
-                    case 'a':
-                        e.preventDefault();
-                        this.bulkApproveSelected();
-                        break;
-
-                    case 'l':
-                        e.preventDefault();
-                        $('#logout-form').submit();
-                        break;
-                }
-            }
-
             // Function keys
             if (e.key === 'F8') {
                 e.preventDefault();
@@ -224,6 +334,24 @@ class SalesDashboard {
                 this.handleCustomerAlert(notification);
             });
 
+            // Notifications sent to a customer (e.g. a no-show) that staff should follow up.
+            // The message stays plain text; handleCustomerAlert escapes it for display.
+            this.connection.on('CustomerAttention', (notification) => {
+                const name = notification.relatedQueueEntry?.customerName || `Customer #${notification.customerId}`;
+                this.handleCustomerAlert({
+                    ...notification,
+                    message: `${name} - ${notification.notificationType}: ${notification.suggestedAction || notification.message}`
+                });
+            });
+
+            this.connection.on('RefundRequested', (notification) => {
+                this.handleRefundRequested(notification);
+            });
+
+            this.connection.on('RefundStatusUpdated', (notification) => {
+                this.handleRefundStatusUpdate(notification);
+            });
+
             this.connection.on('QueueStatisticsUpdated', (notification) => {
                 this.handleQueueStatisticsUpdate(notification);
             });
@@ -276,7 +404,7 @@ class SalesDashboard {
     }
 
     // Payment Management
-    async confirmPayment(paymentId, confirmed, notes = '') {
+    async confirmPayment(paymentId, confirmed, notes = '', denialReasonCode = null) {
         try {
             const response = await $.ajax({
                 url: '/Sales/ConfirmPayment',
@@ -285,7 +413,8 @@ class SalesDashboard {
                 data: JSON.stringify({
                     paymentId: paymentId,
                     confirmed: confirmed,
-                    notes: notes
+                    notes: notes,
+                    denialReasonCode: denialReasonCode
                 }),
                 headers: {
                     'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
@@ -293,10 +422,7 @@ class SalesDashboard {
             });
 
             if (response.success) {
-                this.showNotification(
-                    `Payment ${confirmed ? 'approved' : 'denied'} successfully`,
-                    'success'
-                );
+                this.offerPaymentUndo(paymentId, confirmed);
 
                 // Remove payment from list
                 $(`.payment-item[data-payment-id="${paymentId}"]`).fadeOut(300, function() {
@@ -323,6 +449,54 @@ class SalesDashboard {
         }
     }
 
+    // Success toast with an Undo action, for decisions made with a mis-keyed shortcut
+    offerPaymentUndo(paymentId, confirmed) {
+        const message = `Payment ${confirmed ? 'approved' : 'denied'} successfully`;
+        if (!window.notificationSystem) {
+            this.showNotification(message, 'success');
+            return;
+        }
+
+        window.notificationSystem.show({
+            type: 'success',
+            title: message,
+            message: `Payment #${paymentId}`,
+            sound: false,
+            timeout: UNDO_TOAST_MS,
+            actions: [{ id: 'undo', label: 'Undo', dismiss: true }],
+            onAction: action => {
+                if (action === 'undo') {
+                    this.undoPaymentDecision(paymentId);
+                }
+            }
+        });
+    }
+
+    async undoPaymentDecision(paymentId) {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/UndoPaymentDecision',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({ paymentId: paymentId }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (response.success) {
+                this.showNotification(response.message, 'info');
+                await this.refreshData();
+                this.selectPayment(paymentId);
+            } else {
+                this.showNotification(response.message || 'Payment decision could not be undone', 'error');
+            }
+        } catch (error) {
+            console.error('Error undoing payment decision:', error);
+            this.showNotification('Payment decision could not be undone', 'error');
+        }
+    }
+
     showDenyDialog(paymentId, customerName) {
         const modal = $(`
             <div class="modal fade" tabindex="-1">
@@ -337,14 +511,13 @@ class SalesDashboard {
                                 <label class="form-label">Reason for denial:</label>
                                 <select class="form-select" id="deny-reason-select">
                                     <option value="">Select a reason...</option>
-                                    <option value="Payment amount insufficient">Payment amount insufficient</option>
-                                    <option value="Payment not received">Payment not received</option>
-                                    <option value="Invalid transaction ID">Invalid transaction ID</option>
-                                    <option value="Duplicate payment attempt">Duplicate payment attempt</option>
-                                    <option value="Customer not present">Customer not present</option>
-                                    <option value="Payment method not accepted">Payment method not accepted</option>
-                                    <option value="custom">Other (specify below)</option>
+                                    ${Object.entries(PAYMENT_DENIAL_REASONS)
+                                        .filter(([code]) => code !== 'Other')
+                                        .map(([code, label]) => `<option value="${code}">${label}</option>`)
+                                        .join('')}
+                                    <option value="Other">Other (specify below)</option>
                                 </select>
+                                <div class="form-text">The customer is told what to fix and can resubmit.</div>
                             </div>
                             <div class="mb-3">
                                 <textarea class="form-control" id="deny-notes" rows="3"
@@ -362,21 +535,90 @@ class SalesDashboard {
 
         modal.find('#deny-reason-select').on('change', function() {
             const selectedValue = $(this).val();
-            if (selectedValue && selectedValue !== 'custom') {
-                modal.find('#deny-notes').val(selectedValue);
-            } else if (selectedValue === 'custom') {
+            if (selectedValue && selectedValue !== 'Other') {
+                modal.find('#deny-notes').val(PAYMENT_DENIAL_REASONS[selectedValue]);
+            } else if (selectedValue === 'Other') {
                 modal.find('#deny-notes').val('').focus();
             }
         });
 
         modal.find('#confirm-deny').on('click', () => {
+            const reasonCode = modal.find('#deny-reason-select').val();
             const notes = modal.find('#deny-notes').val().trim();
-            if (!notes) {
+            if (!reasonCode || !notes) {
                 this.showNotification('Please provide a reason for denial', 'warning');
                 return;
             }
 
-            this.confirmPayment(paymentId, false, notes);
+            this.confirmPayment(paymentId, false, notes, reasonCode);
+            modal.modal('hide');
+        });
+
+        $('body').append(modal);
+        modal.modal('show');
+        modal.on('hidden.bs.modal', () => modal.remove());
+    }
+
+    // Refund Requests
+    async resolveRefund(refundId, approved, notes = '') {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/ResolveRefund',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    refundRequestId: refundId,
+                    approved: approved,
+                    notes: notes
+                }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (response.success) {
+                this.showNotification(`Refund ${approved ? 'approved' : 'rejected'} successfully`, 'success');
+                this.removeRefundItem(refundId);
+            } else {
+                this.showNotification(response.message || 'Operation failed', 'error');
+            }
+        } catch (error) {
+            console.error('Error resolving refund:', error);
+            this.showNotification('Unable to process refund request', 'error');
+        }
+    }
+
+    showRejectRefundDialog(refundId, customerName) {
+        const modal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Reject Refund - ${escapeHtml(customerName)}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <label class="form-label">Reason for rejection:</label>
+                            <textarea class="form-control" id="reject-refund-notes" rows="3"
+                                     placeholder="At least 10 characters, e.g. ride already taken"></textarea>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-danger" id="confirm-reject-refund">Reject Refund</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        modal.find('#confirm-reject-refund').on('click', () => {
+            const notes = modal.find('#reject-refund-notes').val().trim();
+            if (notes.length < 10) {
+                this.showNotification('Please give a reason of at least 10 characters', 'warning');
+                return;
+            }
+
+            this.resolveRefund(refundId, false, notes);
             modal.modal('hide');
         });
 
@@ -385,13 +627,91 @@ class SalesDashboard {
         modal.on('hidden.bs.modal', () => modal.remove());
     }
 
+    async refreshRefunds() {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/GetPendingRefunds',
+                method: 'GET'
+            });
+
+            if (response.success && response.data) {
+                this.updateRefundList(response.data);
+            }
+        } catch (error) {
+            console.error('Error refreshing refund requests:', error);
+        }
+    }
+
+    updateRefundList(refunds) {
+        const container = $('#refund-requests-list');
+
+        if (refunds.length === 0) {
+            container.html(`
+                <div class="text-center py-4">
+                    <i class="fas fa-check-circle text-success fa-3x mb-3"></i>
+                    <h5>No refund requests</h5>
+                    <p class="text-muted">Requests appear here when a paid customer leaves the queue.</p>
+                </div>
+            `);
+        } else {
+            container.html(refunds
+                .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt))
+                .map(refund => {
+                    const name = escapeHtml(refund.customer ? refund.customer.name : `Customer #${refund.customerId}`);
+                    return `
+                        <div class="refund-item d-flex justify-content-between align-items-center border-bottom py-3" data-refund-id="${refund.id}">
+                            <div>
+                                <strong>${name}</strong>
+                                <span class="text-muted ms-2">${refund.customer ? escapeHtml(refund.customer.phoneNumber) : ''}</span>
+                                <div>
+                                    <span class="badge bg-secondary">$${refund.amount.toFixed(2)}</span>
+                                    <span class="badge bg-light text-dark">${refund.payment ? escapeHtml(refund.payment.paymentMethod) : ''}</span>
+                                    <small class="text-muted ms-2">Requested ${new Date(refund.requestedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</small>
+                                </div>
+                                ${refund.reason ? `<small class="d-block text-muted mt-1"><i class="fas fa-comment me-1"></i>${escapeHtml(refund.reason)}</small>` : ''}
+                            </div>
+                            <div class="btn-group">
+                                <button class="btn btn-success btn-sm approve-refund" data-refund-id="${refund.id}" data-customer-name="${name}">
+                                    <i class="fas fa-check me-1"></i>Approve
+                                </button>
+                                <button class="btn btn-outline-danger btn-sm reject-refund" data-refund-id="${refund.id}" data-customer-name="${name}">
+                                    <i class="fas fa-times me-1"></i>Reject
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join(''));
+        }
+
+        this.updateRefundCounter(refunds.length);
+    }
+
+    removeRefundItem(refundId) {
+        $(`.refund-item[data-refund-id="${refundId}"]`).fadeOut(300, () => {
+            $(`.refund-item[data-refund-id="${refundId}"]`).remove();
+            const remaining = $('.refund-item').length;
+            if (remaining === 0) {
+                this.updateRefundList([]);
+            } else {
+                this.updateRefundCounter(remaining);
+            }
+        });
+    }
+
+    updateRefundCounter(count) {
+        $('#refund-count').text(count).toggleClass('d-none', count === 0);
+    }
+
     // Manual Customer Addition
     async addCustomerManually() {
         const name = $('#manual-name').val().trim();
         const phone = $('#manual-phone').val().trim();
+        const reasonCode = $('#manual-reason-select').val();
         const reason = $('#manual-reason').val().trim();
+        // No cash taken means the ride is comped
+        const amount = parseFloat($('#manual-amount').val()) || 0;
 
-        if (!name || !phone || !reason) {
+        if (!name || !phone || !reasonCode || !reason) {
             this.showNotification('Please fill in all fields', 'warning');
             return;
         }
@@ -404,7 +724,9 @@ class SalesDashboard {
                 data: JSON.stringify({
                     name: name,
                     phoneNumber: phone,
-                    reason: reason
+                    reasonCode: reasonCode,
+                    reason: reason,
+                    amount: amount
                 }),
                 headers: {
                     'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
@@ -412,10 +734,7 @@ class SalesDashboard {
             });
 
             if (response.success) {
-                this.showNotification(
-                    `Customer ${name} added successfully`,
-                    'success'
-                );
+                this.showNotification(response.message, 'success');
 
                 // Clear form
                 $('#manual-customer-form')[0].reset();
@@ -437,16 +756,17 @@ class SalesDashboard {
     }
 
     // Customer Search
-    async searchCustomers(searchTerm) {
+    async searchCustomers(searchTerm, page = 1) {
+        this.lastSearch = { searchTerm, page };
         try {
             const response = await $.ajax({
                 url: '/Sales/SearchCustomers',
                 method: 'GET',
-                data: { searchTerm: searchTerm }
+                data: { searchTerm: searchTerm, page: page }
             });
 
             if (response.success && response.data) {
-                this.displaySearchResults(response.data, searchTerm);
+                this.displaySearchResults(response.data, searchTerm, response);
             } else {
                 $('#search-results').html('<p class="text-muted">No customers found.</p>');
             }
@@ -456,7 +776,7 @@ class SalesDashboard {
         }
     }
 
-    displaySearchResults(customers, searchTerm) {
+    displaySearchResults(customers, searchTerm, paging) {
         if (!customers || customers.length === 0) {
             $('#search-results').html('<p class="text-muted">No customers found.</p>');
             return;
@@ -467,8 +787,8 @@ class SalesDashboard {
                 <div class="card-body py-2">
                     <div class="d-flex justify-content-between align-items-center">
                         <div>
-                            <h6 class="mb-1">${customer.name}</h6>
-                            <small class="text-muted">${customer.phoneNumber}</small>
+                            <h6 class="mb-1">${escapeHtml(customer.name)}</h6>
+                            <small class="text-muted">${escapeHtml(customer.phoneNumber)}</small>
                             <small class="text-muted ms-2">Added: ${new Date(customer.createdAt).toLocaleDateString()}</small>
                         </div>
                         <div>
@@ -476,16 +796,541 @@ class SalesDashboard {
                                     onclick="viewCustomerHistory(${customer.id})">
                                 View History
                             </button>
+                            <button class="btn btn-sm btn-outline-secondary"
+                                    onclick="mergeDuplicateCustomers(${customer.id})">
+                                Duplicates
+                            </button>
                         </div>
                     </div>
                 </div>
             </div>
         `).join('');
 
-        $('#search-results').html(`
-            <h6>Search Results for "${searchTerm}" (${customers.length} found)</h6>
-            ${resultsHtml}
-        `);
+        // Results come most recently active first, one page at a time
+        const pagerHtml = paging.totalPages > 1 ? `
+            <div class="d-flex justify-content-between align-items-center">
+                <button class="btn btn-sm btn-outline-secondary search-page" data-page="${paging.page - 1}"
+                        ${paging.page <= 1 ? 'disabled' : ''}>Previous</button>
+                <small class="text-muted">Page ${paging.page} of ${paging.totalPages}</small>
+                <button class="btn btn-sm btn-outline-secondary search-page" data-page="${paging.page + 1}"
+                        ${paging.page >= paging.totalPages ? 'disabled' : ''}>Next</button>
+            </div>
+        ` : '';
+
+        $('#search-results').html(`
+            <h6>Search Results for "${escapeHtml(searchTerm)}" (${paging.count} found)</h6>
+            ${resultsHtml}
+            ${pagerHtml}
+        `);
+        $('#search-results .search-page').on('click', (e) => {
+            this.searchCustomers(searchTerm, parseInt($(e.currentTarget).data('page')));
+        });
+    }
+
+    // Customer History
+    async showCustomerHistory(customerId) {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/GetCustomerHistory',
+                method: 'GET',
+                data: { customerId: customerId }
+            });
+
+            if (response.success && response.data) {
+                this.showCustomerHistoryDialog(response.data);
+            } else {
+                this.showNotification(response.message || 'Unable to load customer history', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading customer history:', error);
+            this.showNotification('Unable to load customer history', 'error');
+        }
+    }
+
+    // Duplicate Customers
+    async showMergeDialog(customerId) {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/GetCustomerDuplicates',
+                method: 'GET',
+                data: { customerId: customerId }
+            });
+
+            if (!response.success) {
+                this.showNotification(response.message || 'Unable to find duplicate customers', 'error');
+                return;
+            }
+            if (response.data.length === 0) {
+                this.showNotification('No likely duplicates of this customer', 'info');
+                return;
+            }
+
+            this.showMergeDialogFor(customerId, response.data);
+        } catch (error) {
+            console.error('Error finding duplicate customers:', error);
+            this.showNotification('Unable to find duplicate customers', 'error');
+        }
+    }
+
+    showMergeDialogFor(customerId, duplicates) {
+        const matchLabels = { PhoneNumber: 'same phone', Name: 'similar name' };
+        const modal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Merge Duplicates into Customer #${customerId}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p class="text-muted">
+                                Payments, queue entries and refunds of the selected records move to customer
+                                #${customerId}, and the selected records are removed.
+                            </p>
+                            ${duplicates.map(duplicate => `
+                                <div class="form-check mb-2">
+                                    <input class="form-check-input merge-source" type="checkbox"
+                                           value="${duplicate.id}" id="merge-source-${duplicate.id}">
+                                    <label class="form-check-label" for="merge-source-${duplicate.id}">
+                                        #${duplicate.id} ${escapeHtml(duplicate.name)}
+                                        <small class="text-muted">${escapeHtml(duplicate.phoneNumber)}</small>
+                                        <small class="d-block text-muted">
+                                            ${duplicate.matchedOn.map(match => matchLabels[match] || match).join(', ')},
+                                            added ${new Date(duplicate.createdAt).toLocaleDateString()}
+                                        </small>
+                                    </label>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-warning" id="confirm-merge">Merge Selected</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        modal.find('#confirm-merge').on('click', async () => {
+            const sourceCustomerIds = modal.find('.merge-source:checked')
+                .map((index, checkbox) => parseInt(checkbox.value))
+                .get();
+            if (sourceCustomerIds.length === 0) {
+                this.showNotification('Select the duplicate records to merge', 'warning');
+                return;
+            }
+
+            if (await this.mergeCustomers(customerId, sourceCustomerIds)) {
+                modal.modal('hide');
+            }
+        });
+
+        $('body').append(modal);
+        modal.modal('show');
+        modal.on('hidden.bs.modal', () => modal.remove());
+    }
+
+    async mergeCustomers(customerId, sourceCustomerIds) {
+        try {
+            const response = await $.ajax({
+                url: '/Sales/MergeCustomers',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    customerId: customerId,
+                    sourceCustomerIds: sourceCustomerIds
+                }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (!response.success) {
+                this.showNotification(response.message || 'Customers could not be merged', 'error');
+                return false;
+            }
+
+            this.showNotification(response.message, 'success');
+            if (this.lastSearch) {
+                this.searchCustomers(this.lastSearch.searchTerm, this.lastSearch.page);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error merging customers:', error);
+            this.showNotification('Unable to merge customers', 'error');
+            return false;
+        }
+    }
+
+    showCustomerHistoryDialog(history) {
+        const { customer, summary } = history;
+        const formatTime = timestamp => new Date(timestamp).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+
+        const timelineHtml = history.timeline.length === 0
+            ? '<p class="text-muted">Nothing recorded for this customer yet.</p>'
+            : `<ul class="list-group list-group-flush">
+                ${history.timeline.map(event => `
+                    <li class="list-group-item px-0">
+                        <div class="d-flex justify-content-between">
+                            <span>${escapeHtml(event.description)}</span>
+                            <small class="text-muted text-nowrap ms-2">${formatTime(event.occurredAt)}</small>
+                        </div>
+                        ${event.performedBy ? `<small class="text-muted">by ${escapeHtml(event.performedBy)}</small>` : ''}
+                        ${event.notes ? `<small class="d-block fst-italic">"${escapeHtml(event.notes)}"</small>` : ''}
+                    </li>
+                `).join('')}
+               </ul>`;
+
+        const paymentsHtml = history.payments.length === 0
+            ? '<p class="text-muted">No payments.</p>'
+            : `<table class="table table-sm">
+                <thead>
+                    <tr><th>#</th><th>Amount</th><th>Method</th><th>Status</th><th>Submitted</th></tr>
+                </thead>
+                <tbody>
+                    ${history.payments.map(payment => `
+                        <tr>
+                            <td>${payment.id}</td>
+                            <td>$${payment.amount.toFixed(2)}</td>
+                            <td>${escapeHtml(payment.paymentMethod)}</td>
+                            <td>${escapeHtml(payment.status)}</td>
+                            <td>${formatTime(payment.createdAt)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+               </table>`;
+
+        const historyModal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">
+                                ${escapeHtml(customer.name)}
+                                <small class="text-muted ms-2">${escapeHtml(customer.phoneNumber)}</small>
+                            </h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="mb-3">
+                                <span class="badge bg-success">Paid $${summary.totalPaid.toFixed(2)}</span>
+                                <span class="badge bg-secondary">Refunded $${summary.totalRefunded.toFixed(2)}</span>
+                                <span class="badge bg-primary">${summary.completedRides} ride(s)</span>
+                                <span class="badge ${summary.deniedPayments > 0 ? 'bg-danger' : 'bg-light text-dark'}">${summary.deniedPayments} denied</span>
+                                <span class="badge ${summary.noShows > 0 ? 'bg-warning text-dark' : 'bg-light text-dark'}">${summary.noShows} no-show(s)</span>
+                            </div>
+                            <h6>Timeline</h6>
+                            ${timelineHtml}
+                            <h6 class="mt-3">Payments</h6>
+                            ${paymentsHtml}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        $('body').append(historyModal);
+        historyModal.modal('show');
+        historyModal.on('hidden.bs.modal', () => historyModal.remove());
+    }
+
+    applyPaymentSla(settings) {
+        this.paymentSla = { ...this.paymentSla, ...settings };
+        $('.sla-target-seconds').text(this.paymentSla.targetSeconds);
+        $('.sla-warning-minutes').text(this.paymentSla.warningMinutes);
+        $('.sla-critical-minutes').text(this.paymentSla.criticalMinutes);
+        this.refreshData();
+    }
+
+    async showPaymentSlaDialog() {
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+
+        let report;
+        try {
+            const response = await $.ajax({
+                url: '/Sales/GetPaymentSlaReport',
+                method: 'GET',
+                data: { since: startOfDay.toISOString() }
+            });
+
+            if (!response.success || !response.data) {
+                this.showNotification(response.message || 'Unable to load SLA report', 'error');
+                return;
+            }
+            report = response.data;
+        } catch (error) {
+            console.error('Error loading SLA report:', error);
+            this.showNotification('Unable to load SLA report', 'error');
+            return;
+        }
+
+        const seconds = value => value === null ? '-' : `${value}s`;
+        const percent = value => value === null ? '-' : `${value}%`;
+        const row = (label, summary, denied) => `
+            <tr>
+                <td>${label}</td>
+                <td>${summary.processed}</td>
+                <td>${seconds(summary.averageSeconds)}</td>
+                <td>${seconds(summary.medianSeconds)}</td>
+                <td>${seconds(summary.slowestSeconds)}</td>
+                <td>${percent(summary.withinTargetPercent)}</td>
+                <td>${summary.overWarning}</td>
+                <td>${denied}</td>
+            </tr>
+        `;
+
+        const staffHtml = report.staff.length === 0
+            ? '<p class="text-muted">No payments verified today.</p>'
+            : `<table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Staff</th><th>Verified</th><th>Average</th><th>Median</th><th>Slowest</th>
+                        <th>Within target</th><th>Over warning</th><th>Denied</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.staff.map(staff => row(escapeHtml(staff.username), staff, staff.denied)).join('')}
+                </tbody>
+                <tfoot>
+                    ${row('<strong>All staff</strong>', report.overall, report.staff.reduce((sum, s) => sum + s.denied, 0))}
+                </tfoot>
+               </table>`;
+
+        const { targetSeconds, warningMinutes, criticalMinutes } = report.settings;
+        const slaModal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="fas fa-stopwatch me-2"></i>Payment Verification SLA</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <h6>Today</h6>
+                            ${staffHtml}
+                            <h6 class="mt-3">Targets</h6>
+                            <div class="row g-2">
+                                <div class="col-md-4">
+                                    <label class="form-label" for="sla-target-seconds">Target (seconds)</label>
+                                    <input type="number" class="form-control" id="sla-target-seconds" min="5" max="3600" value="${targetSeconds}">
+                                </div>
+                                <div class="col-md-4">
+                                    <label class="form-label" for="sla-warning-minutes">Warn after (minutes)</label>
+                                    <input type="number" class="form-control" id="sla-warning-minutes" min="1" max="120" value="${warningMinutes}">
+                                </div>
+                                <div class="col-md-4">
+                                    <label class="form-label" for="sla-critical-minutes">Critical after (minutes)</label>
+                                    <input type="number" class="form-control" id="sla-critical-minutes" min="2" max="240" value="${criticalMinutes}">
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                            <button type="button" class="btn btn-primary save-sla">Save Targets</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        slaModal.find('.save-sla').on('click', async () => {
+            const settings = {
+                targetSeconds: parseInt(slaModal.find('#sla-target-seconds').val(), 10),
+                warningMinutes: parseInt(slaModal.find('#sla-warning-minutes').val(), 10),
+                criticalMinutes: parseInt(slaModal.find('#sla-critical-minutes').val(), 10)
+            };
+
+            if (settings.warningMinutes >= settings.criticalMinutes) {
+                this.showNotification('The warning wait must be shorter than the critical wait', 'warning');
+                return;
+            }
+
+            try {
+                const response = await $.ajax({
+                    url: '/Sales/UpdatePaymentSla',
+                    method: 'POST',
+                    contentType: 'application/json',
+                    data: JSON.stringify(settings),
+                    headers: {
+                        'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                    }
+                });
+
+                if (response.success) {
+                    this.applyPaymentSla(response.data || settings);
+                    this.showNotification('Payment SLA updated', 'success');
+                    slaModal.modal('hide');
+                } else {
+                    this.showNotification(response.message || 'Payment SLA could not be updated', 'error');
+                }
+            } catch (error) {
+                console.error('Error updating payment SLA:', error);
+                this.showNotification('Payment SLA could not be updated', 'error');
+            }
+        });
+
+        $('body').append(slaModal);
+        slaModal.modal('show');
+        slaModal.on('hidden.bs.modal', () => slaModal.remove());
+    }
+
+    updateEventBadge(event) {
+        $('#event-badge')
+            .text(event && event.status === 'Open' ? event.name : 'No event open')
+            .toggleClass('bg-info', !!event && event.status === 'Open')
+            .toggleClass('bg-danger', !event || event.status !== 'Open');
+    }
+
+    eventSummaryHtml(summary) {
+        const duration = summary.averageRideDuration === null ? '-' : `${Math.round(summary.averageRideDuration / 1000)}s`;
+        return `
+            <div class="row text-center g-2">
+                <div class="col"><div class="fw-bold fs-5">${summary.totalCustomers}</div><small>Customers</small></div>
+                <div class="col"><div class="fw-bold fs-5">${summary.paidRides}</div><small>Paid</small></div>
+                <div class="col"><div class="fw-bold fs-5">${summary.compedRides}</div><small>Comped</small></div>
+                <div class="col"><div class="fw-bold fs-5">${summary.completedRides}</div><small>Ridden</small></div>
+                <div class="col"><div class="fw-bold fs-5">${summary.unservedRiders}</div><small>Waiting</small></div>
+                <div class="col"><div class="fw-bold fs-5">$${summary.netRevenue.toFixed(2)}</div><small>Net</small></div>
+                <div class="col"><div class="fw-bold fs-5">${duration}</div><small>Avg ride</small></div>
+            </div>
+        `;
+    }
+
+    // The open event with close, or a form to open the next one, and past events
+    async showEventDialog() {
+        let events;
+        try {
+            const response = await $.ajax({ url: '/Sales/GetEvents', method: 'GET' });
+            if (!response.success) {
+                this.showNotification(response.message || 'Unable to load events', 'error');
+                return;
+            }
+            events = response.data || [];
+        } catch (error) {
+            console.error('Error loading events:', error);
+            this.showNotification('Unable to load events', 'error');
+            return;
+        }
+
+        const openEvent = events.find(e => e.status === 'Open');
+        const pastEvents = events.filter(e => e.status === 'Closed');
+        const today = new Date();
+        const todayValue = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+        const currentHtml = openEvent
+            ? `<h6>${escapeHtml(openEvent.name)}
+                    <small class="text-muted">${escapeHtml(openEvent.venue || '')} ${escapeHtml(openEvent.date)}</small></h6>
+               ${this.eventSummaryHtml(openEvent.summary)}
+               <p class="small text-muted mt-3 mb-0">Closing freezes the queue and its summary. Riders still waiting are not carried over.</p>`
+            : `<div class="row g-2">
+                    <div class="col-md-5">
+                        <label class="form-label" for="event-name">Name</label>
+                        <input type="text" class="form-control" id="event-name" maxlength="100" placeholder="Saturday Drift Day">
+                    </div>
+                    <div class="col-md-4">
+                        <label class="form-label" for="event-venue">Venue</label>
+                        <input type="text" class="form-control" id="event-venue" maxlength="200">
+                    </div>
+                    <div class="col-md-3">
+                        <label class="form-label" for="event-date">Date</label>
+                        <input type="date" class="form-control" id="event-date" value="${todayValue}">
+                    </div>
+               </div>`;
+
+        const pastHtml = pastEvents.length === 0
+            ? '<p class="text-muted">No closed events yet.</p>'
+            : `<table class="table table-sm">
+                <thead><tr><th>Date</th><th>Event</th><th>Venue</th><th>Ridden</th><th>Unserved</th><th>Net</th></tr></thead>
+                <tbody>
+                    ${pastEvents.map(e => `
+                        <tr>
+                            <td>${escapeHtml(e.date)}</td>
+                            <td>${escapeHtml(e.name)}</td>
+                            <td>${escapeHtml(e.venue || '')}</td>
+                            <td>${e.summary.completedRides}</td>
+                            <td>${e.summary.unservedRiders}</td>
+                            <td>$${e.summary.netRevenue.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+               </table>`;
+
+        const eventModal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="fas fa-flag-checkered me-2"></i>${openEvent ? 'Current Event' : 'Open an Event'}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            ${currentHtml}
+                            <h6 class="mt-4">Past Events</h6>
+                            ${pastHtml}
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            ${openEvent
+                                ? '<button type="button" class="btn btn-danger close-event">Close Event</button>'
+                                : '<button type="button" class="btn btn-primary open-event">Open Event</button>'}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        eventModal.find('.close-event').on('click', () => {
+            if (!confirm(`Close ${openEvent.name}? The queue will be frozen and emptied for the next event.`)) {
+                return;
+            }
+            this.postEventAction('/Sales/CloseEvent', { eventId: openEvent.id }, eventModal);
+        });
+
+        eventModal.find('.open-event').on('click', () => {
+            const name = eventModal.find('#event-name').val().trim();
+            if (name.length < 2) {
+                this.showNotification('Give the event a name', 'warning');
+                return;
+            }
+            this.postEventAction('/Sales/OpenEvent', {
+                name,
+                venue: eventModal.find('#event-venue').val().trim() || null,
+                date: eventModal.find('#event-date').val() || null
+            }, eventModal);
+        });
+
+        $('body').append(eventModal);
+        eventModal.modal('show');
+        eventModal.on('hidden.bs.modal', () => eventModal.remove());
+    }
+
+    async postEventAction(url, body, eventModal) {
+        try {
+            const response = await $.ajax({
+                url,
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify(body),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (response.success) {
+                this.updateEventBadge(response.data);
+                this.showNotification(response.message, 'success');
+                eventModal.modal('hide');
+                this.refreshData();
+            } else {
+                this.showNotification(response.message || 'The event could not be updated', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating event:', error);
+            this.showNotification('The event could not be updated', 'error');
+        }
     }
 
     // Data Management
@@ -502,8 +1347,9 @@ class SalesDashboard {
                 this.lastUpdateTime = new Date();
             }
 
-            // Also refresh queue data
+            // Also refresh queue data and refund requests
             await this.refreshQueueData();
+            await this.refreshRefunds();
 
         } catch (error) {
             console.error('Error refreshing data:', error);
@@ -526,27 +1372,450 @@ class SalesDashboard {
         }
     }
 
+    /**
+     * Brings #pending-payments-list in line with the server's pending payments,
+     * grouped by age as Dashboard.cshtml does. Items that did not change keep
+     * their element, so the selection and open menus survive a refresh.
+     */
     updatePendingPaymentsList(payments) {
-        // This would update the pending payments list
-        // Implementation depends on the specific HTML structure
-        console.log('Updating pending payments list:', payments);
+        const container = $('#pending-payments-list');
+        const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+        const aged = payments.map(payment => ({
+            ...payment,
+            minutesWaiting: this.minutesSince(payment.createdAt),
+            slaLevel: this.paymentSlaLevel(payment.createdAt)
+        }));
+
+        const urgent = aged.filter(p => p.slaLevel === 'Critical').sort((a, b) => b.minutesWaiting - a.minutesWaiting);
+        const moderate = aged.filter(p => p.slaLevel === 'Warning').sort(byCreatedAt);
+        const recent = aged.filter(p => !p.slaLevel).sort(byCreatedAt);
+        const ordered = [...urgent, ...moderate, ...recent];
+        const currentIds = new Set(ordered.map(p => String(p.id)));
+
+        container.children('.payment-item').each((index, item) => {
+            if (!currentIds.has(String($(item).attr('data-payment-id')))) {
+                $(item).remove();
+            }
+        });
+        container.children('#urgent-payments-alert, #no-pending-payments').remove();
+
+        ordered.forEach(payment => {
+            let item = container.children(`.payment-item[data-payment-id="${payment.id}"]`);
+            if (!item.length) {
+                item = $('<div class="payment-item"></div>').attr('data-payment-id', payment.id);
+            }
+
+            const signature = JSON.stringify(payment);
+            if (item.attr('data-signature') !== signature) {
+                item.html(this.renderPaymentItem(payment)).attr('data-signature', signature);
+            }
+
+            item.removeClass('urgent-payment moderate-payment recent-payment border-danger border-warning')
+                .addClass(this.paymentAgeClass(payment.slaLevel));
+            container.append(item);
+        });
+
+        if (urgent.length > 0) {
+            container.prepend(`
+                <div class="alert alert-danger m-3 mb-2" id="urgent-payments-alert">
+                    <i class="fas fa-exclamation-triangle me-2"></i>
+                    <strong>URGENT:</strong> ${urgent.length} payment(s) waiting over ${this.paymentSla.criticalMinutes} minutes
+                </div>
+            `);
+        }
+
+        if (ordered.length === 0) {
+            container.append(`
+                <div class="text-center py-5" id="no-pending-payments">
+                    <i class="fas fa-check-circle text-success fa-3x mb-3"></i>
+                    <h4>All payments processed!</h4>
+                    <p class="text-muted">No pending payments requiring verification.</p>
+                </div>
+            `);
+        }
+
+        // Keep the urgent filter applied to payments that just arrived
+        if ($('#filter-urgent').hasClass('btn-warning')) {
+            container.children('.payment-item').not('.urgent-payment').hide();
+        }
+
+        if (this.selectedPaymentId && !currentIds.has(String(this.selectedPaymentId))) {
+            this.selectedPaymentId = null;
+        }
+        [...this.selectedPaymentIds]
+            .filter(id => !currentIds.has(String(id)))
+            .forEach(id => this.selectedPaymentIds.delete(id));
+        this.updateSelectionCount();
+    }
+
+    // 'Critical' or 'Warning' once a payment submitted at createdAt has waited past the SLA waits
+    paymentSlaLevel(createdAt) {
+        const waitedMs = Date.now() - new Date(createdAt).getTime();
+        if (waitedMs > this.paymentSla.criticalMinutes * 60000) {
+            return 'Critical';
+        }
+        return waitedMs > this.paymentSla.warningMinutes * 60000 ? 'Warning' : null;
+    }
+
+    paymentAgeClass(slaLevel) {
+        if (slaLevel === 'Critical') {
+            return 'urgent-payment border-danger';
+        }
+        return slaLevel === 'Warning' ? 'moderate-payment border-warning' : 'recent-payment';
+    }
+
+    // Markup of _PaymentItem.cshtml
+    renderPaymentItem(payment) {
+        const name = escapeHtml(payment.customerName || (payment.customer ? payment.customer.name : `Customer #${payment.customerId}`));
+        const phone = escapeHtml(payment.customerPhone || (payment.customer ? payment.customer.phoneNumber : ''));
+        const submittedAt = new Date(payment.createdAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+        let ageBadge = '';
+        if (payment.slaLevel === 'Critical') {
+            ageBadge = `
+                <div class="position-absolute top-0 start-0 mt-2 ms-2">
+                    <span class="badge bg-danger pulse">
+                        <i class="fas fa-exclamation-triangle me-1"></i>URGENT
+                    </span>
+                </div>`;
+        } else if (payment.slaLevel === 'Warning') {
+            ageBadge = `
+                <div class="position-absolute top-0 start-0 mt-2 ms-2">
+                    <span class="badge bg-warning text-dark">
+                        <i class="fas fa-clock me-1"></i>Priority
+                    </span>
+                </div>`;
+        }
+
+        return `
+            <div class="d-flex justify-content-between align-items-center p-3 border-bottom payment-item-content${payment.amountMismatch ? ' border-start border-3 border-danger' : ''}">
+                <div class="flex-grow-1">
+                    <div class="row">
+                        <div class="col-md-8">
+                            <h6 class="mb-1 fw-bold">
+                                ${name}
+                                <span class="badge bg-primary ms-2">#${payment.id}</span>
+                                ${payment.attemptNumber > 1 ? `
+                                    <span class="badge bg-warning text-dark ms-1" title="Resubmitted after a denial">
+                                        Attempt ${payment.attemptNumber}
+                                    </span>` : ''}
+                            </h6>
+                            <p class="mb-1 text-muted">
+                                <i class="fas fa-phone me-1"></i>${phone} |
+                                <i class="fas fa-dollar-sign me-1"></i>$${payment.amount.toFixed(2)}${payment.rideCount > 1 ? ` for ${payment.rideCount} rides` : ''} |
+                                <i class="fas fa-credit-card me-1"></i>${escapeHtml(payment.paymentMethodDisplayName || payment.paymentMethod)}
+                            </p>
+                            ${payment.promoCode ? `
+                                <p class="mb-1">
+                                    <span class="badge bg-success" title="Promo code the customer paid with">
+                                        <i class="fas fa-ticket-alt me-1"></i>${escapeHtml(payment.promoCode)}
+                                    </span>
+                                    <small class="text-success ms-1">-$${(payment.discountAmount || 0).toFixed(2)}</small>
+                                </p>` : ''}
+                            ${payment.amountMismatch ? `
+                                <p class="mb-1">
+                                    <small class="text-danger fw-bold" title="Price in effect when the customer paid, pricing rules applied">
+                                        <i class="fas fa-exclamation-triangle me-1"></i>Amount mismatch: expected $${payment.expectedAmount.toFixed(2)}
+                                    </small>
+                                </p>` : ''}
+                            ${payment.externalTransactionId ? `
+                                <p class="mb-1">
+                                    <small class="text-info">
+                                        <i class="fas fa-receipt me-1"></i>Transaction: ${escapeHtml(payment.externalTransactionId)}
+                                    </small>
+                                </p>` : ''}
+                            ${payment.previousDenial ? `
+                                <p class="mb-1">
+                                    <small class="text-danger">
+                                        <i class="fas fa-redo me-1"></i>Resubmits #${payment.previousDenial.paymentId}, denied:
+                                        ${PAYMENT_DENIAL_REASONS[payment.previousDenial.denialReasonCode] || 'no reason given'}
+                                        ${payment.previousDenial.notes ? `("${escapeHtml(payment.previousDenial.notes)}")` : ''}
+                                    </small>
+                                </p>` : ''}
+                            <small class="text-muted">
+                                <i class="fas fa-clock me-1"></i>
+                                Submitted ${submittedAt}
+                                (${payment.minutesWaiting} minutes ago)
+                            </small>
+                        </div>
+                        <div class="col-md-4 text-end">
+                            <div class="btn-group" role="group">
+                                <button type="button" class="btn btn-success btn-sm confirm-payment"
+                                        data-payment-id="${payment.id}"
+                                        data-customer-name="${name}"
+                                        title="Approve Payment (A)">
+                                    <i class="fas fa-check me-1"></i>Approve
+                                </button>
+                                <button type="button" class="btn btn-danger btn-sm deny-payment"
+                                        data-payment-id="${payment.id}"
+                                        data-customer-name="${name}"
+                                        title="Deny Payment (D)">
+                                    <i class="fas fa-times me-1"></i>Deny
+                                </button>
+                                <button type="button" class="btn btn-outline-secondary btn-sm dropdown-toggle"
+                                        data-bs-toggle="dropdown" title="More Options">
+                                    <i class="fas fa-ellipsis-v"></i>
+                                </button>
+                                <ul class="dropdown-menu">
+                                    <li>
+                                        <button class="dropdown-item view-details" data-payment-id="${payment.id}">
+                                            <i class="fas fa-eye me-2"></i>View Details
+                                        </button>
+                                    </li>
+                                    <li>
+                                        <button class="dropdown-item add-notes" data-payment-id="${payment.id}">
+                                            <i class="fas fa-sticky-note me-2"></i>Add Notes
+                                        </button>
+                                    </li>
+                                    <li><hr class="dropdown-divider"></li>
+                                    <li>
+                                        <button class="dropdown-item text-warning flag-review" data-payment-id="${payment.id}">
+                                            <i class="fas fa-flag me-2"></i>Flag for Review
+                                        </button>
+                                    </li>
+                                </ul>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            ${ageBadge}
+        `;
     }
 
+    /**
+     * Redraws the queue table from the server's entries. Rows are matched by
+     * queue entry id and only rebuilt when the entry changed.
+     */
     updateQueueList(queueData) {
-        // This would update the queue list
-        // Implementation depends on the specific HTML structure
-        console.log('Updating queue list:', queueData);
+        // Leave the rows alone while staff are arranging them; saving an
+        // order that no longer covers the queue fails and reloads it
+        if (this.queueReorderPending) {
+            return;
+        }
+
+        const container = $('#queue-list');
+        const entries = (queueData.queueEntries || [])
+            .filter(entry => entry.status === 'Waiting' || entry.status === 'InProgress')
+            .sort((a, b) => a.position - b.position);
+        const waitingCount = entries.filter(entry => entry.status === 'Waiting').length;
+
+        $('#queue-length').text(waitingCount);
+        $('#queue-count').text(waitingCount);
+
+        if (entries.length === 0) {
+            container.html(`
+                <div class="text-center py-4">
+                    <i class="fas fa-users text-muted fa-3x mb-3"></i>
+                    <h5>Queue is empty</h5>
+                    <p class="text-muted">No customers currently in queue.</p>
+                </div>
+            `);
+            return;
+        }
+
+        let tbody = container.find('tbody');
+        if (!tbody.length) {
+            container.html(`
+                <div class="table-responsive">
+                    <table class="table table-hover">
+                        <thead>
+                            <tr>
+                                <th>Position</th>
+                                <th>Customer</th>
+                                <th>Queued At</th>
+                                <th>Est. Start</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            `);
+            tbody = container.find('tbody');
+        }
+
+        const currentIds = new Set(entries.map(entry => String(entry.id)));
+        tbody.children('tr').each((index, row) => {
+            if (!currentIds.has(String($(row).attr('data-queue-id')))) {
+                $(row).remove();
+            }
+        });
+
+        entries.forEach(entry => {
+            let row = tbody.children(`tr[data-queue-id="${entry.id}"]`);
+            const signature = JSON.stringify(entry);
+
+            if (!row.length) {
+                row = $('<tr></tr>').attr('data-queue-id', entry.id);
+            }
+            if (row.attr('data-signature') !== signature) {
+                row.html(this.renderQueueRow(entry))
+                    .attr({
+                        'data-signature': signature,
+                        'draggable': entry.status === 'Waiting' ? 'true' : 'false',
+                        'tabindex': '0'
+                    })
+                    .toggleClass('table-warning', entry.status === 'InProgress')
+                    .toggleClass('queue-row-draggable', entry.status === 'Waiting');
+            } else {
+                // Unchanged rows still count down to their estimated start
+                row.find('.queue-eta').html(this.formatEstimatedStart(entry));
+            }
+            tbody.append(row);
+        });
+    }
+
+    // Cells of a Dashboard.cshtml queue row
+    renderQueueRow(entry) {
+        const statusBadges = {
+            'Waiting': 'bg-info',
+            'InProgress': 'bg-warning',
+            'Completed': 'bg-success'
+        };
+
+        return `
+            <td>
+                <span class="badge ${entry.position === 1 ? 'bg-primary' : 'bg-secondary'}">
+                    #${entry.position}
+                </span>
+            </td>
+            <td>
+                <strong>${escapeHtml(entry.customerName)}</strong>
+            </td>
+            <td>${new Date(entry.queuedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</td>
+            <td class="queue-eta">${this.formatEstimatedStart(entry)}</td>
+            <td>
+                <span class="badge ${statusBadges[entry.status] || 'bg-secondary'}">
+                    ${entry.status}
+                </span>
+            </td>
+            <td>
+                ${entry.status === 'Waiting' ? `
+                    <button class="btn btn-sm btn-outline-danger" onclick="removeFromQueue(${entry.id})">
+                        <i class="fas fa-user-times"></i> Remove
+                    </button>` : ''}
+            </td>
+        `;
+    }
+
+    // Predicted ride start for the queue table, as Dashboard.cshtml renders it
+    formatEstimatedStart(entry) {
+        if (entry.status === 'InProgress') {
+            return '<span class="text-muted">Riding</span>';
+        }
+        if (!entry.estimatedStartAt) {
+            return '<span class="text-muted">No car available</span>';
+        }
+
+        const startAt = new Date(entry.estimatedStartAt);
+        const minutes = Math.max(0, Math.round((startAt - Date.now()) / 60000));
+        return `<span>${startAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>
+                <small class="text-muted d-block">in ${minutes} min</small>`;
+    }
+
+    // Queue Reordering
+    handleQueueRowKey(row, direction, moveRow) {
+        const sibling = direction < 0 ? row.prev('tr') : row.next('tr');
+        if (!sibling.length) {
+            return;
+        }
+
+        if (!moveRow) {
+            sibling.trigger('focus');
+            return;
+        }
+
+        // Only waiting riders move, and never ahead of a ride in progress
+        if (!row.hasClass('queue-row-draggable') || !sibling.hasClass('queue-row-draggable')) {
+            return;
+        }
+
+        if (direction < 0) {
+            sibling.before(row);
+        } else {
+            sibling.after(row);
+        }
+        row.trigger('focus');
+        this.markQueueOrderChanged();
+    }
+
+    markQueueOrderChanged() {
+        this.queueReorderPending = true;
+        $('#queue-reorder-bar').removeClass('d-none');
+
+        // Show the new positions straight away
+        $('#queue-list tbody tr').each((index, row) => {
+            $(row).find('td:first .badge')
+                .text(`#${index + 1}`)
+                .toggleClass('bg-primary', index === 0)
+                .toggleClass('bg-secondary', index !== 0);
+        });
+    }
+
+    async saveQueueOrder() {
+        const reason = $('#queue-reorder-reason').val().trim();
+        if (!reason) {
+            this.showNotification('Please say why the queue order is changing', 'warning');
+            $('#queue-reorder-reason').trigger('focus');
+            return;
+        }
+
+        const queueOrder = $('#queue-list tr.queue-row-draggable')
+            .map((index, row) => parseInt($(row).attr('data-queue-id')))
+            .get();
+
+        try {
+            const response = await $.ajax({
+                url: '/Sales/ReorderQueue',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    queueOrder: queueOrder,
+                    reason: reason
+                }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (response.success) {
+                this.showNotification('Queue reordered successfully', 'success');
+                this.finishQueueReorder();
+                this.updateQueueList({ queueEntries: response.data });
+            } else {
+                this.showNotification(`${response.message || 'Queue could not be reordered'}. The latest queue has been reloaded.`, 'error');
+                this.cancelQueueReorder();
+            }
+        } catch (error) {
+            console.error('Error reordering queue:', error);
+            this.showNotification('Unable to reorder queue', 'error');
+        }
+    }
+
+    cancelQueueReorder() {
+        this.finishQueueReorder();
+        this.refreshQueueData();
+    }
+
+    finishQueueReorder() {
+        this.queueReorderPending = false;
+        // Positions were renumbered by hand; redraw every row on the next update
+        $('#queue-list tr').removeAttr('data-signature');
+        $('#queue-reorder-reason').val('');
+        $('#queue-reorder-bar').addClass('d-none');
     }
 
     updatePendingCounters() {
         const totalPending = $('.payment-item:visible').length;
-        const over5Minutes = $('.payment-item.moderate-payment:visible, .payment-item.urgent-payment:visible').length;
-        const over10Minutes = $('.payment-item.urgent-payment:visible').length;
+        const overWarning = $('.payment-item.moderate-payment:visible, .payment-item.urgent-payment:visible').length;
+        const overCritical = $('.payment-item.urgent-payment:visible').length;
 
         $('#total-pending').text(totalPending);
         $('#pending-count').text(totalPending);
-        $('#over-5-minutes').text(over5Minutes);
-        $('#over-10-minutes').text(over10Minutes);
+        $('#over-warning').text(overWarning);
+        $('#over-critical').text(overCritical);
     }
 
     // UI Interactions
@@ -554,6 +1823,45 @@ class SalesDashboard {
         $('.payment-item').removeClass('selected');
         $(`.payment-item[data-payment-id="${paymentId}"]`).addClass('selected');
         this.selectedPaymentId = paymentId;
+        this.selectedPaymentIds = new Set([paymentId]);
+        this.updateSelectionCount();
+    }
+
+    togglePaymentSelection(paymentId) {
+        const item = $(`.payment-item[data-payment-id="${paymentId}"]`);
+        if (this.selectedPaymentIds.has(paymentId)) {
+            this.selectedPaymentIds.delete(paymentId);
+            item.removeClass('selected');
+        } else {
+            this.selectedPaymentIds.add(paymentId);
+            item.addClass('selected');
+        }
+        this.selectedPaymentId = paymentId;
+        this.updateSelectionCount();
+    }
+
+    // Adds every visible payment between the focused one and paymentId
+    selectPaymentRange(paymentId) {
+        const visible = $('.payment-item:visible').toArray();
+        const ids = visible.map(item => $(item).data('payment-id'));
+        const from = ids.indexOf(this.selectedPaymentId);
+        const to = ids.indexOf(paymentId);
+        if (from === -1 || to === -1) {
+            this.selectPayment(paymentId);
+            return;
+        }
+
+        visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(item => {
+            this.selectedPaymentIds.add($(item).data('payment-id'));
+            $(item).addClass('selected');
+        });
+        this.selectedPaymentId = paymentId;
+        this.updateSelectionCount();
+    }
+
+    updateSelectionCount() {
+        const count = this.selectedPaymentIds.size;
+        $('#selected-payment-count').text(count).toggleClass('d-none', count < 2);
     }
 
     focusFirstPayment() {
@@ -565,15 +1873,20 @@ class SalesDashboard {
         }
     }
 
-    focusNextPayment() {
-        const currentSelected = $('.payment-item.selected');
-        const nextPayment = currentSelected.length
-            ? currentSelected.next('.payment-item:visible')
+    // With extendSelection (Shift+Space) the next payment joins the selection
+    focusNextPayment(extendSelection = false) {
+        const current = $(`.payment-item[data-payment-id="${this.selectedPaymentId}"]`);
+        const nextPayment = current.length
+            ? current.nextAll('.payment-item:visible').first()
             : $('.payment-item:visible').first();
 
         if (nextPayment.length) {
             const paymentId = nextPayment.data('payment-id');
-            this.selectPayment(paymentId);
+            if (extendSelection && current.length) {
+                this.selectPaymentRange(paymentId);
+            } else {
+                this.selectPayment(paymentId);
+            }
             nextPayment[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
         } else {
             // Wrap to first payment
@@ -584,6 +1897,8 @@ class SalesDashboard {
     clearSelection() {
         $('.payment-item').removeClass('selected');
         this.selectedPaymentId = null;
+        this.selectedPaymentIds.clear();
+        this.updateSelectionCount();
     }
 
     toggleSounds() {
@@ -600,6 +1915,10 @@ class SalesDashboard {
             btn.removeClass('btn-outline-light').addClass('btn-outline-secondary');
             this.showNotification('Sound alerts disabled', 'info');
         }
+
+        if (window.notificationSystem) {
+            window.notificationSystem.config.soundEnabled = this.soundsEnabled;
+        }
     }
 
     filterUrgentPayments() {
@@ -632,20 +1951,105 @@ class SalesDashboard {
         }
     }
 
-    bulkApproveSelected() {
-        const selectedItems = $('.payment-item.selected');
-        if (selectedItems.length === 0) {
+    async bulkApproveSelected() {
+        const paymentIds = [...this.selectedPaymentIds];
+        if (paymentIds.length === 0) {
             this.showNotification('No payments selected', 'warning');
             return;
         }
 
-        if (confirm(`Approve ${selectedItems.length} selected payment(s)?`)) {
-            selectedItems.each((index, item) => {
-                const paymentId = $(item).data('payment-id');
-                setTimeout(() => {
-                    this.confirmPayment(paymentId, true, 'Bulk approval');
-                }, index * 100); // Stagger requests
+        if (!confirm(`Approve ${paymentIds.length} selected payment(s)?`)) {
+            return;
+        }
+
+        let response;
+        try {
+            response = await $.ajax({
+                url: '/Sales/ConfirmPaymentBatch',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    paymentIds: paymentIds,
+                    confirmed: true,
+                    notes: 'Bulk approval'
+                }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+        } catch (error) {
+            console.error('Error approving payments:', error);
+            this.showNotification('Unable to process bulk approval', 'error');
+            return;
+        }
+
+        if (!response.success || !response.data) {
+            this.showNotification(response.message || 'Bulk approval failed', 'error');
+            return;
+        }
+
+        const { results, failed } = response.data;
+        results.filter(r => r.success).forEach(result => {
+            this.selectedPaymentIds.delete(result.paymentId);
+            $(`.payment-item[data-payment-id="${result.paymentId}"]`).fadeOut(300, function() {
+                $(this).remove();
             });
+        });
+        if (!this.selectedPaymentIds.has(this.selectedPaymentId)) {
+            this.selectedPaymentId = [...this.selectedPaymentIds][0] || null;
+        }
+        this.updateSelectionCount();
+        setTimeout(() => this.updatePendingCounters(), 350);
+
+        if (failed > 0) {
+            this.showBatchFailures(response.message, results.filter(r => !r.success));
+            // Payments someone else already processed drop out of the list
+            this.refreshData();
+        } else {
+            this.showNotification(response.message, 'success');
+            if (this.soundsEnabled) {
+                this.playNotificationSound();
+            }
+        }
+    }
+
+    // Lists the payments a batch could not process; any still pending stay selected
+    showBatchFailures(summary, failures) {
+        const modal = $(`
+            <div class="modal fade" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title text-warning">
+                                <i class="fas fa-exclamation-triangle me-2"></i>Some payments were not approved
+                            </h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p>${escapeHtml(summary)}</p>
+                            <ul class="list-group">
+                                ${failures.map(failure => `
+                                    <li class="list-group-item">
+                                        <strong>#${failure.paymentId}</strong>
+                                        <span class="text-muted ms-2">${escapeHtml(failure.message)}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-primary" data-bs-dismiss="modal">OK</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        $('body').append(modal);
+        modal.modal('show');
+        modal.on('hidden.bs.modal', () => modal.remove());
+
+        if (this.soundsEnabled) {
+            this.playPrioritySound('Warning');
         }
     }
 
@@ -659,6 +2063,9 @@ class SalesDashboard {
                 $(this).remove();
             });
             this.updatePendingCounters();
+        } else if (notification.status === 'Pending') {
+            // A decision was undone; the payment needs verifying again
+            this.refreshData();
         }
 
         if (this.soundsEnabled) {
@@ -668,14 +2075,20 @@ class SalesDashboard {
 
     handleQueueUpdate(notification) {
         console.log('Queue update received:', notification);
-        this.refreshQueueData();
+
+        // QueueUpdated carries the whole queue, so no round trip is needed
+        if (notification.queueEntries) {
+            this.updateQueueList({ queueEntries: notification.queueEntries });
+        } else {
+            this.refreshQueueData();
+        }
     }
 
     handleNewPayment(notification) {
         console.log('New payment received:', notification);
 
         this.showNotification(
-            `New payment from ${notification.customerName}`,
+            `New payment from ${escapeHtml(notification.customerName)}`,
             'info'
         );
 
@@ -687,9 +2100,55 @@ class SalesDashboard {
         }
     }
 
+    handleRefundRequested(notification) {
+        console.log('Refund requested:', notification);
+
+        this.showNotification(
+            `${escapeHtml(notification.customerName)} left the queue and asked for a $${notification.amount.toFixed(2)} refund`,
+            'warning'
+        );
+        this.refreshRefunds();
+
+        if (this.soundsEnabled) {
+            this.playNotificationSound();
+        }
+    }
+
+    handleRefundStatusUpdate(notification) {
+        console.log('Refund status update received:', notification);
+
+        // Another sales user may have resolved it
+        if (notification.status !== 'Pending') {
+            this.removeRefundItem(notification.refundRequestId);
+        }
+    }
+
     handleConfigurationChange(notification) {
         console.log('Configuration changed:', notification);
 
+        if (notification.configType === 'PaymentSla') {
+            this.applyPaymentSla(notification.configData);
+            this.showNotification(`Payment SLA updated by ${notification.changedBy}`, 'info');
+            return;
+        }
+
+        if (notification.configType === 'Event') {
+            this.updateEventBadge(notification.configData);
+            this.showNotification(`${notification.displayName} ${notification.changeType.toLowerCase()} by ${notification.changedBy}`, 'info');
+            this.refreshData();
+            return;
+        }
+
+        if (notification.configType === 'PromoCode') {
+            this.showNotification(`Promo code ${notification.displayName} ${notification.changeType.toLowerCase()} by ${notification.changedBy}`, 'info');
+            return;
+        }
+
+        if (notification.configType === 'PricingRule') {
+            this.showNotification(`Pricing rule ${notification.displayName} ${notification.changeType.toLowerCase()} by ${notification.changedBy}`, 'info');
+            return;
+        }
+
         const message = `Payment configuration updated: ${notification.displayName} ${notification.changeType.toLowerCase()} by ${notification.changedBy}`;
         this.showNotification(message, 'info');
 
@@ -708,6 +2167,10 @@ class SalesDashboard {
     }
 
     // Utility Functions
+    minutesSince(timestamp) {
+        return Math.max(0, Math.floor((Date.now() - new Date(timestamp)) / 60000));
+    }
+
     updateConnectionStatus(message, type) {
         const statusDiv = $('#connection-status');
         const textSpan = $('#connection-text');
@@ -776,6 +2239,8 @@ class SalesDashboard {
                                     <p><kbd>A</kbd> - Approve selected payment</p>
                                     <p><kbd>D</kbd> - Deny selected payment</p>
                                     <p><kbd>Space</kbd> - Focus next payment</p>
+                                    <p><kbd>Shift+Space</kbd> - Add next payment to selection</p>
+                                    <p><kbd>X</kbd> - Add or remove focused payment</p>
                                     <p><kbd>Esc</kbd> - Clear selection</p>
                                 </div>
                                 <div class="col-6">
@@ -784,6 +2249,7 @@ class SalesDashboard {
                                     <p><kbd>F5</kbd> - Refresh data</p>
                                     <p><kbd>U</kbd> - Filter urgent payments</p>
                                     <p><kbd>F8</kbd> - Toggle sound alerts</p>
+                                    <p><kbd>Alt+&uarr;/&darr;</kbd> - Move focused queue row</p>
                                 </div>
                             </div>
                             <div class="row">
@@ -824,9 +2290,14 @@ class SalesDashboard {
     handleCustomerAlert(notification) {
         console.log('Customer alert received:', notification);
 
+        if (notification.alertType === 'PaymentSlaBreached') {
+            this.escalateOverduePayment(notification);
+            return;
+        }
+
         // Show high-priority notification
         this.showNotification(
-            `Customer Alert: ${notification.Message}`,
+            `Customer Alert: ${escapeHtml(notification.message)}`,
             'warning'
         );
 
@@ -835,13 +2306,49 @@ class SalesDashboard {
 
         // Play priority sound
         if (this.soundsEnabled) {
-            this.playPrioritySound(notification.Priority);
+            this.playPrioritySound(notification.priority);
         }
 
         // Update alert counters
         this.updateAlertCounters();
     }
 
+    /**
+     * Payment SLA escalation: a warning toast once a payment passes the warning
+     * wait, and a toast that stays until acknowledged once it passes critical.
+     */
+    escalateOverduePayment(alert) {
+        const critical = alert.priority === 'Critical';
+
+        if (!window.notificationSystem) {
+            this.showNotification(escapeHtml(alert.message), critical ? 'error' : 'warning');
+            this.playPrioritySound(alert.priority);
+            return;
+        }
+
+        const actions = [{ id: 'review', label: 'Review payment', dismiss: true }];
+        if (critical) {
+            actions.push({ id: 'acknowledge', label: 'Acknowledge', dismiss: true });
+        }
+
+        window.notificationSystem.show({
+            type: critical ? 'error' : 'warning',
+            priority: alert.priority,
+            soundType: critical ? 'critical' : 'warning',
+            sound: this.soundsEnabled,
+            title: critical ? 'Payment overdue' : 'Payment waiting',
+            message: escapeHtml(alert.message),
+            autoDismiss: !critical,
+            timeout: 15000,
+            actions: actions,
+            onAction: action => {
+                if (action === 'review') {
+                    this.selectPayment(alert.paymentId);
+                }
+            }
+        });
+    }
+
     /**
      * Handle queue statistics updates
      */
@@ -849,22 +2356,22 @@ class SalesDashboard {
         console.log('Queue statistics update received:', notification);
 
         // Update dashboard statistics
-        if (notification.TotalInQueue !== undefined) {
-            $('#total-in-queue').text(notification.TotalInQueue);
+        if (notification.totalInQueue !== undefined) {
+            $('#total-in-queue').text(notification.totalInQueue);
         }
 
-        if (notification.PendingPayments !== undefined) {
-            $('#pending-count').text(notification.PendingPayments);
+        if (notification.pendingPayments !== undefined) {
+            $('#pending-count').text(notification.pendingPayments);
         }
 
         // Update average wait time display
-        if (notification.AverageWaitTime) {
-            const minutes = Math.round(notification.AverageWaitTime / 60000);
+        if (notification.averageWaitTime) {
+            const minutes = Math.round(notification.averageWaitTime / 60000);
             $('#average-wait-time').text(`${minutes} min`);
         }
 
         // Update timestamp
-        $('#last-updated').text(new Date(notification.UpdatedAt).toLocaleTimeString());
+        $('#last-updated').text(new Date(notification.updatedAt).toLocaleTimeString());
     }
 
     /**
@@ -880,20 +2387,20 @@ class SalesDashboard {
             'Critical': 'danger'
         };
 
-        const alertClass = severityMap[notification.Severity] || 'info';
+        const alertClass = severityMap[notification.severity] || 'info';
 
         // Show prominent notification for service issues
         this.showNotification(
-            `Service Issue: ${notification.Message}`,
+            `Service Issue: ${notification.message}`,
             alertClass === 'danger' ? 'error' : alertClass
         );
 
         // For critical issues, show modal
-        if (notification.Severity === 'Critical') {
+        if (notification.severity === 'Critical') {
             this.showCriticalIssueModal(notification);
         }
 
-        if (this.soundsEnabled && (notification.Severity === 'Error' || notification.Severity === 'Critical')) {
+        if (this.soundsEnabled && (notification.severity === 'Error' || notification.severity === 'Critical')) {
             this.playNotificationSound();
         }
     }
@@ -963,9 +2470,9 @@ class SalesDashboard {
         if (!alertsContainer.length) return;
 
         const alertElement = $(`
-            <div class="alert alert-warning alert-dismissible fade show customer-alert" data-alert-id="${alert.CustomerId}">
+            <div class="alert alert-warning alert-dismissible fade show customer-alert" data-alert-id="${alert.customerId}">
                 <i class="fas fa-exclamation-triangle me-2"></i>
-                <strong>Customer Alert:</strong> ${alert.Message}
+                <strong>Customer Alert:</strong> ${escapeHtml(alert.message)}
                 <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
             </div>
         `);
@@ -1029,9 +2536,9 @@ class SalesDashboard {
                             <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal"></button>
                         </div>
                         <div class="modal-body">
-                            <p><strong>Issue:</strong> ${issue.IssueType}</p>
-                            <p><strong>Description:</strong> ${issue.Message}</p>
-                            <p><strong>Time:</strong> ${new Date(issue.Timestamp).toLocaleString()}</p>
+                            <p><strong>Issue:</strong> ${issue.issueType}</p>
+                            <p><strong>Description:</strong> ${issue.message}</p>
+                            <p><strong>Time:</strong> ${new Date(issue.timestamp).toLocaleString()}</p>
                             <div class="alert alert-warning">
                                 <i class="fas fa-info-circle me-2"></i>
                                 Please contact system administrator if this issue persists.
@@ -1072,6 +2579,9 @@ function removeFromQueue(queueEntryId) {
 }
 
 function viewCustomerHistory(customerId) {
-    // Implementation for viewing customer history
-    console.log('Viewing customer history:', customerId);
+    window.salesDashboard.showCustomerHistory(customerId);
+}
+
+function mergeDuplicateCustomers(customerId) {
+    window.salesDashboard.showMergeDialog(customerId);
 }
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * End-of-Day Reconciliation JavaScript
+ * Shows the day's takings per payment method, the cash drawer count and the
+ * app transactions to check, and records the count at close
+ */
+
+class SalesReconciliation {
+    constructor() {
+        this.report = null;
+        this.initialize();
+    }
+
+    initialize() {
+        $('#reconciliation-date').on('change', () => this.loadReport());
+        $('#refresh-reconciliation').on('click', () => this.loadReport());
+        $('#export-csv').on('click', () => this.openExport('csv'));
+        $('#export-html').on('click', () => this.openExport('html'));
+        $('#cash-count-form').on('submit', (e) => {
+            e.preventDefault();
+            this.recordCashCount();
+        });
+
+        this.loadReport();
+    }
+
+    selectedDate() {
+        return $('#reconciliation-date').val();
+    }
+
+    async loadReport() {
+        try {
+            const response = await $.get('/Sales/GetReconciliation', { date: this.selectedDate() });
+
+            if (response.success) {
+                this.render(response.data);
+            } else {
+                this.showAlert(response.message || 'Unable to load reconciliation', 'danger');
+            }
+        } catch (error) {
+            console.error('Error loading reconciliation:', error);
+            this.showAlert('Unable to load reconciliation', 'danger');
+        }
+    }
+
+    async recordCashCount() {
+        const countedAmount = parseFloat($('#counted-amount').val());
+        if (isNaN(countedAmount) || countedAmount < 0) {
+            this.showAlert('Enter the cash counted in the drawer', 'warning');
+            return;
+        }
+
+        try {
+            const response = await $.ajax({
+                url: '/Sales/RecordCashCount',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    date: this.selectedDate(),
+                    countedAmount,
+                    openingFloat: parseFloat($('#opening-float').val()) || 0,
+                    notes: $('#cash-notes').val().trim() || null
+                }),
+                headers: {
+                    'RequestVerificationToken': $('input[name="__RequestVerificationToken"]').val()
+                }
+            });
+
+            if (response.success) {
+                this.render(response.data);
+                this.showAlert(response.message, response.data.cash.difference === 0 ? 'success' : 'warning');
+            } else {
+                this.showAlert(response.message || 'Cash count could not be recorded', 'danger');
+            }
+        } catch (error) {
+            console.error('Error recording cash count:', error);
+            this.showAlert('Cash count could not be recorded', 'danger');
+        }
+    }
+
+    // CSV downloads; HTML opens in a new tab for the print dialog
+    openExport(format) {
+        const url = `/Sales/ExportReconciliation?format=${format}&date=${encodeURIComponent(this.selectedDate())}`;
+        if (format === 'html') {
+            window.open(url, '_blank');
+        } else {
+            window.location.href = url;
+        }
+    }
+
+    render(report) {
+        this.report = report;
+        const { totals, cash } = report;
+
+        $('#total-net').text(this.money(totals.netAmount));
+        $('#total-confirmed').text(totals.confirmedCount);
+        $('#total-comped').text(totals.compedCount);
+        $('#total-pending').text(totals.pendingCount);
+
+        $('#method-rows').html(report.methods.map(method => `
+            <tr>
+                <td>${escapeHtml(method.displayName)}</td>
+                <td class="text-end">${this.money(method.pricePerRide)}</td>
+                <td class="text-end">${method.confirmedCount}</td>
+                <td class="text-end">${this.money(method.confirmedAmount)}</td>
+                <td class="text-end">${this.money(method.expectedAmount)}</td>
+                <td class="text-end ${method.variance ? 'text-danger fw-bold' : ''}"
+                    title="${method.offPriceCount} payment(s) not at the expected price">${this.money(method.variance)}</td>
+                <td class="text-end" title="${method.discountedCount} payment(s) with a promo code">${this.money(method.discountAmount)}</td>
+                <td class="text-end">${this.money(method.refundedAmount)}</td>
+                <td class="text-end fw-bold">${this.money(method.netAmount)}</td>
+                <td class="text-end">${method.deniedCount}</td>
+            </tr>
+        `).join('') + `
+            <tr class="table-light fw-bold">
+                <td>Total</td><td></td>
+                <td class="text-end">${totals.confirmedCount}</td>
+                <td class="text-end">${this.money(totals.confirmedAmount)}</td>
+                <td></td><td></td>
+                <td class="text-end">${this.money(totals.discountAmount)}</td>
+                <td class="text-end">${this.money(totals.refundedAmount)}</td>
+                <td class="text-end">${this.money(totals.netAmount)}</td>
+                <td class="text-end">${totals.deniedCount}</td>
+            </tr>
+        `);
+
+        $('#cash-expected').text(this.money(cash.expected));
+        $('#cash-counted').text(cash.counted === null ? 'Not counted' : this.money(cash.counted));
+        $('#cash-difference')
+            .text(cash.difference === null ? '-' : this.money(cash.difference))
+            .toggleClass('text-danger fw-bold', !!cash.difference);
+        $('#cash-counted-by').text(cash.countedBy
+            ? `Counted by ${cash.countedBy} at ${new Date(cash.countedAt).toLocaleTimeString()}${cash.notes ? ` - ${cash.notes}` : ''}`
+            : '');
+        $('#opening-float').val(cash.openingFloat);
+
+        this.renderRows('#transaction-rows', report.externalTransactions, 5, 'No app payments', t => `
+            <td>#${t.paymentId}</td>
+            <td>${escapeHtml(t.customerName)}</td>
+            <td>${escapeHtml(t.paymentMethod)}</td>
+            <td>${t.externalTransactionId
+                ? `<code>${escapeHtml(t.externalTransactionId)}</code>`
+                : '<span class="badge bg-danger">Missing</span>'}</td>
+            <td class="text-end">${this.money(t.amount)}</td>
+        `);
+        this.renderRows('#refund-rows', report.refunds, 5, 'No refunds', r => `
+            <td>#${r.paymentId}</td>
+            <td>${escapeHtml(r.customerName)}</td>
+            <td>${escapeHtml(r.paymentMethod)}</td>
+            <td class="text-end">${this.money(r.amount)}</td>
+            <td>${escapeHtml(r.status)}</td>
+        `);
+        this.renderRows('#denial-rows', report.denials, 5, 'No denied payments', d => `
+            <td>#${d.paymentId}</td>
+            <td>${escapeHtml(d.customerName)}</td>
+            <td>${escapeHtml(d.paymentMethod)}</td>
+            <td class="text-end">${this.money(d.amount)}</td>
+            <td>${escapeHtml(d.denialReasonCode || '')}</td>
+        `);
+        this.renderRows('#promo-code-rows', report.promoCodes, 3, 'No promo codes used', p => `
+            <td><code>${escapeHtml(p.code)}</code></td>
+            <td class="text-end">${p.uses}</td>
+            <td class="text-end">${this.money(p.discountAmount)}</td>
+        `);
+        this.renderRows('#comped-rows', report.compedRides, 4, 'No comped rides', c => `
+            <td>#${c.paymentId}</td>
+            <td>${escapeHtml(c.customerName)}</td>
+            <td title="${escapeHtml(c.notes)}">${escapeHtml(c.reasonCode || '')}</td>
+            <td>${escapeHtml(c.confirmedBy)}</td>
+        `);
+    }
+
+    renderRows(selector, items, columns, emptyText, cells) {
+        $(selector).html(items.length > 0
+            ? items.map(item => `<tr>${cells(item)}</tr>`).join('')
+            : `<tr><td colspan="${columns}" class="text-muted text-center">${emptyText}</td></tr>`);
+    }
+
+    money(amount) {
+        return amount == null ? '-' : `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    }
+
+    showAlert(message, type = 'info') {
+        const alertHtml = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${escapeHtml(message)}
+                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+            </div>
+        `;
+
+        $('#alert-container').prepend(alertHtml);
+
+        // Auto-dismiss after 5 seconds
+        setTimeout(() => {
+            $('#alert-container .alert').last().alert('close');
+        }, 5000);
+    }
+}
+
+// Initialize when DOM is ready
+$(document).ready(() => {
+    window.salesReconciliation = new SalesReconciliation();
+});
@@ -0,0 +1,84 @@
+/**
+ * Append-only audit log for the mock API.
+ * Each state-changing operation records who did it, when, and the values of
+ * the affected record before and after. Entries are copied and frozen when
+ * recorded and are never edited or removed; restoring a snapshot does not
+ * rewind the log.
+ */
+
+const { toCsv } = require('./csv');
+
+const CSV_COLUMNS = ['id', 'occurredAt', 'actor', 'actorRole', 'action', 'entityType', 'entityId', 'summary', 'before', 'after'];
+
+// Copies the named fields of a record, so an entry holds the values at the
+// time rather than a reference that later changes
+function pick(record, fields) {
+    if (!record) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(
+        Object.fromEntries(fields.map(field => [field, record[field] === undefined ? null : record[field]]))
+    ));
+}
+
+function freezeEntry(entry) {
+    [entry.before, entry.after].filter(Boolean).forEach(Object.freeze);
+    return Object.freeze(entry);
+}
+
+function createAuditLog() {
+    let entries = [];
+    let nextId = 1;
+
+    return {
+        /**
+         * actor is the authenticated user, or null for customers, who do not sign in
+         */
+        record({ actor, action, entityType, entityId = null, summary, before = null, after = null }) {
+            const entry = freezeEntry({
+                id: nextId++,
+                occurredAt: new Date().toISOString(),
+                actor: actor ? actor.username : null,
+                actorRole: actor ? actor.role : 'Customer',
+                action,
+                entityType,
+                entityId: entityId === null ? null : String(entityId),
+                summary,
+                before: before ? JSON.parse(JSON.stringify(before)) : null,
+                after: after ? JSON.parse(JSON.stringify(after)) : null
+            });
+            entries.push(entry);
+            return entry;
+        },
+
+        /**
+         * Entries matching every filter given, newest first. from/to are Dates.
+         */
+        query({ actor, action, entityType, entityId, from, to } = {}) {
+            return entries
+                .filter(e => !actor || e.actor === actor)
+                .filter(e => !action || e.action === action)
+                .filter(e => !entityType || e.entityType === entityType)
+                .filter(e => entityId === undefined || entityId === null || e.entityId === String(entityId))
+                .filter(e => !from || new Date(e.occurredAt) >= from)
+                .filter(e => !to || new Date(e.occurredAt) <= to)
+                .reverse();
+        },
+
+        exportState() {
+            return { entries, nextId };
+        },
+
+        importState(state) {
+            entries = (state && state.entries || []).map(entry => freezeEntry({ ...entry }));
+            nextId = state && state.nextId || entries.length + 1;
+        }
+    };
+}
+
+// One row per entry; before and after are written as JSON
+function toAuditCsv(entries) {
+    return toCsv([CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))]);
+}
+
+module.exports = { createAuditLog, pick, toAuditCsv };
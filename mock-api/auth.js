@@ -0,0 +1,180 @@
+/**
+ * JWT authentication for the mock API.
+ * Issues HS256-signed access/refresh tokens with the same claims JwtService
+ * puts in production tokens, and enforces UserRole per route the way
+ * DriftRideAuthorizeAttribute does (401 without a valid token, 403 on role).
+ */
+
+const crypto = require('crypto');
+const { createResponse } = require('./responses');
+
+const ISSUER = 'DriftRide.Api';
+const AUDIENCE = 'DriftRide.Web';
+
+// A random secret means tokens do not survive a restart; set
+// DRIFTRIDE_JWT_SECRET to keep sessions across restarts
+const secret = process.env.DRIFTRIDE_JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const accessTokenTtlSeconds = parseInt(process.env.DRIFTRIDE_ACCESS_TOKEN_TTL, 10) || 3600;
+const refreshTokenTtlSeconds = parseInt(process.env.DRIFTRIDE_REFRESH_TOKEN_TTL, 10) || 7 * 24 * 3600;
+
+// Demo accounts (see README)
+const users = [
+    { id: 1, username: 'sales@example.com', password: 'password', displayName: 'Sales User', role: 'Sales' },
+    { id: 4, username: 'sales2@example.com', password: 'password', displayName: 'Second Sales', role: 'Sales' },
+    { id: 2, username: 'driver@example.com', password: 'password', displayName: 'Driver User', role: 'Driver' },
+    { id: 3, username: 'driver2@example.com', password: 'password', displayName: 'Second Driver', role: 'Driver' }
+];
+
+// Refresh tokens are single use; remember the ones already exchanged
+const usedRefreshTokens = new Set();
+
+function base64Url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function signature(headerAndPayload) {
+    return base64Url(crypto.createHmac('sha256', secret).update(headerAndPayload).digest());
+}
+
+function signToken(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify({
+        ...claims,
+        jti: crypto.randomUUID(),
+        iss: ISSUER,
+        aud: AUDIENCE,
+        iat: now,
+        exp: now + ttlSeconds
+    }));
+
+    return `${header}.${payload}.${signature(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verifies signature, issuer/audience, expiry and token type.
+ * Returns the claims, or null if the token is not acceptable.
+ */
+function verifyToken(token, expectedType) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    const expected = Buffer.from(signature(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (claims.iss !== ISSUER || claims.aud !== AUDIENCE || claims.type !== expectedType) {
+        return null;
+    }
+
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    return claims;
+}
+
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role
+    };
+}
+
+function findUser(username, password) {
+    return users.find(u => u.username === username && u.password === password) || null;
+}
+
+/**
+ * Issues an access/refresh token pair in the LoginResponse shape
+ */
+function issueTokens(user) {
+    const claims = {
+        sub: String(user.id),
+        unique_name: user.username,
+        given_name: user.displayName,
+        role: user.role
+    };
+
+    return {
+        accessToken: signToken({ ...claims, type: 'access' }, accessTokenTtlSeconds),
+        refreshToken: signToken({ sub: claims.sub, type: 'refresh' }, refreshTokenTtlSeconds),
+        expiresIn: accessTokenTtlSeconds,
+        expiresAt: new Date(Date.now() + accessTokenTtlSeconds * 1000).toISOString(),
+        user: toPublicUser(user)
+    };
+}
+
+/**
+ * Exchanges a refresh token for a new token pair, or returns null
+ */
+function refreshTokens(refreshToken) {
+    const claims = verifyToken(refreshToken, 'refresh');
+    if (!claims || usedRefreshTokens.has(claims.jti)) {
+        return null;
+    }
+
+    const user = users.find(u => String(u.id) === claims.sub);
+    if (!user) {
+        return null;
+    }
+
+    usedRefreshTokens.add(claims.jti);
+    return issueTokens(user);
+}
+
+/**
+ * Route middleware: requires a valid bearer access token and, when roles
+ * are given, one of those roles. Sets req.user for the route handler.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const claims = verifyToken(token, 'access');
+
+        if (!claims) {
+            return res.status(401).json(createResponse(false, 'Authentication required', null, {
+                code: 'UNAUTHORIZED',
+                message: token ? 'Access token is invalid or expired' : 'Access token is required'
+            }));
+        }
+
+        if (roles.length > 0 && !roles.includes(claims.role)) {
+            return res.status(403).json(createResponse(false, 'Insufficient permissions', null, {
+                code: 'FORBIDDEN',
+                message: `This operation requires the ${roles.join(' or ')} role`
+            }));
+        }
+
+        req.user = {
+            id: parseInt(claims.sub, 10),
+            username: claims.unique_name,
+            displayName: claims.given_name,
+            role: claims.role
+        };
+        next();
+    };
+}
+
+module.exports = {
+    users,
+    findUser,
+    issueTokens,
+    refreshTokens,
+    verifyToken,
+    authorize
+};
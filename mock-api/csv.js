@@ -0,0 +1,29 @@
+/**
+ * CSV writing for the mock API's report exports.
+ * Objects are written as JSON, and values containing commas, quotes or line
+ * breaks are quoted. Rows end in CRLF.
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Names, notes and ids come from customers and staff; a leading quote keeps
+    // them as text. Negative amounts are left as numbers.
+    if (FORMULA_PREFIX.test(text) && !NUMBER.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows is an array of arrays of values; an empty array writes a blank line
+function toCsv(rows) {
+    return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,97 @@
+/**
+ * Customer lookup for the sales search box.
+ * Names match loosely: every word typed has to start, appear in, or be a
+ * typo or two away from a word of the name, ignoring case and accents.
+ * Phone numbers match on digits, so "(555) 01" finds "555-0101".
+ * The same rules flag likely duplicates when a customer signs up again.
+ */
+
+// Fewest digits in a search before it is also tried against phone numbers
+const MIN_PHONE_DIGITS = 3;
+
+function normalizeName(value) {
+    return String(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word);
+}
+
+// Levenshtein distance with adjacent transpositions counted as one edit
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// One or two letters must match exactly; longer words tolerate one typo, or two from 8 letters
+function allowedTypos(word) {
+    if (word.length < 3) {
+        return 0;
+    }
+    return word.length < 8 ? 1 : 2;
+}
+
+function wordMatches(searchWord, nameWord) {
+    return nameWord.startsWith(searchWord)
+        || (searchWord.length >= 3 && nameWord.includes(searchWord))
+        || editDistance(searchWord, nameWord) <= allowedTypos(searchWord);
+}
+
+function matchesName(name, search) {
+    const nameWords = normalizeName(name);
+    const searchWords = normalizeName(search);
+    return searchWords.length > 0
+        && searchWords.every(searchWord => nameWords.some(nameWord => wordMatches(searchWord, nameWord)));
+}
+
+// Searches without letters are phone lookups; formatting characters are ignored
+function matchesPhone(phoneNumber, search) {
+    if (/[a-z]/i.test(search)) {
+        return false;
+    }
+    const digits = search.replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS && String(phoneNumber).replace(/\D/g, '').includes(digits);
+}
+
+function matchesCustomer(customer, search) {
+    return matchesPhone(customer.phoneNumber, search) || matchesName(customer.name, search);
+}
+
+/**
+ * Existing customers that are probably the person described by name and
+ * phoneNumber: the same phone digits, or names whose words all match each
+ * other either way round ("Jon Smith" and "John Smith", not "John" and
+ * "John Smith"). Returns { customer, matchedOn } with matchedOn listing
+ * PhoneNumber and/or Name.
+ */
+function findLikelyDuplicates(customers, { name, phoneNumber }, excludeCustomerId = null) {
+    const digits = String(phoneNumber).replace(/\D/g, '');
+
+    return customers
+        .filter(customer => customer.id !== excludeCustomerId)
+        .map(customer => ({
+            customer,
+            matchedOn: [
+                ...(String(customer.phoneNumber).replace(/\D/g, '') === digits ? ['PhoneNumber'] : []),
+                ...(matchesName(customer.name, name) && matchesName(name, customer.name) ? ['Name'] : [])
+            ]
+        }))
+        .filter(candidate => candidate.matchedOn.length > 0);
+}
+
+module.exports = { matchesCustomer, findLikelyDuplicates };
@@ -0,0 +1,47 @@
+/**
+ * Rider dispatch for the mock API.
+ * Each ready car serves one rider at a time. Riders are handed out in queue
+ * order, either from the shared pool or from the entries pinned to a car.
+ */
+
+// Waiting and InProgress entries hold queue positions, as in QueueService
+function isActiveEntry(entry) {
+    return entry.status === 'Waiting' || entry.status === 'InProgress';
+}
+
+// A car takes riders only while it is active and someone is driving it
+function isCarReady(car) {
+    return car.isActive && !!car.driverUserId;
+}
+
+// The rider a car is serving: dispatched to it and waiting or riding
+function currentEntryForCar(queue, carId) {
+    return queue
+        .filter(q => isActiveEntry(q) && q.carId === carId)
+        .sort((a, b) => a.position - b.position)[0] || null;
+}
+
+/**
+ * Gives every ready car without a rider the next entry it may take, in
+ * queue order: entries pinned to that car (assignedCarId) or left in the
+ * shared pool. Once dispatched, an entry stays with its car until the ride
+ * is completed or the car is released.
+ */
+function dispatchRiders(queue, cars) {
+    cars.filter(isCarReady).forEach(car => {
+        if (currentEntryForCar(queue, car.id)) {
+            return;
+        }
+
+        const next = queue
+            .filter(q => q.status === 'Waiting' && !q.carId && (!q.assignedCarId || q.assignedCarId === car.id))
+            .sort((a, b) => a.position - b.position)[0];
+
+        if (next) {
+            next.carId = car.id;
+            next.dispatchedAt = new Date().toISOString();
+        }
+    });
+}
+
+module.exports = { isActiveEntry, isCarReady, currentEntryForCar, dispatchRiders };
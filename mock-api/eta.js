@@ -0,0 +1,104 @@
+/**
+ * Ride start estimates for the mock API.
+ * Each car's ride length is the rolling average of its most recent completed
+ * rides. Waiting riders are played through the cars in queue order, the way
+ * dispatchRiders() hands them out, to predict when each one gets in.
+ */
+
+// Completed rides per car that make up the rolling average
+const ROLLING_WINDOW = 10;
+// Used until a car, and then any car, has a timed ride behind it
+const DEFAULT_RIDE_DURATION_MS = 5 * 60000;
+
+function averageDuration(rides) {
+    if (rides.length === 0) {
+        return null;
+    }
+    const total = rides.reduce((sum, q) => sum + (new Date(q.completedAt) - new Date(q.startedAt)), 0);
+    return Math.round(total / rides.length);
+}
+
+/**
+ * Rolling average ride duration in ms per car id; the key null holds the
+ * average over the latest rides of all cars
+ */
+function averageRideDurations(queue) {
+    const timedRides = queue
+        .filter(q => q.status === 'Completed' && q.startedAt && q.completedAt)
+        .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+
+    const averages = new Map([[null, averageDuration(timedRides.slice(0, ROLLING_WINDOW))]]);
+    new Set(timedRides.map(q => q.carId).filter(carId => carId)).forEach(carId => {
+        averages.set(carId, averageDuration(timedRides.filter(q => q.carId === carId).slice(0, ROLLING_WINDOW)));
+    });
+    return averages;
+}
+
+// TimeSpan as the .NET API serializes it (HH:MM:SS)
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    return [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * Predicts when every active entry starts its ride on the given cars.
+ * Returns estimates by queue entry id ({ startAt, waitTime } in epoch ms
+ * and ms, startAt null when no car can take the rider) and newRiderWaitTime,
+ * the wait for someone joining the shared pool now.
+ * With no car ready, one car running at the fleet average is assumed so
+ * customers still get an estimate.
+ */
+function estimateStartTimes(queue, readyCars, now = Date.now()) {
+    const averages = averageRideDurations(queue);
+    const fleetAverage = averages.get(null) || DEFAULT_RIDE_DURATION_MS;
+
+    const lanes = readyCars.map(car => ({
+        carId: car.id,
+        rideDuration: averages.get(car.id) || fleetAverage,
+        availableAt: now
+    }));
+    if (lanes.length === 0) {
+        lanes.push({ carId: null, rideDuration: fleetAverage, availableAt: now });
+    }
+
+    const active = queue
+        .filter(q => q.status === 'Waiting' || q.status === 'InProgress')
+        .sort((a, b) => a.position - b.position);
+    const estimates = new Map();
+
+    // Rides under way keep their car until they are expected to finish
+    active.filter(q => q.status === 'InProgress').forEach(entry => {
+        const startedAt = new Date(entry.startedAt).getTime();
+        const lane = lanes.find(l => l.carId === entry.carId);
+        if (lane) {
+            lane.availableAt = Math.max(now, startedAt + lane.rideDuration);
+        }
+        estimates.set(entry.id, { startAt: startedAt, waitTime: 0 });
+    });
+
+    // Riders already dispatched go next in their car, the pool follows in queue order
+    const waiting = active.filter(q => q.status === 'Waiting');
+    [...waiting.filter(q => q.carId), ...waiting.filter(q => !q.carId)].forEach(entry => {
+        const carId = entry.carId || entry.assignedCarId;
+        const lane = lanes
+            .filter(l => !carId || l.carId === carId || l.carId === null)
+            .sort((a, b) => a.availableAt - b.availableAt)[0];
+
+        if (!lane) {
+            estimates.set(entry.id, { startAt: null, waitTime: null });
+            return;
+        }
+
+        estimates.set(entry.id, { startAt: lane.availableAt, waitTime: lane.availableAt - now });
+        lane.availableAt += lane.rideDuration;
+    });
+
+    return {
+        estimates,
+        newRiderWaitTime: Math.min(...lanes.map(l => l.availableAt)) - now
+    };
+}
+
+module.exports = { estimateStartTimes, formatDuration };
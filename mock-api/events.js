@@ -0,0 +1,53 @@
+/**
+ * Events for the mock API: a day or session of rides at a venue.
+ * The open event owns the live customers, payments, queue and pricing.
+ * Closing it moves those records into the event, frozen as they were, with
+ * summary stats; the next event starts with an empty queue and carries the
+ * pricing over.
+ */
+
+const round = amount => Math.round(amount * 100) / 100;
+
+function summarizeEvent({ customers, payments, queue, refundRequests }) {
+    const paid = payments.filter(p => ['Confirmed', 'Refunded'].includes(p.status) && !p.comped);
+    const refunded = refundRequests.filter(r => r.status === 'Approved');
+    const completed = queue.filter(q => q.status === 'Completed');
+    // Rides completed before start times were recorded have no duration
+    const timedRides = completed.filter(q => q.startedAt && q.completedAt);
+    const grossRevenue = round(paid.reduce((sum, p) => sum + p.amount, 0));
+    const refundedAmount = round(refunded.reduce((sum, r) => sum + r.amount, 0));
+
+    return {
+        totalCustomers: customers.length,
+        paidRides: paid.length,
+        compedRides: payments.filter(p => p.comped && p.status === 'Confirmed').length,
+        completedRides: completed.length,
+        cancelledRides: queue.filter(q => q.status === 'Cancelled').length,
+        // Still waiting when the event closed
+        unservedRiders: queue.filter(q => ['Waiting', 'Called'].includes(q.status)).length,
+        pendingPayments: payments.filter(p => p.status === 'Pending').length,
+        deniedPayments: payments.filter(p => p.status === 'Denied').length,
+        grossRevenue,
+        refundedAmount,
+        netRevenue: round(grossRevenue - refundedAmount),
+        revenueByMethod: [...new Set(paid.map(p => p.paymentMethod))].map(paymentMethod => {
+            const methodPayments = paid.filter(p => p.paymentMethod === paymentMethod);
+            return {
+                paymentMethod,
+                count: methodPayments.length,
+                amount: round(methodPayments.reduce((sum, p) => sum + p.amount, 0))
+            };
+        }),
+        averageRideDuration: timedRides.length > 0
+            ? Math.round(timedRides.reduce((sum, q) => sum + (new Date(q.completedAt) - new Date(q.startedAt)), 0) / timedRides.length)
+            : null
+    };
+}
+
+// The event without its archived records
+function toEventResponse(event) {
+    const { records, ...response } = event;
+    return response;
+}
+
+module.exports = { summarizeEvent, toEventResponse };
@@ -0,0 +1,238 @@
+/**
+ * Mock counterpart of NotificationService.cs.
+ * Sends the same hub events to the same groups, with camelCase payloads as
+ * the default SignalR JSON protocol produces. Durations are milliseconds,
+ * which is what the dashboards divide by 60000.
+ */
+
+const STAFF_GROUPS = ['Role_Sales', 'Role_Driver', 'drivers'];
+// driver-dashboard.js joins 'drivers' rather than Role_Driver
+const DRIVER_GROUPS = ['Role_Driver', 'drivers'];
+const SALES_GROUPS = ['Role_Sales'];
+
+function createNotificationService(hub) {
+    return {
+        notifyQueueUpdate(updateType, queueEntries, details = {}) {
+            const waiting = queueEntries.filter(entry => entry.status === 'Waiting');
+
+            hub.sendToGroups(STAFF_GROUPS, 'QueueUpdated', {
+                updateType,
+                queueEntries,
+                affectedEntry: details.affectedEntry || null,
+                previousPosition: details.previousPosition || null,
+                newPosition: details.newPosition || null,
+                updatedAt: new Date().toISOString(),
+                updateReason: details.updateReason || null,
+                totalQueueLength: waiting.length,
+                estimatedWaitTime: details.estimatedWaitTime !== undefined ? details.estimatedWaitTime : null
+            });
+        },
+
+        notifyPaymentStatus(payment, customer, queueEntry = null) {
+            const notification = {
+                paymentId: payment.id,
+                customerId: payment.customerId,
+                customer,
+                status: payment.status,
+                amount: payment.amount,
+                paymentMethod: payment.paymentMethod,
+                externalTransactionId: payment.externalTransactionId,
+                isAutoVerified: false,
+                confirmedByStaff: payment.confirmedBy,
+                confirmationNotes: payment.notes,
+                denialReasonCode: payment.denialReasonCode || null,
+                attemptNumber: payment.attemptNumber || 1,
+                processedAt: payment.createdAt,
+                statusChangedAt: new Date().toISOString(),
+                addedToQueue: !!queueEntry,
+                queuePosition: queueEntry ? queueEntry.position : null,
+                errorMessage: null,
+                priority: payment.status === 'Denied' ? 'Warning' : 'Info',
+                requiresAttention: payment.status === 'Pending'
+            };
+            const customerGroups = [`Customer_${payment.customerId}`, `Payment_${payment.id}`];
+
+            hub.sendToGroups(SALES_GROUPS, 'PaymentStatusUpdated', notification);
+            hub.sendToGroups(customerGroups, 'PaymentStatusChanged', notification);
+
+            if (payment.status === 'Confirmed') {
+                hub.sendToGroups(DRIVER_GROUPS, 'PaymentConfirmed', notification);
+                hub.sendToGroups(['Customers'], 'QueueMayHaveChanged', { timestamp: new Date().toISOString() });
+            }
+
+            if (payment.status === 'Denied') {
+                hub.sendToGroups(customerGroups, 'PaymentDenied', {
+                    paymentId: payment.id,
+                    reason: payment.notes,
+                    reasonCode: payment.denialReasonCode,
+                    attemptNumber: payment.attemptNumber || 1,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        },
+
+        notifyNewPayment(payment, customer) {
+            hub.sendToGroups(SALES_GROUPS, 'NewPayment', {
+                paymentId: payment.id,
+                customerId: payment.customerId,
+                customerName: customer ? customer.name : null,
+                amount: payment.amount,
+                paymentMethod: payment.paymentMethod,
+                submittedAt: payment.createdAt,
+                attemptNumber: payment.attemptNumber || 1,
+                retryOfPaymentId: payment.retryOfPaymentId || null,
+                requiresAttention: true,
+                priority: 'Info',
+                type: 'NewPayment'
+            });
+        },
+
+        notifyRefundRequested(refundRequest) {
+            hub.sendToGroups(SALES_GROUPS, 'RefundRequested', {
+                refundRequestId: refundRequest.id,
+                refundRequest,
+                customerId: refundRequest.customerId,
+                customerName: refundRequest.customer ? refundRequest.customer.name : null,
+                amount: refundRequest.amount,
+                reason: refundRequest.reason,
+                requestedAt: refundRequest.requestedAt,
+                requiresAttention: true,
+                priority: 'Warning',
+                type: 'RefundRequested'
+            });
+        },
+
+        notifyRefundStatus(refundRequest) {
+            const notification = {
+                refundRequestId: refundRequest.id,
+                refundRequest,
+                paymentId: refundRequest.paymentId,
+                customerId: refundRequest.customerId,
+                status: refundRequest.status,
+                amount: refundRequest.amount,
+                resolvedBy: refundRequest.resolvedBy,
+                notes: refundRequest.notes,
+                resolvedAt: refundRequest.resolvedAt,
+                type: 'RefundStatus'
+            };
+
+            hub.sendToGroups(SALES_GROUPS, 'RefundStatusUpdated', notification);
+            hub.sendToGroups([`Customer_${refundRequest.customerId}`, `Payment_${refundRequest.paymentId}`],
+                'RefundStatusChanged', notification);
+        },
+
+        notifyRideStatus(queueEntry, customer) {
+            const notificationTypes = {
+                InProgress: 'RideStarted',
+                Completed: 'RideCompleted',
+                Cancelled: 'RideCancelled'
+            };
+            const rideDuration = queueEntry.startedAt && queueEntry.completedAt
+                ? new Date(queueEntry.completedAt) - new Date(queueEntry.startedAt)
+                : null;
+
+            hub.sendToGroups(STAFF_GROUPS, 'RideStatusUpdated', {
+                queueEntryId: queueEntry.id,
+                queueEntry,
+                customer,
+                notificationType: notificationTypes[queueEntry.status] || 'QueuePositionUpdate',
+                rideStatus: queueEntry.status,
+                driverUsername: queueEntry.completedBy || queueEntry.startedBy || null,
+                rideStartedAt: queueEntry.startedAt || null,
+                rideCompletedAt: queueEntry.completedAt || null,
+                rideDuration,
+                startingPosition: queueEntry.position,
+                createdAt: new Date().toISOString(),
+                requiresDriverAttention: queueEntry.status === 'Waiting' && queueEntry.position === 1,
+                priority: queueEntry.status === 'Cancelled' ? 'Warning' : 'Info'
+            });
+        },
+
+        notifyCustomerQueuePosition(customerId, queuePosition, estimatedWaitTime = null, estimatedStartAt = null) {
+            hub.sendToGroups([`Customer_${customerId}`], 'QueuePositionUpdated', {
+                customerId,
+                queuePosition,
+                estimatedWaitTime,
+                estimatedStartAt,
+                updatedAt: new Date().toISOString(),
+                type: 'QueuePositionUpdate'
+            });
+        },
+
+        // Pages still following a merged-away record switch to the one it went into
+        notifyCustomerMerged(sourceCustomerId, targetCustomerId) {
+            hub.sendToGroups([`Customer_${sourceCustomerId}`], 'CustomerMerged', {
+                customerId: sourceCustomerId,
+                mergedIntoCustomerId: targetCustomerId,
+                timestamp: new Date().toISOString(),
+                type: 'CustomerMerged'
+            });
+        },
+
+        notifyCustomerAlert(customerId, alertType, message, priority = 'Warning', details = {}) {
+            hub.sendToGroups(SALES_GROUPS, 'CustomerAlert', {
+                ...details,
+                customerId,
+                alertType,
+                message,
+                priority,
+                requiresAction: true,
+                timestamp: new Date().toISOString(),
+                type: 'CustomerAlert'
+            });
+        },
+
+        /**
+         * CustomerNotification with a CustomerNotificationType. The customer
+         * gets it on their own group; sales get it as CustomerAttention, as
+         * NotifyCustomerAttentionAsync sends it.
+         */
+        notifyCustomer(customerId, notificationType, message, details = {}) {
+            const notification = {
+                customerId,
+                notificationType,
+                reason: details.reason || notificationType,
+                message,
+                priority: details.priority || 'Info',
+                requiresAction: !!details.requiresAction,
+                suggestedAction: details.suggestedAction || null,
+                createdAt: new Date().toISOString(),
+                relatedPayment: details.relatedPayment || null,
+                relatedQueueEntry: details.relatedQueueEntry || null,
+                additionalData: details.additionalData || {},
+                type: 'CustomerNotification'
+            };
+
+            hub.sendToGroups([`Customer_${customerId}`], 'CustomerNotification', notification);
+            hub.sendToGroups(SALES_GROUPS, 'CustomerAttention', notification);
+        },
+
+        notifyQueueStatistics(totalInQueue, pendingPayments, averageWaitTime = null) {
+            hub.sendToGroups(STAFF_GROUPS, 'QueueStatisticsUpdated', {
+                totalInQueue,
+                pendingPayments,
+                averageWaitTime,
+                updatedAt: new Date().toISOString(),
+                type: 'QueueStatistics'
+            });
+        },
+
+        /**
+         * ConfigurationChanged also carries the fields the sales and customer
+         * pages display (displayName, changeType, changedBy)
+         */
+        notifyConfigurationChange(configType, configData, changeType, changedBy) {
+            hub.sendToGroups([...STAFF_GROUPS, 'Customers'], 'ConfigurationChanged', {
+                configType,
+                configData,
+                displayName: configData.displayName || configType,
+                changeType,
+                changedBy,
+                updatedAt: new Date().toISOString(),
+                type: 'ConfigurationChange'
+            });
+        }
+    };
+}
+
+module.exports = { createNotificationService };
@@ -0,0 +1,93 @@
+/**
+ * Payment methods for the mock API.
+ * Sales add, remove and reorder methods at runtime; payments keep the method
+ * key they were made with. Each method carries the instructions customers
+ * see at checkout, a template that may use {amount}, {displayName} and
+ * {paymentUrl}. Cash methods are paid at the counter: they count towards the
+ * cash drawer and need no transaction id.
+ */
+
+const PLACEHOLDERS = ['amount', 'displayName', 'paymentUrl'];
+
+const APP_INSTRUCTIONS = 'Tap the button below to open {displayName}\n'
+    + 'Send {amount} to our account\n'
+    + 'Return here and check the confirmation box';
+
+const CASH_INSTRUCTIONS = 'Please proceed to our sales counter\n'
+    + 'Pay {amount} in cash\n'
+    + 'Return here and check the confirmation box';
+
+function defaultInstructions(isCash) {
+    return isCash ? CASH_INSTRUCTIONS : APP_INSTRUCTIONS;
+}
+
+function createDefaultPaymentConfigurations() {
+    return {
+        CashApp: {
+            displayName: 'CashApp Payment',
+            paymentUrl: 'https://cash.app/$driftride',
+            isEnabled: true,
+            pricePerRide: 25.00,
+            apiIntegrationEnabled: true,
+            isCash: false,
+            instructions: APP_INSTRUCTIONS,
+            sortOrder: 0
+        },
+        PayPal: {
+            displayName: 'PayPal Payment',
+            paymentUrl: 'https://paypal.me/driftride',
+            isEnabled: true,
+            pricePerRide: 27.50,
+            apiIntegrationEnabled: false,
+            isCash: false,
+            instructions: APP_INSTRUCTIONS,
+            sortOrder: 1
+        },
+        CashInHand: {
+            displayName: 'Cash Payment',
+            paymentUrl: '',
+            isEnabled: true,
+            pricePerRide: 20.00,
+            apiIntegrationEnabled: false,
+            isCash: true,
+            instructions: CASH_INSTRUCTIONS,
+            sortOrder: 2
+        }
+    };
+}
+
+// State saved before methods were configurable: only CashInHand was paid in cash
+function withPaymentMethodDefaults(configurations) {
+    return Object.fromEntries(Object.entries(configurations).map(([paymentMethod, config], index) => {
+        const isCash = config.isCash !== undefined ? config.isCash : paymentMethod === 'CashInHand';
+        return [paymentMethod, {
+            ...config,
+            isCash,
+            instructions: config.instructions || defaultInstructions(isCash),
+            sortOrder: config.sortOrder !== undefined ? config.sortOrder : index
+        }];
+    }));
+}
+
+// [paymentMethod, config] pairs in the order customers see them
+function orderedPaymentMethods(configurations) {
+    return Object.entries(configurations).sort(([, a], [, b]) => a.sortOrder - b.sortOrder);
+}
+
+// Checks the contract cannot express
+function instructionErrors(instructions) {
+    const unknown = [...instructions.matchAll(/\{(\w+)\}/g)]
+        .map(match => match[1])
+        .filter(name => !PLACEHOLDERS.includes(name));
+    return unknown.length > 0
+        ? { instructions: [`Unknown placeholder ${unknown.map(name => `{${name}}`).join(', ')}; use {amount}, {displayName} or {paymentUrl}`] }
+        : null;
+}
+
+module.exports = {
+    createDefaultPaymentConfigurations,
+    withPaymentMethodDefaults,
+    orderedPaymentMethods,
+    defaultInstructions,
+    instructionErrors
+};
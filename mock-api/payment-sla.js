@@ -0,0 +1,77 @@
+/**
+ * Pending payment SLA for the mock API.
+ * Staff aim to verify each payment within the target; payments still
+ * pending past the warning and critical waits are escalated. The report
+ * measures how long each staff member took from submission to decision.
+ */
+
+function waitedMs(payment, now) {
+    return now - new Date(payment.createdAt).getTime();
+}
+
+// 'Critical', 'Warning' or null for a payment still waiting at now
+function slaLevel(payment, settings, now = Date.now()) {
+    const waited = waitedMs(payment, now);
+    if (waited > settings.criticalMinutes * 60000) {
+        return 'Critical';
+    }
+    return waited > settings.warningMinutes * 60000 ? 'Warning' : null;
+}
+
+function median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function summarize(latencies, settings) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const withinTarget = sorted.filter(seconds => seconds <= settings.targetSeconds).length;
+
+    return {
+        processed: sorted.length,
+        averageSeconds: sorted.length ? Math.round(sorted.reduce((sum, s) => sum + s, 0) / sorted.length) : null,
+        medianSeconds: sorted.length ? median(sorted) : null,
+        slowestSeconds: sorted.length ? sorted[sorted.length - 1] : null,
+        withinTarget,
+        withinTargetPercent: sorted.length ? Math.round(withinTarget / sorted.length * 100) : null,
+        overWarning: sorted.filter(seconds => seconds > settings.warningMinutes * 60).length,
+        overCritical: sorted.filter(seconds => seconds > settings.criticalMinutes * 60).length
+    };
+}
+
+/**
+ * Confirmation latency overall and per staff member for payments decided
+ * since the given time. Manual additions are left out: staff record those
+ * already confirmed, so there is no wait to measure. So are payments no staff
+ * member decided, such as the seeded demo data.
+ */
+function buildSlaReport(payments, settings, since = null) {
+    const decided = payments
+        .filter(p => p.confirmedAt && p.confirmedBy && !p.manualReasonCode)
+        .filter(p => !since || new Date(p.confirmedAt) >= since)
+        .map(p => ({
+            username: p.confirmedBy,
+            status: p.status,
+            seconds: Math.max(0, Math.round((new Date(p.confirmedAt) - new Date(p.createdAt)) / 1000))
+        }));
+
+    const staff = [...new Set(decided.map(d => d.username))]
+        .map(username => {
+            const own = decided.filter(d => d.username === username);
+            return {
+                username,
+                ...summarize(own.map(d => d.seconds), settings),
+                denied: own.filter(d => d.status === 'Denied').length
+            };
+        })
+        .sort((a, b) => b.processed - a.processed || a.username.localeCompare(b.username));
+
+    return {
+        settings,
+        since: since ? since.toISOString() : null,
+        overall: summarize(decided.map(d => d.seconds), settings),
+        staff
+    };
+}
+
+module.exports = { slaLevel, buildSlaReport };
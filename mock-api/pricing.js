@@ -0,0 +1,113 @@
+/**
+ * Time-based pricing rules for the mock API.
+ * A rule applies on its days of the week between its start and end time
+ * (server local time; a window may run past midnight). Happy hours take money
+ * off the configured price and peak surcharges add to it, each worked out on
+ * the configured price. Bundles sell a number of rides for one price.
+ */
+
+const round = amount => Math.round(amount * 100) / 100;
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function appliesToMethod(rule, paymentMethod) {
+    return !rule.paymentMethods || rule.paymentMethods.length === 0 || rule.paymentMethods.includes(paymentMethod);
+}
+
+function ruleActiveAt(rule, at) {
+    if (!rule.isEnabled) {
+        return false;
+    }
+
+    const start = minutesOf(rule.startTime);
+    const end = minutesOf(rule.endTime);
+    const now = at.getHours() * 60 + at.getMinutes();
+    const overnight = end <= start;
+    const inWindow = overnight ? now >= start || now < end : now >= start && now < end;
+
+    // After midnight in an overnight window the rule belongs to the previous day
+    const day = overnight && now < end ? (at.getDay() + 6) % 7 : at.getDay();
+    const onDay = !rule.daysOfWeek || rule.daysOfWeek.length === 0 || rule.daysOfWeek.includes(day);
+
+    return inWindow && onDay;
+}
+
+function adjustmentFor(rule, basePrice) {
+    const amount = rule.adjustmentType === 'Percent'
+        ? basePrice * rule.adjustmentValue / 100
+        : rule.adjustmentValue;
+    return round(rule.type === 'HappyHour' ? -amount : amount);
+}
+
+/**
+ * What a customer pays for one ride with the method at the given time, and
+ * the bundles on offer then
+ */
+function quotePrice(paymentMethod, config, rules, at = new Date()) {
+    const active = rules.filter(rule => appliesToMethod(rule, paymentMethod) && ruleActiveAt(rule, at));
+    const adjustments = active
+        .filter(rule => rule.type !== 'Bundle')
+        .map(rule => ({ ruleId: rule.id, name: rule.name, type: rule.type, amount: adjustmentFor(rule, config.pricePerRide) }));
+
+    return {
+        paymentMethod,
+        displayName: config.displayName,
+        basePrice: config.pricePerRide,
+        price: Math.max(0, round(config.pricePerRide + adjustments.reduce((sum, a) => sum + a.amount, 0))),
+        adjustments,
+        bundles: active
+            .filter(rule => rule.type === 'Bundle')
+            .map(rule => ({
+                ruleId: rule.id,
+                name: rule.name,
+                rideCount: rule.rideCount,
+                price: rule.bundlePrice,
+                perRidePrice: round(rule.bundlePrice / rule.rideCount)
+            }))
+            .sort((a, b) => a.rideCount - b.rideCount),
+        quotedAt: at.toISOString()
+    };
+}
+
+// Expected amount for rideCount rides: a matching bundle, or the ride price each
+function priceForRides(quote, rideCount) {
+    const bundle = rideCount > 1 ? quote.bundles.find(b => b.rideCount === rideCount) : null;
+    if (bundle) {
+        return { expectedAmount: bundle.price, pricingRuleIds: [bundle.ruleId] };
+    }
+    return {
+        expectedAmount: round(quote.price * rideCount),
+        pricingRuleIds: quote.adjustments.map(a => a.ruleId)
+    };
+}
+
+// Checks the fields each rule type needs, which the contract cannot express
+function pricingRuleErrors(rule) {
+    const errors = {};
+    if (rule.startTime === rule.endTime) {
+        errors.endTime = ['End time must differ from start time'];
+    }
+    if (rule.type === 'Bundle') {
+        if (!rule.rideCount) {
+            errors.rideCount = ['Bundles need the number of rides'];
+        }
+        if (rule.bundlePrice === undefined || rule.bundlePrice === null) {
+            errors.bundlePrice = ['Bundles need a price'];
+        }
+    } else {
+        if (!rule.adjustmentType) {
+            errors.adjustmentType = [`${rule.type} rules need an adjustment type`];
+        }
+        if (rule.adjustmentValue === undefined || rule.adjustmentValue === null) {
+            errors.adjustmentValue = [`${rule.type} rules need an adjustment value`];
+        } else if (rule.adjustmentType === 'Percent' && rule.adjustmentValue > 100) {
+            errors.adjustmentValue = ['A percentage adjustment cannot exceed 100'];
+        }
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+module.exports = { quotePrice, priceForRides, pricingRuleErrors };
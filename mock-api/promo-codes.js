@@ -0,0 +1,46 @@
+/**
+ * Promo codes for the mock API.
+ * A code takes a percentage or a fixed amount off what the customer pays for
+ * the rides they buy, bundles included, until it expires or has been used
+ * maxUses times. Every payment made with the code uses it unless the payment
+ * is denied, so a denial frees the use for the resubmission.
+ */
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Codes are matched case-insensitively and stored upper case
+function normalizeCode(code) {
+    return code.trim().toUpperCase();
+}
+
+// Why the code cannot be used now, or null when it can
+function promoCodeUnavailable(promo, usedCount, now = new Date()) {
+    if (!promo.isEnabled) {
+        return `Promo code ${promo.code} is not active`;
+    }
+    if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+        return `Promo code ${promo.code} has expired`;
+    }
+    if (promo.maxUses !== null && usedCount >= promo.maxUses) {
+        return `Promo code ${promo.code} has been used up`;
+    }
+    return null;
+}
+
+// Never more than the amount itself
+function discountFor(promo, amount) {
+    const discount = promo.discountType === 'Percent'
+        ? amount * promo.discountValue / 100
+        : promo.discountValue;
+    return round(Math.min(amount, discount));
+}
+
+// Checks the contract cannot express
+function promoCodeErrors(promo) {
+    if (promo.discountType === 'Percent' && promo.discountValue > 100) {
+        return { discountValue: ['A percentage discount cannot exceed 100'] };
+    }
+    return null;
+}
+
+module.exports = { normalizeCode, promoCodeUnavailable, discountFor, promoCodeErrors };
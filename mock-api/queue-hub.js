@@ -0,0 +1,270 @@
+/**
+ * QueueHub for the mock API.
+ * Speaks enough of the SignalR JSON hub protocol over the Server-Sent Events
+ * transport for the stock @microsoft/signalr browser client to connect, so
+ * the real dashboards can run against the Node backend unchanged.
+ *
+ * Hub methods match QueueHub.cs: JoinGroup, LeaveGroup, JoinPaymentGroup,
+ * LeavePaymentGroup, JoinCustomerGroup, Heartbeat, RequestConnectionStatus.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { verifyToken } = require('./auth');
+
+const RECORD_SEPARATOR = '\x1e';
+
+// SignalR message types
+const MessageType = {
+    Invocation: 1,
+    Completion: 3,
+    Ping: 6,
+    Close: 7
+};
+
+// The client drops the connection after 30s of silence (serverTimeout)
+const PING_INTERVAL_MS = 15000;
+const UNOPENED_CONNECTION_TTL_MS = 60000;
+
+function createQueueHub(app, hubPath) {
+    const connections = new Map();
+
+    const hubMethods = {
+        JoinGroup(connection, groupName) {
+            if (!mayJoinGroup(connection, groupName)) {
+                throw new Error(`Not authorized to join group '${groupName}'`);
+            }
+            connection.groups.add(groupName);
+        },
+        LeaveGroup(connection, groupName) {
+            connection.groups.delete(groupName);
+        },
+        JoinPaymentGroup(connection, paymentId) {
+            if (paymentId) {
+                connection.groups.add(`Payment_${paymentId}`);
+            }
+        },
+        LeavePaymentGroup(connection, paymentId) {
+            if (paymentId) {
+                connection.groups.delete(`Payment_${paymentId}`);
+            }
+        },
+        JoinCustomerGroup(connection, customerId) {
+            if (customerId) {
+                connection.groups.add(`Customer_${customerId}`);
+            }
+        },
+        Heartbeat(connection) {
+            sendInvocation(connection, 'HeartbeatResponse', [new Date().toISOString()]);
+        },
+        RequestConnectionStatus(connection) {
+            sendInvocation(connection, 'ConnectionStatusResponse', [{
+                connectionId: connection.id,
+                isAuthenticated: !!connection.user,
+                userRole: connection.user ? connection.user.role : null,
+                connectedAt: new Date().toISOString()
+            }]);
+        }
+    };
+
+    function write(connection, message) {
+        if (connection.stream) {
+            connection.stream.write(`data: ${JSON.stringify(message)}${RECORD_SEPARATOR}\n\n`);
+        }
+    }
+
+    function sendInvocation(connection, target, args) {
+        if (connection.handshakeComplete) {
+            write(connection, { type: MessageType.Invocation, target, arguments: args });
+        }
+    }
+
+    function closeConnection(connection) {
+        connections.delete(connection.token);
+        if (connection.stream) {
+            connection.stream.end();
+        }
+    }
+
+    /**
+     * Staff connections get the same automatic groups OnConnectedAsync
+     * assigns; anyone without a valid token is treated as a customer.
+     */
+    function assignDefaultGroups(connection, accessToken) {
+        const claims = verifyToken(accessToken, 'access');
+
+        if (claims) {
+            connection.user = { id: claims.sub, username: claims.unique_name, role: claims.role };
+            connection.groups.add(`User_${claims.sub}`);
+            connection.groups.add(`Role_${claims.role}`);
+        } else {
+            connection.groups.add('Customers');
+        }
+    }
+
+    // Role and user groups carry staff notifications, so only a connection
+    // whose token holds that role or user id may be in them. driver-dashboard.js
+    // joins 'drivers', which gets the same events as Role_Driver.
+    function mayJoinGroup(connection, groupName) {
+        const user = connection.user;
+        if (groupName === 'drivers') {
+            return !!user && user.role === 'Driver';
+        }
+        if (groupName.startsWith('Role_')) {
+            return !!user && groupName === `Role_${user.role}`;
+        }
+        if (groupName.startsWith('User_')) {
+            return !!user && groupName === `User_${user.id}`;
+        }
+        return true;
+    }
+
+    function handleMessage(connection, message) {
+        if (!connection.handshakeComplete) {
+            if (message.protocol !== 'json') {
+                write(connection, { error: `Requested protocol '${message.protocol}' is not available.` });
+                return closeConnection(connection);
+            }
+
+            connection.handshakeComplete = true;
+            write(connection, {});
+            return;
+        }
+
+        switch (message.type) {
+            case MessageType.Invocation: {
+                const method = hubMethods[message.target];
+                let error = null;
+
+                if (!method) {
+                    error = `Unknown hub method '${message.target}'`;
+                } else {
+                    try {
+                        method(connection, ...(message.arguments || []));
+                    } catch (methodError) {
+                        error = `An error occurred invoking '${message.target}' on the server. ${methodError.message}`;
+                    }
+                }
+
+                // Fire-and-forget sends have no invocationId and expect no reply
+                if (message.invocationId) {
+                    write(connection, error
+                        ? { type: MessageType.Completion, invocationId: message.invocationId, error }
+                        : { type: MessageType.Completion, invocationId: message.invocationId, result: null });
+                }
+                break;
+            }
+            case MessageType.Close:
+                closeConnection(connection);
+                break;
+            default:
+                // Pings and anything we don't support are ignored
+                break;
+        }
+    }
+
+    function findConnection(req, res) {
+        const connection = connections.get(req.query.id);
+        if (!connection) {
+            res.status(404).send('No Connection with that ID');
+            return null;
+        }
+        return connection;
+    }
+
+    app.post(`${hubPath}/negotiate`, (req, res) => {
+        const connection = {
+            id: crypto.randomUUID(),
+            token: crypto.randomUUID(),
+            groups: new Set(),
+            user: null,
+            stream: null,
+            handshakeComplete: false,
+            createdAt: Date.now()
+        };
+        connections.set(connection.token, connection);
+
+        res.json({
+            connectionId: connection.id,
+            connectionToken: connection.token,
+            negotiateVersion: 1,
+            availableTransports: [
+                { transport: 'ServerSentEvents', transferFormats: ['Text'] }
+            ]
+        });
+    });
+
+    app.get(hubPath, (req, res) => {
+        const connection = findConnection(req, res);
+        if (!connection) return;
+
+        const header = req.headers.authorization || '';
+        assignDefaultGroups(connection, req.query.access_token || (header.startsWith('Bearer ') ? header.slice(7) : null));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(':\n\n');
+        connection.stream = res;
+
+        req.on('close', () => {
+            connections.delete(connection.token);
+        });
+    });
+
+    app.post(hubPath, express.text({ type: () => true }), (req, res) => {
+        const connection = findConnection(req, res);
+        if (!connection) return;
+
+        String(req.body || '')
+            .split(RECORD_SEPARATOR)
+            .filter(record => record.length > 0)
+            .forEach(record => {
+                try {
+                    handleMessage(connection, JSON.parse(record));
+                } catch (error) {
+                    console.error('Invalid hub message:', error.message);
+                }
+            });
+
+        res.status(200).end();
+    });
+
+    app.delete(hubPath, (req, res) => {
+        const connection = findConnection(req, res);
+        if (!connection) return;
+
+        closeConnection(connection);
+        res.status(202).end();
+    });
+
+    // Keep streams alive and drop negotiations that never connected
+    const pingTimer = setInterval(() => {
+        const now = Date.now();
+        connections.forEach(connection => {
+            if (connection.handshakeComplete) {
+                write(connection, { type: MessageType.Ping });
+            } else if (!connection.stream && now - connection.createdAt > UNOPENED_CONNECTION_TTL_MS) {
+                connections.delete(connection.token);
+            }
+        });
+    }, PING_INTERVAL_MS);
+    pingTimer.unref();
+
+    return {
+        /**
+         * Clients.Groups(...).SendAsync(target, payload)
+         */
+        sendToGroups(groups, target, payload) {
+            connections.forEach(connection => {
+                if (groups.some(group => connection.groups.has(group))) {
+                    sendInvocation(connection, target, [payload]);
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createQueueHub };
@@ -0,0 +1,297 @@
+/**
+ * End-of-day reconciliation for the mock API.
+ * Totals the day's payments per method against the price in effect for each,
+ * compares the cash the drawer should hold with what sales counted, and
+ * lists promo code discounts, comped rides, refunds, denials and the app
+ * payment transaction ids to check against the provider statements.
+ */
+
+const { toCsv } = require('./csv');
+
+// A business day runs from local midnight to local midnight
+function dayBounds(date) {
+    const start = new Date(`${date}T00:00:00`);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+}
+
+function localDate(when = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${when.getFullYear()}-${pad(when.getMonth() + 1)}-${pad(when.getDate())}`;
+}
+
+const round = amount => Math.round(amount * 100) / 100;
+const sum = (items, amountOf = item => item.amount) => round(items.reduce((total, item) => total + amountOf(item), 0));
+const discountOf = payment => payment.discountAmount || 0;
+
+/**
+ * Payments count towards the day they were confirmed or denied, refunds the
+ * day they were approved. A payment refunded later still counts as a sale on
+ * the day it was confirmed.
+ */
+function buildReconciliation({ date, payments, refundRequests, customers, paymentConfigurations, cashCount = null }) {
+    const { start, end } = dayBounds(date);
+    const onDay = timestamp => timestamp && new Date(timestamp) >= start && new Date(timestamp) < end;
+    const customerName = customerId => {
+        const customer = customers.find(c => c.id === customerId);
+        return customer ? customer.name : null;
+    };
+
+    const sales = payments.filter(p => ['Confirmed', 'Refunded'].includes(p.status) && onDay(p.confirmedAt));
+    const paidSales = sales.filter(p => !p.comped);
+    const denied = payments.filter(p => p.status === 'Denied' && onDay(p.confirmedAt));
+    const pending = payments.filter(p => p.status === 'Pending' && new Date(p.createdAt) < end);
+    const refunds = refundRequests.filter(r => onDay(r.requestedAt) || onDay(r.resolvedAt));
+    const approvedRefunds = refunds.filter(r => r.status === 'Approved' && onDay(r.resolvedAt));
+    const methodOf = refund => {
+        const payment = payments.find(p => p.id === refund.paymentId);
+        return payment ? payment.paymentMethod : null;
+    };
+
+    // Configured methods in display order, then any removed since that still had sales
+    const methodKeys = [...new Set([
+        ...Object.keys(paymentConfigurations).sort((a, b) => paymentConfigurations[a].sortOrder - paymentConfigurations[b].sortOrder),
+        ...paidSales.map(p => p.paymentMethod)
+    ])];
+    const isCash = paymentMethod => !!paymentConfigurations[paymentMethod] && paymentConfigurations[paymentMethod].isCash;
+    const methods = methodKeys.map(paymentMethod => {
+        const config = paymentConfigurations[paymentMethod] || null;
+        const methodSales = paidSales.filter(p => p.paymentMethod === paymentMethod);
+        const methodRefunds = approvedRefunds.filter(r => methodOf(r) === paymentMethod);
+        const pricePerRide = config ? config.pricePerRide : null;
+        // Payments record the price in effect when made, pricing rules included
+        const expectedOf = p => p.expectedAmount !== undefined ? p.expectedAmount : pricePerRide;
+        const confirmedAmount = sum(methodSales);
+        const expectedAmount = pricePerRide === null ? null : round(methodSales.reduce((total, p) => total + expectedOf(p), 0));
+        const refundedAmount = sum(methodRefunds);
+        const discounted = methodSales.filter(p => p.promoCode);
+
+        return {
+            paymentMethod,
+            displayName: config ? config.displayName : paymentMethod,
+            pricePerRide,
+            confirmedCount: methodSales.length,
+            confirmedAmount,
+            expectedAmount,
+            variance: expectedAmount === null ? null : round(confirmedAmount - expectedAmount),
+            offPriceCount: pricePerRide === null ? 0 : methodSales.filter(p => p.amount !== expectedOf(p)).length,
+            discountedCount: discounted.length,
+            discountAmount: sum(discounted, discountOf),
+            refundedCount: methodRefunds.length,
+            refundedAmount,
+            netAmount: round(confirmedAmount - refundedAmount),
+            deniedCount: denied.filter(p => p.paymentMethod === paymentMethod).length,
+            pendingCount: pending.filter(p => p.paymentMethod === paymentMethod).length
+        };
+    });
+
+    const discounted = paidSales.filter(p => p.promoCode);
+    const promoCodes = [...new Set(discounted.map(p => p.promoCode))].sort().map(code => {
+        const uses = discounted.filter(p => p.promoCode === code);
+        return { code, uses: uses.length, discountAmount: sum(uses, discountOf) };
+    });
+
+    const cashMethods = methods.filter(m => isCash(m.paymentMethod));
+    const openingFloat = cashCount ? cashCount.openingFloat : 0;
+    const expectedCash = round(openingFloat + cashMethods.reduce((total, m) => total + m.netAmount, 0));
+
+    return {
+        date,
+        generatedAt: new Date().toISOString(),
+        methods,
+        totals: {
+            confirmedCount: paidSales.length,
+            confirmedAmount: sum(paidSales),
+            refundedCount: approvedRefunds.length,
+            refundedAmount: sum(approvedRefunds),
+            netAmount: round(sum(paidSales) - sum(approvedRefunds)),
+            discountedCount: discounted.length,
+            discountAmount: sum(discounted, discountOf),
+            compedCount: sales.length - paidSales.length,
+            deniedCount: denied.length,
+            pendingCount: pending.length
+        },
+        cash: {
+            openingFloat,
+            expected: expectedCash,
+            counted: cashCount ? cashCount.countedAmount : null,
+            difference: cashCount ? round(cashCount.countedAmount - expectedCash) : null,
+            countedBy: cashCount ? cashCount.countedBy : null,
+            countedAt: cashCount ? cashCount.countedAt : null,
+            notes: cashCount ? cashCount.notes : null
+        },
+        promoCodes,
+        compedRides: sales.filter(p => p.comped).map(p => ({
+            paymentId: p.id,
+            customerName: customerName(p.customerId),
+            reasonCode: p.manualReasonCode || null,
+            notes: p.notes,
+            confirmedBy: p.confirmedBy,
+            confirmedAt: p.confirmedAt
+        })),
+        refunds: refunds.map(r => ({
+            refundRequestId: r.id,
+            paymentId: r.paymentId,
+            customerName: customerName(r.customerId),
+            paymentMethod: methodOf(r),
+            amount: r.amount,
+            status: r.status,
+            requestedAt: r.requestedAt,
+            resolvedBy: r.resolvedBy,
+            resolvedAt: r.resolvedAt
+        })),
+        denials: denied.map(p => ({
+            paymentId: p.id,
+            customerName: customerName(p.customerId),
+            paymentMethod: p.paymentMethod,
+            amount: p.amount,
+            denialReasonCode: p.denialReasonCode || null,
+            deniedBy: p.confirmedBy,
+            deniedAt: p.confirmedAt
+        })),
+        // App payments confirmed today, including any that came in without an id
+        externalTransactions: paidSales
+            .filter(p => !isCash(p.paymentMethod))
+            .map(p => ({
+                paymentId: p.id,
+                customerName: customerName(p.customerId),
+                paymentMethod: p.paymentMethod,
+                externalTransactionId: p.externalTransactionId || null,
+                amount: p.amount,
+                status: p.status,
+                confirmedAt: p.confirmedAt
+            }))
+    };
+}
+
+const money = amount => (amount === null || amount === undefined ? '' : amount.toFixed(2));
+
+// One section per table, separated by blank lines, so it opens as a single sheet
+function toReconciliationCsv(report) {
+    return toCsv([
+        ['DriftRide reconciliation', report.date],
+        ['Generated', report.generatedAt],
+        [],
+        ['Payment method', 'Price per ride', 'Confirmed', 'Confirmed amount', 'Expected amount', 'Variance',
+            'Off price', 'Discounts', 'Refunded', 'Refunded amount', 'Net amount', 'Denied', 'Pending'],
+        ...report.methods.map(m => [m.displayName, money(m.pricePerRide), m.confirmedCount, money(m.confirmedAmount),
+            money(m.expectedAmount), money(m.variance), m.offPriceCount, money(m.discountAmount), m.refundedCount,
+            money(m.refundedAmount), money(m.netAmount), m.deniedCount, m.pendingCount]),
+        ['Total', '', report.totals.confirmedCount, money(report.totals.confirmedAmount), '', '', '',
+            money(report.totals.discountAmount), report.totals.refundedCount, money(report.totals.refundedAmount),
+            money(report.totals.netAmount), report.totals.deniedCount, report.totals.pendingCount],
+        [],
+        ['Promo code', 'Uses', 'Discount'],
+        ...report.promoCodes.map(c => [c.code, c.uses, money(c.discountAmount)]),
+        [],
+        ['Cash drawer', 'Opening float', 'Expected', 'Counted', 'Difference', 'Counted by', 'Counted at', 'Notes'],
+        ['Cash', money(report.cash.openingFloat), money(report.cash.expected), money(report.cash.counted),
+            money(report.cash.difference), report.cash.countedBy, report.cash.countedAt, report.cash.notes],
+        [],
+        ['Comped ride', 'Customer', 'Reason', 'Notes', 'Added by', 'Added at'],
+        ...report.compedRides.map(c => [c.paymentId, c.customerName, c.reasonCode, c.notes, c.confirmedBy, c.confirmedAt]),
+        [],
+        ['Refund request', 'Payment', 'Customer', 'Payment method', 'Amount', 'Status', 'Requested at', 'Resolved by', 'Resolved at'],
+        ...report.refunds.map(r => [r.refundRequestId, r.paymentId, r.customerName, r.paymentMethod, money(r.amount),
+            r.status, r.requestedAt, r.resolvedBy, r.resolvedAt]),
+        [],
+        ['Denied payment', 'Customer', 'Payment method', 'Amount', 'Reason', 'Denied by', 'Denied at'],
+        ...report.denials.map(d => [d.paymentId, d.customerName, d.paymentMethod, money(d.amount), d.denialReasonCode,
+            d.deniedBy, d.deniedAt]),
+        [],
+        ['Payment', 'Customer', 'Payment method', 'Transaction id', 'Amount', 'Status', 'Confirmed at'],
+        ...report.externalTransactions.map(t => [t.paymentId, t.customerName, t.paymentMethod,
+            t.externalTransactionId || 'MISSING', money(t.amount), t.status, t.confirmedAt])
+    ]);
+}
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function htmlTable(title, headings, rows, empty) {
+    const body = rows.length > 0
+        ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+        : `<tr><td colspan="${headings.length}" class="empty">${escapeHtml(empty)}</td></tr>`;
+    return `<h2>${escapeHtml(title)}</h2>
+<table>
+<thead><tr>${headings.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+}
+
+// A standalone page for the browser's print dialog
+function toReconciliationHtml(report) {
+    const { cash, totals } = report;
+    const when = timestamp => (timestamp ? new Date(timestamp).toLocaleTimeString() : '');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DriftRide reconciliation ${escapeHtml(report.date)}</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+h1 { font-size: 18px; margin-bottom: 0; }
+h2 { font-size: 14px; margin: 20px 0 6px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+th { background: #eee; }
+td.empty { color: #666; font-style: italic; }
+.signature { margin-top: 40px; }
+@media print { button { display: none; } }
+</style>
+</head>
+<body>
+<button onclick="window.print()">Print</button>
+<h1>DriftRide end-of-day reconciliation</h1>
+<p>${escapeHtml(report.date)} &middot; generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</p>
+${htmlTable('Payment methods',
+        ['Method', 'Price', 'Confirmed', 'Amount', 'Expected', 'Variance', 'Off price', 'Discounts', 'Refunded', 'Net',
+            'Denied', 'Pending'],
+        [
+            ...report.methods.map(m => [m.displayName, money(m.pricePerRide), m.confirmedCount, money(m.confirmedAmount),
+                money(m.expectedAmount), money(m.variance), m.offPriceCount, money(m.discountAmount),
+                money(m.refundedAmount), money(m.netAmount), m.deniedCount, m.pendingCount]),
+            ['Total', '', totals.confirmedCount, money(totals.confirmedAmount), '', '', '', money(totals.discountAmount),
+                money(totals.refundedAmount), money(totals.netAmount), totals.deniedCount, totals.pendingCount]
+        ], '')}
+${htmlTable('Promo codes',
+        ['Code', 'Uses', 'Discount'],
+        report.promoCodes.map(c => [c.code, c.uses, money(c.discountAmount)]),
+        'No promo codes used')}
+${htmlTable('Cash drawer',
+        ['Opening float', 'Expected', 'Counted', 'Difference', 'Counted by', 'Notes'],
+        [[money(cash.openingFloat), money(cash.expected), cash.counted === null ? 'Not counted' : money(cash.counted),
+            money(cash.difference), cash.countedBy, cash.notes]], '')}
+${htmlTable(`Comped rides (${report.compedRides.length})`,
+        ['Payment', 'Customer', 'Reason', 'Notes', 'Added by', 'Time'],
+        report.compedRides.map(c => [c.paymentId, c.customerName, c.reasonCode, c.notes, c.confirmedBy, when(c.confirmedAt)]),
+        'No comped rides')}
+${htmlTable('Refunds',
+        ['Request', 'Payment', 'Customer', 'Method', 'Amount', 'Status', 'Resolved by', 'Time'],
+        report.refunds.map(r => [r.refundRequestId, r.paymentId, r.customerName, r.paymentMethod, money(r.amount),
+            r.status, r.resolvedBy, when(r.resolvedAt || r.requestedAt)]),
+        'No refunds')}
+${htmlTable('Denied payments',
+        ['Payment', 'Customer', 'Method', 'Amount', 'Reason', 'Denied by', 'Time'],
+        report.denials.map(d => [d.paymentId, d.customerName, d.paymentMethod, money(d.amount), d.denialReasonCode,
+            d.deniedBy, when(d.deniedAt)]),
+        'No denied payments')}
+${htmlTable('App transactions to check against provider statements',
+        ['Payment', 'Customer', 'Method', 'Transaction id', 'Amount', 'Status', 'Time'],
+        report.externalTransactions.map(t => [t.paymentId, t.customerName, t.paymentMethod,
+            t.externalTransactionId || 'MISSING', money(t.amount), t.status, when(t.confirmedAt)]),
+        'No app payments')}
+<p class="signature">Counted by ____________________ &nbsp;&nbsp; Checked by ____________________</p>
+</body>
+</html>
+`;
+}
+
+module.exports = { localDate, buildReconciliation, toReconciliationCsv, toReconciliationHtml };
@@ -0,0 +1,79 @@
+/**
+ * Response envelope shared by all mock API routes.
+ * Mirrors ApiResponse/ErrorResponse from the .NET API; the error helpers
+ * produce the same messages and details as BaseApiController.
+ */
+
+function createResponse(success, message, data = null, error = null) {
+    return {
+        success,
+        message,
+        data,
+        error,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * SuccessPaged(): one page of items with the PagedResponse counts
+ */
+function pagedResponse(message, items, page, pageSize) {
+    return {
+        ...createResponse(true, message, items.slice((page - 1) * pageSize, page * pageSize)),
+        totalCount: items.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(items.length / pageSize)
+    };
+}
+
+/**
+ * ValidationError(): details map field names to their messages
+ */
+function validationFailedResponse(details) {
+    return createResponse(false, 'Validation failed', null, {
+        code: 'VALIDATION_FAILED',
+        message: 'One or more validation errors occurred',
+        details
+    });
+}
+
+/**
+ * NotFoundError(resource, identifier)
+ */
+function notFoundResponse(resource, identifier) {
+    const message = `${resource} with identifier '${identifier}' was not found`;
+    return createResponse(false, message, null, {
+        code: 'NOT_FOUND',
+        message,
+        details: { resource, identifier }
+    });
+}
+
+/**
+ * ConflictError(message): the operation conflicts with the current state;
+ * details, when given, carry what it conflicts with
+ */
+function conflictResponse(message, details = null) {
+    return createResponse(false, message, null, {
+        code: 'CONFLICT',
+        message,
+        ...(details ? { details } : {})
+    });
+}
+
+/**
+ * BadRequestError(message)
+ */
+function badRequestResponse(message) {
+    return createResponse(false, message, null, { code: 'BAD_REQUEST', message });
+}
+
+module.exports = {
+    createResponse,
+    pagedResponse,
+    validationFailedResponse,
+    notFoundResponse,
+    conflictResponse,
+    badRequestResponse
+};
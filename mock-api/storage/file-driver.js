@@ -0,0 +1,83 @@
+/**
+ * File-backed JSON storage driver for the mock API.
+ * Every save rewrites state.json atomically (temp file + rename) so a crash
+ * mid-write never leaves a truncated file behind. Snapshots are written to
+ * a snapshots/ folder next to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describeSnapshot, nextSnapshotId } = require('./memory-driver');
+
+class FileDriver {
+    constructor(dataDir) {
+        this.name = 'file';
+        this.dataDir = path.resolve(dataDir);
+        this.stateFile = path.join(this.dataDir, 'state.json');
+        this.snapshotDir = path.join(this.dataDir, 'snapshots');
+
+        fs.mkdirSync(this.snapshotDir, { recursive: true });
+    }
+
+    /**
+     * Loads the last saved state, or null on first run
+     */
+    load() {
+        if (!fs.existsSync(this.stateFile)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+
+    save(state) {
+        writeJsonAtomic(this.stateFile, state);
+    }
+
+    createSnapshot(state, label) {
+        const snapshot = {
+            id: nextSnapshotId(),
+            label: label || null,
+            createdAt: new Date().toISOString(),
+            state
+        };
+
+        writeJsonAtomic(this.snapshotPath(snapshot.id), snapshot);
+        return describeSnapshot(snapshot);
+    }
+
+    listSnapshots() {
+        return fs.readdirSync(this.snapshotDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(this.snapshotDir, file), 'utf8')))
+            .map(describeSnapshot)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    readSnapshot(id) {
+        // Snapshot ids are generated by us; reject anything that could escape the folder.
+        // Ids from before the random suffix are plain snap_<timestamp>.
+        if (!/^snap_\d+(_[0-9a-f]+)?$/.test(id)) {
+            return null;
+        }
+
+        const file = this.snapshotPath(id);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        return JSON.parse(fs.readFileSync(file, 'utf8')).state;
+    }
+
+    snapshotPath(id) {
+        return path.join(this.snapshotDir, `${id}.json`);
+    }
+}
+
+function writeJsonAtomic(file, data) {
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, file);
+}
+
+module.exports = { FileDriver };
@@ -0,0 +1,26 @@
+/**
+ * Storage driver selection for the mock API.
+ *
+ * DRIFTRIDE_STORAGE=memory (default) keeps everything in process memory.
+ * DRIFTRIDE_STORAGE=file persists to DRIFTRIDE_DATA_DIR (default ./data)
+ * so the queue survives a restart.
+ */
+
+const path = require('path');
+const { MemoryDriver } = require('./memory-driver');
+const { FileDriver } = require('./file-driver');
+
+function createStorage(options = {}) {
+    const driver = options.driver || process.env.DRIFTRIDE_STORAGE || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryDriver();
+        case 'file':
+            return new FileDriver(options.dataDir || process.env.DRIFTRIDE_DATA_DIR || path.join(process.cwd(), 'data'));
+        default:
+            throw new Error(`Unknown storage driver "${driver}" (expected "memory" or "file")`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,72 @@
+/**
+ * In-memory storage driver for the mock API.
+ * State lives only as long as the process; snapshots are kept in memory so
+ * restore can still be exercised during a single session.
+ */
+
+const crypto = require('crypto');
+
+class MemoryDriver {
+    constructor() {
+        this.name = 'memory';
+        this.snapshots = new Map();
+    }
+
+    /**
+     * Memory driver never has persisted state to load
+     */
+    load() {
+        return null;
+    }
+
+    save() {
+        // Nothing to persist
+    }
+
+    createSnapshot(state, label) {
+        const snapshot = {
+            id: nextSnapshotId(),
+            label: label || null,
+            createdAt: new Date().toISOString(),
+            state: JSON.parse(JSON.stringify(state))
+        };
+
+        this.snapshots.set(snapshot.id, snapshot);
+        return describeSnapshot(snapshot);
+    }
+
+    listSnapshots() {
+        return Array.from(this.snapshots.values())
+            .map(describeSnapshot)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    readSnapshot(id) {
+        const snapshot = this.snapshots.get(id);
+        return snapshot ? JSON.parse(JSON.stringify(snapshot.state)) : null;
+    }
+}
+
+/**
+ * Time-ordered, with a random suffix so snapshots taken in the same
+ * millisecond get different ids
+ */
+function nextSnapshotId() {
+    return `snap_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Snapshot metadata returned by the API (state itself is not exposed)
+ */
+function describeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        label: snapshot.label,
+        createdAt: snapshot.createdAt,
+        customers: snapshot.state.customers.length,
+        payments: snapshot.state.payments.length,
+        queueEntries: snapshot.state.queue.length
+    };
+}
+
+module.exports = { MemoryDriver, describeSnapshot, nextSnapshotId };
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { currentEntryForCar, dispatchRiders } = require('../dispatch');
+
+function entry(id, fields) {
+    return { id, position: id, status: 'Waiting', assignedCarId: null, carId: null, ...fields };
+}
+
+const car = (id, fields) => ({ id, name: `Car ${id}`, isActive: true, driverUserId: 100 + id, ...fields });
+
+test('each ready car takes the next pool rider in queue order', () => {
+    const queue = [entry(2), entry(1), entry(3)];
+    dispatchRiders(queue, [car(1), car(2)]);
+    assert.deepStrictEqual(queue.map(q => [q.id, q.carId]), [[2, 2], [1, 1], [3, null]]);
+    assert.ok(queue[1].dispatchedAt);
+});
+
+test('a car keeps its rider until the ride is over', () => {
+    const queue = [entry(1, { status: 'InProgress', carId: 1 }), entry(2)];
+    dispatchRiders(queue, [car(1)]);
+    assert.strictEqual(queue[1].carId, null);
+
+    queue[0].status = 'Completed';
+    dispatchRiders(queue, [car(1)]);
+    assert.strictEqual(queue[1].carId, 1);
+});
+
+test('riders pinned to a car are skipped by the other cars', () => {
+    const queue = [entry(1, { assignedCarId: 2 }), entry(2)];
+    dispatchRiders(queue, [car(1)]);
+    assert.deepStrictEqual(queue.map(q => q.carId), [null, 1]);
+
+    dispatchRiders(queue, [car(1), car(2)]);
+    assert.deepStrictEqual(queue.map(q => q.carId), [2, 1]);
+});
+
+test('cars out of service or without a driver take no riders', () => {
+    const queue = [entry(1), entry(2)];
+    dispatchRiders(queue, [car(1, { isActive: false }), car(2, { driverUserId: null })]);
+    assert.deepStrictEqual(queue.map(q => q.carId), [null, null]);
+});
+
+test('currentEntryForCar is the first active entry dispatched to that car', () => {
+    const queue = [
+        entry(1, { status: 'Completed', carId: 1 }),
+        entry(3, { carId: 1 }),
+        entry(2, { status: 'InProgress', carId: 1 }),
+        entry(4, { carId: 2 })
+    ];
+    assert.strictEqual(currentEntryForCar(queue, 1).id, 2);
+    assert.strictEqual(currentEntryForCar(queue, 2).id, 4);
+    assert.strictEqual(currentEntryForCar(queue, 3), null);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateStartTimes, formatDuration } = require('../eta');
+
+test('formatDuration renders hh:mm:ss, rounding to the second', () => {
+    assert.strictEqual(formatDuration(0), '00:00:00');
+    assert.strictEqual(formatDuration(1499), '00:00:01');
+    assert.strictEqual(formatDuration(((2 * 60) + 5) * 60 * 1000 + 9000), '02:05:09');
+});
+
+test('formatDuration never goes negative', () => {
+    assert.strictEqual(formatDuration(-5000), '00:00:00');
+});
+
+const now = Date.UTC(2026, 9, 19, 12);
+const minutes = count => count * 60000;
+
+function ride(id, carId, startedMinutesAgo, lengthMinutes) {
+    const startedAt = now - minutes(startedMinutesAgo);
+    return {
+        id,
+        carId,
+        status: 'Completed',
+        startedAt: new Date(startedAt).toISOString(),
+        completedAt: new Date(startedAt + minutes(lengthMinutes)).toISOString()
+    };
+}
+
+function waiting(id, position, fields) {
+    return { id, position, status: 'Waiting', carId: null, assignedCarId: null, ...fields };
+}
+
+test('estimateStartTimes plays waiting riders through each car at its average ride length', () => {
+    const queue = [
+        ride(1, 1, 60, 4), ride(2, 1, 50, 6),
+        ride(3, 2, 40, 10),
+        waiting(4, 1, { carId: 1 }), waiting(5, 2, { carId: 2 }), waiting(6, 3), waiting(7, 4)
+    ];
+    const { estimates, newRiderWaitTime } = estimateStartTimes(queue, [{ id: 1 }, { id: 2 }], now);
+
+    assert.deepStrictEqual(estimates.get(4), { startAt: now, waitTime: 0 });
+    assert.deepStrictEqual(estimates.get(5), { startAt: now, waitTime: 0 });
+    // Car 1 averages 5 minutes, car 2 takes 10
+    assert.strictEqual(estimates.get(6).waitTime, minutes(5));
+    assert.strictEqual(estimates.get(7).waitTime, minutes(10));
+    assert.strictEqual(newRiderWaitTime, minutes(10));
+});
+
+test('estimateStartTimes keeps a car busy until its ride in progress should end', () => {
+    const queue = [
+        ride(1, 1, 30, 8),
+        { id: 2, position: 1, status: 'InProgress', carId: 1, startedAt: new Date(now - minutes(3)).toISOString() },
+        waiting(3, 2)
+    ];
+    const { estimates } = estimateStartTimes(queue, [{ id: 1 }], now);
+
+    assert.deepStrictEqual(estimates.get(2), { startAt: now - minutes(3), waitTime: 0 });
+    assert.strictEqual(estimates.get(3).waitTime, minutes(5));
+});
+
+test('estimateStartTimes holds riders pinned to a car for that car', () => {
+    const queue = [waiting(1, 1, { assignedCarId: 2 }), waiting(2, 2, { assignedCarId: 2 }), waiting(3, 3)];
+    const { estimates } = estimateStartTimes(queue, [{ id: 1 }, { id: 2 }], now);
+
+    assert.strictEqual(estimates.get(1).waitTime, 0);
+    assert.strictEqual(estimates.get(2).waitTime, minutes(5));
+    assert.strictEqual(estimates.get(3).waitTime, 0);
+});
+
+test('estimateStartTimes has no start for a rider pinned to a car that is not ready', () => {
+    const queue = [waiting(1, 1, { assignedCarId: 2 })];
+    assert.deepStrictEqual(estimateStartTimes(queue, [{ id: 1 }], now).estimates.get(1), { startAt: null, waitTime: null });
+});
+
+test('estimateStartTimes assumes one car at the default length when none is ready', () => {
+    const queue = [waiting(1, 1), waiting(2, 2)];
+    const { estimates, newRiderWaitTime } = estimateStartTimes(queue, [], now);
+
+    assert.strictEqual(estimates.get(2).waitTime, minutes(5));
+    assert.strictEqual(newRiderWaitTime, minutes(10));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeEvent, toEventResponse } = require('../events');
+
+const at = minutes => new Date(Date.UTC(2026, 9, 19, 12) + minutes * 60000).toISOString();
+
+function records(fields) {
+    return { customers: [], payments: [], queue: [], refundRequests: [], ...fields };
+}
+
+test('net revenue is the paid amount less approved refunds', () => {
+    const summary = summarizeEvent(records({
+        payments: [
+            { id: 1, status: 'Confirmed', amount: 25, paymentMethod: 'CashApp' },
+            { id: 2, status: 'Refunded', amount: 20, paymentMethod: 'CashInHand' },
+            { id: 3, status: 'Confirmed', amount: 20.1, paymentMethod: 'CashInHand' },
+            { id: 4, status: 'Denied', amount: 25, paymentMethod: 'CashApp' }
+        ],
+        refundRequests: [
+            { id: 1, paymentId: 2, amount: 20, status: 'Approved' },
+            { id: 2, paymentId: 3, amount: 7.55, status: 'Approved' },
+            { id: 3, paymentId: 1, amount: 25, status: 'Rejected' }
+        ]
+    }));
+
+    assert.strictEqual(summary.paidRides, 3);
+    assert.strictEqual(summary.grossRevenue, 65.1);
+    assert.strictEqual(summary.refundedAmount, 27.55);
+    assert.strictEqual(summary.netRevenue, 37.55);
+    assert.strictEqual(summary.deniedPayments, 1);
+    assert.deepStrictEqual(summary.revenueByMethod, [
+        { paymentMethod: 'CashApp', count: 1, amount: 25 },
+        { paymentMethod: 'CashInHand', count: 2, amount: 40.1 }
+    ]);
+});
+
+test('comped rides are counted on their own and not as paid rides', () => {
+    const summary = summarizeEvent(records({
+        payments: [
+            { id: 1, status: 'Confirmed', amount: 25, paymentMethod: 'CashApp' },
+            { id: 2, status: 'Confirmed', amount: 0, paymentMethod: null, comped: true }
+        ]
+    }));
+
+    assert.strictEqual(summary.paidRides, 1);
+    assert.strictEqual(summary.compedRides, 1);
+    assert.strictEqual(summary.grossRevenue, 25);
+    assert.deepStrictEqual(summary.revenueByMethod.map(m => m.paymentMethod), ['CashApp']);
+});
+
+test('the average ride duration covers timed rides only and is null without any', () => {
+    const untimed = summarizeEvent(records({
+        queue: [{ id: 1, status: 'Completed', startedAt: null, completedAt: at(5) }]
+    }));
+    assert.strictEqual(untimed.completedRides, 1);
+    assert.strictEqual(untimed.averageRideDuration, null);
+
+    const timed = summarizeEvent(records({
+        queue: [
+            { id: 1, status: 'Completed', startedAt: null, completedAt: at(5) },
+            { id: 2, status: 'Completed', startedAt: at(0), completedAt: at(4) },
+            { id: 3, status: 'Completed', startedAt: at(10), completedAt: at(16) },
+            { id: 4, status: 'Waiting' },
+            { id: 5, status: 'Cancelled' }
+        ]
+    }));
+    assert.strictEqual(timed.averageRideDuration, 5 * 60000);
+    assert.strictEqual(timed.completedRides, 3);
+    assert.strictEqual(timed.unservedRiders, 1);
+    assert.strictEqual(timed.cancelledRides, 1);
+});
+
+test('toEventResponse leaves out the archived records', () => {
+    const event = { id: 1, name: 'Demo Day', status: 'Closed', records: records({}) };
+    assert.deepStrictEqual(toEventResponse(event), { id: 1, name: 'Demo Day', status: 'Closed' });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { slaLevel, buildSlaReport } = require('../payment-sla');
+
+const settings = { targetSeconds: 30, warningMinutes: 5, criticalMinutes: 10 };
+const start = Date.UTC(2026, 9, 19, 12);
+
+// A payment decided the given number of seconds after it was submitted
+function decided(id, seconds, fields) {
+    return {
+        id,
+        status: 'Confirmed',
+        createdAt: new Date(start).toISOString(),
+        confirmedAt: new Date(start + seconds * 1000).toISOString(),
+        confirmedBy: 'sales@example.com',
+        ...fields
+    };
+}
+
+test('slaLevel escalates once the warning and critical waits have passed', () => {
+    const pending = { createdAt: new Date(start).toISOString() };
+    assert.strictEqual(slaLevel(pending, settings, start + 5 * 60000), null);
+    assert.strictEqual(slaLevel(pending, settings, start + 5 * 60000 + 1), 'Warning');
+    assert.strictEqual(slaLevel(pending, settings, start + 10 * 60000), 'Warning');
+    assert.strictEqual(slaLevel(pending, settings, start + 10 * 60000 + 1), 'Critical');
+});
+
+test('an odd sample has its middle latency as the median', () => {
+    const { overall } = buildSlaReport([decided(1, 10), decided(2, 40), decided(3, 20)], settings);
+
+    assert.strictEqual(overall.processed, 3);
+    assert.strictEqual(overall.medianSeconds, 20);
+    assert.strictEqual(overall.averageSeconds, 23);
+    assert.strictEqual(overall.slowestSeconds, 40);
+    assert.strictEqual(overall.withinTarget, 2);
+    assert.strictEqual(overall.withinTargetPercent, 67);
+});
+
+test('an even sample averages the middle two, and long waits count as warning or critical', () => {
+    const { overall } = buildSlaReport([decided(1, 10), decided(2, 20), decided(3, 400), decided(4, 700)], settings);
+
+    assert.strictEqual(overall.medianSeconds, 210);
+    assert.strictEqual(overall.withinTargetPercent, 50);
+    assert.strictEqual(overall.overWarning, 2);
+    assert.strictEqual(overall.overCritical, 1);
+});
+
+test('staff are reported separately, busiest first, with their denials', () => {
+    const { staff } = buildSlaReport([
+        decided(1, 10, { confirmedBy: 'sales2@example.com' }),
+        decided(2, 20),
+        decided(3, 60, { status: 'Denied' })
+    ], settings);
+
+    assert.deepStrictEqual(
+        staff.map(s => [s.username, s.processed, s.denied, s.medianSeconds]),
+        [['sales@example.com', 2, 1, 40], ['sales2@example.com', 1, 0, 10]]
+    );
+});
+
+test('only payments decided by staff since the given time are measured', () => {
+    const payments = [
+        decided(1, 10),
+        decided(2, 5, { createdAt: new Date(start - 3600000).toISOString(), confirmedAt: new Date(start - 3599000).toISOString() }),
+        decided(3, 0, { manualReasonCode: 'Promotional' }),
+        decided(4, 0, { confirmedBy: null }),
+        { id: 5, status: 'Pending', createdAt: new Date(start).toISOString(), confirmedAt: null, confirmedBy: null }
+    ];
+    const report = buildSlaReport(payments, settings, new Date(start));
+
+    assert.strictEqual(report.since, new Date(start).toISOString());
+    assert.strictEqual(report.overall.processed, 1);
+    assert.strictEqual(report.overall.medianSeconds, 10);
+});
+
+test('an empty report has no averages', () => {
+    const { overall, staff } = buildSlaReport([], settings);
+
+    assert.strictEqual(overall.processed, 0);
+    assert.strictEqual(overall.medianSeconds, null);
+    assert.strictEqual(overall.withinTargetPercent, null);
+    assert.deepStrictEqual(staff, []);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quotePrice, priceForRides, pricingRuleErrors } = require('../pricing');
+
+const config = { displayName: 'Cash', pricePerRide: 20 };
+
+function rule(fields) {
+    return {
+        id: 1,
+        name: 'Rule',
+        type: 'HappyHour',
+        paymentMethods: [],
+        daysOfWeek: [],
+        startTime: '17:00',
+        endTime: '19:00',
+        adjustmentType: 'Percent',
+        adjustmentValue: 25,
+        isEnabled: true,
+        ...fields
+    };
+}
+
+// Local time, as the rules are
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+test('happy hour takes a percentage off inside its window only', () => {
+    const rules = [rule({})];
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(17)).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(18, 59)).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(19)).price, 20);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(16, 59)).price, 20);
+});
+
+test('adjustments are worked out on the configured price and added together', () => {
+    const rules = [
+        rule({ id: 1 }),
+        rule({ id: 2, type: 'PeakSurcharge', adjustmentType: 'Fixed', adjustmentValue: 2.5 })
+    ];
+    const quote = quotePrice('CashInHand', config, rules, at(18));
+    assert.deepStrictEqual(quote.adjustments.map(a => a.amount), [-5, 2.5]);
+    assert.strictEqual(quote.price, 17.5);
+});
+
+test('the price never goes below zero', () => {
+    const rules = [rule({ adjustmentType: 'Fixed', adjustmentValue: 30 })];
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(18)).price, 0);
+});
+
+test('disabled rules and rules for other methods are ignored', () => {
+    const rules = [rule({ id: 1, isEnabled: false }), rule({ id: 2, paymentMethods: ['PayPal'] })];
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(18)).price, 20);
+    assert.strictEqual(quotePrice('PayPal', config, rules, at(18)).price, 15);
+});
+
+test('an overnight window runs past midnight', () => {
+    const rules = [rule({ startTime: '22:00', endTime: '02:00' })];
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(23)).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(1, 59)).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(2)).price, 20);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(21, 59)).price, 20);
+});
+
+test('after midnight an overnight window belongs to the day it started', () => {
+    const evening = at(23);
+    const rules = [rule({ startTime: '22:00', endTime: '02:00', daysOfWeek: [evening.getDay()] })];
+    assert.strictEqual(quotePrice('CashInHand', config, rules, evening).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, new Date(2026, 9, 20, 1)).price, 15);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, new Date(2026, 9, 20, 23)).price, 20);
+    assert.strictEqual(quotePrice('CashInHand', config, rules, at(1)).price, 20);
+});
+
+test('bundles are quoted in ride order and priced per ride', () => {
+    const rules = [
+        rule({ id: 3, type: 'Bundle', rideCount: 5, bundlePrice: 80 }),
+        rule({ id: 2, type: 'Bundle', rideCount: 3, bundlePrice: 50 })
+    ];
+    const quote = quotePrice('CashInHand', config, rules, at(18));
+    assert.strictEqual(quote.price, 20);
+    assert.deepStrictEqual(quote.bundles.map(b => [b.rideCount, b.perRidePrice]), [[3, 16.67], [5, 16]]);
+});
+
+test('priceForRides uses a matching bundle, otherwise the ride price each', () => {
+    const rules = [rule({ id: 1 }), rule({ id: 2, type: 'Bundle', rideCount: 3, bundlePrice: 40 })];
+    const quote = quotePrice('CashInHand', config, rules, at(18));
+    assert.deepStrictEqual(priceForRides(quote, 3), { expectedAmount: 40, pricingRuleIds: [2] });
+    assert.deepStrictEqual(priceForRides(quote, 2), { expectedAmount: 30, pricingRuleIds: [1] });
+    assert.deepStrictEqual(priceForRides(quote, 1), { expectedAmount: 15, pricingRuleIds: [1] });
+});
+
+test('pricingRuleErrors checks what each rule type needs', () => {
+    assert.strictEqual(pricingRuleErrors(rule({})), null);
+    assert.deepStrictEqual(Object.keys(pricingRuleErrors(rule({ endTime: '17:00' }))), ['endTime']);
+    assert.deepStrictEqual(Object.keys(pricingRuleErrors(rule({ adjustmentValue: 101 }))), ['adjustmentValue']);
+    assert.deepStrictEqual(
+        Object.keys(pricingRuleErrors(rule({ type: 'Bundle', rideCount: null, bundlePrice: null }))),
+        ['rideCount', 'bundlePrice']
+    );
+    assert.strictEqual(pricingRuleErrors(rule({ type: 'Bundle', rideCount: 2, bundlePrice: 0 })), null);
+});
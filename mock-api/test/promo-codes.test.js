@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCode, promoCodeUnavailable, discountFor, promoCodeErrors } = require('../promo-codes');
+
+function promo(fields) {
+    return {
+        code: 'SUMMER',
+        discountType: 'Percent',
+        discountValue: 10,
+        maxUses: null,
+        expiresAt: null,
+        isEnabled: true,
+        ...fields
+    };
+}
+
+test('codes are matched trimmed and upper case', () => {
+    assert.strictEqual(normalizeCode('  summer-25 '), 'SUMMER-25');
+});
+
+test('a percentage discount is rounded to cents', () => {
+    assert.strictEqual(discountFor(promo({ discountValue: 15 }), 33.33), 5);
+    assert.strictEqual(discountFor(promo({ discountValue: 12.5 }), 27.5), 3.44);
+});
+
+test('a discount never exceeds the amount', () => {
+    assert.strictEqual(discountFor(promo({ discountType: 'Fixed', discountValue: 30 }), 20), 20);
+    assert.strictEqual(discountFor(promo({ discountType: 'Fixed', discountValue: 5 }), 20), 5);
+    assert.strictEqual(discountFor(promo({ discountValue: 100 }), 20), 20);
+});
+
+test('promoCodeUnavailable explains why a code cannot be used', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    assert.strictEqual(promoCodeUnavailable(promo({}), 0, now), null);
+    assert.match(promoCodeUnavailable(promo({ isEnabled: false }), 0, now), /not active/);
+    assert.match(promoCodeUnavailable(promo({ expiresAt: '2026-06-01T12:00:00Z' }), 0, now), /expired/);
+    assert.strictEqual(promoCodeUnavailable(promo({ expiresAt: '2026-06-01T12:00:01Z' }), 0, now), null);
+    assert.match(promoCodeUnavailable(promo({ maxUses: 3 }), 3, now), /used up/);
+    assert.strictEqual(promoCodeUnavailable(promo({ maxUses: 3 }), 2, now), null);
+});
+
+test('promoCodeErrors rejects percentages over 100', () => {
+    assert.ok(promoCodeErrors(promo({ discountValue: 101 })).discountValue);
+    assert.strictEqual(promoCodeErrors(promo({ discountValue: 100 })), null);
+    assert.strictEqual(promoCodeErrors(promo({ discountType: 'Fixed', discountValue: 150 })), null);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const port = 3917;
+const baseUrl = `http://localhost:${port}/api`;
+
+let server;
+
+test.before(() => new Promise((resolve, reject) => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', '..', 'simple-backend.js')], {
+        env: { ...process.env, PORT: String(port), DRIFTRIDE_STORAGE: 'memory' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    server.once('exit', code => reject(new Error(`Mock API exited with code ${code}`)));
+    // Seeding runs after the endpoint list, so wait for its summary
+    let output = '';
+    server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('queue entries')) {
+            resolve();
+        }
+    });
+}));
+
+test.after(() => {
+    server.removeAllListeners('exit');
+    server.kill();
+});
+
+async function api(method, url, token, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+async function login(username) {
+    const { body } = await api('POST', '/auth/login', null, { username, password: 'password' });
+    return body.data.accessToken;
+}
+
+async function currentRider(token) {
+    const { status, body } = await api('GET', '/queue/current', token);
+    return status === 204 ? null : body.data;
+}
+
+test('completing a ride only moves the queue of that driver\'s car', async () => {
+    const sales = await login('sales@example.com');
+    const driver1 = await login('driver@example.com');
+    const driver2 = await login('driver2@example.com');
+
+    // Enough riders for both demo cars and one more, whatever was seeded
+    for (const [name, phoneNumber] of [['Ava Test', '555-0901'], ['Ben Test', '555-0902'], ['Cal Test', '555-0903']]) {
+        const added = await api('POST', '/customers/manual', sales, { name, phoneNumber, reasonCode: 'Promotional', reason: 'Test' });
+        assert.strictEqual(added.status, 201);
+    }
+
+    const car1Rider = await currentRider(driver1);
+    const car2Rider = await currentRider(driver2);
+    assert.ok(car1Rider && car2Rider);
+    assert.notStrictEqual(car1Rider.id, car2Rider.id);
+
+    // The other car's driver can neither start nor complete this ride
+    assert.strictEqual((await api('POST', `/queue/${car1Rider.id}/start`, driver2)).status, 409);
+    assert.strictEqual((await api('POST', `/queue/${car1Rider.id}/start`, driver1)).status, 200);
+    assert.strictEqual((await api('POST', `/queue/${car1Rider.id}/complete`, driver2)).status, 409);
+
+    const completed = await api('POST', `/queue/${car1Rider.id}/complete`, driver1);
+    assert.strictEqual(completed.status, 200);
+    assert.strictEqual(completed.body.data.status, 'Completed');
+
+    // Car 1 is given the next pool rider; car 2 still has its own
+    const nextCar1Rider = await currentRider(driver1);
+    assert.ok(nextCar1Rider);
+    assert.notStrictEqual(nextCar1Rider.id, car1Rider.id);
+    assert.notStrictEqual(nextCar1Rider.id, car2Rider.id);
+    assert.strictEqual((await currentRider(driver2)).id, car2Rider.id);
+});
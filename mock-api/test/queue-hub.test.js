@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createQueueHub } = require('../queue-hub');
+const { users, issueTokens } = require('../auth');
+
+const RECORD_SEPARATOR = '\x1e';
+
+// Just enough of an Express app to capture the hub's route handlers
+function createApp() {
+    const routes = {};
+    const route = method => (path, ...handlers) => {
+        routes[`${method} ${path}`] = handlers[handlers.length - 1];
+    };
+    return { routes, post: route('POST'), get: route('GET'), delete: route('DELETE') };
+}
+
+function response() {
+    const res = { written: [], statusCode: 200 };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    res.send = () => res;
+    res.end = () => res;
+    res.writeHead = () => res;
+    res.write = chunk => { res.written.push(chunk); };
+    return res;
+}
+
+// Negotiates and opens a stream, then completes the handshake
+function connect(app, accessToken) {
+    const negotiated = response();
+    app.routes['POST /queueHub/negotiate']({}, negotiated);
+    const id = negotiated.body.connectionToken;
+
+    const stream = response();
+    app.routes['GET /queueHub']({ query: { id, access_token: accessToken }, headers: {}, on() {} }, stream);
+
+    const connection = {
+        stream,
+        send(message) {
+            app.routes['POST /queueHub']({ query: { id }, body: JSON.stringify(message) + RECORD_SEPARATOR }, response());
+        },
+        messages() {
+            return stream.written
+                .filter(chunk => chunk.startsWith('data: '))
+                .map(chunk => JSON.parse(chunk.slice(6).split(RECORD_SEPARATOR)[0]));
+        }
+    };
+    connection.send({ protocol: 'json', version: 1 });
+    return connection;
+}
+
+const tokenFor = username => issueTokens(users.find(u => u.username === username)).accessToken;
+
+function joinGroup(connection, groupName) {
+    connection.send({ type: 1, invocationId: groupName, target: 'JoinGroup', arguments: [groupName] });
+    return connection.messages().find(m => m.invocationId === groupName);
+}
+
+test('a connection without a token cannot join staff groups', () => {
+    const app = createApp();
+    const hub = createQueueHub(app, '/queueHub');
+    const customer = connect(app, null);
+
+    ['Role_Sales', 'Role_Driver', 'User_1', 'drivers'].forEach(group => {
+        assert.match(joinGroup(customer, group).error, /Not authorized/);
+    });
+
+    hub.sendToGroups(['Role_Sales', 'drivers'], 'PaymentNotification', {});
+    assert.ok(!customer.messages().some(m => m.target === 'PaymentNotification'));
+});
+
+test('staff can join the groups their token holds, and only those', () => {
+    const app = createApp();
+    createQueueHub(app, '/queueHub');
+    const salesUser = users.find(u => u.username === 'sales@example.com');
+    const sales = connect(app, tokenFor('sales@example.com'));
+
+    assert.strictEqual(joinGroup(sales, 'Role_Sales').result, null);
+    assert.strictEqual(joinGroup(sales, `User_${salesUser.id}`).result, null);
+    assert.match(joinGroup(sales, 'Role_Driver').error, /Not authorized/);
+    assert.match(joinGroup(sales, 'drivers').error, /Not authorized/);
+
+    const driver = connect(app, tokenFor('driver@example.com'));
+    assert.strictEqual(joinGroup(driver, 'drivers').result, null);
+});
+
+test('anyone can join the customer groups', () => {
+    const app = createApp();
+    createQueueHub(app, '/queueHub');
+    const customer = connect(app, null);
+
+    assert.strictEqual(joinGroup(customer, 'Customers').result, null);
+});
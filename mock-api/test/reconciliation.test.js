@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildReconciliation, toReconciliationCsv } = require('../reconciliation');
+const { createDefaultPaymentConfigurations } = require('../payment-methods');
+
+// Local time, as business days are
+const at = (day, hours) => new Date(2026, 9, day, hours).toISOString();
+
+function payment(id, fields) {
+    return {
+        id,
+        customerId: 1,
+        amount: 25,
+        paymentMethod: 'CashApp',
+        externalTransactionId: `tx_${id}`,
+        status: 'Confirmed',
+        createdAt: at(19, 11),
+        confirmedBy: 'sales@example.com',
+        confirmedAt: at(19, 12),
+        expectedAmount: 25,
+        ...fields
+    };
+}
+
+function reconcile(payments, refundRequests = [], cashCount = null) {
+    return buildReconciliation({
+        date: '2026-10-19',
+        payments,
+        refundRequests,
+        customers: [{ id: 1, name: 'John Smith' }, { id: 2, name: '=HYPERLINK("http://x")' }],
+        paymentConfigurations: createDefaultPaymentConfigurations(),
+        cashCount
+    });
+}
+
+const method = (report, key) => report.methods.find(m => m.paymentMethod === key);
+
+test('sales are totalled per method against the expected price', () => {
+    const report = reconcile([
+        payment(1),
+        payment(2, { amount: 30 }),
+        payment(3, { paymentMethod: 'CashInHand', amount: 20, expectedAmount: 20 }),
+        payment(4, { confirmedAt: at(18, 12) }),
+        payment(5, { status: 'Denied' }),
+        payment(6, { status: 'Pending', confirmedAt: null })
+    ]);
+
+    const cashApp = method(report, 'CashApp');
+    assert.strictEqual(cashApp.confirmedCount, 2);
+    assert.strictEqual(cashApp.confirmedAmount, 55);
+    assert.strictEqual(cashApp.expectedAmount, 50);
+    assert.strictEqual(cashApp.variance, 5);
+    assert.strictEqual(cashApp.offPriceCount, 1);
+    assert.strictEqual(cashApp.deniedCount, 1);
+    assert.strictEqual(cashApp.pendingCount, 1);
+
+    assert.strictEqual(report.totals.confirmedCount, 3);
+    assert.strictEqual(report.totals.confirmedAmount, 75);
+    assert.deepStrictEqual(report.externalTransactions.map(t => t.paymentId), [1, 2]);
+});
+
+test('approved refunds, partial ones included, come off the net and the cash drawer', () => {
+    const report = reconcile(
+        [
+            payment(1, { paymentMethod: 'CashInHand', amount: 20, expectedAmount: 20, refundedAmount: 7.5 }),
+            payment(2, { paymentMethod: 'CashInHand', amount: 20, expectedAmount: 20 }),
+            payment(3, { status: 'Refunded', refundedAmount: 25 })
+        ],
+        [
+            { id: 1, paymentId: 1, customerId: 1, amount: 7.5, status: 'Approved', requestedAt: at(19, 13), resolvedAt: at(19, 14) },
+            { id: 2, paymentId: 3, customerId: 1, amount: 25, status: 'Approved', requestedAt: at(19, 13), resolvedAt: at(19, 14) },
+            { id: 3, paymentId: 2, customerId: 1, amount: 20, status: 'Pending', requestedAt: at(19, 15), resolvedAt: null }
+        ],
+        { openingFloat: 100, countedAmount: 130, countedBy: 'sales@example.com', countedAt: at(19, 20), notes: null }
+    );
+
+    const cash = method(report, 'CashInHand');
+    assert.strictEqual(cash.confirmedAmount, 40);
+    assert.strictEqual(cash.refundedAmount, 7.5);
+    assert.strictEqual(cash.netAmount, 32.5);
+    // A refunded payment still counts as a sale on the day it was confirmed
+    assert.strictEqual(method(report, 'CashApp').confirmedCount, 1);
+
+    assert.strictEqual(report.totals.refundedCount, 2);
+    assert.strictEqual(report.totals.refundedAmount, 32.5);
+    assert.strictEqual(report.totals.confirmedAmount, 65);
+    assert.strictEqual(report.totals.netAmount, 32.5);
+    assert.strictEqual(report.refunds.length, 3);
+
+    assert.strictEqual(report.cash.expected, 132.5);
+    assert.strictEqual(report.cash.difference, -2.5);
+});
+
+test('comped rides are listed but not counted as sales', () => {
+    const report = reconcile([
+        payment(1),
+        payment(2, { amount: 0, paymentMethod: null, comped: true, manualReasonCode: 'Promotional', notes: 'Raffle winner' })
+    ]);
+
+    assert.strictEqual(report.totals.confirmedCount, 1);
+    assert.strictEqual(report.totals.confirmedAmount, 25);
+    assert.strictEqual(report.totals.compedCount, 1);
+    assert.deepStrictEqual(
+        report.compedRides.map(c => [c.paymentId, c.reasonCode, c.notes]),
+        [[2, 'Promotional', 'Raffle winner']]
+    );
+});
+
+test('promo code discounts are totalled per code', () => {
+    const report = reconcile([
+        payment(1, { amount: 20, expectedAmount: 20, promoCode: 'SUMMER', discountAmount: 5 }),
+        payment(2, { amount: 20, expectedAmount: 20, promoCode: 'SUMMER', discountAmount: 5 }),
+        payment(3, { amount: 22.5, expectedAmount: 22.5, promoCode: 'AUTUMN', discountAmount: 2.5 })
+    ]);
+
+    assert.deepStrictEqual(report.promoCodes, [
+        { code: 'AUTUMN', uses: 1, discountAmount: 2.5 },
+        { code: 'SUMMER', uses: 2, discountAmount: 10 }
+    ]);
+    assert.strictEqual(report.totals.discountAmount, 12.5);
+});
+
+test('the CSV export keeps customer text from running as a formula', () => {
+    const csv = toReconciliationCsv(reconcile([payment(1, { customerId: 2, externalTransactionId: '@SUM(A1)' })]));
+
+    assert.ok(csv.includes(`,"'=HYPERLINK(""http://x"")",CashApp,'@SUM(A1),25.00,`));
+    assert.ok(!/,=|,@/.test(csv));
+});
@@ -0,0 +1,295 @@
+/**
+ * Contract validation for the mock API.
+ * Route parameters and request bodies are checked against the schemas in
+ * contracts/api.yaml before a route runs, so the mock rejects what the .NET
+ * API rejects with the same VALIDATION_FAILED envelope as
+ * BaseApiController.ValidationError(). JSON responses are checked on the way
+ * out so the mock cannot drift from the contract unnoticed.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { validationFailedResponse, createResponse } = require('./responses');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// What to do when a response does not match the contract:
+// off, warn (log it, the default) or strict (replace it with a 500)
+const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^\d{2}:\d{2}:\d{2}$/;
+
+function resolveRef(contract, ref) {
+    const target = ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((node, key) => (node ? node[key] : undefined), contract);
+
+    if (!target) {
+        throw new Error(`Unresolved reference '${ref}' in API contract`);
+    }
+    return target;
+}
+
+function deref(contract, node) {
+    return node && node.$ref ? deref(contract, resolveRef(contract, node.$ref)) : node;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function addError(errors, field, message) {
+    const key = field || '$';
+    (errors[key] = errors[key] || []).push(message);
+}
+
+function describe(field) {
+    return field || 'Request body';
+}
+
+// [Required] treats null and whitespace-only strings as missing, unless the
+// contract marks the property nullable
+function isMissing(value, propertySchema) {
+    if (value === null) {
+        return !(propertySchema && propertySchema.nullable);
+    }
+    return value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Checks value against an OpenAPI 3.0 schema, collecting messages per
+ * field path. Covers the keywords contracts/api.yaml uses.
+ */
+function checkSchema(contract, schema, value, field, errors) {
+    if (value === null && schema.nullable) {
+        return;
+    }
+
+    if (schema.$ref) {
+        return checkSchema(contract, resolveRef(contract, schema.$ref), value, field, errors);
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(part => checkSchema(contract, part, value, field, errors));
+    }
+
+    if (value === null) {
+        if (schema.type) {
+            addError(errors, field, `${describe(field)} cannot be null`);
+        }
+        return;
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        addError(errors, field, `${describe(field)} must be of type ${schema.type}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        addError(errors, field, `${describe(field)} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError(errors, field, `${describe(field)} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError(errors, field, `${describe(field)} cannot exceed ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            addError(errors, field, `${describe(field)} format is invalid`);
+        }
+        if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+            addError(errors, field, `${describe(field)} must be a valid email address`);
+        }
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            addError(errors, field, `${describe(field)} must be an ISO 8601 date-time`);
+        }
+        if (schema.format === 'time' && !TIME_PATTERN.test(value)) {
+            addError(errors, field, `${describe(field)} must be formatted as HH:MM:SS`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addError(errors, field, `${describe(field)} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            addError(errors, field, `${describe(field)} cannot exceed ${schema.maximum}`);
+        }
+        // Compare with a tolerance: 25.1 / 0.01 is not an exact integer in floating point
+        if (schema.multipleOf !== undefined
+            && Math.abs(Math.round(value / schema.multipleOf) * schema.multipleOf - value) > 1e-9) {
+            addError(errors, field, `${describe(field)} must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError(errors, field, `${describe(field)} must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError(errors, field, `${describe(field)} cannot contain more than ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            addError(errors, field, `${describe(field)} cannot contain duplicates`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkSchema(contract, schema.items, item, `${field}[${index}]`, errors));
+        }
+    }
+
+    if (matchesType('object', value) && (schema.properties || schema.required)) {
+        const properties = schema.properties || {};
+        const missing = (schema.required || []).filter(name => isMissing(value[name], properties[name]));
+
+        missing.forEach(name => addError(errors, field ? `${field}.${name}` : name, `${name} is required`));
+
+        Object.entries(properties).forEach(([name, propertySchema]) => {
+            if (value[name] === undefined || missing.includes(name)) {
+                return;
+            }
+            checkSchema(contract, propertySchema, value[name], field ? `${field}.${name}` : name, errors);
+        });
+    }
+}
+
+/**
+ * Route and query parameters arrive as strings; convert the ones the
+ * contract declares as numbers or booleans before checking them
+ */
+function coerceParameter(schema, raw) {
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(raw)) {
+        return Number(raw);
+    }
+    if (schema.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+        return raw === 'true';
+    }
+    return raw;
+}
+
+function validateRequest(contract, operation, req) {
+    const errors = {};
+    const sources = { path: req.params, query: req.query };
+
+    (operation.parameters || [])
+        .map(parameter => deref(contract, parameter))
+        .filter(parameter => sources[parameter.in])
+        .forEach(parameter => {
+            const raw = sources[parameter.in][parameter.name];
+            const schema = deref(contract, parameter.schema) || {};
+
+            if (raw === undefined || raw === '') {
+                if (parameter.required) {
+                    addError(errors, parameter.name, `${parameter.name} is required`);
+                }
+                return;
+            }
+            checkSchema(contract, schema, coerceParameter(schema, raw), parameter.name, errors);
+        });
+
+    const requestBody = deref(contract, operation.requestBody);
+    const bodySchema = requestBody && requestBody.content && requestBody.content['application/json']
+        ? requestBody.content['application/json'].schema
+        : null;
+
+    if (bodySchema) {
+        checkSchema(contract, bodySchema, req.body === undefined ? {} : req.body, '', errors);
+    }
+
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+function validateResponse(contract, operation, statusCode, body) {
+    const response = deref(contract, operation.responses[String(statusCode)] || operation.responses.default);
+    if (!response) {
+        return { status: [`${statusCode} is not a documented response`] };
+    }
+
+    const content = response.content && response.content['application/json'];
+    if (!content || !content.schema) {
+        return null;
+    }
+
+    const errors = {};
+    checkSchema(contract, content.schema, body, '', errors);
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * Loads the contract and returns validate(operationId), a route middleware
+ * that validates the request and the JSON response of that operation.
+ * Unknown operation ids throw at startup rather than on first request.
+ */
+function createContractValidator(contractPath, options = {}) {
+    const contract = yaml.load(fs.readFileSync(contractPath, 'utf8'));
+    const responseMode = options.responseValidation || process.env.DRIFTRIDE_RESPONSE_VALIDATION || 'warn';
+
+    if (!RESPONSE_VALIDATION_MODES.includes(responseMode)) {
+        throw new Error(`Unknown response validation mode '${responseMode}' (expected ${RESPONSE_VALIDATION_MODES.join(', ')})`);
+    }
+
+    const operations = new Map();
+    Object.entries(contract.paths).forEach(([path, pathItem]) => {
+        HTTP_METHODS
+            .filter(method => pathItem[method] && pathItem[method].operationId)
+            .forEach(method => {
+                operations.set(pathItem[method].operationId, {
+                    ...pathItem[method],
+                    parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])]
+                });
+            });
+    });
+
+    return function validate(operationId) {
+        const operation = operations.get(operationId);
+        if (!operation) {
+            throw new Error(`Operation '${operationId}' is not defined in ${contractPath}`);
+        }
+
+        return (req, res, next) => {
+            const errors = validateRequest(contract, operation, req);
+            if (errors) {
+                return res.status(400).json(validationFailedResponse(errors));
+            }
+
+            if (responseMode !== 'off') {
+                const json = res.json.bind(res);
+                res.json = body => {
+                    const problems = validateResponse(contract, operation, res.statusCode, body);
+                    if (!problems) {
+                        return json(body);
+                    }
+
+                    console.warn(`Response from ${operationId} does not match the API contract:`, problems);
+                    if (responseMode === 'strict') {
+                        res.status(500);
+                        return json(createResponse(false, 'Response failed contract validation', null, {
+                            code: 'INTERNAL_SERVER_ERROR',
+                            message: `Response from ${operationId} does not match the API contract`,
+                            details: problems
+                        }));
+                    }
+                    return json(body);
+                };
+            }
+
+            next();
+        };
+    };
+}
+
+module.exports = { createContractValidator };
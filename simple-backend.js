@@ -1,10 +1,42 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createStorage } = require('./mock-api/storage');
+const {
+    createResponse,
+    pagedResponse,
+    validationFailedResponse,
+    notFoundResponse,
+    conflictResponse,
+    badRequestResponse
+} = require('./mock-api/responses');
+const { createContractValidator } = require('./mock-api/validation');
+const { users, findUser, issueTokens, refreshTokens, authorize } = require('./mock-api/auth');
+const { createQueueHub } = require('./mock-api/queue-hub');
+const { createNotificationService } = require('./mock-api/notifications');
+const { estimateStartTimes, formatDuration } = require('./mock-api/eta');
+const { isActiveEntry, isCarReady, currentEntryForCar, dispatchRiders } = require('./mock-api/dispatch');
+const { matchesCustomer, findLikelyDuplicates } = require('./mock-api/customer-search');
+const { slaLevel, buildSlaReport } = require('./mock-api/payment-sla');
+const { createAuditLog, pick, toAuditCsv } = require('./mock-api/audit-log');
+const { localDate, buildReconciliation, toReconciliationCsv, toReconciliationHtml } = require('./mock-api/reconciliation');
+const { summarizeEvent, toEventResponse } = require('./mock-api/events');
+const { quotePrice, priceForRides, pricingRuleErrors } = require('./mock-api/pricing');
+const { normalizeCode, promoCodeUnavailable, discountFor, promoCodeErrors } = require('./mock-api/promo-codes');
+const {
+    createDefaultPaymentConfigurations,
+    withPaymentMethodDefaults,
+    orderedPaymentMethods,
+    defaultInstructions,
+    instructionErrors
+} = require('./mock-api/payment-methods');
 const app = express();
-const port = 3001;
+const port = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Reflect the caller's origin: the SignalR client negotiates with credentials,
+// which browsers reject against a wildcard origin
+app.use(cors({ origin: true, credentials: true }));
 app.use(express.json());
 
 // Debug middleware - remove for production
@@ -13,282 +45,2780 @@ app.use(express.json());
 //     next();
 // });
 
+// Real-time hub (SignalR JSON protocol over Server-Sent Events)
+const queueHub = createQueueHub(app, '/queueHub');
+const notifications = createNotificationService(queueHub);
+
+// Request/response validation against the shared API contract
+const validate = createContractValidator(path.join(__dirname, 'contracts', 'api.yaml'));
+
 // Mock data
 let customers = [];
 let payments = [];
 let queue = [];
-let paymentConfigurations = {
-    CashApp: {
-        displayName: 'CashApp Payment',
-        paymentUrl: 'https://cash.app/$driftride',
-        isEnabled: true,
-        pricePerRide: 25.00,
-        apiIntegrationEnabled: true
-    },
-    PayPal: {
-        displayName: 'PayPal Payment',
-        paymentUrl: 'https://paypal.me/driftride',
-        isEnabled: true,
-        pricePerRide: 27.50,
-        apiIntegrationEnabled: false
-    },
-    CashInHand: {
-        displayName: 'Cash Payment',
-        paymentUrl: '',
-        isEnabled: true,
-        pricePerRide: 20.00,
-        apiIntegrationEnabled: false
+let cars = [];
+let refundRequests = [];
+// Who reordered the queue, when and why
+let queueReorders = [];
+// Duplicate customer records folded into another, kept for the history panel
+let customerMerges = [];
+// Event days at a venue; the open one owns the customers, payments, queue
+// and pricing above, closed ones keep theirs frozen in event.records
+let events = [];
+// Cash drawer counts recorded at close, one per business day
+let cashCounts = [];
+// Who changed what and when, for every state-changing request
+const auditLog = createAuditLog();
+// Payment methods by key; sales add, remove and reorder them
+let paymentConfigurations = createDefaultPaymentConfigurations();
+
+// Happy hours, peak surcharges and bundles on top of pricePerRide
+let pricingRules = [];
+
+// Discount codes customers enter at checkout
+let promoCodes = [];
+
+// Queue rules sales can change at runtime
+let queueSettings = {
+    // A rider who misses their call moves back this many places...
+    noShowMoveBackPositions: 3,
+    // ...and is cancelled on this many misses
+    noShowMaxMisses: 2
+};
+
+// How quickly sales should verify payments; longer waits are escalated
+let paymentSlaSettings = {
+    targetSeconds: 30,
+    warningMinutes: 5,
+    criticalMinutes: 10
+};
+
+let nextCustomerId = 1;
+let nextPaymentId = 1;
+let nextQueueId = 1;
+let nextCarId = 1;
+let nextRefundRequestId = 1;
+let nextQueueReorderId = 1;
+let nextCustomerMergeId = 1;
+let nextEventId = 1;
+let nextPricingRuleId = 1;
+let nextPromoCodeId = 1;
+
+// Persistence (DRIFTRIDE_STORAGE=memory|file)
+const storage = createStorage();
+
+function exportState() {
+    return {
+        customers,
+        payments,
+        queue,
+        cars,
+        refundRequests,
+        queueReorders,
+        customerMerges,
+        cashCounts,
+        events,
+        paymentConfigurations,
+        pricingRules,
+        promoCodes,
+        queueSettings,
+        paymentSlaSettings,
+        auditLog: auditLog.exportState(),
+        nextCustomerId,
+        nextPaymentId,
+        nextQueueId,
+        nextCarId,
+        nextRefundRequestId,
+        nextQueueReorderId,
+        nextCustomerMergeId,
+        nextEventId,
+        nextPricingRuleId,
+        nextPromoCodeId
+    };
+}
+
+function importState(state) {
+    customers = state.customers;
+    payments = state.payments;
+    queue = state.queue;
+    // State saved before cars existed has a single, driverless line
+    cars = state.cars || [];
+    refundRequests = state.refundRequests || [];
+    queueReorders = state.queueReorders || [];
+    customerMerges = state.customerMerges || [];
+    cashCounts = state.cashCounts || [];
+    events = state.events || [];
+    paymentConfigurations = withPaymentMethodDefaults(state.paymentConfigurations);
+    pricingRules = state.pricingRules || [];
+    promoCodes = state.promoCodes || [];
+    queueSettings = { ...queueSettings, ...state.queueSettings };
+    paymentSlaSettings = { ...paymentSlaSettings, ...state.paymentSlaSettings };
+    auditLog.importState(state.auditLog);
+    nextCustomerId = state.nextCustomerId;
+    nextPaymentId = state.nextPaymentId;
+    nextQueueId = state.nextQueueId;
+    nextCarId = state.nextCarId || 1;
+    nextRefundRequestId = state.nextRefundRequestId || 1;
+    nextQueueReorderId = state.nextQueueReorderId || 1;
+    nextCustomerMergeId = state.nextCustomerMergeId || 1;
+    nextEventId = state.nextEventId || 1;
+    nextPricingRuleId = state.nextPricingRuleId || 1;
+    nextPromoCodeId = state.nextPromoCodeId || 1;
+    // State saved before events existed belongs to one open event
+    if (!state.events) {
+        events.push(createEvent({ name: 'DriftRide', venue: null, date: localDate() }, null));
+    }
+}
+
+function createEvent({ name, venue, date }, openedBy) {
+    return {
+        id: nextEventId++,
+        name,
+        venue,
+        date,
+        status: 'Open',
+        openedAt: new Date().toISOString(),
+        openedBy,
+        closedAt: null,
+        closedBy: null,
+        paymentConfigurations: null,
+        pricingRules: null,
+        summary: null,
+        records: null
+    };
+}
+
+function activeEvent() {
+    return events.find(e => e.status === 'Open') || null;
+}
+
+function liveRecords() {
+    return { customers, payments, queue, refundRequests, queueReorders, customerMerges };
+}
+
+// Records of every event, closed and open, for reports that span events
+function allRecords(name) {
+    return [...events.filter(e => e.records).flatMap(e => e.records[name]), ...liveRecords()[name]];
+}
+
+// A closed event carries its own pricing and summary; the open one reports live
+function toEventDetailResponse(event) {
+    return event.status === 'Open'
+        ? { ...toEventResponse(event), paymentConfigurations, pricingRules, summary: summarizeEvent(liveRecords()) }
+        : toEventResponse(event);
+}
+
+function noOpenEventResponse() {
+    return conflictResponse('No event is open. Sales need to open an event before riders can sign up or pay.');
+}
+
+function persistState() {
+    try {
+        storage.save(exportState());
+    } catch (error) {
+        console.error('Failed to persist state:', error);
+    }
+}
+
+// Helper functions
+// Fields of each record copied into audit entries as its before/after values
+const PAYMENT_AUDIT_FIELDS = ['status', 'amount', 'paymentMethod', 'notes', 'denialReasonCode', 'confirmedBy', 'confirmedAt'];
+const QUEUE_AUDIT_FIELDS = ['status', 'position', 'assignedCarId', 'carId', 'missedCount', 'startedAt', 'completedAt', 'completedBy'];
+const CAR_AUDIT_FIELDS = ['name', 'isActive', 'driverUserId'];
+
+// Start time predictions for the current queue on the cars taking riders
+function estimateQueue() {
+    return estimateStartTimes(queue, cars.filter(isCarReady));
+}
+
+// Queue entries store ids only so persisted state has a single copy of each
+// customer/payment; responses get the related records and the entry's
+// predicted start attached here
+function toQueueEntryResponse(entry, eta = estimateQueue()) {
+    const customer = customers.find(c => c.id === entry.customerId);
+    const car = cars.find(c => c.id === entry.carId);
+    const estimate = eta.estimates.get(entry.id);
+    return {
+        ...entry,
+        customerName: customer ? customer.name : null,
+        carName: car ? car.name : null,
+        estimatedStartAt: estimate && estimate.startAt !== null ? new Date(estimate.startAt).toISOString() : null,
+        estimatedWaitTime: estimate && estimate.waitTime !== null ? formatDuration(estimate.waitTime) : null,
+        // Field names from before the queue tracked cars, kept for older clients
+        joinedAt: entry.queuedAt,
+        calledAt: entry.dispatchedAt || null,
+        actualWaitTime: entry.startedAt ? formatDuration(new Date(entry.startedAt) - new Date(entry.queuedAt)) : null,
+        customer,
+        payment: payments.find(p => p.id === entry.paymentId)
+    };
+}
+
+// The .NET Customers API calls the number "phone"; send both names
+function toCustomerResponse(customer) {
+    return { ...customer, phone: customer.phoneNumber };
+}
+
+function toQueueResponse(eta = estimateQueue()) {
+    return queue.map(entry => toQueueEntryResponse(entry, eta));
+}
+
+function toRefundRequestResponse(refund) {
+    return {
+        ...refund,
+        customer: customers.find(c => c.id === refund.customerId),
+        payment: payments.find(p => p.id === refund.paymentId)
+    };
+}
+
+const money = amount => `$${amount.toFixed(2)}`;
+
+// How much of a payment was refunded, as the history panel shows it
+function refundSummary(payment) {
+    const refunded = refundedAmountOf(payment);
+    return refunded < payment.amount
+        ? `${money(refunded)} of the ${money(payment.amount)} payment refunded`
+        : `Payment of ${money(payment.amount)} refunded`;
+}
+
+/**
+ * Everything that happened to a customer's payments, queue entries and
+ * refund requests, newest first, for the sales history panel
+ */
+function buildCustomerTimeline(customerPayments, customerEntries, customerRefunds, merges) {
+    const events = [];
+    const add = (type, occurredAt, description, details = {}) => {
+        if (occurredAt) {
+            events.push({
+                type,
+                occurredAt,
+                description,
+                performedBy: details.performedBy || null,
+                paymentId: details.paymentId || null,
+                queueEntryId: details.queueEntryId || null,
+                notes: details.notes || null
+            });
+        }
+    };
+
+    customerPayments.forEach(payment => {
+        const ids = { paymentId: payment.id };
+        if (payment.manualReasonCode) {
+            add('ManuallyAdded', payment.createdAt, payment.comped
+                ? 'Added to the queue by staff on a comped ride'
+                : `Added to the queue by staff after paying ${money(payment.amount)} in cash`,
+            { ...ids, performedBy: payment.confirmedBy, notes: payment.notes });
+            add('PaymentRefunded', payment.refundedAt, refundSummary(payment),
+                { ...ids, performedBy: payment.refundedBy });
+            return;
+        }
+
+        add('PaymentSubmitted', payment.createdAt, `Paid ${money(payment.amount)} by ${payment.paymentMethod}`
+            + (payment.externalTransactionId ? ` (transaction ${payment.externalTransactionId})` : '')
+            + (payment.attemptNumber > 1 ? `, attempt ${payment.attemptNumber}` : ''), ids);
+
+        if (payment.status === 'Denied') {
+            add('PaymentDenied', payment.confirmedAt, `Payment of ${money(payment.amount)} denied`
+                + (payment.denialReasonCode ? ` (${payment.denialReasonCode})` : ''),
+                { ...ids, performedBy: payment.confirmedBy, notes: payment.notes });
+        } else {
+            add('PaymentConfirmed', payment.confirmedAt, `Payment of ${money(payment.amount)} confirmed`,
+                { ...ids, performedBy: payment.confirmedBy, notes: payment.notes });
+        }
+        add('PaymentRefunded', payment.refundedAt, refundSummary(payment),
+            { ...ids, performedBy: payment.refundedBy });
+    });
+
+    customerEntries.forEach(entry => {
+        const ids = { paymentId: entry.paymentId, queueEntryId: entry.id };
+        const car = cars.find(c => c.id === entry.carId);
+
+        add('Queued', entry.queuedAt, 'Joined the queue', ids);
+        add('NoShow', entry.lastMissedAt, `Missed the ride call (${entry.missedCount} time${entry.missedCount === 1 ? '' : 's'})`, ids);
+        add('RideStarted', entry.startedAt, `Ride started${car ? ` in ${car.name}` : ''}`, { ...ids, performedBy: entry.startedBy });
+        add('RideCompleted', entry.completedAt, 'Ride completed', { ...ids, performedBy: entry.completedBy });
+        add('QueueCancelled', entry.cancelledAt, entry.cancellationReason === 'CustomerLeft'
+            ? 'Left the queue'
+            : 'Removed from the queue after repeated no-shows', ids);
+    });
+
+    customerRefunds.forEach(refund => {
+        const ids = { paymentId: refund.paymentId, queueEntryId: refund.queueEntryId };
+        add('RefundRequested', refund.requestedAt, `Asked for a ${money(refund.amount)} refund`, { ...ids, notes: refund.reason });
+        add(refund.status === 'Approved' ? 'RefundApproved' : 'RefundRejected', refund.resolvedAt,
+            `Refund ${refund.status === 'Approved' ? 'approved' : 'rejected'}`, { ...ids, performedBy: refund.resolvedBy, notes: refund.notes });
+    });
+
+    merges.forEach(merge => {
+        merge.sourceCustomers.forEach(source => {
+            add('CustomersMerged', merge.mergedAt, `Merged duplicate record #${source.id} (${source.name}, ${source.phoneNumber})`,
+                { performedBy: merge.mergedBy });
+        });
+    });
+
+    // Sorted oldest first and reversed so events stamped in the same
+    // request (confirmed, then queued) still read newest first
+    return events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt)).reverse();
+}
+
+// Latest thing that happened to a customer, used to rank search results
+function lastActivityAt(customer) {
+    const timestamps = [
+        customer.createdAt,
+        ...payments.filter(p => p.customerId === customer.id).flatMap(p => [p.createdAt, p.confirmedAt]),
+        ...queue.filter(q => q.customerId === customer.id).flatMap(q => [q.queuedAt, q.completedAt, q.cancelledAt])
+    ];
+    return Math.max(...timestamps.filter(t => t).map(t => new Date(t).getTime()));
+}
+
+// What a sign-up is told about a possible earlier record of theirs: enough
+// to recognise it, without handing out someone else's details
+function toPossibleDuplicateResponse({ customer, matchedOn }) {
+    const [firstName, ...otherNames] = customer.name.split(/\s+/);
+    return {
+        id: customer.id,
+        name: otherNames.length > 0 ? `${firstName} ${otherNames[otherNames.length - 1][0]}.` : firstName,
+        createdAt: customer.createdAt,
+        matchedOn
+    };
+}
+
+// Phone numbers are compared on their digits, so "(555) 123-4567" matches "555-123-4567"
+function samePhoneNumber(a, b) {
+    return String(a).replace(/\D/g, '') === String(b).replace(/\D/g, '');
+}
+
+// Renumbers active entries from 1; rides already under way stay at the front
+function recalculatePositions() {
+    queue
+        .filter(isActiveEntry)
+        .sort((a, b) => (a.status === 'InProgress' ? 0 : 1) - (b.status === 'InProgress' ? 0 : 1) || a.position - b.position)
+        .forEach((entry, index) => {
+            entry.position = index + 1;
+        });
+}
+
+function findDriverCar(userId) {
+    return cars.find(car => car.driverUserId === userId) || null;
+}
+
+function rideInProgress(carId) {
+    return queue.find(q => q.status === 'InProgress' && q.carId === carId) || null;
+}
+
+// Cars cannot lose their driver or be taken out of service mid-ride
+function carBusyResponse(car) {
+    const ride = rideInProgress(car.id);
+    return ride ? conflictResponse(`${car.name} has a ride in progress (queue entry ${ride.id}). Complete it first.`) : null;
+}
+
+// Hands a car's waiting riders back so other cars can take them; a rider
+// already in the car stays with it
+function releaseRiders(carId) {
+    queue
+        .filter(q => q.status === 'Waiting' && q.carId === carId)
+        .forEach(entry => {
+            entry.carId = null;
+            entry.dispatchedAt = null;
+        });
+}
+
+function toCarResponse(car) {
+    const driver = users.find(u => u.id === car.driverUserId);
+    const current = currentEntryForCar(queue, car.id);
+    return {
+        ...car,
+        driverUsername: driver ? driver.username : null,
+        driverName: driver ? driver.displayName : null,
+        currentQueueEntryId: current ? current.id : null,
+        completedRides: queue.filter(q => q.status === 'Completed' && q.carId === car.id).length
+    };
+}
+
+// Staff driving a car must be Driver accounts; each drives one car at a time
+function assignDriver(car, driverUserId) {
+    if (car.driverUserId && car.driverUserId !== driverUserId) {
+        releaseRiders(car.id);
+    }
+
+    if (driverUserId) {
+        cars
+            .filter(other => other.id !== car.id && other.driverUserId === driverUserId)
+            .forEach(other => {
+                other.driverUserId = null;
+                releaseRiders(other.id);
+            });
+    }
+
+    car.driverUserId = driverUserId || null;
+}
+
+// Configurations are keyed by method; responses carry the key as paymentMethod
+function toPaymentConfigurationResponse([paymentMethod, config]) {
+    return { paymentMethod, ...config };
+}
+
+function capturePositions() {
+    return new Map(queue.filter(isActiveEntry).map(q => [q.id, q.position]));
+}
+
+function broadcastStatistics() {
+    notifications.notifyQueueStatistics(
+        queue.filter(q => q.status === 'Waiting').length,
+        payments.filter(p => p.status === 'Pending').length
+    );
+}
+
+// Predicted start last sent to each waiting entry's customer
+const announcedStartTimes = new Map();
+// Customers hear about a new estimate once it moves by this much
+const START_TIME_CHANGE_THRESHOLD_MS = 60000;
+
+// Puts the customer of a confirmed payment at the back of the queue
+function enqueuePayment(payment) {
+    const previousPositions = capturePositions();
+    const queueEntry = {
+        id: nextQueueId++,
+        customerId: payment.customerId,
+        paymentId: payment.id,
+        position: queue.filter(isActiveEntry).length + 1,
+        status: 'Waiting',
+        queuedAt: new Date().toISOString(),
+        assignedCarId: null,
+        carId: null
+    };
+    queue.push(queueEntry);
+    dispatchRiders(queue, cars);
+
+    broadcastQueueChange('CustomerAdded', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry),
+        newPosition: queueEntry.position
+    });
+    return queueEntry;
+}
+
+// Payments refunded before partial refunds were recorded were refunded in full
+function refundedAmountOf(payment) {
+    if (payment.refundedAmount !== undefined) {
+        return payment.refundedAmount;
+    }
+    return payment.status === 'Refunded' ? payment.amount : 0;
+}
+
+// Bundle payments ride rideCount times; the rest are rides not yet completed
+function ridesRemaining(payment) {
+    const completed = queue.filter(q => q.paymentId === payment.id && q.status === 'Completed').length;
+    return (payment.rideCount || 1) - completed;
+}
+
+// ConfirmPaymentRequest.Validate(): denials need notes for the audit trail and
+// a code telling the customer what to fix before resubmitting
+function denialValidationErrors({ confirmed, notes, denialReasonCode }) {
+    if (confirmed) {
+        return null;
+    }
+    if (!notes || notes.trim().length < 10) {
+        return {
+            notes: [notes && notes.trim()
+                ? 'Notes must be at least 10 characters when denying a payment.'
+                : 'Notes are required when denying a payment for audit trail purposes.']
+        };
+    }
+    if (!denialReasonCode) {
+        return { denialReasonCode: ['A denial reason code is required when denying a payment.'] };
+    }
+    return null;
+}
+
+// Records the staff decision on a pending payment; confirmed payments join the queue
+function decidePayment(payment, { confirmed, notes, denialReasonCode }, user) {
+    const before = pick(payment, PAYMENT_AUDIT_FIELDS);
+    payment.status = confirmed ? 'Confirmed' : 'Denied';
+    payment.notes = notes || null;
+    payment.denialReasonCode = confirmed ? null : denialReasonCode;
+    payment.confirmedBy = user.username;
+    payment.confirmedAt = new Date().toISOString();
+
+    let queueEntry = null;
+    if (confirmed) {
+        queueEntry = enqueuePayment(payment);
+    } else {
+        broadcastStatistics();
+    }
+
+    const customer = customers.find(c => c.id === payment.customerId);
+    auditLog.record({
+        actor: user,
+        action: confirmed ? 'PaymentConfirmed' : 'PaymentDenied',
+        entityType: 'Payment',
+        entityId: payment.id,
+        summary: confirmed
+            ? `Confirmed ${customer.name}'s $${payment.amount.toFixed(2)} payment; queued at position ${queueEntry.position}`
+            : `Denied ${customer.name}'s $${payment.amount.toFixed(2)} payment (${denialReasonCode})`,
+        before,
+        after: { ...pick(payment, PAYMENT_AUDIT_FIELDS), queueEntryId: queueEntry ? queueEntry.id : null }
+    });
+    notifications.notifyPaymentStatus(payment, customer, queueEntry);
+}
+
+// Staff can take back a payment decision or ride completion for this long
+const UNDO_WINDOW_MS = 30000;
+
+function withinUndoWindow(timestamp) {
+    return Date.now() - new Date(timestamp).getTime() <= UNDO_WINDOW_MS;
+}
+
+// SLA level already alerted per pending payment id, so each level alerts once
+const slaAlertsSent = new Map();
+// How often pending payments are checked against the SLA
+const SLA_CHECK_INTERVAL_MS = 15000;
+
+// Sends sales a CustomerAlert when a pending payment passes the warning,
+// then the critical, wait
+function escalateOverduePayments() {
+    const pending = payments.filter(p => p.status === 'Pending');
+    const pendingIds = new Set(pending.map(p => p.id));
+    [...slaAlertsSent.keys()].filter(id => !pendingIds.has(id)).forEach(id => slaAlertsSent.delete(id));
+
+    pending.forEach(payment => {
+        const level = slaLevel(payment, paymentSlaSettings);
+        if (!level || slaAlertsSent.get(payment.id) === level) {
+            return;
+        }
+        slaAlertsSent.set(payment.id, level);
+
+        const customer = customers.find(c => c.id === payment.customerId);
+        const minutesWaiting = Math.floor((Date.now() - new Date(payment.createdAt)) / 60000);
+        const threshold = level === 'Critical' ? paymentSlaSettings.criticalMinutes : paymentSlaSettings.warningMinutes;
+        notifications.notifyCustomerAlert(payment.customerId, 'PaymentSlaBreached',
+            `${customer ? customer.name : `Customer #${payment.customerId}`}'s payment #${payment.id} has waited `
+            + `${minutesWaiting} minutes, over the ${threshold}-minute ${level.toLowerCase()} limit`,
+            level, { paymentId: payment.id, minutesWaiting, slaLevel: level });
+    });
+}
+
+// Tells staff the queue changed and every waiting customer whose position
+// or predicted start moved
+function broadcastQueueChange(updateType, previousPositions, details = {}) {
+    const eta = estimateQueue();
+    notifications.notifyQueueUpdate(updateType, toQueueResponse(eta), {
+        ...details,
+        estimatedWaitTime: eta.newRiderWaitTime
+    });
+    broadcastStatistics();
+
+    queue
+        .filter(q => q.status === 'Waiting')
+        .forEach(entry => {
+            const { startAt, waitTime } = eta.estimates.get(entry.id);
+            const announced = announcedStartTimes.get(entry.id);
+            const startMoved = startAt !== null
+                && (announced === undefined || Math.abs(startAt - announced) >= START_TIME_CHANGE_THRESHOLD_MS);
+
+            if (previousPositions.get(entry.id) === entry.position && !startMoved) {
+                return;
+            }
+
+            announcedStartTimes.set(entry.id, startAt);
+            notifications.notifyCustomerQueuePosition(
+                entry.customerId,
+                entry.position,
+                waitTime,
+                startAt !== null ? new Date(startAt).toISOString() : null
+            );
+        });
+}
+
+// Save state after every successful state-changing request
+app.use((req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            if (res.statusCode < 400) {
+                persistState();
+            }
+        });
+    }
+    next();
+});
+
+// Customer endpoints
+app.get('/api/customers', authorize('Sales'), validate('getCustomers'), (req, res) => {
+    const search = (req.query.search || '').trim();
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    const pageSize = req.query.pageSize ? parseInt(req.query.pageSize) : 10;
+
+    const matches = customers
+        .filter(customer => !search || matchesCustomer(customer, search))
+        .map(customer => ({ customer, lastActivity: lastActivityAt(customer) }))
+        .sort((a, b) => b.lastActivity - a.lastActivity || b.customer.id - a.customer.id)
+        .map(({ customer }) => customer);
+
+    res.json(pagedResponse(
+        search ? `Found ${matches.length} customer(s) matching '${search}'` : 'Customers retrieved successfully',
+        matches,
+        page,
+        pageSize
+    ));
+});
+
+app.post('/api/customers', validate('createCustomer'), (req, res) => {
+    const { name, existingCustomerId, allowDuplicate } = req.body;
+    const phoneNumber = req.body.phoneNumber || req.body.phone;
+    if (!phoneNumber) {
+        return res.status(400).json(validationFailedResponse({ phoneNumber: ['phoneNumber is required'] }));
+    }
+
+    if (!activeEvent()) {
+        return res.status(409).json(noOpenEventResponse());
+    }
+
+    // "That's me": a returning customer continues with their earlier record,
+    // provided they signed up with the same phone number
+    if (existingCustomerId !== undefined && existingCustomerId !== null) {
+        const existing = customers.find(c => c.id === existingCustomerId);
+        if (!existing) {
+            return res.status(404).json(notFoundResponse('Customer', existingCustomerId));
+        }
+        if (!samePhoneNumber(existing.phoneNumber, phoneNumber)) {
+            return res.status(409).json(conflictResponse(
+                'The phone number does not match that customer record. Continue as a new customer and ask staff to merge your records.'
+            ));
+        }
+        return res.json(createResponse(true, 'Welcome back', toCustomerResponse(existing)));
+    }
+
+    const duplicates = findLikelyDuplicates(customers, { name: name.trim(), phoneNumber });
+    if (duplicates.length > 0 && !allowDuplicate) {
+        return res.status(409).json(conflictResponse(
+            'A customer with this phone number or a similar name already exists.',
+            { possibleDuplicates: duplicates.map(toPossibleDuplicateResponse) }
+        ));
+    }
+
+    const customer = {
+        id: nextCustomerId++,
+        name: name.trim(),
+        phoneNumber,
+        createdAt: new Date().toISOString()
+    };
+
+    customers.push(customer);
+    auditLog.record({
+        actor: null,
+        action: 'CustomerCreated',
+        entityType: 'Customer',
+        entityId: customer.id,
+        summary: `${customer.name} signed up`,
+        after: pick(customer, ['name', 'phoneNumber'])
+    });
+    res.status(201).json(createResponse(true, 'Customer created successfully', toCustomerResponse(customer)));
+});
+
+// Sales put someone in the queue without a verified app payment: a comped
+// ride, or cash taken at the desk when amount is given. A customer with the
+// same phone number is reused rather than duplicated.
+app.post('/api/customers/manual', authorize('Sales'), validate('addCustomerManually'), (req, res) => {
+    const { name, reasonCode, reason } = req.body;
+    const phoneNumber = req.body.phoneNumber || req.body.phone;
+    const amount = req.body.amount || 0;
+    if (!phoneNumber) {
+        return res.status(400).json(validationFailedResponse({ phoneNumber: ['phoneNumber is required'] }));
+    }
+
+    if (!activeEvent()) {
+        return res.status(409).json(noOpenEventResponse());
+    }
+
+    // Money taken at the counter goes in the drawer under the first cash method
+    const cashMethod = orderedPaymentMethods(paymentConfigurations).find(([, config]) => config.isCash);
+    if (amount > 0 && !cashMethod) {
+        return res.status(409).json(conflictResponse('No cash payment method is set up to record the amount taken.'));
+    }
+
+    let customer = customers.find(c => samePhoneNumber(c.phoneNumber, phoneNumber));
+    if (customer) {
+        if (queue.some(q => q.customerId === customer.id && isActiveEntry(q))) {
+            return res.status(409).json(conflictResponse(`${customer.name} is already in the queue.`));
+        }
+        if (payments.some(p => p.customerId === customer.id && p.status === 'Pending')) {
+            return res.status(409).json(conflictResponse(
+                `${customer.name} has a pending payment. Confirm or deny it instead of adding them manually.`
+            ));
+        }
+    } else {
+        customer = {
+            id: nextCustomerId++,
+            name: name.trim(),
+            phoneNumber,
+            createdAt: new Date().toISOString()
+        };
+        customers.push(customer);
+    }
+
+    const now = new Date().toISOString();
+    const payment = {
+        id: nextPaymentId++,
+        customerId: customer.id,
+        amount,
+        paymentMethod: amount > 0 ? cashMethod[0] : null,
+        externalTransactionId: null,
+        status: 'Confirmed',
+        createdAt: now,
+        notes: reason.trim(),
+        confirmedBy: req.user.username,
+        confirmedAt: now,
+        comped: amount === 0,
+        manualReasonCode: reasonCode,
+        rideCount: 1,
+        expectedAmount: amount,
+        amountMismatch: false,
+        pricingRuleIds: [],
+        promoCodeId: null,
+        promoCode: null,
+        discountAmount: 0
+    };
+    payments.push(payment);
+
+    const queueEntry = enqueuePayment(payment);
+    auditLog.record({
+        actor: req.user,
+        action: 'CustomerAddedManually',
+        entityType: 'Payment',
+        entityId: payment.id,
+        summary: `${customer.name} added to the queue at position ${queueEntry.position} (${reasonCode})`,
+        after: {
+            customerId: customer.id,
+            ...pick(payment, [...PAYMENT_AUDIT_FIELDS, 'comped', 'manualReasonCode']),
+            queueEntryId: queueEntry.id,
+            position: queueEntry.position
+        }
+    });
+    notifications.notifyPaymentStatus(payment, customer, queueEntry);
+    notifications.notifyCustomer(customer.id, 'ManuallyAdded',
+        `${customer.name} was added to the queue by ${req.user.displayName}: ${payment.notes}`, {
+            reason: reasonCode,
+            relatedPayment: payment,
+            relatedQueueEntry: toQueueEntryResponse(queueEntry)
+        });
+
+    res.status(201).json(createResponse(true, `${customer.name} added to the queue at position ${queueEntry.position}`, {
+        customer,
+        payment,
+        queueEntry: toQueueEntryResponse(queueEntry)
+    }));
+});
+
+app.get('/api/customers/:id', authorize('Sales'), validate('getCustomer'), (req, res) => {
+    const customer = customers.find(c => c.id === parseInt(req.params.id));
+    if (!customer) {
+        return res.status(404).json(notFoundResponse('Customer', req.params.id));
+    }
+    res.json(createResponse(true, 'Customer retrieved successfully', toCustomerResponse(customer)));
+});
+
+app.get('/api/customers/:id/duplicates', authorize('Sales'), validate('getCustomerDuplicates'), (req, res) => {
+    const customer = customers.find(c => c.id === parseInt(req.params.id));
+    if (!customer) {
+        return res.status(404).json(notFoundResponse('Customer', req.params.id));
+    }
+
+    const duplicates = findLikelyDuplicates(customers, customer, customer.id)
+        .map(({ customer: duplicate, matchedOn }) => ({ ...duplicate, matchedOn }));
+    res.json(createResponse(true, `Found ${duplicates.length} likely duplicate(s)`, duplicates));
+});
+
+// Folds duplicate records into the customer in the URL: their payments, queue
+// entries and refund requests move over and the duplicates are removed
+app.post('/api/customers/:id/merge', authorize('Sales'), validate('mergeCustomers'), (req, res) => {
+    const target = customers.find(c => c.id === parseInt(req.params.id));
+    if (!target) {
+        return res.status(404).json(notFoundResponse('Customer', req.params.id));
+    }
+
+    const { sourceCustomerIds } = req.body;
+    if (sourceCustomerIds.includes(target.id)) {
+        return res.status(400).json(validationFailedResponse({
+            sourceCustomerIds: ['A customer cannot be merged into itself']
+        }));
+    }
+
+    const sources = sourceCustomerIds.map(id => customers.find(c => c.id === id));
+    const missingId = sourceCustomerIds.find((id, index) => !sources[index]);
+    if (missingId !== undefined) {
+        return res.status(404).json(notFoundResponse('Customer', missingId));
+    }
+
+    // The merged customer must still follow the one-at-a-time rules
+    const mergedIds = [target.id, ...sourceCustomerIds];
+    if (payments.filter(p => mergedIds.includes(p.customerId) && p.status === 'Pending').length > 1) {
+        return res.status(409).json(conflictResponse(
+            'More than one of these customers has a pending payment. Confirm or deny all but one before merging.'
+        ));
+    }
+    if (queue.filter(q => mergedIds.includes(q.customerId) && isActiveEntry(q)).length > 1) {
+        return res.status(409).json(conflictResponse(
+            'More than one of these customers is in the queue. Complete or remove all but one entry before merging.'
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const movedPayments = payments.filter(p => sourceCustomerIds.includes(p.customerId));
+    const movedEntries = queue.filter(q => sourceCustomerIds.includes(q.customerId));
+    const movedRefunds = refundRequests.filter(r => sourceCustomerIds.includes(r.customerId));
+    [...movedPayments, ...movedEntries, ...movedRefunds].forEach(record => {
+        record.customerId = target.id;
+    });
+    customers = customers.filter(c => !sourceCustomerIds.includes(c.id));
+
+    const merge = {
+        id: nextCustomerMergeId++,
+        targetCustomerId: target.id,
+        sourceCustomers: sources,
+        paymentIds: movedPayments.map(p => p.id),
+        queueEntryIds: movedEntries.map(q => q.id),
+        refundRequestIds: movedRefunds.map(r => r.id),
+        mergedBy: req.user.username,
+        mergedAt: new Date().toISOString()
+    };
+    customerMerges.push(merge);
+    auditLog.record({
+        actor: req.user,
+        action: 'CustomersMerged',
+        entityType: 'Customer',
+        entityId: target.id,
+        summary: `Merged ${sources.map(s => `${s.name} (#${s.id})`).join(', ')} into ${target.name}`,
+        before: { sourceCustomers: sources.map(s => pick(s, ['id', 'name', 'phoneNumber'])) },
+        after: pick(merge, ['paymentIds', 'queueEntryIds', 'refundRequestIds'])
+    });
+
+    sources.forEach(source => notifications.notifyCustomerMerged(source.id, target.id));
+    if (movedEntries.some(isActiveEntry)) {
+        broadcastQueueChange('QueueSynced', previousPositions, {
+            updateReason: `Customer records merged into ${target.name}`
+        });
+    }
+
+    res.json(createResponse(true, `Merged ${sources.length} customer record(s) into ${target.name}`, merge));
+});
+
+app.get('/api/customers/:id/history', authorize('Sales'), validate('getCustomerHistory'), (req, res) => {
+    const customer = customers.find(c => c.id === parseInt(req.params.id));
+    if (!customer) {
+        return res.status(404).json(notFoundResponse('Customer', req.params.id));
+    }
+
+    const customerPayments = payments.filter(p => p.customerId === customer.id);
+    const customerEntries = queue.filter(q => q.customerId === customer.id);
+    const customerRefunds = refundRequests.filter(r => r.customerId === customer.id);
+    const eta = estimateQueue();
+
+    res.json(createResponse(true, 'Customer history retrieved', {
+        customer,
+        summary: {
+            totalPaid: customerPayments
+                .filter(p => ['Confirmed', 'Refunded'].includes(p.status))
+                .reduce((sum, p) => sum + p.amount, 0),
+            totalRefunded: customerPayments.reduce((sum, p) => sum + refundedAmountOf(p), 0),
+            completedRides: customerEntries.filter(q => q.status === 'Completed').length,
+            deniedPayments: customerPayments.filter(p => p.status === 'Denied').length,
+            noShows: customerEntries.reduce((sum, q) => sum + (q.missedCount || 0), 0)
+        },
+        payments: customerPayments,
+        queueEntries: customerEntries.map(entry => toQueueEntryResponse(entry, eta)),
+        refundRequests: customerRefunds,
+        timeline: buildCustomerTimeline(customerPayments, customerEntries, customerRefunds,
+            customerMerges.filter(m => m.targetCustomerId === customer.id))
+    }));
+});
+
+/**
+ * Customer self-service: leave the queue before the ride starts. There is no
+ * customer login, so the customer confirms the phone number they signed up
+ * with. A paid entry opens a refund request for sales to approve or reject.
+ */
+app.post('/api/customers/:id/leave-queue', validate('leaveQueue'), (req, res) => {
+    const { phoneNumber, reason } = req.body;
+    const customer = customers.find(c => c.id === parseInt(req.params.id));
+
+    if (!customer) {
+        return res.status(404).json(notFoundResponse('Customer', req.params.id));
+    }
+
+    if (!samePhoneNumber(customer.phoneNumber, phoneNumber)) {
+        return res.status(400).json(badRequestResponse('Phone number does not match our records for this customer'));
+    }
+
+    const queueEntry = queue.find(q => q.customerId === customer.id && isActiveEntry(q));
+    if (!queueEntry) {
+        return res.status(409).json(conflictResponse('Customer is not waiting in the queue'));
+    }
+
+    if (queueEntry.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(
+            `Queue entry must be waiting to leave the queue. Current status: ${queueEntry.status}`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const previousPosition = queueEntry.position;
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+
+    queueEntry.status = 'Cancelled';
+    queueEntry.cancelledAt = new Date().toISOString();
+    queueEntry.cancellationReason = 'CustomerLeft';
+    queueEntry.carId = null;
+    queueEntry.dispatchedAt = null;
+
+    recalculatePositions();
+    dispatchRiders(queue, cars);
+
+    const payment = payments.find(p => p.id === queueEntry.paymentId);
+    let refundRequest = null;
+    if (payment && payment.status === 'Confirmed' && payment.amount > 0) {
+        // Part-used bundles refund the rides left
+        const rideCount = payment.rideCount || 1;
+        refundRequest = {
+            id: nextRefundRequestId++,
+            paymentId: payment.id,
+            customerId: customer.id,
+            queueEntryId: queueEntry.id,
+            amount: Math.round(payment.amount * ridesRemaining(payment) / rideCount * 100) / 100,
+            reason: reason ? reason.trim() : null,
+            status: 'Pending',
+            requestedAt: queueEntry.cancelledAt,
+            resolvedAt: null,
+            resolvedBy: null,
+            notes: null
+        };
+        refundRequests.push(refundRequest);
+        notifications.notifyRefundRequested(toRefundRequestResponse(refundRequest));
+    }
+
+    auditLog.record({
+        actor: null,
+        action: 'QueueLeft',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: `${customer.name} left the queue from position ${previousPosition}`
+            + (refundRequest ? `; refund of $${refundRequest.amount.toFixed(2)} requested` : ''),
+        before,
+        after: { ...pick(queueEntry, [...QUEUE_AUDIT_FIELDS, 'cancellationReason']), refundRequestId: refundRequest ? refundRequest.id : null }
+    });
+
+    notifications.notifyRideStatus(queueEntry, customer);
+    broadcastQueueChange('CustomerRemoved', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry),
+        previousPosition,
+        updateReason: 'Customer left the queue'
+    });
+
+    res.json(createResponse(true, refundRequest ? 'Left the queue; refund requested' : 'Left the queue', {
+        queueEntry: toQueueEntryResponse(queueEntry),
+        refundRequest: refundRequest ? toRefundRequestResponse(refundRequest) : null
+    }));
+});
+
+// Payments made with the code, in any event, that were not denied
+function promoCodeUses(promo) {
+    return allRecords('payments').filter(p => p.promoCodeId === promo.id && p.status !== 'Denied').length;
+}
+
+function toPromoCodeResponse(promo) {
+    return { ...promo, usedCount: promoCodeUses(promo) };
+}
+
+/**
+ * What the customer should pay for rideCount rides with the method now:
+ * the price with pricing rules applied, less the promo code's discount.
+ * Returns the reason instead when the method or code cannot be used.
+ */
+function checkoutPrice(paymentMethod, rideCount, code) {
+    const config = paymentConfigurations[paymentMethod];
+    if (!config || !config.isEnabled) {
+        return { error: `${paymentMethod} is not an accepted payment method` };
+    }
+
+    const { expectedAmount: subtotal, pricingRuleIds } = priceForRides(quotePrice(paymentMethod, config, pricingRules), rideCount);
+
+    if (!code) {
+        return { subtotal, pricingRuleIds, promo: null, discountAmount: 0, expectedAmount: subtotal };
+    }
+
+    const promo = promoCodes.find(c => c.code === normalizeCode(code));
+    const unavailable = promo ? promoCodeUnavailable(promo, promoCodeUses(promo)) : `Promo code ${normalizeCode(code)} is not valid`;
+    if (unavailable) {
+        return { error: unavailable };
+    }
+
+    const discountAmount = discountFor(promo, subtotal);
+    return {
+        subtotal,
+        pricingRuleIds,
+        promo,
+        discountAmount,
+        expectedAmount: Math.round((subtotal - discountAmount) * 100) / 100
+    };
+}
+
+// Payment endpoints
+app.post('/api/payments', validate('createPayment'), (req, res) => {
+    const { customerId, amount, paymentMethod, externalTransactionId, retryOfPaymentId = null, rideCount = 1, promoCode = null } = req.body;
+    const customer = customers.find(c => c.id === customerId);
+
+    if (!activeEvent()) {
+        return res.status(409).json(noOpenEventResponse());
+    }
+
+    if (!customer) {
+        return res.status(404).json(notFoundResponse('Customer', customerId));
+    }
+
+    if (payments.some(p => p.customerId === customerId && p.status === 'Pending')) {
+        return res.status(409).json(conflictResponse(
+            'Customer already has a pending payment. Only one pending payment is allowed per customer.'
+        ));
+    }
+
+    // A resubmission has to follow on from one of the customer's own denied payments
+    const deniedPayment = retryOfPaymentId && payments.find(p => p.id === retryOfPaymentId && p.customerId === customerId);
+    if (retryOfPaymentId && !deniedPayment) {
+        return res.status(404).json(notFoundResponse('Payment', retryOfPaymentId));
+    }
+    if (deniedPayment && deniedPayment.status !== 'Denied') {
+        return res.status(409).json(conflictResponse(
+            `Payment ${deniedPayment.id} is in ${deniedPayment.status} status. Only denied payments can be resubmitted.`
+        ));
+    }
+    if (deniedPayment && payments.some(p => p.retryOfPaymentId === deniedPayment.id)) {
+        return res.status(409).json(conflictResponse(`Payment ${deniedPayment.id} has already been resubmitted.`));
+    }
+
+    // The price in effect now, so sales can see when the amount sent differs
+    const price = checkoutPrice(paymentMethod, rideCount, promoCode);
+    if (price.error) {
+        return res.status(400).json(badRequestResponse(price.error));
+    }
+
+    const payment = {
+        id: nextPaymentId++,
+        customerId,
+        amount,
+        paymentMethod,
+        externalTransactionId,
+        status: 'Pending',
+        createdAt: new Date().toISOString(),
+        notes: null,
+        confirmedBy: null,
+        retryOfPaymentId,
+        attemptNumber: deniedPayment ? (deniedPayment.attemptNumber || 1) + 1 : 1,
+        rideCount,
+        expectedAmount: price.expectedAmount,
+        // Flagged for sales to check rather than rejected; customers may round up or tip
+        amountMismatch: Math.round(amount * 100) !== Math.round(price.expectedAmount * 100),
+        pricingRuleIds: price.pricingRuleIds,
+        promoCodeId: price.promo ? price.promo.id : null,
+        promoCode: price.promo ? price.promo.code : null,
+        discountAmount: price.discountAmount
+    };
+
+    payments.push(payment);
+    auditLog.record({
+        actor: null,
+        action: 'PaymentSubmitted',
+        entityType: 'Payment',
+        entityId: payment.id,
+        summary: `${customer.name} submitted $${amount.toFixed(2)} by ${paymentMethod}`
+            + (rideCount > 1 ? ` for ${rideCount} rides` : '')
+            + (price.promo ? ` with ${price.promo.code}` : '')
+            + (deniedPayment ? ` (attempt ${payment.attemptNumber})` : ''),
+        after: {
+            customerId,
+            ...pick(payment, [...PAYMENT_AUDIT_FIELDS, 'externalTransactionId', 'retryOfPaymentId', 'rideCount', 'expectedAmount', 'amountMismatch', 'promoCode', 'discountAmount'])
+        }
+    });
+
+    notifications.notifyNewPayment(payment, customer);
+    broadcastStatistics();
+
+    res.status(201).json(createResponse(true, 'Payment created successfully', { ...payment, customer }));
+});
+
+app.post('/api/payments/:id/confirm', authorize('Sales'), validate('confirmPayment'), (req, res) => {
+    const payment = payments.find(p => p.id === parseInt(req.params.id));
+
+    if (!payment) {
+        return res.status(404).json(notFoundResponse('Payment', req.params.id));
+    }
+
+    const errors = denialValidationErrors(req.body);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
+
+    if (payment.status !== 'Pending') {
+        return res.status(409).json(conflictResponse(
+            `Payment is in ${payment.status} status and cannot be confirmed or denied. Only pending payments can be processed.`
+        ));
+    }
+
+    decidePayment(payment, req.body, req.user);
+
+    res.json(createResponse(true, `Payment ${req.body.confirmed ? 'confirmed' : 'denied'} successfully`, payment));
+});
+
+// One decision applied to several payments. Payments that cannot be decided
+// are reported per item and do not stop the rest of the batch.
+app.post('/api/payments/confirm-batch', authorize('Sales'), validate('confirmPaymentBatch'), (req, res) => {
+    const { paymentIds, confirmed } = req.body;
+
+    const errors = denialValidationErrors(req.body);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
+
+    const results = [...new Set(paymentIds)].map(paymentId => {
+        const payment = payments.find(p => p.id === paymentId);
+        if (!payment) {
+            return { paymentId, success: false, message: `Payment with ID ${paymentId} not found`, payment: null };
+        }
+        if (payment.status !== 'Pending') {
+            return { paymentId, success: false, message: `Payment is already ${payment.status}`, payment };
+        }
+
+        decidePayment(payment, req.body, req.user);
+        return { paymentId, success: true, message: `Payment ${confirmed ? 'confirmed' : 'denied'}`, payment };
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    const failed = results.length - succeeded;
+    const verb = confirmed ? 'confirmed' : 'denied';
+    const message = failed === 0
+        ? `${succeeded} payment(s) ${verb}`
+        : `${succeeded} of ${results.length} payment(s) ${verb}; ${failed} could not be processed`;
+
+    res.json(createResponse(true, message, { succeeded, failed, results }));
+});
+
+/**
+ * Takes back a confirmation or denial made by this staff member in the last
+ * UNDO_WINDOW_MS. The payment goes back to Pending; a confirmed payment's
+ * queue entry is removed, so everyone behind it returns to their position.
+ */
+app.post('/api/payments/:id/undo', authorize('Sales'), validate('undoPaymentDecision'), (req, res) => {
+    const payment = payments.find(p => p.id === parseInt(req.params.id));
+    if (!payment) {
+        return res.status(404).json(notFoundResponse('Payment', req.params.id));
+    }
+
+    if (!['Confirmed', 'Denied'].includes(payment.status) || payment.manualReasonCode) {
+        return res.status(409).json(conflictResponse(`Payment is in ${payment.status} status; only confirmations and denials can be undone.`));
+    }
+
+    if (payment.confirmedBy !== req.user.username || !withinUndoWindow(payment.confirmedAt)) {
+        return res.status(409).json(conflictResponse(
+            `Only the staff member who decided a payment can undo it, within ${UNDO_WINDOW_MS / 1000} seconds.`
+        ));
+    }
+
+    const queueEntry = queue.find(q => q.paymentId === payment.id);
+    if (queueEntry && queueEntry.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(`The customer's queue entry is already ${queueEntry.status}.`));
+    }
+
+    if (payments.some(p => p.retryOfPaymentId === payment.id)) {
+        return res.status(409).json(conflictResponse('The customer has already resubmitted this payment.'));
+    }
+
+    // A denied payment going back to Pending must not sit beside another live payment
+    if (payment.status === 'Denied' && (
+        payments.some(p => p.id !== payment.id && p.customerId === payment.customerId
+            && (p.status === 'Pending' || (p.status === 'Confirmed' && ridesRemaining(p) > 0)))
+        || queue.some(q => q.customerId === payment.customerId && isActiveEntry(q))
+    )) {
+        return res.status(409).json(conflictResponse(
+            'The customer has paid again or is already in the queue since this denial; undoing it would leave them with two payments.'
+        ));
+    }
+
+    const previousStatus = payment.status;
+    const before = pick(payment, PAYMENT_AUDIT_FIELDS);
+    payment.status = 'Pending';
+    payment.notes = null;
+    payment.denialReasonCode = null;
+    payment.confirmedBy = null;
+    payment.confirmedAt = null;
+
+    const customer = customers.find(c => c.id === payment.customerId);
+    notifications.notifyPaymentStatus(payment, customer);
+
+    if (queueEntry) {
+        const previousPositions = capturePositions();
+        queue.splice(queue.indexOf(queueEntry), 1);
+        announcedStartTimes.delete(queueEntry.id);
+        recalculatePositions();
+        dispatchRiders(queue, cars);
+
+        broadcastQueueChange('CustomerRemoved', previousPositions, {
+            affectedEntry: toQueueEntryResponse(queueEntry),
+            previousPosition: queueEntry.position,
+            updateReason: 'Payment confirmation undone'
+        });
+    } else {
+        broadcastStatistics();
+    }
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentDecisionUndone',
+        entityType: 'Payment',
+        entityId: payment.id,
+        summary: `Undid ${previousStatus === 'Confirmed' ? 'confirmation' : 'denial'} of ${customer.name}'s payment`
+            + (queueEntry ? `; removed from queue position ${queueEntry.position}` : ''),
+        before: { ...before, queueEntryId: queueEntry ? queueEntry.id : null },
+        after: pick(payment, PAYMENT_AUDIT_FIELDS)
+    });
+
+    res.json(createResponse(true, `${previousStatus === 'Confirmed' ? 'Confirmation' : 'Denial'} undone; payment is pending again`, payment));
+});
+
+app.get('/api/payments/pending', authorize('Sales'), validate('getPendingPayments'), (req, res) => {
+    const pendingPayments = payments
+        .filter(p => p.status === 'Pending')
+        .map(p => {
+            const customer = customers.find(c => c.id === p.customerId);
+            const previous = p.retryOfPaymentId && payments.find(d => d.id === p.retryOfPaymentId);
+            const previousDenial = previous ? {
+                paymentId: previous.id,
+                denialReasonCode: previous.denialReasonCode || null,
+                notes: previous.notes,
+                deniedBy: previous.confirmedBy,
+                deniedAt: previous.confirmedAt
+            } : null;
+            const config = paymentConfigurations[p.paymentMethod];
+            return {
+                ...p,
+                customer,
+                paymentMethodDisplayName: config ? config.displayName : p.paymentMethod,
+                previousDenial,
+                slaLevel: slaLevel(p, paymentSlaSettings)
+            };
+        });
+
+    res.json(createResponse(true, 'Pending payments retrieved', pendingPayments));
+});
+
+app.get('/api/payments/sla-report', authorize('Sales'), validate('getPaymentSlaReport'), (req, res) => {
+    const since = req.query.since ? new Date(req.query.since) : null;
+    if (since && isNaN(since)) {
+        return res.status(400).json(validationFailedResponse({ since: ['since must be a date-time.'] }));
+    }
+
+    res.json(createResponse(true, 'Payment SLA report generated', buildSlaReport(payments, paymentSlaSettings, since)));
+});
+
+// Refund endpoints
+app.get('/api/refunds/pending', authorize('Sales'), validate('getPendingRefunds'), (req, res) => {
+    const pendingRefunds = refundRequests
+        .filter(r => r.status === 'Pending')
+        .map(toRefundRequestResponse);
+
+    res.json(createResponse(true, 'Pending refund requests retrieved', pendingRefunds));
+});
+
+app.post('/api/refunds/:id/resolve', authorize('Sales'), validate('resolveRefund'), (req, res) => {
+    const { approved, notes } = req.body;
+    const refund = refundRequests.find(r => r.id === parseInt(req.params.id));
+
+    if (!refund) {
+        return res.status(404).json(notFoundResponse('Refund request', req.params.id));
+    }
+
+    // Rejections need notes for the audit trail, as payment denials do
+    if (!approved && (!notes || notes.trim().length < 10)) {
+        return res.status(400).json(validationFailedResponse({
+            notes: [notes && notes.trim()
+                ? 'Notes must be at least 10 characters when rejecting a refund.'
+                : 'Notes are required when rejecting a refund for audit trail purposes.']
+        }));
+    }
+
+    if (refund.status !== 'Pending') {
+        return res.status(409).json(conflictResponse(
+            `Refund request is in ${refund.status} status and cannot be approved or rejected. Only pending refund requests can be processed.`
+        ));
+    }
+
+    const before = pick(refund, ['status', 'notes', 'resolvedBy', 'resolvedAt']);
+    refund.status = approved ? 'Approved' : 'Rejected';
+    refund.notes = notes || null;
+    refund.resolvedBy = req.user.username;
+    refund.resolvedAt = new Date().toISOString();
+
+    const payment = payments.find(p => p.id === refund.paymentId);
+    // A bundle refunds only its unused rides, so the payment stays Confirmed
+    // until refunds cover the whole amount
+    if (approved && payment) {
+        payment.refundedAmount = Math.round((refundedAmountOf(payment) + refund.amount) * 100) / 100;
+        payment.refundedAt = refund.resolvedAt;
+        payment.refundedBy = refund.resolvedBy;
+        if (payment.refundedAmount >= payment.amount) {
+            payment.status = 'Refunded';
+        }
+    }
+
+    auditLog.record({
+        actor: req.user,
+        action: approved ? 'RefundApproved' : 'RefundRejected',
+        entityType: 'RefundRequest',
+        entityId: refund.id,
+        summary: `${approved ? 'Approved' : 'Rejected'} $${refund.amount.toFixed(2)} refund for payment #${refund.paymentId}`,
+        before,
+        after: pick(refund, ['status', 'notes', 'resolvedBy', 'resolvedAt'])
+    });
+
+    notifications.notifyRefundStatus(toRefundRequestResponse(refund));
+    broadcastStatistics();
+
+    res.json(createResponse(true, `Refund ${approved ? 'approved' : 'rejected'} successfully`, toRefundRequestResponse(refund)));
+});
+
+// Queue endpoints
+app.get('/api/queue', authorize('Sales', 'Driver'), validate('getQueue'), (req, res) => {
+    res.json(createResponse(true, 'Queue retrieved successfully', toQueueResponse()));
+});
+
+// Customer-facing position lookup (no login), shaped like CustomerQueuePosition
+app.get('/api/queue/position/:customerId', validate('getQueuePosition'), (req, res) => {
+    const customerId = parseInt(req.params.customerId);
+    const active = queue
+        .filter(isActiveEntry)
+        .sort((a, b) => a.position - b.position);
+    const entry = active.find(q => q.customerId === customerId);
+    const estimate = entry ? estimateQueue().estimates.get(entry.id) : null;
+
+    let status = 'NotInQueue';
+    if (entry) {
+        status = entry.status;
+    } else if (payments.some(p => p.customerId === customerId && p.status === 'Pending')) {
+        status = 'PaymentPending';
+    }
+
+    res.json(createResponse(true, 'Queue position retrieved', {
+        customerId,
+        position: entry ? entry.position : 0,
+        totalInQueue: active.length,
+        estimatedWaitMinutes: estimate && estimate.waitTime !== null ? Math.round(estimate.waitTime / 60000) : 0,
+        estimatedStartAt: estimate && estimate.startAt !== null ? new Date(estimate.startAt).toISOString() : null,
+        status
+    }));
+});
+
+// The signed-in driver's car and its current rider
+app.get('/api/queue/current', authorize('Driver'), validate('getCurrentQueueEntry'), (req, res) => {
+    const car = findDriverCar(req.user.id);
+    if (!car) {
+        return res.status(409).json(conflictResponse(`${req.user.username} is not driving a car. Claim a car first.`));
+    }
+
+    const currentCustomer = currentEntryForCar(queue, car.id);
+    if (!currentCustomer) {
+        return res.status(204).send();
+    }
+    res.json(createResponse(true, 'Current customer retrieved', toQueueEntryResponse(currentCustomer)));
+});
+
+// Drivers can only start and complete rides dispatched to the car they are driving
+function checkCurrentRider(queueEntry, user) {
+    const car = findDriverCar(user.id);
+    if (!car || queueEntry.carId !== car.id) {
+        return conflictResponse(
+            `Queue entry ${queueEntry.id} is not the current rider of ${car ? car.name : `a car driven by ${user.username}`}`
+        );
+    }
+    return null;
+}
+
+app.post('/api/queue/:id/start', authorize('Driver'), validate('startRide'), (req, res) => {
+    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
+    if (!queueEntry) {
+        return res.status(404).json(notFoundResponse('Queue entry', req.params.id));
+    }
+
+    const notCurrent = checkCurrentRider(queueEntry, req.user);
+    if (notCurrent) {
+        return res.status(409).json(notCurrent);
+    }
+
+    if (queueEntry.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(
+            `Queue entry must be waiting to start. Current status: ${queueEntry.status}`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+
+    queueEntry.status = 'InProgress';
+    queueEntry.startedAt = new Date().toISOString();
+    queueEntry.startedBy = req.user.username;
+
+    recalculatePositions();
+
+    const customer = customers.find(c => c.id === queueEntry.customerId);
+    auditLog.record({
+        actor: req.user,
+        action: 'RideStarted',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: `Started ${customer.name}'s ride`,
+        before,
+        after: pick(queueEntry, QUEUE_AUDIT_FIELDS)
+    });
+
+    notifications.notifyRideStatus(queueEntry, customer);
+    broadcastQueueChange('RideStarted', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry)
+    });
+
+    res.json(createResponse(true, 'Ride started successfully', toQueueEntryResponse(queueEntry)));
+});
+
+app.post('/api/queue/:id/complete', authorize('Driver'), validate('completeRide'), (req, res) => {
+    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
+    if (!queueEntry) {
+        return res.status(404).json(notFoundResponse('Queue entry', req.params.id));
+    }
+
+    const notCurrent = checkCurrentRider(queueEntry, req.user);
+    if (notCurrent) {
+        return res.status(409).json(notCurrent);
+    }
+
+    if (queueEntry.status !== 'InProgress') {
+        return res.status(409).json(conflictResponse(
+            `Queue entry must be in progress to complete. Current status: ${queueEntry.status}`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+
+    queueEntry.status = 'Completed';
+    queueEntry.completedAt = new Date().toISOString();
+    queueEntry.completedBy = req.user.username;
+
+    recalculatePositions();
+    dispatchRiders(queue, cars);
+
+    const customer = customers.find(c => c.id === queueEntry.customerId);
+    auditLog.record({
+        actor: req.user,
+        action: 'RideCompleted',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: `Completed ${customer.name}'s ride`,
+        before,
+        after: pick(queueEntry, QUEUE_AUDIT_FIELDS)
+    });
+
+    notifications.notifyRideStatus(queueEntry, customer);
+    broadcastQueueChange('RideCompleted', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry)
+    });
+
+    // A bundle rider goes back in the queue for their next ride
+    const payment = payments.find(p => p.id === queueEntry.paymentId);
+    if (payment && ridesRemaining(payment) > 0) {
+        enqueuePayment(payment);
+    }
+
+    res.json(createResponse(true, 'Ride completed successfully', toQueueEntryResponse(queueEntry)));
+});
+
+/**
+ * Reopens a ride this driver completed in the last UNDO_WINDOW_MS. The entry
+ * is in progress again at the front of the queue, ahead of the rider the car
+ * was given next, as long as that rider's ride has not started.
+ */
+app.post('/api/queue/:id/undo-complete', authorize('Driver'), validate('undoRideCompletion'), (req, res) => {
+    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
+    if (!queueEntry) {
+        return res.status(404).json(notFoundResponse('Queue entry', req.params.id));
+    }
+
+    if (queueEntry.status !== 'Completed') {
+        return res.status(409).json(conflictResponse(`Queue entry is ${queueEntry.status}; only completed rides can be reopened.`));
+    }
+
+    const customer = customers.find(c => c.id === queueEntry.customerId);
+    const car = findDriverCar(req.user.id);
+    if (queueEntry.completedBy !== req.user.username || !car || car.id !== queueEntry.carId
+        || !withinUndoWindow(queueEntry.completedAt)) {
+        return res.status(409).json(conflictResponse(
+            `Only the driver who completed a ride can reopen it, from the same car within ${UNDO_WINDOW_MS / 1000} seconds.`
+        ));
+    }
+
+    const ride = rideInProgress(car.id);
+    if (ride) {
+        return res.status(409).json(conflictResponse(`${car.name} has already started the next ride (queue entry ${ride.id}).`));
+    }
+
+    // The bundle ride queued on completion is taken back, unless it has started
+    const nextBundleRide = queue.find(q => q.paymentId === queueEntry.paymentId && q.id > queueEntry.id && isActiveEntry(q));
+    if (nextBundleRide && nextBundleRide.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(
+            `${customer.name}'s next bundle ride (queue entry ${nextBundleRide.id}) has already started.`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+    if (nextBundleRide) {
+        queue = queue.filter(q => q.id !== nextBundleRide.id);
+    }
+
+    // Completed entries keep their last position, so renumbering puts this
+    // one back where it was
+    queueEntry.status = 'InProgress';
+    queueEntry.completedAt = null;
+    queueEntry.completedBy = null;
+    recalculatePositions();
+    if (nextBundleRide) {
+        dispatchRiders(queue, cars);
+    }
+
+    auditLog.record({
+        actor: req.user,
+        action: 'RideCompletionUndone',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: `Reopened ${customer.name}'s ride at position ${queueEntry.position}`,
+        before,
+        after: pick(queueEntry, QUEUE_AUDIT_FIELDS)
+    });
+
+    notifications.notifyRideStatus(queueEntry, customer);
+    broadcastQueueChange('QueueSynced', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry),
+        updateReason: 'Ride completion undone'
+    });
+
+    res.json(createResponse(true, 'Ride reopened', toQueueEntryResponse(queueEntry)));
+});
+
+/**
+ * The car's current rider did not turn up. The entry goes back
+ * noShowMoveBackPositions places and returns to the pool, or is cancelled
+ * once it reaches noShowMaxMisses.
+ */
+app.post('/api/queue/:id/no-show', authorize('Driver'), validate('markNoShow'), (req, res) => {
+    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
+    if (!queueEntry) {
+        return res.status(404).json(notFoundResponse('Queue entry', req.params.id));
+    }
+
+    const notCurrent = checkCurrentRider(queueEntry, req.user);
+    if (notCurrent) {
+        return res.status(409).json(notCurrent);
+    }
+
+    if (queueEntry.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(
+            `Queue entry must be waiting to be marked as a no-show. Current status: ${queueEntry.status}`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    const previousPosition = queueEntry.position;
+    const customer = customers.find(c => c.id === queueEntry.customerId);
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+
+    queueEntry.missedCount = (queueEntry.missedCount || 0) + 1;
+    queueEntry.lastMissedAt = new Date().toISOString();
+    queueEntry.carId = null;
+    queueEntry.dispatchedAt = null;
+
+    const cancelled = queueEntry.missedCount >= queueSettings.noShowMaxMisses;
+    if (cancelled) {
+        queueEntry.status = 'Cancelled';
+        queueEntry.cancelledAt = queueEntry.lastMissedAt;
+        queueEntry.cancellationReason = 'NoShow';
+    } else {
+        const others = queue
+            .filter(q => isActiveEntry(q) && q !== queueEntry)
+            .sort((a, b) => a.position - b.position);
+        const ahead = others.filter(q => q.position < previousPosition).length;
+        others.splice(Math.min(ahead + queueSettings.noShowMoveBackPositions, others.length), 0, queueEntry);
+        others.forEach((entry, i) => {
+            entry.position = i + 1;
+        });
+    }
+
+    recalculatePositions();
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'NoShowRecorded',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: cancelled
+            ? `${customer.name} cancelled after ${queueEntry.missedCount} no-shows`
+            : `${customer.name} moved from position ${previousPosition} to ${queueEntry.position} after a no-show`,
+        before,
+        after: pick(queueEntry, QUEUE_AUDIT_FIELDS)
+    });
+
+    notifications.notifyCustomer(queueEntry.customerId, 'NoShow', cancelled
+        ? `You missed your ride ${queueEntry.missedCount} times, so your place in the queue was cancelled. Please see our sales team.`
+        : `You missed your call for the ride and moved back to position ${queueEntry.position}. Please stay near the cars.`, {
+        priority: cancelled ? 'Error' : 'Warning',
+        requiresAction: true,
+        suggestedAction: cancelled ? 'Talk to the customer about a refund or re-queue' : 'Check customer status',
+        relatedQueueEntry: toQueueEntryResponse(queueEntry),
+        additionalData: {
+            missedCount: queueEntry.missedCount,
+            maxMisses: queueSettings.noShowMaxMisses,
+            previousPosition,
+            markedBy: req.user.username
+        }
+    });
+    if (cancelled) {
+        notifications.notifyRideStatus(queueEntry, customer);
+    }
+    broadcastQueueChange(cancelled ? 'CustomerRemoved' : 'QueueReordered', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry),
+        previousPosition,
+        newPosition: cancelled ? null : queueEntry.position,
+        updateReason: cancelled ? 'Cancelled after repeated no-shows' : 'Moved back after a no-show'
+    });
+
+    res.json(createResponse(true, cancelled ? 'Queue entry cancelled after repeated no-shows' : 'Queue entry moved back after a no-show',
+        toQueueEntryResponse(queueEntry)));
+});
+
+/**
+ * Puts the waiting riders in a new order. The order must list every waiting
+ * entry exactly once, so a stale screen cannot drop riders from the queue;
+ * each reorder is kept with who made it and why.
+ */
+app.post('/api/queue/reorder', authorize('Sales'), validate('reorderQueue'), (req, res) => {
+    const { queueOrder, reason } = req.body;
+
+    const unknownId = queueOrder.find(queueId => !queue.some(q => q.id === queueId));
+    if (unknownId !== undefined) {
+        return res.status(404).json(notFoundResponse('Queue entry', unknownId));
+    }
+
+    const notWaiting = queue.find(q => queueOrder.includes(q.id) && q.status !== 'Waiting');
+    if (notWaiting) {
+        return res.status(409).json(conflictResponse(
+            `Queue entry ${notWaiting.id} is in ${notWaiting.status} status and cannot be reordered`
+        ));
+    }
+
+    const waiting = queue
+        .filter(q => q.status === 'Waiting')
+        .sort((a, b) => a.position - b.position);
+    const missingIds = waiting.filter(q => !queueOrder.includes(q.id)).map(q => q.id);
+    if (missingIds.length > 0) {
+        return res.status(400).json(validationFailedResponse({
+            queueOrder: [`queueOrder must list every waiting queue entry. Missing: ${missingIds.join(', ')}`]
+        }));
+    }
+
+    const previousPositions = capturePositions();
+
+    // Update positions based on new order; rides in progress keep the front
+    queueOrder.forEach((queueId, index) => {
+        queue.find(q => q.id === queueId).position = index + 1;
+    });
+    recalculatePositions();
+
+    const reorder = {
+        id: nextQueueReorderId++,
+        previousOrder: waiting.map(q => q.id),
+        newOrder: [...queueOrder],
+        reason: reason.trim(),
+        reorderedBy: req.user.username,
+        reorderedAt: new Date().toISOString()
+    };
+    queueReorders.push(reorder);
+    auditLog.record({
+        actor: req.user,
+        action: 'QueueReordered',
+        entityType: 'Queue',
+        summary: `Reordered ${reorder.newOrder.length} waiting rider(s): ${reorder.reason}`,
+        before: { order: reorder.previousOrder },
+        after: { order: reorder.newOrder }
+    });
+
+    broadcastQueueChange('QueueReordered', previousPositions, {
+        updateReason: `Queue reordered by ${reorder.reorderedBy}: ${reorder.reason}`
+    });
+
+    res.json(createResponse(true, 'Queue reordered successfully', toQueueResponse()));
+});
+
+// Reorders, newest first
+app.get('/api/queue/reorders', authorize('Sales'), validate('getQueueReorders'), (req, res) => {
+    res.json(createResponse(true, 'Queue reorders retrieved', [...queueReorders].reverse()));
+});
+
+// Pin a waiting entry to one car, or put it back in the shared pool (carId null)
+app.post('/api/queue/:id/assign', authorize('Sales'), validate('assignQueueEntry'), (req, res) => {
+    const { carId } = req.body;
+    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
+    if (!queueEntry) {
+        return res.status(404).json(notFoundResponse('Queue entry', req.params.id));
+    }
+
+    if (queueEntry.status !== 'Waiting') {
+        return res.status(409).json(conflictResponse(
+            `Queue entry is in ${queueEntry.status} status and cannot be reassigned`
+        ));
+    }
+
+    const car = carId ? cars.find(c => c.id === carId) : null;
+    if (carId && !car) {
+        return res.status(404).json(notFoundResponse('Car', carId));
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(queueEntry, QUEUE_AUDIT_FIELDS);
+
+    queueEntry.assignedCarId = car ? car.id : null;
+    if (car && queueEntry.carId && queueEntry.carId !== car.id) {
+        queueEntry.carId = null;
+        queueEntry.dispatchedAt = null;
+    }
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'QueueEntryAssigned',
+        entityType: 'QueueEntry',
+        entityId: queueEntry.id,
+        summary: car ? `Assigned queue entry ${queueEntry.id} to ${car.name}` : `Returned queue entry ${queueEntry.id} to the shared pool`,
+        before,
+        after: pick(queueEntry, QUEUE_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, {
+        affectedEntry: toQueueEntryResponse(queueEntry),
+        updateReason: car ? `Assigned to ${car.name}` : 'Returned to the shared pool'
+    });
+
+    res.json(createResponse(true, 'Queue entry assigned', toQueueEntryResponse(queueEntry)));
+});
+
+// Car endpoints
+app.get('/api/cars', authorize('Sales', 'Driver'), validate('getCars'), (req, res) => {
+    res.json(createResponse(true, 'Cars retrieved', cars.map(toCarResponse)));
+});
+
+app.post('/api/cars', authorize('Sales'), validate('createCar'), (req, res) => {
+    const { name, isActive = true, driverUserId = null } = req.body;
+
+    if (driverUserId && !users.some(u => u.id === driverUserId && u.role === 'Driver')) {
+        return res.status(404).json(notFoundResponse('Driver', driverUserId));
+    }
+
+    const previousPositions = capturePositions();
+    const car = {
+        id: nextCarId++,
+        name: name.trim(),
+        isActive,
+        driverUserId: null,
+        createdAt: new Date().toISOString()
+    };
+    cars.push(car);
+    assignDriver(car, driverUserId);
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'CarCreated',
+        entityType: 'Car',
+        entityId: car.id,
+        summary: `Added ${car.name}`,
+        after: pick(car, CAR_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${car.name} added` });
+    res.status(201).json(createResponse(true, 'Car created successfully', toCarResponse(car)));
+});
+
+app.put('/api/cars/:id', authorize('Sales'), validate('updateCar'), (req, res) => {
+    const { name, isActive, driverUserId = null } = req.body;
+    const car = cars.find(c => c.id === parseInt(req.params.id));
+    if (!car) {
+        return res.status(404).json(notFoundResponse('Car', req.params.id));
+    }
+
+    if (driverUserId && !users.some(u => u.id === driverUserId && u.role === 'Driver')) {
+        return res.status(404).json(notFoundResponse('Driver', driverUserId));
+    }
+
+    const busy = (!isActive || driverUserId !== car.driverUserId) && carBusyResponse(car);
+    if (busy) {
+        return res.status(409).json(busy);
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(car, CAR_AUDIT_FIELDS);
+    car.name = name.trim();
+    car.isActive = isActive;
+    assignDriver(car, driverUserId);
+    if (!isActive) {
+        releaseRiders(car.id);
+    }
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'CarUpdated',
+        entityType: 'Car',
+        entityId: car.id,
+        summary: `Updated ${car.name}`,
+        before,
+        after: pick(car, CAR_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${car.name} updated` });
+    res.json(createResponse(true, 'Car updated successfully', toCarResponse(car)));
+});
+
+app.delete('/api/cars/:id', authorize('Sales'), validate('deleteCar'), (req, res) => {
+    const car = cars.find(c => c.id === parseInt(req.params.id));
+    if (!car) {
+        return res.status(404).json(notFoundResponse('Car', req.params.id));
+    }
+
+    const busy = carBusyResponse(car);
+    if (busy) {
+        return res.status(409).json(busy);
+    }
+
+    const previousPositions = capturePositions();
+    releaseRiders(car.id);
+    queue
+        .filter(q => q.status === 'Waiting' && q.assignedCarId === car.id)
+        .forEach(entry => {
+            entry.assignedCarId = null;
+        });
+    cars = cars.filter(c => c.id !== car.id);
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'CarDeleted',
+        entityType: 'Car',
+        entityId: car.id,
+        summary: `Removed ${car.name}`,
+        before: pick(car, CAR_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${car.name} removed` });
+    res.json(createResponse(true, 'Car removed successfully', toCarResponse(car)));
+});
+
+// Drivers pick the car they are about to drive (and leave it at shift end)
+app.post('/api/cars/:id/claim', authorize('Driver'), validate('claimCar'), (req, res) => {
+    const car = cars.find(c => c.id === parseInt(req.params.id));
+    if (!car) {
+        return res.status(404).json(notFoundResponse('Car', req.params.id));
     }
-};
 
-let nextCustomerId = 1;
-let nextPaymentId = 1;
-let nextQueueId = 1;
+    if (!car.isActive) {
+        return res.status(409).json(conflictResponse(`${car.name} is not active`));
+    }
 
-// Helper functions
-function createResponse(success, message, data = null, error = null) {
+    if (car.driverUserId && car.driverUserId !== req.user.id) {
+        const driver = users.find(u => u.id === car.driverUserId);
+        return res.status(409).json(conflictResponse(
+            `${car.name} is already being driven by ${driver ? driver.displayName : 'another driver'}`
+        ));
+    }
+
+    const previousCar = findDriverCar(req.user.id);
+    const busy = previousCar && previousCar.id !== car.id && carBusyResponse(previousCar);
+    if (busy) {
+        return res.status(409).json(busy);
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(car, CAR_AUDIT_FIELDS);
+    assignDriver(car, req.user.id);
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'CarClaimed',
+        entityType: 'Car',
+        entityId: car.id,
+        summary: `${req.user.displayName} is driving ${car.name}`,
+        before,
+        after: pick(car, CAR_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${req.user.displayName} is driving ${car.name}` });
+    res.json(createResponse(true, 'Car claimed', toCarResponse(car)));
+});
+
+app.post('/api/cars/:id/release', authorize('Driver'), validate('releaseCar'), (req, res) => {
+    const car = cars.find(c => c.id === parseInt(req.params.id));
+    if (!car) {
+        return res.status(404).json(notFoundResponse('Car', req.params.id));
+    }
+
+    if (car.driverUserId !== req.user.id) {
+        return res.status(409).json(conflictResponse(`${req.user.username} is not driving ${car.name}`));
+    }
+
+    const busy = carBusyResponse(car);
+    if (busy) {
+        return res.status(409).json(busy);
+    }
+
+    const previousPositions = capturePositions();
+    const before = pick(car, CAR_AUDIT_FIELDS);
+    assignDriver(car, null);
+    dispatchRiders(queue, cars);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'CarReleased',
+        entityType: 'Car',
+        entityId: car.id,
+        summary: `${req.user.displayName} left ${car.name}`,
+        before,
+        after: pick(car, CAR_AUDIT_FIELDS)
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${car.name} has no driver` });
+    res.json(createResponse(true, 'Car released', toCarResponse(car)));
+});
+
+// Configuration endpoints
+app.get('/api/configuration/payment-methods', authorize('Sales'), validate('getPaymentMethods'), (req, res) => {
+    const configurations = orderedPaymentMethods(paymentConfigurations).map(toPaymentConfigurationResponse);
+    res.json(createResponse(true, 'Payment configurations retrieved', configurations));
+});
+
+app.get('/api/configuration/payment-methods/enabled', validate('getEnabledPaymentMethods'), (req, res) => {
+    const enabled = orderedPaymentMethods(paymentConfigurations)
+        .filter(([, config]) => config.isEnabled)
+        .map(toPaymentConfigurationResponse);
+    res.json(createResponse(true, 'Enabled payment methods retrieved', enabled));
+});
+
+// Fields shared by create and update; instructions default to the cash or app wording
+function paymentMethodFields(body, existing = null) {
+    const isCash = body.isCash !== undefined ? body.isCash : (existing ? existing.isCash : false);
     return {
-        success,
-        message,
-        data,
-        error,
-        timestamp: new Date().toISOString()
+        displayName: body.displayName,
+        paymentUrl: body.paymentUrl || '',
+        isEnabled: body.isEnabled,
+        pricePerRide: body.pricePerRide,
+        apiIntegrationEnabled: body.apiIntegrationEnabled || false,
+        isCash,
+        instructions: body.instructions || (existing ? existing.instructions : defaultInstructions(isCash))
     };
 }
 
-// Customer endpoints
-app.post('/api/customers', (req, res) => {
-    const { name, phoneNumber } = req.body;
+app.post('/api/configuration/payment-methods', authorize('Sales'), validate('createPaymentMethod'), (req, res) => {
+    const { paymentMethod } = req.body;
+    const fields = paymentMethodFields(req.body);
+    const errors = instructionErrors(fields.instructions);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
 
-    if (!name || !phoneNumber) {
-        return res.status(400).json(createResponse(false, 'Name and phone number are required', null, {
-            code: 'VALIDATION_FAILED',
-            message: 'Name and phone number are required'
-        }));
+    const existing = Object.keys(paymentConfigurations).find(key => key.toLowerCase() === paymentMethod.toLowerCase());
+    if (existing) {
+        return res.status(409).json(conflictResponse(`Payment method ${existing} already exists.`));
     }
 
-    const customer = {
-        id: nextCustomerId++,
-        name,
-        phoneNumber,
-        createdAt: new Date().toISOString()
+    const sortOrders = Object.values(paymentConfigurations).map(config => config.sortOrder);
+    paymentConfigurations[paymentMethod] = {
+        ...fields,
+        sortOrder: sortOrders.length > 0 ? Math.max(...sortOrders) + 1 : 0,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.username
     };
 
-    customers.push(customer);
-    res.json(createResponse(true, 'Customer created successfully', customer));
+    const configuration = toPaymentConfigurationResponse([paymentMethod, paymentConfigurations[paymentMethod]]);
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentMethodCreated',
+        entityType: 'PaymentMethod',
+        entityId: paymentMethod,
+        summary: `Added ${fields.displayName}`,
+        after: paymentConfigurations[paymentMethod]
+    });
+    notifications.notifyConfigurationChange('PaymentMethod', configuration, 'Created', req.user.username);
+    res.status(201).json(createResponse(true, 'Payment method created', configuration));
 });
 
-app.get('/api/customers/:id', (req, res) => {
-    const customer = customers.find(c => c.id === parseInt(req.params.id));
-    if (!customer) {
-        return res.status(404).json(createResponse(false, 'Customer not found', null, {
-            code: 'NOT_FOUND',
-            message: 'Customer not found'
+app.put('/api/configuration/payment-methods', authorize('Sales'), validate('updatePaymentMethod'), (req, res) => {
+    const { paymentMethod } = req.body;
+    const existing = paymentConfigurations[paymentMethod];
+    if (!existing) {
+        return res.status(404).json(notFoundResponse('Payment method', paymentMethod));
+    }
+
+    const fields = paymentMethodFields(req.body, existing);
+    const errors = instructionErrors(fields.instructions);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
+
+    const before = { ...existing };
+    paymentConfigurations[paymentMethod] = {
+        ...existing,
+        ...fields,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.username
+    };
+
+    const configuration = toPaymentConfigurationResponse([paymentMethod, paymentConfigurations[paymentMethod]]);
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentMethodUpdated',
+        entityType: 'PaymentMethod',
+        entityId: paymentMethod,
+        summary: `Updated ${fields.displayName}`,
+        before,
+        after: paymentConfigurations[paymentMethod]
+    });
+    notifications.notifyConfigurationChange('PaymentMethod', configuration, 'Updated', req.user.username);
+    res.json(createResponse(true, 'Payment configuration updated', configuration));
+});
+
+// The order customers see the methods in; every method listed once
+app.put('/api/configuration/payment-methods/order', authorize('Sales'), validate('reorderPaymentMethods'), (req, res) => {
+    const { paymentMethods } = req.body;
+    const keys = Object.keys(paymentConfigurations);
+    if (paymentMethods.length !== keys.length || !keys.every(key => paymentMethods.includes(key))) {
+        return res.status(400).json(validationFailedResponse({
+            paymentMethods: [`List each payment method once: ${keys.join(', ')}`]
         }));
     }
-    res.json(createResponse(true, 'Customer retrieved successfully', customer));
+
+    const before = orderedPaymentMethods(paymentConfigurations).map(([key]) => key);
+    paymentMethods.forEach((key, index) => {
+        paymentConfigurations[key].sortOrder = index;
+    });
+
+    const configurations = orderedPaymentMethods(paymentConfigurations).map(toPaymentConfigurationResponse);
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentMethodsReordered',
+        entityType: 'Configuration',
+        entityId: 'PaymentMethods',
+        summary: `Reordered payment methods: ${paymentMethods.join(', ')}`,
+        before: { paymentMethods: before },
+        after: { paymentMethods }
+    });
+    notifications.notifyConfigurationChange('PaymentMethod', { displayName: 'Payment methods', paymentMethods }, 'Reordered', req.user.username);
+    res.json(createResponse(true, 'Payment methods reordered', configurations));
 });
 
-// Payment endpoints
-app.post('/api/payments', (req, res) => {
-    const { customerId, amount, paymentMethod, externalTransactionId } = req.body;
+// Payments keep the method key, so one still awaiting a decision holds it in place
+app.delete('/api/configuration/payment-methods/:paymentMethod', authorize('Sales'), validate('deletePaymentMethod'), (req, res) => {
+    const { paymentMethod } = req.params;
+    const existing = paymentConfigurations[paymentMethod];
+    if (!existing) {
+        return res.status(404).json(notFoundResponse('Payment method', paymentMethod));
+    }
 
-    const payment = {
-        id: nextPaymentId++,
-        customerId,
-        amount,
-        paymentMethod,
-        externalTransactionId,
-        status: 'Pending',
-        createdAt: new Date().toISOString(),
-        notes: null,
-        confirmedBy: null
+    const pendingCount = payments.filter(p => p.paymentMethod === paymentMethod && p.status === 'Pending').length;
+    if (pendingCount > 0) {
+        return res.status(409).json(conflictResponse(
+            `${existing.displayName} has ${pendingCount} pending payment(s). Disable it instead, or remove it once they are decided.`
+        ));
+    }
+
+    const configuration = toPaymentConfigurationResponse([paymentMethod, existing]);
+    delete paymentConfigurations[paymentMethod];
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentMethodDeleted',
+        entityType: 'PaymentMethod',
+        entityId: paymentMethod,
+        summary: `Removed ${existing.displayName}`,
+        before: existing
+    });
+    notifications.notifyConfigurationChange('PaymentMethod', configuration, 'Deleted', req.user.username);
+
+    // Rules limited to the method drop it so they can still be edited. A rule
+    // left with no methods would apply to all of them, so it is switched off.
+    pricingRules.filter(r => r.paymentMethods.includes(paymentMethod)).forEach(rule => {
+        const before = { ...rule };
+        rule.paymentMethods = rule.paymentMethods.filter(m => m !== paymentMethod);
+        const disabled = rule.paymentMethods.length === 0 && rule.isEnabled;
+        if (disabled) {
+            rule.isEnabled = false;
+        }
+        Object.assign(rule, { updatedAt: new Date().toISOString(), updatedBy: req.user.username });
+
+        auditLog.record({
+            actor: req.user,
+            action: 'PricingRuleUpdated',
+            entityType: 'PricingRule',
+            entityId: rule.id,
+            summary: `Removed ${existing.displayName} from ${rule.type} rule ${rule.name}` + (disabled ? ' and disabled it' : ''),
+            before,
+            after: rule
+        });
+        notifications.notifyConfigurationChange('PricingRule', { ...rule, displayName: rule.name }, 'Updated', req.user.username);
+    });
+    res.json(createResponse(true, 'Payment method removed', configuration));
+});
+
+app.get('/api/configuration/queue', authorize('Sales', 'Driver'), validate('getQueueSettings'), (req, res) => {
+    res.json(createResponse(true, 'Queue settings retrieved', queueSettings));
+});
+
+app.put('/api/configuration/queue', authorize('Sales'), validate('updateQueueSettings'), (req, res) => {
+    const before = queueSettings;
+    queueSettings = {
+        noShowMoveBackPositions: req.body.noShowMoveBackPositions,
+        noShowMaxMisses: req.body.noShowMaxMisses
     };
 
-    payments.push(payment);
+    auditLog.record({
+        actor: req.user,
+        action: 'QueueSettingsUpdated',
+        entityType: 'Configuration',
+        entityId: 'QueueSettings',
+        summary: 'Updated queue settings',
+        before,
+        after: queueSettings
+    });
 
-    // Add customer info for response
-    const customer = customers.find(c => c.id === customerId);
-    const paymentWithCustomer = { ...payment, customer };
+    notifications.notifyConfigurationChange('QueueSettings', { ...queueSettings, displayName: 'Queue settings' },
+        'Updated', req.user.username);
+    res.json(createResponse(true, 'Queue settings updated', queueSettings));
+});
 
-    res.json(createResponse(true, 'Payment created successfully', paymentWithCustomer));
+app.get('/api/configuration/payment-sla', authorize('Sales'), validate('getPaymentSlaSettings'), (req, res) => {
+    res.json(createResponse(true, 'Payment SLA settings retrieved', paymentSlaSettings));
 });
 
-app.post('/api/payments/:id/confirm', (req, res) => {
-    const { confirmed, notes } = req.body;
-    const payment = payments.find(p => p.id === parseInt(req.params.id));
+app.put('/api/configuration/payment-sla', authorize('Sales'), validate('updatePaymentSlaSettings'), (req, res) => {
+    const { targetSeconds, warningMinutes, criticalMinutes } = req.body;
 
-    if (!payment) {
-        return res.status(404).json(createResponse(false, 'Payment not found'));
+    if (warningMinutes >= criticalMinutes) {
+        return res.status(400).json(validationFailedResponse({
+            criticalMinutes: ['The critical wait must be longer than the warning wait.']
+        }));
     }
 
-    payment.status = confirmed ? 'Confirmed' : 'Denied';
-    payment.notes = notes;
-    payment.confirmedBy = 'sales@example.com'; // Mock staff
-    payment.confirmedAt = new Date().toISOString();
+    const before = paymentSlaSettings;
+    paymentSlaSettings = { targetSeconds, warningMinutes, criticalMinutes };
+    // Payments past the new thresholds are alerted again on the next check
+    slaAlertsSent.clear();
 
-    // If confirmed, add to queue
-    if (confirmed) {
-        const customer = customers.find(c => c.id === payment.customerId);
-        const queueEntry = {
-            id: nextQueueId++,
-            customerId: payment.customerId,
-            paymentId: payment.id,
-            position: queue.length + 1,
-            status: 'Waiting',
-            queuedAt: new Date().toISOString(),
-            customer,
-            payment
-        };
-        queue.push(queueEntry);
-    }
+    auditLog.record({
+        actor: req.user,
+        action: 'PaymentSlaUpdated',
+        entityType: 'Configuration',
+        entityId: 'PaymentSla',
+        summary: 'Updated payment SLA settings',
+        before,
+        after: paymentSlaSettings
+    });
 
-    res.json(createResponse(true, 'Payment confirmed successfully', payment));
+    notifications.notifyConfigurationChange('PaymentSla', { ...paymentSlaSettings, displayName: 'Payment SLA' },
+        'Updated', req.user.username);
+    escalateOverduePayments();
+    res.json(createResponse(true, 'Payment SLA settings updated', paymentSlaSettings));
 });
 
-app.get('/api/payments/pending', (req, res) => {
-    const pendingPayments = payments
-        .filter(p => p.status === 'Pending')
-        .map(p => {
-            const customer = customers.find(c => c.id === p.customerId);
-            return { ...p, customer };
-        });
+// Rule fields from a create or update request; the unused ones of the type are cleared
+function pricingRuleFields(body) {
+    const isBundle = body.type === 'Bundle';
+    return {
+        name: body.name.trim(),
+        type: body.type,
+        paymentMethods: body.paymentMethods || [],
+        daysOfWeek: body.daysOfWeek || [],
+        startTime: body.startTime,
+        endTime: body.endTime,
+        adjustmentType: isBundle ? null : body.adjustmentType,
+        adjustmentValue: isBundle ? null : body.adjustmentValue,
+        rideCount: isBundle ? body.rideCount : null,
+        bundlePrice: isBundle ? body.bundlePrice : null,
+        isEnabled: body.isEnabled !== false
+    };
+}
 
-    res.json(createResponse(true, 'Pending payments retrieved', pendingPayments));
-});
+function pricingRuleRequestErrors(fields) {
+    const unknown = fields.paymentMethods.filter(method => !paymentConfigurations[method]);
+    if (unknown.length > 0) {
+        return { paymentMethods: [`Unknown payment method: ${unknown.join(', ')}`] };
+    }
+    return pricingRuleErrors(fields);
+}
 
-// Queue endpoints
-app.get('/api/queue', (req, res) => {
-    res.json(createResponse(true, 'Queue retrieved successfully', queue));
+app.get('/api/configuration/pricing-rules', authorize('Sales'), validate('getPricingRules'), (req, res) => {
+    res.json(createResponse(true, 'Pricing rules retrieved', pricingRules));
 });
 
-app.get('/api/queue/current', (req, res) => {
-    const currentCustomer = queue.find(q => q.status === 'Waiting');
-    if (!currentCustomer) {
-        return res.status(204).send();
+app.post('/api/configuration/pricing-rules', authorize('Sales'), validate('createPricingRule'), (req, res) => {
+    const fields = pricingRuleFields(req.body);
+    const errors = pricingRuleRequestErrors(fields);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
     }
-    res.json(createResponse(true, 'Current customer retrieved', currentCustomer));
+
+    const rule = {
+        id: nextPricingRuleId++,
+        ...fields,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.username
+    };
+    pricingRules.push(rule);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PricingRuleCreated',
+        entityType: 'PricingRule',
+        entityId: rule.id,
+        summary: `Added ${rule.type} rule ${rule.name}`,
+        after: rule
+    });
+
+    notifications.notifyConfigurationChange('PricingRule', { ...rule, displayName: rule.name }, 'Created', req.user.username);
+    res.status(201).json(createResponse(true, 'Pricing rule created', rule));
 });
 
-app.post('/api/queue/:id/complete', (req, res) => {
-    const queueEntry = queue.find(q => q.id === parseInt(req.params.id));
-    if (!queueEntry) {
-        return res.status(404).json(createResponse(false, 'Queue entry not found'));
+app.put('/api/configuration/pricing-rules/:id', authorize('Sales'), validate('updatePricingRule'), (req, res) => {
+    const rule = pricingRules.find(r => r.id === parseInt(req.params.id));
+    if (!rule) {
+        return res.status(404).json(notFoundResponse('Pricing rule', req.params.id));
     }
 
-    queueEntry.status = 'Completed';
-    queueEntry.completedAt = new Date().toISOString();
-    queueEntry.completedBy = 'driver@example.com'; // Mock driver
+    const fields = pricingRuleFields(req.body);
+    const errors = pricingRuleRequestErrors(fields);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
+
+    const before = { ...rule };
+    Object.assign(rule, fields, { updatedAt: new Date().toISOString(), updatedBy: req.user.username });
 
-    // Recalculate positions
-    const waitingEntries = queue.filter(q => q.status === 'Waiting');
-    waitingEntries.forEach((entry, index) => {
-        entry.position = index + 1;
+    auditLog.record({
+        actor: req.user,
+        action: 'PricingRuleUpdated',
+        entityType: 'PricingRule',
+        entityId: rule.id,
+        summary: `Updated ${rule.type} rule ${rule.name}`,
+        before,
+        after: rule
     });
 
-    res.json(createResponse(true, 'Ride completed successfully', queueEntry));
+    notifications.notifyConfigurationChange('PricingRule', { ...rule, displayName: rule.name }, 'Updated', req.user.username);
+    res.json(createResponse(true, 'Pricing rule updated', rule));
 });
 
-app.post('/api/queue/reorder', (req, res) => {
-    const { queueOrder } = req.body;
+app.delete('/api/configuration/pricing-rules/:id', authorize('Sales'), validate('deletePricingRule'), (req, res) => {
+    const rule = pricingRules.find(r => r.id === parseInt(req.params.id));
+    if (!rule) {
+        return res.status(404).json(notFoundResponse('Pricing rule', req.params.id));
+    }
 
-    // Update positions based on new order
-    queueOrder.forEach((queueId, index) => {
-        const entry = queue.find(q => q.id === queueId);
-        if (entry) {
-            entry.position = index + 1;
-        }
+    pricingRules = pricingRules.filter(r => r.id !== rule.id);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PricingRuleDeleted',
+        entityType: 'PricingRule',
+        entityId: rule.id,
+        summary: `Removed ${rule.type} rule ${rule.name}`,
+        before: rule
     });
 
-    res.json(createResponse(true, 'Queue reordered successfully', queue));
+    notifications.notifyConfigurationChange('PricingRule', { ...rule, displayName: rule.name }, 'Deleted', req.user.username);
+    res.json(createResponse(true, 'Pricing rule removed', rule));
 });
 
-// Configuration endpoints
-app.get('/api/configuration/payment-methods', (req, res) => {
-    res.json(createResponse(true, 'Payment configurations retrieved', Object.values(paymentConfigurations)));
+// What customers pay per enabled method at a time (now by default), rules applied
+app.get('/api/pricing/quote', validate('getPriceQuote'), (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const quotes = orderedPaymentMethods(paymentConfigurations)
+        .filter(([method, config]) => config.isEnabled && (!req.query.paymentMethod || method === req.query.paymentMethod))
+        .map(([method, config]) => quotePrice(method, config, pricingRules, at));
+    res.json(createResponse(true, 'Prices quoted', quotes));
 });
 
-app.get('/api/configuration/payment-methods/enabled', (req, res) => {
-    const enabled = Object.values(paymentConfigurations).filter(config => config.isEnabled);
-    res.json(createResponse(true, 'Enabled payment methods retrieved', enabled));
+function promoCodeFields(body) {
+    return {
+        code: normalizeCode(body.code),
+        description: body.description ? body.description.trim() : null,
+        discountType: body.discountType,
+        discountValue: body.discountValue,
+        maxUses: body.maxUses || null,
+        expiresAt: body.expiresAt || null,
+        isEnabled: body.isEnabled !== false
+    };
+}
+
+app.get('/api/configuration/promo-codes', authorize('Sales'), validate('getPromoCodes'), (req, res) => {
+    res.json(createResponse(true, 'Promo codes retrieved', promoCodes.map(toPromoCodeResponse)));
 });
 
-app.put('/api/configuration/payment-methods', (req, res) => {
-    const { paymentMethod, displayName, paymentUrl, isEnabled, pricePerRide, apiIntegrationEnabled } = req.body;
+app.post('/api/configuration/promo-codes', authorize('Sales'), validate('createPromoCode'), (req, res) => {
+    const fields = promoCodeFields(req.body);
+    const errors = promoCodeErrors(fields);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
+    }
+    if (promoCodes.some(c => c.code === fields.code)) {
+        return res.status(409).json(conflictResponse(`Promo code ${fields.code} already exists.`));
+    }
 
-    if (paymentConfigurations[paymentMethod]) {
-        paymentConfigurations[paymentMethod] = {
-            ...paymentConfigurations[paymentMethod],
-            displayName,
-            paymentUrl,
-            isEnabled,
-            pricePerRide,
-            apiIntegrationEnabled
-        };
+    const now = new Date().toISOString();
+    const promo = {
+        id: nextPromoCodeId++,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+        updatedBy: req.user.username
+    };
+    promoCodes.push(promo);
 
-        res.json(createResponse(true, 'Payment configuration updated', paymentConfigurations[paymentMethod]));
-    } else {
-        res.status(404).json(createResponse(false, 'Payment method not found'));
+    auditLog.record({
+        actor: req.user,
+        action: 'PromoCodeCreated',
+        entityType: 'PromoCode',
+        entityId: promo.id,
+        summary: `Added promo code ${promo.code}`,
+        after: promo
+    });
+
+    notifications.notifyConfigurationChange('PromoCode', { ...promo, displayName: promo.code }, 'Created', req.user.username);
+    res.status(201).json(createResponse(true, 'Promo code created', toPromoCodeResponse(promo)));
+});
+
+app.put('/api/configuration/promo-codes/:id', authorize('Sales'), validate('updatePromoCode'), (req, res) => {
+    const promo = promoCodes.find(c => c.id === parseInt(req.params.id));
+    if (!promo) {
+        return res.status(404).json(notFoundResponse('Promo code', req.params.id));
+    }
+
+    const fields = promoCodeFields(req.body);
+    const errors = promoCodeErrors(fields);
+    if (errors) {
+        return res.status(400).json(validationFailedResponse(errors));
     }
+    if (promoCodes.some(c => c.id !== promo.id && c.code === fields.code)) {
+        return res.status(409).json(conflictResponse(`Promo code ${fields.code} already exists.`));
+    }
+
+    const before = { ...promo };
+    Object.assign(promo, fields, { updatedAt: new Date().toISOString(), updatedBy: req.user.username });
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PromoCodeUpdated',
+        entityType: 'PromoCode',
+        entityId: promo.id,
+        summary: `Updated promo code ${promo.code}`,
+        before,
+        after: promo
+    });
+
+    notifications.notifyConfigurationChange('PromoCode', { ...promo, displayName: promo.code }, 'Updated', req.user.username);
+    res.json(createResponse(true, 'Promo code updated', toPromoCodeResponse(promo)));
+});
+
+// Payments already made with the code keep it
+app.delete('/api/configuration/promo-codes/:id', authorize('Sales'), validate('deletePromoCode'), (req, res) => {
+    const promo = promoCodes.find(c => c.id === parseInt(req.params.id));
+    if (!promo) {
+        return res.status(404).json(notFoundResponse('Promo code', req.params.id));
+    }
+
+    const response = toPromoCodeResponse(promo);
+    promoCodes = promoCodes.filter(c => c.id !== promo.id);
+
+    auditLog.record({
+        actor: req.user,
+        action: 'PromoCodeDeleted',
+        entityType: 'PromoCode',
+        entityId: promo.id,
+        summary: `Removed promo code ${promo.code}`,
+        before: promo
+    });
+
+    notifications.notifyConfigurationChange('PromoCode', { ...promo, displayName: promo.code }, 'Deleted', req.user.username);
+    res.json(createResponse(true, 'Promo code removed', response));
+});
+
+// Customer checkout: what the code takes off the rides they are buying now
+app.post('/api/pricing/promo-check', validate('checkPromoCode'), (req, res) => {
+    const { code, paymentMethod, rideCount = 1 } = req.body;
+    const price = checkoutPrice(paymentMethod, rideCount, code);
+    if (price.error) {
+        return res.status(400).json(badRequestResponse(price.error));
+    }
+
+    res.json(createResponse(true, `Promo code ${price.promo.code} applied`, {
+        code: price.promo.code,
+        description: price.promo.description,
+        discountType: price.promo.discountType,
+        discountValue: price.promo.discountValue,
+        subtotal: price.subtotal,
+        discountAmount: price.discountAmount,
+        amountDue: price.expectedAmount
+    }));
 });
 
-// Auth endpoint (mock)
-app.post('/api/auth/login', (req, res) => {
+// Auth endpoints
+app.post('/api/auth/login', validate('login'), (req, res) => {
     const { username, password } = req.body;
+    const user = findUser(username, password);
 
-    // Mock authentication
-    if (username === 'sales@example.com' && password === 'password') {
-        res.json(createResponse(true, 'Login successful', {
-            accessToken: 'mock-jwt-token',
-            refreshToken: 'mock-refresh-token',
-            expiresIn: 3600,
-            user: {
-                id: 1,
-                username: 'sales@example.com',
-                displayName: 'Sales User',
-                role: 'Sales'
-            }
-        }));
-    } else if (username === 'driver@example.com' && password === 'password') {
-        res.json(createResponse(true, 'Login successful', {
-            accessToken: 'mock-jwt-token',
-            refreshToken: 'mock-refresh-token',
-            expiresIn: 3600,
-            user: {
-                id: 2,
-                username: 'driver@example.com',
-                displayName: 'Driver User',
-                role: 'Driver'
-            }
-        }));
-    } else {
-        res.status(401).json(createResponse(false, 'Invalid credentials', null, {
+    if (!user) {
+        return res.status(401).json(createResponse(false, 'Invalid credentials', null, {
             code: 'UNAUTHORIZED',
             message: 'Invalid username or password'
         }));
     }
+
+    res.json(createResponse(true, 'Login successful', issueTokens(user)));
+});
+
+app.post('/api/auth/refresh', validate('refreshToken'), (req, res) => {
+    const tokens = refreshTokens(req.body.refreshToken);
+
+    if (!tokens) {
+        return res.status(401).json(createResponse(false, 'Invalid refresh token', null, {
+            code: 'UNAUTHORIZED',
+            message: 'Refresh token is invalid, expired or already used'
+        }));
+    }
+
+    res.json(createResponse(true, 'Token refreshed', tokens));
 });
 
 // Statistics endpoint
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', authorize('Sales', 'Driver'), validate('getStats'), (req, res) => {
+    const completed = queue.filter(q => q.status === 'Completed');
+    // Rides completed before start times were recorded have no duration
+    const timedRides = completed.filter(q => q.startedAt && q.completedAt);
+    const compedPaymentIds = new Set(payments.filter(p => p.comped).map(p => p.id));
     const stats = {
         totalCustomers: customers.length,
         pendingPayments: payments.filter(p => p.status === 'Pending').length,
         confirmedPayments: payments.filter(p => p.status === 'Confirmed').length,
+        pendingRefunds: refundRequests.filter(r => r.status === 'Pending').length,
+        refundedPayments: payments.filter(p => p.status === 'Refunded').length,
         queueLength: queue.filter(q => q.status === 'Waiting').length,
-        completedRides: queue.filter(q => q.status === 'Completed').length,
-        totalRevenue: payments
-            .filter(p => p.status === 'Confirmed')
-            .reduce((sum, p) => sum + p.amount, 0)
+        completedRides: completed.length,
+        ridesInProgress: queue.filter(q => q.status === 'InProgress').length,
+        averageRideDuration: timedRides.length > 0
+            ? Math.round(timedRides.reduce((sum, q) => sum + (new Date(q.completedAt) - new Date(q.startedAt)), 0) / timedRides.length)
+            : null,
+        activeCars: cars.filter(isCarReady).length,
+        totalRevenue: Math.round(payments
+            .filter(p => ['Confirmed', 'Refunded'].includes(p.status))
+            .reduce((sum, p) => sum + p.amount - refundedAmountOf(p), 0) * 100) / 100,
+        // Free rides given by sales; already included in the counts above
+        compedPayments: payments.filter(p => p.comped && p.status === 'Confirmed').length,
+        compedRides: completed.filter(q => compedPaymentIds.has(q.paymentId)).length
     };
 
     res.json(createResponse(true, 'Statistics retrieved', stats));
 });
 
+// Event endpoints
+app.get('/api/events', authorize('Sales'), validate('getEvents'), (req, res) => {
+    const newestFirst = [...events].sort((a, b) => b.id - a.id);
+    res.json(createResponse(true, `Found ${events.length} event(s)`, newestFirst.map(toEventDetailResponse)));
+});
+
+// Public, so the customer page can show where and when riders are signing up
+app.get('/api/events/active', validate('getActiveEvent'), (req, res) => {
+    const event = activeEvent();
+    res.json(createResponse(true, event ? `${event.name} is open` : 'No event is open', event ? toEventResponse(event) : null));
+});
+
+app.get('/api/events/:id', authorize('Sales'), validate('getEvent'), (req, res) => {
+    const event = events.find(e => e.id === parseInt(req.params.id));
+    if (!event) {
+        return res.status(404).json(notFoundResponse('Event', req.params.id));
+    }
+    res.json(createResponse(true, 'Event retrieved', toEventDetailResponse(event)));
+});
+
+// Opens the next event with an empty queue and the current pricing
+app.post('/api/events', authorize('Sales'), validate('openEvent'), (req, res) => {
+    const { name, venue = null, date = localDate() } = req.body;
+    const open = activeEvent();
+
+    if (open) {
+        return res.status(409).json(conflictResponse(`${open.name} is still open. Close it before opening another event.`));
+    }
+
+    const event = createEvent({ name: name.trim(), venue: venue ? venue.trim() : null, date }, req.user.username);
+    events.push(event);
+    auditLog.record({
+        actor: req.user,
+        action: 'EventOpened',
+        entityType: 'Event',
+        entityId: event.id,
+        summary: `Opened ${event.name}${event.venue ? ` at ${event.venue}` : ''} on ${event.date}`,
+        after: pick(event, ['name', 'venue', 'date', 'status'])
+    });
+
+    notifications.notifyConfigurationChange('Event', { ...toEventResponse(event), displayName: event.name }, 'Opened', req.user.username);
+    broadcastStatistics();
+
+    res.status(201).json(createResponse(true, `${event.name} opened`, toEventDetailResponse(event)));
+});
+
+/**
+ * Freezes the event's customers, payments, queue and pricing into the event
+ * with its summary, and empties the live queue for the next event. Riders
+ * still waiting stay as they were in the closed event.
+ */
+app.post('/api/events/:id/close', authorize('Sales'), validate('closeEvent'), (req, res) => {
+    const event = events.find(e => e.id === parseInt(req.params.id));
+
+    if (!event) {
+        return res.status(404).json(notFoundResponse('Event', req.params.id));
+    }
+    if (event.status !== 'Open') {
+        return res.status(409).json(conflictResponse(`${event.name} is already closed.`));
+    }
+    const riding = queue.filter(q => q.status === 'InProgress').length;
+    if (riding > 0) {
+        return res.status(409).json(conflictResponse(
+            `${riding} ride(s) still in progress. Complete them before closing ${event.name}.`
+        ));
+    }
+    // Closed events are read-only, so nothing may be left waiting for a decision
+    const pendingPayments = payments.filter(p => p.status === 'Pending').length;
+    const pendingRefunds = refundRequests.filter(r => r.status === 'Pending').length;
+    if (pendingPayments > 0 || pendingRefunds > 0) {
+        return res.status(409).json(conflictResponse(
+            `${pendingPayments} payment(s) and ${pendingRefunds} refund request(s) are still pending. Resolve them before closing ${event.name}.`
+        ));
+    }
+
+    const previousPositions = capturePositions();
+    event.status = 'Closed';
+    event.closedAt = new Date().toISOString();
+    event.closedBy = req.user.username;
+    event.records = liveRecords();
+    event.summary = summarizeEvent(event.records);
+    event.paymentConfigurations = JSON.parse(JSON.stringify(paymentConfigurations));
+    event.pricingRules = JSON.parse(JSON.stringify(pricingRules));
+
+    customers = [];
+    payments = [];
+    queue = [];
+    refundRequests = [];
+    queueReorders = [];
+    customerMerges = [];
+    announcedStartTimes.clear();
+    slaAlertsSent.clear();
+
+    auditLog.record({
+        actor: req.user,
+        action: 'EventClosed',
+        entityType: 'Event',
+        entityId: event.id,
+        summary: `Closed ${event.name}: ${event.summary.completedRides} ride(s), ${money(event.summary.netRevenue)} net`
+            + (event.summary.unservedRiders > 0 ? `, ${event.summary.unservedRiders} still waiting` : ''),
+        before: { status: 'Open' },
+        after: { status: event.status, summary: event.summary }
+    });
+
+    broadcastQueueChange('QueueSynced', previousPositions, { updateReason: `${event.name} closed` });
+    notifications.notifyConfigurationChange('Event', { ...toEventResponse(event), displayName: event.name }, 'Closed', req.user.username);
+
+    res.json(createResponse(true, `${event.name} closed`, toEventDetailResponse(event)));
+});
+
+// End-of-day reconciliation endpoints
+function reconciliationFor(date) {
+    return buildReconciliation({
+        date,
+        payments: allRecords('payments'),
+        refundRequests: allRecords('refundRequests'),
+        customers: allRecords('customers'),
+        paymentConfigurations,
+        cashCount: cashCounts.find(c => c.date === date)
+    });
+}
+
+app.get('/api/reconciliation', authorize('Sales'), validate('getReconciliation'), (req, res) => {
+    const date = req.query.date || localDate();
+    res.json(createResponse(true, `Reconciliation for ${date} generated`, reconciliationFor(date)));
+});
+
+// Recounting the same day replaces the earlier count; the audit log keeps both
+app.put('/api/reconciliation/cash-count', authorize('Sales'), validate('recordCashCount'), (req, res) => {
+    const { countedAmount, openingFloat = 0, notes = null } = req.body;
+    const date = req.body.date || localDate();
+    const previous = cashCounts.find(c => c.date === date) || null;
+    const cashCount = {
+        date,
+        countedAmount,
+        openingFloat,
+        notes: notes ? notes.trim() : null,
+        countedBy: req.user.username,
+        countedAt: new Date().toISOString()
+    };
+
+    cashCounts = [...cashCounts.filter(c => c.date !== date), cashCount];
+    const report = reconciliationFor(date);
+    auditLog.record({
+        actor: req.user,
+        action: 'CashCounted',
+        entityType: 'CashCount',
+        entityId: date,
+        summary: `Counted ${money(countedAmount)} cash for ${date} against ${money(report.cash.expected)} expected`,
+        before: previous,
+        after: cashCount
+    });
+
+    res.json(createResponse(true, report.cash.difference === 0
+        ? 'Cash count matches the expected amount'
+        : `Cash count is ${money(Math.abs(report.cash.difference))} ${report.cash.difference > 0 ? 'over' : 'short'}`, report));
+});
+
+app.get('/api/reconciliation/export', authorize('Sales'), validate('exportReconciliation'), (req, res) => {
+    const date = req.query.date || localDate();
+    const report = reconciliationFor(date);
+
+    if (req.query.format === 'html') {
+        return res.type('html').send(toReconciliationHtml(report));
+    }
+
+    res.attachment(`driftride-reconciliation-${date}.csv`);
+    res.type('text/csv').send(toReconciliationCsv(report));
+});
+
+// Audit log endpoints
+function auditFilters(query) {
+    return {
+        actor: query.actor,
+        action: query.action,
+        entityType: query.entityType,
+        entityId: query.entityId,
+        from: query.from ? new Date(query.from) : null,
+        to: query.to ? new Date(query.to) : null
+    };
+}
+
+app.get('/api/audit', authorize('Sales'), validate('getAuditLog'), (req, res) => {
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    const pageSize = req.query.pageSize ? parseInt(req.query.pageSize) : 50;
+    const entries = auditLog.query(auditFilters(req.query));
+
+    res.json(pagedResponse(`Found ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'}`, entries, page, pageSize));
+});
+
+// The whole filtered log as a CSV (default) or JSON download
+app.get('/api/audit/export', authorize('Sales'), validate('exportAuditLog'), (req, res) => {
+    const entries = auditLog.query(auditFilters(req.query));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === 'json') {
+        res.attachment(`driftride-audit-${stamp}.json`);
+        return res.json(entries);
+    }
+
+    res.attachment(`driftride-audit-${stamp}.csv`);
+    res.type('text/csv').send(toAuditCsv(entries));
+});
+
+// Snapshot endpoints
+app.get('/api/admin/snapshots', authorize('Sales'), validate('listSnapshots'), (req, res) => {
+    res.json(createResponse(true, 'Snapshots retrieved', storage.listSnapshots()));
+});
+
+app.post('/api/admin/snapshots', authorize('Sales'), validate('createSnapshot'), (req, res) => {
+    const snapshot = storage.createSnapshot(exportState(), req.body.label);
+    auditLog.record({
+        actor: req.user,
+        action: 'SnapshotCreated',
+        entityType: 'Snapshot',
+        entityId: snapshot.id,
+        summary: `Created snapshot ${snapshot.label || snapshot.id}`
+    });
+    res.json(createResponse(true, 'Snapshot created', snapshot));
+});
+
+app.post('/api/admin/snapshots/:id/restore', authorize('Sales'), validate('restoreSnapshot'), (req, res) => {
+    const state = storage.readSnapshot(req.params.id);
+    if (!state) {
+        return res.status(404).json(notFoundResponse('Snapshot', req.params.id));
+    }
+
+    // The audit log is append-only, so it is not rewound with everything else
+    const history = auditLog.exportState();
+    importState(state);
+    auditLog.importState(history);
+    auditLog.record({
+        actor: req.user,
+        action: 'SnapshotRestored',
+        entityType: 'Snapshot',
+        entityId: req.params.id,
+        summary: `Restored snapshot ${req.params.id}`,
+        after: { customers: customers.length, payments: payments.length, queueEntries: queue.length }
+    });
+    broadcastQueueChange('QueueSynced', new Map(), {
+        updateReason: 'State restored from snapshot'
+    });
+    res.json(createResponse(true, 'Snapshot restored', {
+        customers: customers.length,
+        payments: payments.length,
+        queueEntries: queue.length
+    }));
+});
+
 // Routes are configured above this point
 
+app.use('/api', (req, res) => {
+    res.status(404).json(notFoundResponse('Endpoint', `${req.method} ${req.originalUrl}`));
+});
+
+// Malformed JSON bodies get the BAD_REQUEST envelope instead of Express's HTML error page
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json(badRequestResponse('Request body is not valid JSON'));
+    }
+
+    console.error('Unhandled error:', error);
+    res.status(500).json(createResponse(false, 'An internal server error occurred', null, {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'An unexpected error occurred while processing your request'
+    }));
+});
+
 // Seed some initial data
 function seedData() {
+    events.push(createEvent({ name: 'Demo Day', venue: 'DriftRide Track', date: localDate() }, null));
+
+    // One car per demo driver
+    ['driver@example.com', 'driver2@example.com'].forEach((username, index) => {
+        cars.push({
+            id: nextCarId++,
+            name: `Car ${index + 1}`,
+            isActive: true,
+            driverUserId: users.find(u => u.username === username).id,
+            createdAt: new Date().toISOString()
+        });
+    });
+
     // Add some test customers
     const testCustomers = [
         { name: 'John Smith', phoneNumber: '555-0101' },
@@ -306,17 +2836,33 @@ function seedData() {
         };
         customers.push(customer);
 
-        // Add some payments
+        // Add some payments, shaped like ones taken through POST /api/payments
+        // so seeded sales show up in reconciliation. No staff member confirmed
+        // them, which keeps them out of the SLA report.
+        const price = checkoutPrice('CashApp', 1, null);
+        const confirmed = Math.random() > 0.5;
+        const createdAt = new Date().toISOString();
         const payment = {
             id: nextPaymentId++,
             customerId: customer.id,
-            amount: paymentConfigurations.CashApp.pricePerRide,
+            amount: price.expectedAmount,
             paymentMethod: 'CashApp',
             externalTransactionId: `tx_${Math.random().toString(36).substr(2, 9)}`,
-            status: Math.random() > 0.5 ? 'Confirmed' : 'Pending',
-            createdAt: new Date().toISOString(),
+            status: confirmed ? 'Confirmed' : 'Pending',
+            createdAt,
             notes: null,
-            confirmedBy: null
+            denialReasonCode: null,
+            confirmedBy: null,
+            confirmedAt: confirmed ? createdAt : null,
+            retryOfPaymentId: null,
+            attemptNumber: 1,
+            rideCount: 1,
+            expectedAmount: price.expectedAmount,
+            amountMismatch: false,
+            pricingRuleIds: price.pricingRuleIds,
+            promoCodeId: null,
+            promoCode: null,
+            discountAmount: 0
         };
         payments.push(payment);
 
@@ -329,14 +2875,17 @@ function seedData() {
                 position: queue.length + 1,
                 status: 'Waiting',
                 queuedAt: new Date().toISOString(),
-                customer,
-                payment
+                assignedCarId: null,
+                carId: null
             };
             queue.push(queueEntry);
         }
     });
+    dispatchRiders(queue, cars);
 
     console.log('Seeded data:');
+    console.log(`- event "${events[0].name}"`);
+    console.log(`- ${cars.length} cars`);
     console.log(`- ${customers.length} customers`);
     console.log(`- ${payments.length} payments`);
     console.log(`- ${queue.length} queue entries`);
@@ -346,23 +2895,90 @@ function seedData() {
 app.listen(port, () => {
     console.log(`🚀 DriftRide Mock API Server running at http://localhost:${port}`);
     console.log('📋 Available endpoints:');
+    console.log('   GET  /api/customers?search=&page=&pageSize=');
     console.log('   POST /api/customers');
+    console.log('   POST /api/customers/manual');
     console.log('   GET  /api/customers/:id');
+    console.log('   GET  /api/customers/:id/history');
+    console.log('   GET  /api/customers/:id/duplicates');
+    console.log('   POST /api/customers/:id/merge');
+    console.log('   POST /api/customers/:id/leave-queue');
     console.log('   POST /api/payments');
     console.log('   POST /api/payments/:id/confirm');
+    console.log('   POST /api/payments/confirm-batch');
+    console.log('   POST /api/payments/:id/undo');
     console.log('   GET  /api/payments/pending');
+    console.log('   GET  /api/payments/sla-report');
+    console.log('   GET  /api/refunds/pending');
+    console.log('   POST /api/refunds/:id/resolve');
     console.log('   GET  /api/queue');
+    console.log('   GET  /api/queue/position/:customerId');
     console.log('   GET  /api/queue/current');
+    console.log('   POST /api/queue/:id/start');
     console.log('   POST /api/queue/:id/complete');
+    console.log('   POST /api/queue/:id/undo-complete');
+    console.log('   POST /api/queue/:id/no-show');
     console.log('   POST /api/queue/reorder');
+    console.log('   GET  /api/queue/reorders');
+    console.log('   POST /api/queue/:id/assign');
+    console.log('   GET  /api/cars');
+    console.log('   POST /api/cars');
+    console.log('   PUT  /api/cars/:id');
+    console.log('   DELETE /api/cars/:id');
+    console.log('   POST /api/cars/:id/claim');
+    console.log('   POST /api/cars/:id/release');
     console.log('   GET  /api/configuration/payment-methods');
+    console.log('   POST /api/configuration/payment-methods');
     console.log('   PUT  /api/configuration/payment-methods');
+    console.log('   PUT  /api/configuration/payment-methods/order');
+    console.log('   DELETE /api/configuration/payment-methods/:paymentMethod');
+    console.log('   GET  /api/configuration/queue');
+    console.log('   PUT  /api/configuration/queue');
+    console.log('   GET  /api/configuration/payment-sla');
+    console.log('   PUT  /api/configuration/payment-sla');
+    console.log('   GET  /api/configuration/pricing-rules');
+    console.log('   POST /api/configuration/pricing-rules');
+    console.log('   PUT  /api/configuration/pricing-rules/:id');
+    console.log('   DELETE /api/configuration/pricing-rules/:id');
+    console.log('   GET  /api/pricing/quote?paymentMethod=&at= (includes bundles)');
+    console.log('   GET  /api/configuration/promo-codes');
+    console.log('   POST /api/configuration/promo-codes');
+    console.log('   PUT  /api/configuration/promo-codes/:id');
+    console.log('   DELETE /api/configuration/promo-codes/:id');
+    console.log('   POST /api/pricing/promo-check');
     console.log('   POST /api/auth/login');
+    console.log('   POST /api/auth/refresh');
     console.log('   GET  /api/stats');
+    console.log('   GET  /api/events');
+    console.log('   GET  /api/events/active');
+    console.log('   GET  /api/events/:id');
+    console.log('   POST /api/events');
+    console.log('   POST /api/events/:id/close');
+    console.log('   GET  /api/reconciliation');
+    console.log('   PUT  /api/reconciliation/cash-count');
+    console.log('   GET  /api/reconciliation/export');
+    console.log('   GET  /api/audit');
+    console.log('   GET  /api/audit/export');
+    console.log('   GET  /api/admin/snapshots');
+    console.log('   POST /api/admin/snapshots');
+    console.log('   POST /api/admin/snapshots/:id/restore');
+    console.log('   POST /queueHub/negotiate (SignalR, Server-Sent Events)');
     console.log('');
     console.log('🎮 Demo credentials:');
     console.log('   Sales: sales@example.com / password');
-    console.log('   Driver: driver@example.com / password');
+    console.log('   Sales: sales2@example.com / password');
+    console.log('   Driver: driver@example.com / password (Car 1)');
+    console.log('   Driver: driver2@example.com / password (Car 2)');
+    console.log('');
+
+    const savedState = storage.load();
+    if (savedState) {
+        importState(savedState);
+        console.log(`💾 Restored ${storage.name} state: ${customers.length} customers, ${payments.length} payments, ${queue.length} queue entries`);
+    } else {
+        seedData();
+        persistState();
+    }
 
-    seedData();
+    setInterval(escalateOverduePayments, SLA_CHECK_INTERVAL_MS);
 });
\ No newline at end of file